@@ -0,0 +1,53 @@
+using System.ComponentModel.DataAnnotations;
+using RagChatApp_Server.DTOs;
+
+namespace RagChatApp_Server.Tests;
+
+/// <summary>
+/// Validation of the chat request fields that end up in provider URLs
+/// </summary>
+public class ChatRequestValidationTests
+{
+    [Theory]
+    [InlineData("gpt-4o")]
+    [InlineData("gpt-4o-mini-2024-07-18")]
+    [InlineData("gemini-1.5-pro")]
+    [InlineData("models/gemini-1.5-flash")]
+    [InlineData("my_deployment.v2")]
+    [InlineData("llama3:8b")]
+    public void Model_AcceptsModelAndDeploymentNames(string model)
+    {
+        Assert.Empty(ValidateModel(model));
+    }
+
+    [Theory]
+    [InlineData("../../deployments/other")]
+    [InlineData("..")]
+    [InlineData("models/..")]
+    [InlineData("gpt-4o/../../embeddings")]
+    [InlineData("gpt-4o?api-version=1")]
+    [InlineData("gpt-4o#fragment")]
+    [InlineData("/openai/deployments/other")]
+    [InlineData("models/gemini/extra")]
+    [InlineData("gpt 4o")]
+    public void Model_RejectsPathTraversalAndUrlSyntax(string model)
+    {
+        var errors = ValidateModel(model);
+
+        Assert.Contains(errors, e => e.MemberNames.Contains(nameof(ChatRequest.Model)));
+    }
+
+    [Fact]
+    public void Model_IsOptional()
+    {
+        Assert.Empty(ValidateModel(null));
+    }
+
+    private static List<ValidationResult> ValidateModel(string? model)
+    {
+        var request = new ChatRequest { Message = "What is RAG?", Model = model };
+        var results = new List<ValidationResult>();
+        Validator.TryValidateObject(request, new ValidationContext(request), results, validateAllProperties: true);
+        return results;
+    }
+}
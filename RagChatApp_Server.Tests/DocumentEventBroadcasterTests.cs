@@ -0,0 +1,97 @@
+using System.Threading.Channels;
+using RagChatApp_Server.DTOs;
+using RagChatApp_Server.Services;
+
+namespace RagChatApp_Server.Tests;
+
+/// <summary>
+/// Throttling and replay of the document processing events
+/// </summary>
+public class DocumentEventBroadcasterTests
+{
+    private static readonly DateTime Start = new(2026, 10, 19, 12, 0, 0, DateTimeKind.Utc);
+
+    [Fact]
+    public void Publish_ThrottlesRepeatedProgressOfTheSameField()
+    {
+        var broadcaster = new DocumentEventBroadcaster();
+        var (reader, subscription) = broadcaster.Subscribe();
+        using var _ = subscription;
+
+        broadcaster.Publish(Embedding("Content", processedChunks: 0, milliseconds: 0));
+        broadcaster.Publish(Embedding("Content", processedChunks: 1, milliseconds: 50));
+        broadcaster.Publish(Embedding("Content", processedChunks: 2, milliseconds: 300));
+
+        Assert.Equal(new int?[] { 0, 2 }, ReadAll(reader).Select(e => e.ProcessedChunks));
+    }
+
+    [Fact]
+    public void Publish_SendsTheFirstProgressOfEveryField()
+    {
+        var broadcaster = new DocumentEventBroadcaster();
+        var (reader, subscription) = broadcaster.Subscribe();
+        using var _ = subscription;
+
+        broadcaster.Publish(Embedding("Content", processedChunks: 0, milliseconds: 0));
+        broadcaster.Publish(Embedding("HeaderContext", processedChunks: 0, milliseconds: 10));
+        broadcaster.Publish(Embedding("Notes", processedChunks: 0, milliseconds: 20));
+
+        Assert.Equal(new[] { "Content", "HeaderContext", "Notes" }, ReadAll(reader).Select(e => e.Field));
+    }
+
+    [Fact]
+    public void Subscribe_AfterAThrottledEvent_ReplaysTheLatestProgress()
+    {
+        var broadcaster = new DocumentEventBroadcaster();
+        broadcaster.Publish(Embedding("Content", processedChunks: 0, milliseconds: 0));
+        broadcaster.Publish(Embedding("Content", processedChunks: 3, milliseconds: 50));
+
+        var (reader, subscription) = broadcaster.Subscribe();
+        using var _ = subscription;
+
+        var replayed = Assert.Single(ReadAll(reader));
+        Assert.Equal(3, replayed.ProcessedChunks);
+    }
+
+    [Fact]
+    public void Subscribe_AfterCompletion_ReplaysNothing()
+    {
+        var broadcaster = new DocumentEventBroadcaster();
+        broadcaster.Publish(Embedding("Content", processedChunks: 0, milliseconds: 0));
+        broadcaster.Publish(new DocumentProcessingEvent
+        {
+            DocumentId = 1,
+            Stage = DocumentProcessingStages.Completed,
+            Timestamp = Start.AddMilliseconds(10)
+        });
+
+        var (reader, subscription) = broadcaster.Subscribe();
+        using var _ = subscription;
+
+        Assert.Empty(ReadAll(reader));
+    }
+
+    private static DocumentProcessingEvent Embedding(string field, int processedChunks, int milliseconds)
+    {
+        return new DocumentProcessingEvent
+        {
+            DocumentId = 1,
+            FileName = "manual.pdf",
+            Stage = DocumentProcessingStages.Embedding,
+            Field = field,
+            ProcessedChunks = processedChunks,
+            TotalChunks = 10,
+            Timestamp = Start.AddMilliseconds(milliseconds)
+        };
+    }
+
+    private static List<DocumentProcessingEvent> ReadAll(ChannelReader<DocumentProcessingEvent> reader)
+    {
+        var events = new List<DocumentProcessingEvent>();
+        while (reader.TryRead(out var documentEvent))
+        {
+            events.Add(documentEvent);
+        }
+        return events;
+    }
+}
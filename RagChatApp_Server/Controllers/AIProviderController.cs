@@ -1,3 +1,5 @@
+using System.Text.Json.Serialization;
+using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.Extensions.Options;
 using RagChatApp_Server.Models;
@@ -30,6 +32,9 @@ public class AIProviderController : ControllerBase
     /// <summary>
     /// Get information about available AI providers
     /// </summary>
+    /// <remarks>
+    /// AvailableProviders lists only the configured providers, Providers lists every supported one
+    /// </remarks>
     [HttpGet("info")]
     public ActionResult<object> GetProvidersInfo()
     {
@@ -49,6 +54,12 @@ public class AIProviderController : ControllerBase
                     IsConfigured = _factory.IsProviderConfigured(p),
                     IsDefault = p == defaultProvider
                 }).ToArray(),
+                Providers = Enum.GetValues<AIProviderType>().Select(p => new
+                {
+                    Name = p.ToString(),
+                    IsConfigured = _factory.IsProviderConfigured(p),
+                    IsDefault = p == defaultProvider
+                }).ToArray(),
                 Configuration = new
                 {
                     OrderProcessingModel = _settings.OrderProcessingModel,
@@ -127,9 +138,10 @@ public class AIProviderController : ControllerBase
     }
 
     /// <summary>
-    /// Get provider configuration for stored procedures
+    /// Get provider configuration for stored procedures. Administrators only, as it includes the API key.
     /// </summary>
     [HttpGet("configuration/{providerType}")]
+    [Authorize(Roles = AuthRoles.Admin)]
     public ActionResult<object> GetProviderConfiguration(AIProviderType providerType)
     {
         try
@@ -212,12 +224,14 @@ public class AIProviderController : ControllerBase
 }
 
 /// <summary>
-/// Request model for testing embedding generation
+/// Request model for testing embedding generation. Enums are accepted by name or by number.
 /// </summary>
 public class TestEmbeddingRequest
 {
     public string Text { get; set; } = string.Empty;
+    [JsonConverter(typeof(JsonStringEnumConverter))]
     public AIProviderType? ProviderType { get; set; }
+    [JsonConverter(typeof(JsonStringEnumConverter))]
     public AITaskType TaskType { get; set; } = AITaskType.Embedding;
     public bool IncludeEmbedding { get; set; } = false;
 }
@@ -228,7 +242,9 @@ public class TestEmbeddingRequest
 public class TestChatRequest
 {
     public List<ChatMessage> Messages { get; set; } = new();
+    [JsonConverter(typeof(JsonStringEnumConverter))]
     public AIProviderType? ProviderType { get; set; }
+    [JsonConverter(typeof(JsonStringEnumConverter))]
     public AITaskType TaskType { get; set; } = AITaskType.Chat;
     public int? MaxTokens { get; set; }
     public float Temperature { get; set; } = 0.1f;
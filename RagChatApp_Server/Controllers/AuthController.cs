@@ -0,0 +1,78 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using RagChatApp_Server.DTOs;
+using RagChatApp_Server.Services;
+
+namespace RagChatApp_Server.Controllers;
+
+/// <summary>
+/// Controller for signing in against the local identity store.
+/// Tokens are stateless, so signing out only means discarding the token on the client.
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+public class AuthController : ControllerBase
+{
+    private readonly IIdentityService _identityService;
+    private readonly ILogger<AuthController> _logger;
+
+    public AuthController(IIdentityService identityService, ILogger<AuthController> logger)
+    {
+        _identityService = identityService;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Sign in with a username and password and get a JWT for the other endpoints
+    /// </summary>
+    /// <param name="request">Username and password</param>
+    /// <returns>The token, its expiry and the signed-in user</returns>
+    [HttpPost("login")]
+    [AllowAnonymous]
+    [ProducesResponseType(typeof(LoginResponse), 200)]
+    [ProducesResponseType(typeof(OperationResponse), 401)]
+    public IActionResult Login([FromBody] LoginRequest request)
+    {
+        var user = _identityService.ValidateCredentials(request.Username, request.Password);
+        if (user == null)
+        {
+            return Unauthorized(new OperationResponse
+            {
+                Success = false,
+                Message = "Invalid username or password"
+            });
+        }
+
+        var token = _identityService.CreateToken(user);
+        _logger.LogInformation("User {Username} signed in, token valid until {ExpiresAt}", user.Username, token.ExpiresAt);
+
+        return Ok(new LoginResponse
+        {
+            Token = token.Token,
+            ExpiresAt = token.ExpiresAt,
+            User = new CurrentUserResponse
+            {
+                Username = user.Username,
+                DisplayName = string.IsNullOrWhiteSpace(user.DisplayName) ? user.Username : user.DisplayName,
+                Role = user.Role
+            }
+        });
+    }
+
+    /// <summary>
+    /// Get the user of the token or API key sent with the request
+    /// </summary>
+    /// <returns>The signed-in user</returns>
+    [HttpGet("me")]
+    [ProducesResponseType(typeof(CurrentUserResponse), 200)]
+    [ProducesResponseType(401)]
+    public IActionResult GetCurrentUser()
+    {
+        return Ok(new CurrentUserResponse
+        {
+            Username = User.Identity?.Name ?? string.Empty,
+            DisplayName = User.FindFirst(LocalIdentityService.DisplayNameClaimType)?.Value ?? User.Identity?.Name ?? string.Empty,
+            Role = User.FindFirst(LocalIdentityService.RoleClaimType)?.Value ?? string.Empty
+        });
+    }
+}
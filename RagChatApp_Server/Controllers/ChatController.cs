@@ -1,3 +1,5 @@
+using System.Text.Json;
+using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
 using RagChatApp_Server.DTOs;
 using RagChatApp_Server.Services;
@@ -13,9 +15,12 @@ namespace RagChatApp_Server.Controllers;
 [Route("api/[controller]")]
 public class ChatController : ControllerBase
 {
+    private static readonly JsonSerializerOptions StreamJsonOptions = new(JsonSerializerDefaults.Web);
+
     private readonly ILogger<ChatController> _logger;
     private readonly IAzureOpenAIService _aiService;
     private readonly IAIProviderService _aiProvider;
+    private readonly AIProviderFactory _providerFactory;
 
     public ChatController(
         ILogger<ChatController> logger,
@@ -25,6 +30,7 @@ public class ChatController : ControllerBase
         _logger = logger;
         _aiService = aiService;
         _aiProvider = providerFactory.CreateProvider();
+        _providerFactory = providerFactory;
     }
 
     /// <summary>
@@ -37,7 +43,18 @@ public class ChatController : ControllerBase
     [ProducesResponseType(typeof(OperationResponse), 400)]
     public async Task<IActionResult> Chat([FromBody] ChatRequest request)
     {
-        _logger.LogInformation("Processing chat request: {Message}", request.Message);
+        _logger.LogInformation("Processing chat request: {Message} (History: {HistoryCount} messages)",
+            request.Message, request.History.Count);
+
+        var providerError = ValidateRequestedProvider(request);
+        if (providerError != null)
+        {
+            return BadRequest(new OperationResponse
+            {
+                Success = false,
+                Message = providerError
+            });
+        }
 
         try
         {
@@ -59,11 +76,64 @@ public class ChatController : ControllerBase
         }
     }
 
+    /// <summary>
+    /// Chat with AI using RAG, streaming the answer as Server-Sent Events.
+    /// Events: "sources" (retrieved chunks), "token" (answer fragment), "done" and "error".
+    /// </summary>
+    /// <param name="request">Chat request with user message and parameters</param>
+    /// <param name="cancellationToken">Triggered when the client aborts the request</param>
+    [HttpPost("stream")]
+    [Produces("text/event-stream")]
+    public async Task ChatStream([FromBody] ChatRequest request, CancellationToken cancellationToken)
+    {
+        _logger.LogInformation("Processing streaming chat request: {Message} (History: {HistoryCount} messages)",
+            request.Message, request.History.Count);
+
+        Response.ContentType = "text/event-stream";
+        Response.Headers.CacheControl = "no-cache";
+        Response.Headers["X-Accel-Buffering"] = "no";
+
+        var providerError = ValidateRequestedProvider(request);
+        if (providerError != null)
+        {
+            await WriteServerSentEventAsync(new ChatStreamEvent
+            {
+                Type = "error",
+                Data = new { Message = providerError }
+            }, cancellationToken);
+            return;
+        }
+
+        try
+        {
+            await foreach (var chatEvent in _aiService.StreamChatResponseAsync(request, cancellationToken))
+            {
+                await WriteServerSentEventAsync(chatEvent, cancellationToken);
+            }
+
+            _logger.LogInformation("Streaming chat response completed");
+        }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            _logger.LogInformation("Streaming chat request aborted by the client");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error processing streaming chat request: {Message}", request.Message);
+            await WriteServerSentEventAsync(new ChatStreamEvent
+            {
+                Type = "error",
+                Data = new { Message = "An error occurred while processing your request" }
+            }, CancellationToken.None);
+        }
+    }
+
     /// <summary>
     /// Get information about the AI service configuration
     /// </summary>
     /// <returns>Service configuration information</returns>
     [HttpGet("info")]
+    [AllowAnonymous]
     [ProducesResponseType(typeof(object), 200)]
     public IActionResult GetInfo()
     {
@@ -78,4 +148,30 @@ public class ChatController : ControllerBase
 
         return Ok(info);
     }
+
+    /// <summary>
+    /// Check that the provider requested for the answer is configured (ignored in mock mode)
+    /// </summary>
+    /// <returns>Error message, or null when the request can be served</returns>
+    private string? ValidateRequestedProvider(ChatRequest request)
+    {
+        if (_aiService.IsMockMode || request.ReturnOnlyChunks || request.Provider == null)
+        {
+            return null;
+        }
+
+        return _providerFactory.IsProviderConfigured(request.Provider.Value)
+            ? null
+            : $"AI provider {request.Provider} is not configured";
+    }
+
+    /// <summary>
+    /// Write a single Server-Sent Event and flush it to the client immediately
+    /// </summary>
+    private async Task WriteServerSentEventAsync(ChatStreamEvent chatEvent, CancellationToken cancellationToken)
+    {
+        var data = JsonSerializer.Serialize(chatEvent.Data, StreamJsonOptions);
+        await Response.WriteAsync($"event: {chatEvent.Type}\ndata: {data}\n\n", cancellationToken);
+        await Response.Body.FlushAsync(cancellationToken);
+    }
 }
\ No newline at end of file
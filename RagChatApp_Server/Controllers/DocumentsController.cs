@@ -1,5 +1,10 @@
+using System.Linq.Expressions;
+using System.Text;
+using System.Text.Json;
+using System.Text.Json.Nodes;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.EntityFrameworkCore;
+using Microsoft.Net.Http.Headers;
 using RagChatApp_Server.Data;
 using RagChatApp_Server.DTOs;
 using RagChatApp_Server.Models;
@@ -9,7 +14,8 @@ using RagChatApp_Server.Services.Interfaces;
 namespace RagChatApp_Server.Controllers;
 
 /// <summary>
-/// Controller for document management operations
+/// Controller for document management operations. Documents record their uploader;
+/// only the uploader and administrators can update, replace or delete a document.
 /// </summary>
 [ApiController]
 [Route("api/[controller]")]
@@ -20,32 +26,104 @@ public class DocumentsController : ControllerBase
     private readonly IDocumentProcessingService _documentService;
     private readonly IAIProviderService _aiService;
     private readonly IServiceScopeFactory _serviceScopeFactory;
+    private readonly IWebPageService _webPageService;
+    private readonly DocumentEventBroadcaster _events;
+    private readonly ISemanticCacheService _cacheService;
+
+    private const int MaxChunkPageSize = 100;
+    private const int DefaultDocumentPageSize = 20;
+    private const int MaxDocumentPageSize = 200;
+
+    // Comment sent on an idle event stream so proxies keep the connection open
+    private static readonly TimeSpan EventKeepAliveInterval = TimeSpan.FromSeconds(20);
+    private static readonly JsonSerializerOptions EventJsonOptions = new(JsonSerializerDefaults.Web);
+
+    /// <summary>
+    /// Projection of a chunk with the status of its four embedding tables
+    /// </summary>
+    private static readonly Expression<Func<DocumentChunk, DocumentChunkResponse>> ChunkProjection = c => new DocumentChunkResponse
+    {
+        Id = c.Id,
+        DocumentId = c.DocumentId,
+        ChunkIndex = c.ChunkIndex,
+        HeaderContext = c.HeaderContext,
+        Content = c.Content,
+        Notes = c.Notes,
+        Details = c.Details,
+        CreatedAt = c.CreatedAt,
+        UpdatedAt = c.UpdatedAt,
+        Embeddings = new List<ChunkEmbeddingInfo>
+        {
+            new ChunkEmbeddingInfo
+            {
+                Field = "Content",
+                HasEmbedding = c.ContentEmbedding != null,
+                Model = c.ContentEmbedding != null ? c.ContentEmbedding.Model : null,
+                Dimensions = c.ContentEmbedding != null ? c.ContentEmbedding.Embedding.Length / 4 : 0,
+                UpdatedAt = c.ContentEmbedding != null ? (DateTime?)c.ContentEmbedding.UpdatedAt : null
+            },
+            new ChunkEmbeddingInfo
+            {
+                Field = "HeaderContext",
+                HasEmbedding = c.HeaderContextEmbedding != null,
+                Model = c.HeaderContextEmbedding != null ? c.HeaderContextEmbedding.Model : null,
+                Dimensions = c.HeaderContextEmbedding != null ? c.HeaderContextEmbedding.Embedding.Length / 4 : 0,
+                UpdatedAt = c.HeaderContextEmbedding != null ? (DateTime?)c.HeaderContextEmbedding.UpdatedAt : null
+            },
+            new ChunkEmbeddingInfo
+            {
+                Field = "Notes",
+                HasEmbedding = c.NotesEmbedding != null,
+                Model = c.NotesEmbedding != null ? c.NotesEmbedding.Model : null,
+                Dimensions = c.NotesEmbedding != null ? c.NotesEmbedding.Embedding.Length / 4 : 0,
+                UpdatedAt = c.NotesEmbedding != null ? (DateTime?)c.NotesEmbedding.UpdatedAt : null
+            },
+            new ChunkEmbeddingInfo
+            {
+                Field = "Details",
+                HasEmbedding = c.DetailsEmbedding != null,
+                Model = c.DetailsEmbedding != null ? c.DetailsEmbedding.Model : null,
+                Dimensions = c.DetailsEmbedding != null ? c.DetailsEmbedding.Embedding.Length / 4 : 0,
+                UpdatedAt = c.DetailsEmbedding != null ? (DateTime?)c.DetailsEmbedding.UpdatedAt : null
+            }
+        }
+    };
 
     public DocumentsController(
         ILogger<DocumentsController> logger,
         RagChatDbContext context,
         IDocumentProcessingService documentService,
         IAIProviderService aiService,
-        IServiceScopeFactory serviceScopeFactory)
+        IServiceScopeFactory serviceScopeFactory,
+        IWebPageService webPageService,
+        DocumentEventBroadcaster events,
+        ISemanticCacheService cacheService)
     {
         _logger = logger;
         _context = context;
         _documentService = documentService;
         _aiService = aiService;
         _serviceScopeFactory = serviceScopeFactory;
+        _webPageService = webPageService;
+        _events = events;
+        _cacheService = cacheService;
     }
 
     /// <summary>
-    /// Upload and process a document file
+    /// Upload and process a document file, optionally replacing an existing document
     /// </summary>
     /// <param name="request">Document upload request containing the file</param>
     /// <returns>Document processing result</returns>
     [HttpPost("upload")]
     [ProducesResponseType(typeof(DocumentResponse), 200)]
     [ProducesResponseType(typeof(OperationResponse), 400)]
+    [ProducesResponseType(typeof(OperationResponse), 404)]
+    [ProducesResponseType(typeof(OperationResponse), 403)]
+    [ProducesResponseType(typeof(OperationResponse), 409)]
     public async Task<IActionResult> UploadDocument([FromForm] DocumentUploadRequest request)
     {
-        _logger.LogInformation("Uploading document: {FileName}", request.File.FileName);
+        _logger.LogInformation("Uploading document: {FileName}, ReplaceDocumentId: {ReplaceDocumentId}",
+            request.File.FileName, request.ReplaceDocumentId);
 
         try
         {
@@ -59,15 +137,69 @@ public class DocumentsController : ControllerBase
                 });
             }
 
-            // Extract text content
-            var content = await _documentService.ExtractTextAsync(request.File);
+            Document? document = null;
+            if (request.ReplaceDocumentId.HasValue)
+            {
+                document = await _context.Documents.FindAsync(request.ReplaceDocumentId.Value);
+                if (document == null)
+                {
+                    return NotFound(new OperationResponse
+                    {
+                        Success = false,
+                        Message = "Document to replace not found"
+                    });
+                }
+
+                if (!CanModify(document))
+                {
+                    return DocumentForbidden();
+                }
+
+                if (document.Status == "Processing")
+                {
+                    return Conflict(new OperationResponse
+                    {
+                        Success = false,
+                        Message = "Document to replace is being processed"
+                    });
+                }
+            }
+
+            // Extract text content. New documents do not exist yet, so only replacements report the stage.
+            if (document != null)
+            {
+                PublishDocumentEvent(document, DocumentProcessingStages.Extracting);
+            }
+
+            string content;
+            try
+            {
+                content = await _documentService.ExtractTextAsync(request.File);
+            }
+            catch (Exception ex) when (document != null)
+            {
+                PublishDocumentEvent(document, DocumentProcessingStages.Failed, $"Text extraction failed: {ex.Message}");
+                throw;
+            }
+
+            string contentHash;
+            using (var hashStream = request.File.OpenReadStream())
+            {
+                contentHash = await ContentHash.ComputeAsync(hashStream);
+            }
 
             // Save file physically to uploads folder
             var uploadsFolder = Path.Combine(Directory.GetCurrentDirectory(), "Uploads");
             Directory.CreateDirectory(uploadsFolder); // Ensure folder exists
 
-            // Generate unique filename to avoid conflicts
-            var uniqueFileName = $"{DateTime.UtcNow:yyyyMMddHHmmss}_{request.File.FileName}";
+            // Generate unique filename to avoid conflicts. Folder and zip imports send a relative
+            // path as the file name, so only its last segment is used for the stored copy.
+            var storedName = Path.GetFileName(request.File.FileName.Replace('\\', '/'));
+            if (string.IsNullOrWhiteSpace(storedName))
+            {
+                storedName = "document";
+            }
+            var uniqueFileName = $"{DateTime.UtcNow:yyyyMMddHHmmss}_{Guid.NewGuid():N}_{storedName}";
             var filePath = Path.Combine(uploadsFolder, uniqueFileName);
 
             using (var stream = new FileStream(filePath, FileMode.Create))
@@ -75,34 +207,60 @@ public class DocumentsController : ControllerBase
                 await request.File.CopyToAsync(stream);
             }
 
-            // Create document record with absolute path
-            var document = new Document
+            string? replacedPath = null;
+            if (document == null)
             {
-                FileName = request.File.FileName,
-                ContentType = request.File.ContentType,
-                Size = request.File.Length,
-                Content = content,
-                Path = Path.GetFullPath(filePath), // Absolute physical path
-                Status = "Processing"
-            };
+                // Create document record with absolute path
+                document = new Document
+                {
+                    FileName = request.File.FileName,
+                    ContentType = request.File.ContentType,
+                    Size = request.File.Length,
+                    Content = content,
+                    ContentHash = contentHash,
+                    Path = Path.GetFullPath(filePath), // Absolute physical path
+                    Notes = request.Notes,
+                    UploadedBy = User.Identity?.Name,
+                    Status = "Processing"
+                };
+
+                _context.Documents.Add(document);
+            }
+            else
+            {
+                // Replace the file and content of the existing document, keeping its ID
+                replacedPath = document.Path;
+                document.FileName = request.File.FileName;
+                document.ContentType = request.File.ContentType;
+                document.Size = request.File.Length;
+                document.Content = content;
+                document.ContentHash = contentHash;
+                document.Path = Path.GetFullPath(filePath);
+                document.Notes = request.Notes;
+                document.Status = "Processing";
+                document.ProcessedAt = null;
+
+                var existingChunks = await _context.DocumentChunks
+                    .Where(c => c.DocumentId == request.ReplaceDocumentId)
+                    .ToListAsync();
+                _context.DocumentChunks.RemoveRange(existingChunks);
+            }
 
-            _context.Documents.Add(document);
             await _context.SaveChangesAsync();
+            if (replacedPath != document.Path)
+            {
+                DeleteUploadedFile(replacedPath, uploadsFolder);
+            }
+            if (request.ReplaceDocumentId.HasValue)
+            {
+                await PurgeSemanticCacheAsync(_cacheService, _logger, document.Id);
+            }
 
             _logger.LogInformation("Document saved with ID: {DocumentId}, starting background processing", document.Id);
 
-            // Process document in background with metadata - with proper error logging
-            _ = Task.Run(async () =>
-            {
-                try
-                {
-                    await ProcessDocumentAsync(document.Id, request.Notes, request.Details);
-                }
-                catch (Exception ex)
-                {
-                    _logger.LogError(ex, "Background processing failed for document {DocumentId}", document.Id);
-                }
-            });
+            // Process document in background with metadata
+            var documentId = document.Id;
+            StartBackgroundProcessing(document, () => ProcessDocumentAsync(documentId, request.Notes, request.Details));
 
             var response = new DocumentResponse
             {
@@ -113,6 +271,7 @@ public class DocumentsController : ControllerBase
                 Status = document.Status,
                 Path = document.Path,
                 UploadedAt = document.UploadedAt,
+                UploadedBy = document.UploadedBy,
                 ChunkCount = 0
             };
 
@@ -129,6 +288,53 @@ public class DocumentsController : ControllerBase
         }
     }
 
+    /// <summary>
+    /// Find the indexed documents whose content hash matches one of the given hashes,
+    /// so duplicates can be skipped or replaced before uploading
+    /// </summary>
+    /// <param name="request">SHA-256 hashes (hex) of the files about to be uploaded</param>
+    /// <returns>Existing documents with a matching hash</returns>
+    [HttpPost("check-duplicates")]
+    [ProducesResponseType(typeof(List<DuplicateDocumentResponse>), 200)]
+    [ProducesResponseType(typeof(OperationResponse), 400)]
+    public async Task<IActionResult> CheckDuplicates([FromBody] DuplicateCheckRequest request)
+    {
+        var hashes = request.Hashes
+            .Where(h => !string.IsNullOrWhiteSpace(h))
+            .Select(h => h.Trim().ToLowerInvariant())
+            .Distinct()
+            .ToList();
+
+        _logger.LogInformation("Checking {Count} content hashes for duplicates", hashes.Count);
+
+        try
+        {
+            var duplicates = await _context.Documents
+                .Where(d => d.ContentHash != null && hashes.Contains(d.ContentHash))
+                .OrderBy(d => d.UploadedAt)
+                .Select(d => new DuplicateDocumentResponse
+                {
+                    Hash = d.ContentHash!,
+                    DocumentId = d.Id,
+                    FileName = d.FileName,
+                    Status = d.Status,
+                    UploadedAt = d.UploadedAt
+                })
+                .ToListAsync();
+
+            return Ok(duplicates);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error checking duplicates");
+            return StatusCode(500, new OperationResponse
+            {
+                Success = false,
+                Message = "An error occurred while checking for duplicates"
+            });
+        }
+    }
+
     /// <summary>
     /// Index text content directly without file upload
     /// </summary>
@@ -150,6 +356,9 @@ public class DocumentsController : ControllerBase
                 ContentType = "text/plain",
                 Size = request.Content.Length,
                 Content = request.Content,
+                ContentHash = ContentHash.Compute(request.Content),
+                Notes = request.Notes,
+                UploadedBy = User.Identity?.Name,
                 Status = "Processing"
             };
 
@@ -157,7 +366,7 @@ public class DocumentsController : ControllerBase
             await _context.SaveChangesAsync();
 
             // Process document in background with metadata
-            _ = Task.Run(async () => await ProcessDocumentAsync(document.Id, request.Notes, request.Details));
+            StartBackgroundProcessing(document, () => ProcessDocumentAsync(document.Id, request.Notes, request.Details));
 
             var response = new DocumentResponse
             {
@@ -168,6 +377,7 @@ public class DocumentsController : ControllerBase
                 Status = document.Status,
                 Path = document.Path,
                 UploadedAt = document.UploadedAt,
+                UploadedBy = document.UploadedBy,
                 ChunkCount = 0
             };
 
@@ -185,89 +395,134 @@ public class DocumentsController : ControllerBase
     }
 
     /// <summary>
-    /// Get list of all documents
+    /// Download a web page and index its readable content. The URL is stored as the
+    /// document path, so sources link back to the original page.
     /// </summary>
-    /// <returns>List of documents with metadata</returns>
-    [HttpGet]
-    [ProducesResponseType(typeof(List<DocumentResponse>), 200)]
-    public async Task<IActionResult> GetDocuments()
+    /// <param name="request">URL indexing request</param>
+    /// <returns>Document processing result</returns>
+    [HttpPost("index-url")]
+    [ProducesResponseType(typeof(DocumentResponse), 200)]
+    [ProducesResponseType(typeof(OperationResponse), 400)]
+    [ProducesResponseType(typeof(OperationResponse), 403)]
+    [ProducesResponseType(typeof(OperationResponse), 409)]
+    [ProducesResponseType(typeof(OperationResponse), 502)]
+    public async Task<IActionResult> IndexUrl([FromBody] IndexUrlRequest request)
     {
-        _logger.LogInformation("Retrieving all documents");
+        _logger.LogInformation("Indexing URL: {Url}, ReplaceExisting: {ReplaceExisting}", request.Url, request.ReplaceExisting);
 
-        try
+        if (!string.IsNullOrWhiteSpace(request.Details) && !IsValidJson(request.Details))
         {
-            var documents = await _context.Documents
-                .Include(d => d.Chunks)
-                .Select(d => new DocumentResponse
-                {
-                    Id = d.Id,
-                    FileName = d.FileName,
-                    ContentType = d.ContentType,
-                    Size = d.Size,
-                    Status = d.Status,
-                    Path = d.Path,
-                    UploadedAt = d.UploadedAt,
-                    ProcessedAt = d.ProcessedAt,
-                    ChunkCount = d.Chunks.Count
-                })
-                .OrderByDescending(d => d.UploadedAt)
-                .ToListAsync();
+            return BadRequest(new OperationResponse
+            {
+                Success = false,
+                Message = "Details must be a valid JSON document"
+            });
+        }
 
-            return Ok(documents);
+        string url;
+        try
+        {
+            url = WebPageService.ParseUrl(request.Url).AbsoluteUri;
         }
-        catch (Exception ex)
+        catch (WebPageImportException ex)
         {
-            _logger.LogError(ex, "Error retrieving documents");
-            return StatusCode(500, new OperationResponse
+            return BadRequest(new OperationResponse
             {
                 Success = false,
-                Message = "An error occurred while retrieving documents"
+                Message = ex.Message
             });
         }
-    }
-
-    /// <summary>
-    /// Update an existing document
-    /// </summary>
-    /// <param name="id">Document ID</param>
-    /// <param name="request">Updated document content</param>
-    /// <returns>Updated document information</returns>
-    [HttpPut("{id}")]
-    [ProducesResponseType(typeof(DocumentResponse), 200)]
-    [ProducesResponseType(typeof(OperationResponse), 404)]
-    public async Task<IActionResult> UpdateDocument(int id, [FromBody] IndexTextRequest request)
-    {
-        _logger.LogInformation("Updating document: {Id}", id);
 
         try
         {
-            var document = await _context.Documents.FindAsync(id);
-            if (document == null)
+            var document = await _context.Documents.FirstOrDefaultAsync(d => d.Path == url);
+            if (document != null && (!request.ReplaceExisting || document.Status == "Processing"))
             {
-                return NotFound(new OperationResponse
+                return Conflict(new OperationResponse
                 {
                     Success = false,
-                    Message = "Document not found"
+                    Message = document.Status == "Processing"
+                        ? "The page is already being processed"
+                        : "The page is already indexed",
+                    Data = new { DocumentId = document.Id }
                 });
             }
 
-            // Update document content
-            document.Content = request.Content;
+            if (document != null && !CanModify(document))
+            {
+                return DocumentForbidden();
+            }
+
+            if (document != null)
+            {
+                PublishDocumentEvent(document, DocumentProcessingStages.Extracting);
+            }
+
+            WebPageContent page;
+            try
+            {
+                page = await _webPageService.FetchPageAsync(url);
+            }
+            catch (WebPageImportException ex)
+            {
+                if (document != null)
+                {
+                    PublishDocumentEvent(document, DocumentProcessingStages.Failed, ex.Message);
+                }
+                _logger.LogWarning("Could not import {Url}: {Message}", url, ex.Message);
+                return StatusCode(502, new OperationResponse
+                {
+                    Success = false,
+                    Message = ex.Message
+                });
+            }
+
+            var title = string.IsNullOrWhiteSpace(request.Title) ? page.Title : request.Title.Trim();
+            var notes = request.Notes;
+            var details = request.Details;
+
+            if (document == null)
+            {
+                document = new Document { Path = url, UploadedBy = User.Identity?.Name };
+                _context.Documents.Add(document);
+            }
+            else
+            {
+                // An update keeps the metadata of the page unless new metadata is given
+                var firstChunk = await _context.DocumentChunks
+                    .Where(c => c.DocumentId == document.Id)
+                    .OrderBy(c => c.ChunkIndex)
+                    .Select(c => new { c.Notes, c.Details })
+                    .FirstOrDefaultAsync();
+                notes ??= document.Notes ?? firstChunk?.Notes;
+                details ??= firstChunk?.Details;
+
+                var existingChunks = await _context.DocumentChunks
+                    .Where(c => c.DocumentId == document.Id)
+                    .ToListAsync();
+                _context.DocumentChunks.RemoveRange(existingChunks);
+            }
+
+            // The .html extension selects header-based chunking on the extracted headings
+            document.FileName = $"{title[..Math.Min(title.Length, 250)]}.html";
+            document.ContentType = "text/html";
+            document.Size = page.Content.Length;
+            document.Content = page.Content;
+            document.ContentHash = ContentHash.Compute(page.Content);
+            document.Notes = notes;
             document.Status = "Processing";
             document.ProcessedAt = null;
 
-            // Remove existing chunks
-            var existingChunks = await _context.DocumentChunks
-                .Where(c => c.DocumentId == id)
-                .ToListAsync();
-            _context.DocumentChunks.RemoveRange(existingChunks);
-
+            var replaced = document.Id != 0;
             await _context.SaveChangesAsync();
+            if (replaced)
+            {
+                await PurgeSemanticCacheAsync(_cacheService, _logger, document.Id);
+            }
 
-            // Process document in background with metadata
-            _ = Task.Run(async () => await ProcessDocumentAsync(document.Id, request.Notes, request.Details));
+            StartBackgroundProcessing(document, () => ProcessDocumentAsync(document.Id, notes, details));
 
-            var response = new DocumentResponse
+            return Ok(new DocumentResponse
             {
                 Id = document.Id,
                 FileName = document.FileName,
@@ -276,191 +531,1508 @@ public class DocumentsController : ControllerBase
                 Status = document.Status,
                 Path = document.Path,
                 UploadedAt = document.UploadedAt,
-                ProcessedAt = document.ProcessedAt,
+                UploadedBy = document.UploadedBy,
                 ChunkCount = 0
-            };
-
-            return Ok(response);
+            });
         }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "Error updating document: {Id}", id);
+            _logger.LogError(ex, "Error indexing URL: {Url}", url);
             return StatusCode(500, new OperationResponse
             {
                 Success = false,
-                Message = "An error occurred while updating the document"
+                Message = "An error occurred while indexing the page"
             });
         }
     }
 
     /// <summary>
-    /// Delete a document and all its chunks
+    /// List the page URLs of a sitemap (or sitemap index) for a batch import with index-url
     /// </summary>
-    /// <param name="id">Document ID</param>
-    /// <returns>Operation result</returns>
-    [HttpDelete("{id}")]
-    [ProducesResponseType(typeof(OperationResponse), 200)]
-    [ProducesResponseType(typeof(OperationResponse), 404)]
-    public async Task<IActionResult> DeleteDocument(int id)
+    /// <param name="url">Absolute http or https URL of the sitemap</param>
+    /// <returns>Page URLs listed by the sitemap</returns>
+    [HttpGet("sitemap")]
+    [ProducesResponseType(typeof(List<string>), 200)]
+    [ProducesResponseType(typeof(OperationResponse), 400)]
+    [ProducesResponseType(typeof(OperationResponse), 502)]
+    public async Task<IActionResult> GetSitemapUrls([FromQuery] string url)
     {
-        _logger.LogInformation("Deleting document: {Id}", id);
+        _logger.LogInformation("Reading sitemap for import: {Url}", url);
 
         try
         {
-            var document = await _context.Documents.FindAsync(id);
-            if (document == null)
+            WebPageService.ParseUrl(url);
+        }
+        catch (WebPageImportException ex)
+        {
+            return BadRequest(new OperationResponse
             {
-                return NotFound(new OperationResponse
-                {
-                    Success = false,
-                    Message = "Document not found"
-                });
-            }
-
-            _context.Documents.Remove(document);
-            await _context.SaveChangesAsync();
+                Success = false,
+                Message = ex.Message
+            });
+        }
 
-            return Ok(new OperationResponse
+        try
+        {
+            return Ok(await _webPageService.GetSitemapUrlsAsync(url));
+        }
+        catch (WebPageImportException ex)
+        {
+            _logger.LogWarning("Could not read sitemap {Url}: {Message}", url, ex.Message);
+            return StatusCode(502, new OperationResponse
             {
-                Success = true,
-                Message = "Document deleted successfully"
+                Success = false,
+                Message = ex.Message
             });
         }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "Error deleting document: {Id}", id);
+            _logger.LogError(ex, "Error reading sitemap: {Url}", url);
             return StatusCode(500, new OperationResponse
             {
                 Success = false,
-                Message = "An error occurred while deleting the document"
+                Message = "An error occurred while reading the sitemap"
             });
         }
     }
 
     /// <summary>
-    /// Background processing of document chunks and embeddings
+    /// Get the list of documents, optionally filtered, sorted and paged.
+    /// The total number of matching documents is returned in the X-Total-Count header.
     /// </summary>
-    private async Task ProcessDocumentAsync(int documentId, string? notes = null, string? details = null)
+    /// <param name="query">Search, filter, sort and paging parameters</param>
+    /// <returns>List of documents with metadata</returns>
+    [HttpGet]
+    [ProducesResponseType(typeof(List<DocumentResponse>), 200)]
+    public async Task<IActionResult> GetDocuments([FromQuery] DocumentListQuery query)
     {
-        // Create a new scope for background processing to avoid disposed context issues
-        using var scope = _serviceScopeFactory.CreateScope();
-        var context = scope.ServiceProvider.GetRequiredService<RagChatDbContext>();
-        var documentService = scope.ServiceProvider.GetRequiredService<IDocumentProcessingService>();
-        var aiService = scope.ServiceProvider.GetRequiredService<IAIProviderService>();
-        var logger = scope.ServiceProvider.GetRequiredService<ILogger<DocumentsController>>();
+        _logger.LogInformation("Retrieving documents: Search={Search}, Status={Status}, Page={Page}",
+            query.Search, query.Status, query.Page);
 
         try
         {
-            logger.LogInformation("Starting background processing for document: {DocumentId}", documentId);
+            var documents = ApplyDocumentFilters(_context.Documents.AsQueryable(), query);
+            var totalCount = await documents.CountAsync();
 
-            var document = await context.Documents.FindAsync(documentId);
-            if (document == null)
+            var results = ApplyDocumentSorting(documents, query)
+                .Select(d => new DocumentResponse
+                {
+                    Id = d.Id,
+                    FileName = d.FileName,
+                    ContentType = d.ContentType,
+                    Size = d.Size,
+                    Status = d.Status,
+                    Path = d.Path,
+                    UploadedAt = d.UploadedAt,
+                    UploadedBy = d.UploadedBy,
+                    ProcessedAt = d.ProcessedAt,
+                    ChunkCount = d.Chunks.Count
+                });
+
+            if (query.Page.HasValue || query.PageSize.HasValue)
             {
-                logger.LogWarning("Document not found for processing: {DocumentId}", documentId);
-                return;
+                var page = Math.Max(query.Page ?? 1, 1);
+                var pageSize = Math.Clamp(query.PageSize ?? DefaultDocumentPageSize, 1, MaxDocumentPageSize);
+
+                results = results.Skip((page - 1) * pageSize).Take(pageSize);
+
+                Response.Headers["X-Page"] = page.ToString();
+                Response.Headers["X-Page-Size"] = pageSize.ToString();
             }
 
-            // Create chunks with enhanced chunking logic and metadata
-            var chunks = await documentService.CreateChunksAsync(document.Content, 1000, notes, details, document.FileName);
+            Response.Headers["X-Total-Count"] = totalCount.ToString();
 
-            // Generate embeddings for each chunk and save to database
-            foreach (var chunk in chunks)
+            return Ok(await results.ToListAsync());
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error retrieving documents");
+            return StatusCode(500, new OperationResponse
             {
-                chunk.DocumentId = documentId;
-                
-                // Add the chunk first to get the ID
-                context.DocumentChunks.Add(chunk);
-                await context.SaveChangesAsync(); // Save to get the chunk ID
+                Success = false,
+                Message = "An error occurred while retrieving documents"
+            });
+        }
+    }
+
+    /// <summary>
+    /// Follow document processing as Server-Sent Events. A "ready" event confirms the
+    /// subscription and is followed by the latest event of every document still being
+    /// processed; after that a "document" event is sent for every lifecycle change
+    /// (Queued, Extracting, Chunking, Embedding per field, Completed, Failed with the reason).
+    /// </summary>
+    /// <param name="cancellationToken">Triggered when the client disconnects</param>
+    [HttpGet("events")]
+    [Produces("text/event-stream")]
+    public async Task DocumentEvents(CancellationToken cancellationToken)
+    {
+        Response.ContentType = "text/event-stream";
+        Response.Headers.CacheControl = "no-cache";
+        Response.Headers["X-Accel-Buffering"] = "no";
+
+        var (reader, subscription) = _events.Subscribe();
+        using var _ = subscription;
+
+        try
+        {
+            await WriteServerSentEventAsync("ready", new { }, cancellationToken);
 
-                // Generate and save content embedding
-                if (!string.IsNullOrWhiteSpace(chunk.Content))
+            while (true)
+            {
+                using var keepAlive = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+                keepAlive.CancelAfter(EventKeepAliveInterval);
+
+                try
                 {
-                    var contentEmbeddingVector = await aiService.GenerateEmbeddingAsync(chunk.Content, AITaskType.Embedding);
-                    var contentEmbedding = ConvertFloatArrayToBytes(contentEmbeddingVector);
-                    var contentEmbeddingEntity = new DocumentChunkContentEmbedding
+                    if (!await reader.WaitToReadAsync(keepAlive.Token))
                     {
-                        DocumentChunkId = chunk.Id,
-                        Embedding = contentEmbedding,
-                        CreatedAt = DateTime.UtcNow,
-                        UpdatedAt = DateTime.UtcNow
-                    };
-                    context.DocumentChunkContentEmbeddings.Add(contentEmbeddingEntity);
+                        break;
+                    }
                 }
-
-                // Generate and save header context embedding if present
-                if (!string.IsNullOrWhiteSpace(chunk.HeaderContext))
+                catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
                 {
-                    var headerEmbeddingVector = await aiService.GenerateEmbeddingAsync(chunk.HeaderContext, AITaskType.Embedding);
-                    var headerEmbedding = ConvertFloatArrayToBytes(headerEmbeddingVector);
-                    var headerEmbeddingEntity = new DocumentChunkHeaderContextEmbedding
-                    {
-                        DocumentChunkId = chunk.Id,
-                        Embedding = headerEmbedding,
-                        CreatedAt = DateTime.UtcNow,
-                        UpdatedAt = DateTime.UtcNow
-                    };
-                    context.DocumentChunkHeaderContextEmbeddings.Add(headerEmbeddingEntity);
+                    await Response.WriteAsync(": keep-alive\n\n", cancellationToken);
+                    await Response.Body.FlushAsync(cancellationToken);
+                    continue;
                 }
 
-                // Generate and save notes embedding if present
-                if (!string.IsNullOrWhiteSpace(chunk.Notes))
+                while (reader.TryRead(out var documentEvent))
                 {
-                    var notesEmbeddingVector = await aiService.GenerateEmbeddingAsync(chunk.Notes, AITaskType.Embedding);
-                    var notesEmbedding = ConvertFloatArrayToBytes(notesEmbeddingVector);
-                    var notesEmbeddingEntity = new DocumentChunkNotesEmbedding
-                    {
-                        DocumentChunkId = chunk.Id,
-                        Embedding = notesEmbedding,
-                        CreatedAt = DateTime.UtcNow,
-                        UpdatedAt = DateTime.UtcNow
-                    };
-                    context.DocumentChunkNotesEmbeddings.Add(notesEmbeddingEntity);
+                    await WriteServerSentEventAsync("document", documentEvent, cancellationToken);
                 }
+            }
+        }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            // The client disconnected
+        }
+    }
+
+    /// <summary>
+    /// Get a single document with its content and metadata
+    /// </summary>
+    /// <param name="id">Document ID</param>
+    /// <returns>Document with content, notes and details</returns>
+    [HttpGet("{id}")]
+    [ProducesResponseType(typeof(DocumentDetailResponse), 200)]
+    [ProducesResponseType(typeof(OperationResponse), 404)]
+    public async Task<IActionResult> GetDocument(int id)
+    {
+        _logger.LogInformation("Retrieving document: {Id}", id);
 
-                // Generate and save details embedding if present
-                if (!string.IsNullOrWhiteSpace(chunk.Details))
+        try
+        {
+            var document = await _context.Documents
+                .Where(d => d.Id == id)
+                .Select(d => new DocumentDetailResponse
                 {
-                    var detailsEmbeddingVector = await aiService.GenerateEmbeddingAsync(chunk.Details, AITaskType.Embedding);
-                    var detailsEmbedding = ConvertFloatArrayToBytes(detailsEmbeddingVector);
-                    var detailsEmbeddingEntity = new DocumentChunkDetailsEmbedding
-                    {
-                        DocumentChunkId = chunk.Id,
-                        Embedding = detailsEmbedding,
-                        CreatedAt = DateTime.UtcNow,
-                        UpdatedAt = DateTime.UtcNow
-                    };
-                    context.DocumentChunkDetailsEmbeddings.Add(detailsEmbeddingEntity);
+                    Id = d.Id,
+                    FileName = d.FileName,
+                    ContentType = d.ContentType,
+                    Size = d.Size,
+                    Status = d.Status,
+                    Path = d.Path,
+                    UploadedAt = d.UploadedAt,
+                    UploadedBy = d.UploadedBy,
+                    ProcessedAt = d.ProcessedAt,
+                    ChunkCount = d.Chunks.Count,
+                    Content = d.Content,
+                    Notes = d.Notes,
+                    // Details are stored per chunk; the first chunk carries the document-level metadata
+                    Details = d.Chunks.OrderBy(c => c.ChunkIndex).Select(c => c.Details).FirstOrDefault()
+                })
+                .FirstOrDefaultAsync();
+
+            if (document == null)
+            {
+                return NotFound(new OperationResponse
+                {
+                    Success = false,
+                    Message = "Document not found"
+                });
+            }
+
+            // Documents indexed before notes were stored on the document keep them on the chunks
+            if (document.Notes == null)
+            {
+                document.Notes = await _context.DocumentChunks
+                    .Where(c => c.DocumentId == id)
+                    .OrderBy(c => c.ChunkIndex)
+                    .Select(c => c.Notes)
+                    .FirstOrDefaultAsync();
+            }
+
+            return Ok(document);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error retrieving document: {Id}", id);
+            return StatusCode(500, new OperationResponse
+            {
+                Success = false,
+                Message = "An error occurred while retrieving the document"
+            });
+        }
+    }
+
+    /// <summary>
+    /// Get the original file of a document for preview or download. Documents without a
+    /// stored file (indexed text, web pages, files missing on disk) return their extracted
+    /// text. The X-Content-Source header tells which one was returned: original or extracted.
+    /// </summary>
+    /// <param name="id">Document ID</param>
+    /// <param name="download">Send as attachment instead of inline</param>
+    /// <returns>The file or the extracted text</returns>
+    [HttpGet("{id}/content")]
+    [ProducesResponseType(typeof(FileResult), 200)]
+    [ProducesResponseType(typeof(OperationResponse), 404)]
+    public async Task<IActionResult> GetDocumentContent(int id, [FromQuery] bool download = false)
+    {
+        _logger.LogInformation("Serving content of document: {Id}, Download: {Download}", id, download);
+
+        try
+        {
+            var document = await _context.Documents.FindAsync(id);
+            if (document == null)
+            {
+                return NotFound(new OperationResponse
+                {
+                    Success = false,
+                    Message = "Document not found"
+                });
+            }
+
+            if (document.Path != null && !IsWebAddress(document.Path) && System.IO.File.Exists(document.Path))
+            {
+                Response.Headers["X-Content-Source"] = "original";
+                var fullPath = Path.GetFullPath(document.Path);
+                if (download)
+                {
+                    return PhysicalFile(fullPath, document.ContentType, document.FileName, enableRangeProcessing: true);
                 }
+
+                Response.Headers.ContentDisposition = new ContentDispositionHeaderValue("inline")
+                {
+                    FileNameStar = document.FileName
+                }.ToString();
+                return PhysicalFile(fullPath, document.ContentType, enableRangeProcessing: true);
             }
 
-            // Update document status
-            document.Status = "Completed";
-            document.ProcessedAt = DateTime.UtcNow;
+            Response.Headers["X-Content-Source"] = "extracted";
+            var text = Encoding.UTF8.GetBytes(document.Content);
+            return download
+                ? File(text, "text/plain; charset=utf-8", Path.ChangeExtension(document.FileName, ".txt"))
+                : File(text, "text/plain; charset=utf-8");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error serving content of document: {Id}", id);
+            return StatusCode(500, new OperationResponse
+            {
+                Success = false,
+                Message = "An error occurred while reading the document content"
+            });
+        }
+    }
 
-            await context.SaveChangesAsync();
+    /// <summary>
+    /// Update an existing document
+    /// </summary>
+    /// <param name="id">Document ID</param>
+    /// <param name="request">Updated document content</param>
+    /// <returns>Updated document information</returns>
+    [HttpPut("{id}")]
+    [ProducesResponseType(typeof(DocumentResponse), 200)]
+    [ProducesResponseType(typeof(OperationResponse), 404)]
+    [ProducesResponseType(typeof(OperationResponse), 403)]
+    [ProducesResponseType(typeof(OperationResponse), 409)]
+    public async Task<IActionResult> UpdateDocument(int id, [FromBody] IndexTextRequest request)
+    {
+        _logger.LogInformation("Updating document: {Id}", id);
 
-            logger.LogInformation("Completed processing for document: {DocumentId}, Chunks: {ChunkCount}",
-                documentId, chunks.Count);
+        try
+        {
+            var document = await _context.Documents.FindAsync(id);
+            if (document == null)
+            {
+                return NotFound(new OperationResponse
+                {
+                    Success = false,
+                    Message = "Document not found"
+                });
+            }
+
+            if (!CanModify(document))
+            {
+                return DocumentForbidden();
+            }
+
+            if (document.Status == "Processing")
+            {
+                return Conflict(new OperationResponse
+                {
+                    Success = false,
+                    Message = "Document is already being processed"
+                });
+            }
+
+            // Edited text no longer matches the uploaded file: the stored copy is removed so that
+            // the content endpoint serves the new text and duplicates are checked against it
+            string? detachedPath = null;
+            if (document.Content != request.Content && document.Path != null && !IsWebAddress(document.Path))
+            {
+                detachedPath = document.Path;
+                document.Path = null;
+            }
+
+            // Update document title, content and notes
+            var extension = Path.GetExtension(document.FileName);
+            document.FileName = request.Title.EndsWith(extension, StringComparison.OrdinalIgnoreCase)
+                ? request.Title
+                : request.Title + extension;
+            document.Content = request.Content;
+            document.Notes = request.Notes;
+            if (document.Path == null || document.ContentType == "text/html")
+            {
+                // Indexed text and web pages have no stored file, so their size and hash come from the text
+                document.Size = request.Content.Length;
+                document.ContentHash = ContentHash.Compute(request.Content);
+            }
+            document.Status = "Processing";
+            document.ProcessedAt = null;
+
+            // Remove existing chunks
+            var existingChunks = await _context.DocumentChunks
+                .Where(c => c.DocumentId == id)
+                .ToListAsync();
+            _context.DocumentChunks.RemoveRange(existingChunks);
+
+            await _context.SaveChangesAsync();
+            DeleteUploadedFile(detachedPath, Path.Combine(Directory.GetCurrentDirectory(), "Uploads"));
+            await PurgeSemanticCacheAsync(_cacheService, _logger, document.Id);
+
+            // Process document in background with metadata
+            StartBackgroundProcessing(document, () => ProcessDocumentAsync(document.Id, request.Notes, request.Details));
+
+            var response = new DocumentResponse
+            {
+                Id = document.Id,
+                FileName = document.FileName,
+                ContentType = document.ContentType,
+                Size = document.Size,
+                Status = document.Status,
+                Path = document.Path,
+                UploadedAt = document.UploadedAt,
+                UploadedBy = document.UploadedBy,
+                ProcessedAt = document.ProcessedAt,
+                ChunkCount = 0
+            };
+
+            return Ok(response);
         }
         catch (Exception ex)
         {
-            logger.LogError(ex, "Error processing document: {DocumentId}", documentId);
+            _logger.LogError(ex, "Error updating document: {Id}", id);
+            return StatusCode(500, new OperationResponse
+            {
+                Success = false,
+                Message = "An error occurred while updating the document"
+            });
+        }
+    }
 
-            // Update document status to failed using a separate context operation
-            try
+    /// <summary>
+    /// Re-chunk and re-embed a document from its stored content, keeping its notes and details
+    /// </summary>
+    /// <param name="id">Document ID</param>
+    /// <returns>Document information with Processing status</returns>
+    [HttpPost("{id}/reprocess")]
+    [ProducesResponseType(typeof(DocumentResponse), 200)]
+    [ProducesResponseType(typeof(OperationResponse), 404)]
+    [ProducesResponseType(typeof(OperationResponse), 403)]
+    [ProducesResponseType(typeof(OperationResponse), 409)]
+    public async Task<IActionResult> ReprocessDocument(int id)
+    {
+        _logger.LogInformation("Reprocessing document: {Id}", id);
+
+        try
+        {
+            var document = await _context.Documents.FindAsync(id);
+            if (document == null)
             {
-                var document = await context.Documents.FindAsync(documentId);
-                if (document != null)
+                return NotFound(new OperationResponse
                 {
-                    document.Status = "Failed";
-                    await context.SaveChangesAsync();
-                }
+                    Success = false,
+                    Message = "Document not found"
+                });
+            }
+
+            if (!CanModify(document))
+            {
+                return DocumentForbidden();
+            }
+
+            if (document.Status == "Processing")
+            {
+                return Conflict(new OperationResponse
+                {
+                    Success = false,
+                    Message = "Document is already being processed"
+                });
             }
-            catch (Exception saveEx)
+
+            // Metadata lives on the chunks, read it before they are removed
+            var firstChunk = await _context.DocumentChunks
+                .Where(c => c.DocumentId == id)
+                .OrderBy(c => c.ChunkIndex)
+                .Select(c => new { c.Notes, c.Details })
+                .FirstOrDefaultAsync();
+            var notes = document.Notes ?? firstChunk?.Notes;
+            var details = firstChunk?.Details;
+
+            document.Status = "Processing";
+            document.ProcessedAt = null;
+
+            var existingChunks = await _context.DocumentChunks
+                .Where(c => c.DocumentId == id)
+                .ToListAsync();
+            _context.DocumentChunks.RemoveRange(existingChunks);
+
+            await _context.SaveChangesAsync();
+            await PurgeSemanticCacheAsync(_cacheService, _logger, document.Id);
+
+            StartBackgroundProcessing(document, () => ProcessDocumentAsync(document.Id, notes, details));
+
+            return Ok(new DocumentResponse
+            {
+                Id = document.Id,
+                FileName = document.FileName,
+                ContentType = document.ContentType,
+                Size = document.Size,
+                Status = document.Status,
+                Path = document.Path,
+                UploadedAt = document.UploadedAt,
+                UploadedBy = document.UploadedBy,
+                ProcessedAt = document.ProcessedAt,
+                ChunkCount = 0
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error reprocessing document: {Id}", id);
+            return StatusCode(500, new OperationResponse
+            {
+                Success = false,
+                Message = "An error occurred while reprocessing the document"
+            });
+        }
+    }
+
+    /// <summary>
+    /// Apply or merge notes and details on all chunks of a document and re-embed only those fields
+    /// </summary>
+    /// <param name="id">Document ID</param>
+    /// <param name="request">Metadata to apply</param>
+    /// <returns>Document information with Processing status</returns>
+    [HttpPut("{id}/metadata")]
+    [ProducesResponseType(typeof(DocumentResponse), 200)]
+    [ProducesResponseType(typeof(OperationResponse), 400)]
+    [ProducesResponseType(typeof(OperationResponse), 404)]
+    [ProducesResponseType(typeof(OperationResponse), 403)]
+    [ProducesResponseType(typeof(OperationResponse), 409)]
+    public async Task<IActionResult> UpdateDocumentMetadata(int id, [FromBody] DocumentMetadataRequest request)
+    {
+        _logger.LogInformation("Updating metadata of document: {Id}, Merge: {Merge}", id, request.Merge);
+
+        JsonObject? incomingDetails = null;
+        if (!string.IsNullOrWhiteSpace(request.Details))
+        {
+            incomingDetails = ParseJsonObject(request.Details);
+            if (incomingDetails == null)
             {
-                logger.LogError(saveEx, "Failed to update document status to Failed for document: {DocumentId}", documentId);
+                return BadRequest(new OperationResponse
+                {
+                    Success = false,
+                    Message = "Details must be a JSON object"
+                });
             }
         }
+
+        try
+        {
+            var document = await _context.Documents
+                .Include(d => d.Chunks)
+                .FirstOrDefaultAsync(d => d.Id == id);
+
+            if (document == null)
+            {
+                return NotFound(new OperationResponse
+                {
+                    Success = false,
+                    Message = "Document not found"
+                });
+            }
+
+            if (!CanModify(document))
+            {
+                return DocumentForbidden();
+            }
+
+            if (document.Status == "Processing")
+            {
+                return Conflict(new OperationResponse
+                {
+                    Success = false,
+                    Message = "Document is already being processed"
+                });
+            }
+
+            var notes = string.IsNullOrWhiteSpace(request.Notes) ? null : request.Notes.Trim();
+
+            document.Notes = request.Merge ? MergeNotes(document.Notes, notes) : notes;
+            foreach (var chunk in document.Chunks)
+            {
+                chunk.Notes = request.Merge ? MergeNotes(chunk.Notes, notes) : notes;
+                chunk.Details = request.Merge ? MergeDetails(chunk.Details, incomingDetails) : incomingDetails?.ToJsonString();
+                chunk.UpdatedAt = DateTime.UtcNow;
+            }
+
+            document.Status = "Processing";
+            document.ProcessedAt = null;
+            await _context.SaveChangesAsync();
+            await PurgeSemanticCacheAsync(_cacheService, _logger, document.Id);
+
+            StartBackgroundProcessing(document, () => ReembedDocumentMetadataAsync(document.Id));
+
+            return Ok(new DocumentResponse
+            {
+                Id = document.Id,
+                FileName = document.FileName,
+                ContentType = document.ContentType,
+                Size = document.Size,
+                Status = document.Status,
+                Path = document.Path,
+                UploadedAt = document.UploadedAt,
+                UploadedBy = document.UploadedBy,
+                ProcessedAt = document.ProcessedAt,
+                ChunkCount = document.Chunks.Count
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error updating metadata of document: {Id}", id);
+            return StatusCode(500, new OperationResponse
+            {
+                Success = false,
+                Message = "An error occurred while updating the document metadata"
+            });
+        }
+    }
+
+    /// <summary>
+    /// Delete a document and all its chunks
+    /// </summary>
+    /// <param name="id">Document ID</param>
+    /// <returns>Operation result</returns>
+    [HttpDelete("{id}")]
+    [ProducesResponseType(typeof(OperationResponse), 200)]
+    [ProducesResponseType(typeof(OperationResponse), 404)]
+    [ProducesResponseType(typeof(OperationResponse), 403)]
+    public async Task<IActionResult> DeleteDocument(int id)
+    {
+        _logger.LogInformation("Deleting document: {Id}", id);
+
+        try
+        {
+            var document = await _context.Documents.FindAsync(id);
+            if (document == null)
+            {
+                return NotFound(new OperationResponse
+                {
+                    Success = false,
+                    Message = "Document not found"
+                });
+            }
+
+            if (!CanModify(document))
+            {
+                return DocumentForbidden();
+            }
+
+            _context.Documents.Remove(document);
+            await _context.SaveChangesAsync();
+            _events.Forget(id);
+            await PurgeSemanticCacheAsync(_cacheService, _logger, id);
+
+            return Ok(new OperationResponse
+            {
+                Success = true,
+                Message = "Document deleted successfully"
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error deleting document: {Id}", id);
+            return StatusCode(500, new OperationResponse
+            {
+                Success = false,
+                Message = "An error occurred while deleting the document"
+            });
+        }
+    }
+
+    /// <summary>
+    /// Get a page of the chunks created from a document
+    /// </summary>
+    /// <param name="id">Document ID</param>
+    /// <param name="page">Page number (1-based)</param>
+    /// <param name="pageSize">Chunks per page (max 100)</param>
+    /// <param name="fromIndex">Optional first ChunkIndex to include, e.g. to load the neighbours of a search hit</param>
+    /// <param name="toIndex">Optional last ChunkIndex to include</param>
+    /// <returns>Chunks ordered by ChunkIndex with their embedding status</returns>
+    [HttpGet("{id}/chunks")]
+    [ProducesResponseType(typeof(DocumentChunksPageResponse), 200)]
+    [ProducesResponseType(typeof(OperationResponse), 404)]
+    public async Task<IActionResult> GetDocumentChunks(
+        int id,
+        [FromQuery] int page = 1,
+        [FromQuery] int pageSize = 10,
+        [FromQuery] int? fromIndex = null,
+        [FromQuery] int? toIndex = null)
+    {
+        _logger.LogInformation("Retrieving chunks for document: {Id}, Page: {Page}, Range: {From}-{To}",
+            id, page, fromIndex, toIndex);
+
+        try
+        {
+            var document = await _context.Documents.FindAsync(id);
+            if (document == null)
+            {
+                return NotFound(new OperationResponse
+                {
+                    Success = false,
+                    Message = "Document not found"
+                });
+            }
+
+            page = Math.Max(page, 1);
+            pageSize = Math.Clamp(pageSize, 1, MaxChunkPageSize);
+
+            var query = _context.DocumentChunks.Where(c => c.DocumentId == id);
+            if (fromIndex.HasValue)
+            {
+                query = query.Where(c => c.ChunkIndex >= fromIndex.Value);
+            }
+            if (toIndex.HasValue)
+            {
+                query = query.Where(c => c.ChunkIndex <= toIndex.Value);
+            }
+
+            var totalCount = await query.CountAsync();
+
+            var chunks = await query
+                .OrderBy(c => c.ChunkIndex)
+                .Skip((page - 1) * pageSize)
+                .Take(pageSize)
+                .Select(ChunkProjection)
+                .ToListAsync();
+
+            return Ok(new DocumentChunksPageResponse
+            {
+                DocumentId = document.Id,
+                FileName = document.FileName,
+                Page = page,
+                PageSize = pageSize,
+                TotalCount = totalCount,
+                Chunks = chunks
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error retrieving chunks for document: {Id}", id);
+            return StatusCode(500, new OperationResponse
+            {
+                Success = false,
+                Message = "An error occurred while retrieving document chunks"
+            });
+        }
+    }
+
+    /// <summary>
+    /// Get a single chunk of a document
+    /// </summary>
+    /// <param name="id">Document ID</param>
+    /// <param name="chunkId">Chunk ID</param>
+    /// <returns>Chunk with its embedding status</returns>
+    [HttpGet("{id}/chunks/{chunkId}")]
+    [ProducesResponseType(typeof(DocumentChunkResponse), 200)]
+    [ProducesResponseType(typeof(OperationResponse), 404)]
+    public async Task<IActionResult> GetDocumentChunk(int id, int chunkId)
+    {
+        _logger.LogInformation("Retrieving chunk {ChunkId} of document: {Id}", chunkId, id);
+
+        try
+        {
+            var chunk = await _context.DocumentChunks
+                .Where(c => c.DocumentId == id && c.Id == chunkId)
+                .Select(ChunkProjection)
+                .FirstOrDefaultAsync();
+
+            if (chunk == null)
+            {
+                return NotFound(new OperationResponse
+                {
+                    Success = false,
+                    Message = "Chunk not found"
+                });
+            }
+
+            return Ok(chunk);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error retrieving chunk {ChunkId} of document: {Id}", chunkId, id);
+            return StatusCode(500, new OperationResponse
+            {
+                Success = false,
+                Message = "An error occurred while retrieving the chunk"
+            });
+        }
+    }
+
+    /// <summary>
+    /// Locate a chunk in the content of its document and, for PDF files, find its page
+    /// </summary>
+    /// <param name="id">Document ID</param>
+    /// <param name="chunkId">Chunk ID</param>
+    /// <returns>Position of the chunk in the document content</returns>
+    [HttpGet("{id}/chunks/{chunkId}/location")]
+    [ProducesResponseType(typeof(ChunkLocationResponse), 200)]
+    [ProducesResponseType(typeof(OperationResponse), 404)]
+    public async Task<IActionResult> GetChunkLocation(int id, int chunkId)
+    {
+        _logger.LogInformation("Locating chunk {ChunkId} in document: {Id}", chunkId, id);
+
+        try
+        {
+            var chunk = await _context.DocumentChunks
+                .Where(c => c.DocumentId == id && c.Id == chunkId)
+                .Select(c => new { c.ChunkIndex, c.HeaderContext, c.Content, DocumentContent = c.Document.Content, c.Document.ContentType, c.Document.Path })
+                .FirstOrDefaultAsync();
+
+            if (chunk == null)
+            {
+                return NotFound(new OperationResponse
+                {
+                    Success = false,
+                    Message = "Chunk not found"
+                });
+            }
+
+            var location = _documentService.LocateChunk(chunk.DocumentContent, chunk.Content);
+            var page = chunk.ContentType == "application/pdf" && chunk.Path != null
+                ? _documentService.FindPdfPage(chunk.Path, chunk.Content)
+                : null;
+
+            return Ok(new ChunkLocationResponse
+            {
+                DocumentId = id,
+                ChunkId = chunkId,
+                ChunkIndex = chunk.ChunkIndex,
+                HeaderContext = chunk.HeaderContext,
+                Start = location?.Start,
+                Length = location?.Length,
+                Page = page
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error locating chunk {ChunkId} in document: {Id}", chunkId, id);
+            return StatusCode(500, new OperationResponse
+            {
+                Success = false,
+                Message = "An error occurred while locating the chunk"
+            });
+        }
+    }
+
+    /// <summary>
+    /// Update the notes and details of a single chunk and re-embed only that chunk
+    /// </summary>
+    /// <param name="id">Document ID</param>
+    /// <param name="chunkId">Chunk ID</param>
+    /// <param name="request">Updated chunk metadata</param>
+    /// <returns>Updated chunk with its embedding status</returns>
+    [HttpPut("{id}/chunks/{chunkId}")]
+    [ProducesResponseType(typeof(DocumentChunkResponse), 200)]
+    [ProducesResponseType(typeof(OperationResponse), 400)]
+    [ProducesResponseType(typeof(OperationResponse), 404)]
+    [ProducesResponseType(typeof(OperationResponse), 403)]
+    [ProducesResponseType(typeof(OperationResponse), 409)]
+    public async Task<IActionResult> UpdateDocumentChunk(int id, int chunkId, [FromBody] UpdateChunkRequest request)
+    {
+        _logger.LogInformation("Updating chunk {ChunkId} of document: {Id}", chunkId, id);
+
+        if (!string.IsNullOrWhiteSpace(request.Details) && !IsValidJson(request.Details))
+        {
+            return BadRequest(new OperationResponse
+            {
+                Success = false,
+                Message = "Details must be a valid JSON document"
+            });
+        }
+
+        try
+        {
+            var document = await _context.Documents.FindAsync(id);
+            if (document == null)
+            {
+                return NotFound(new OperationResponse
+                {
+                    Success = false,
+                    Message = "Document not found"
+                });
+            }
+
+            if (!CanModify(document))
+            {
+                return DocumentForbidden();
+            }
+
+            // Background processing replaces the chunks and their embeddings
+            if (document.Status == "Processing")
+            {
+                return Conflict(new OperationResponse
+                {
+                    Success = false,
+                    Message = "Document is already being processed"
+                });
+            }
+
+            var chunk = await _context.DocumentChunks
+                .Include(c => c.ContentEmbedding)
+                .Include(c => c.HeaderContextEmbedding)
+                .Include(c => c.NotesEmbedding)
+                .Include(c => c.DetailsEmbedding)
+                .FirstOrDefaultAsync(c => c.DocumentId == id && c.Id == chunkId);
+
+            if (chunk == null)
+            {
+                return NotFound(new OperationResponse
+                {
+                    Success = false,
+                    Message = "Chunk not found"
+                });
+            }
+
+            chunk.Notes = string.IsNullOrWhiteSpace(request.Notes) ? null : request.Notes.Trim();
+            chunk.Details = string.IsNullOrWhiteSpace(request.Details) ? null : request.Details.Trim();
+            chunk.UpdatedAt = DateTime.UtcNow;
+
+            if (request.ReEmbed)
+            {
+                await UpsertChunkEmbeddingsAsync(_context, _aiService, chunk);
+            }
+
+            await _context.SaveChangesAsync();
+            await PurgeSemanticCacheAsync(_cacheService, _logger, id);
+
+            var response = await _context.DocumentChunks
+                .Where(c => c.Id == chunk.Id)
+                .Select(ChunkProjection)
+                .FirstAsync();
+
+            return Ok(response);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error updating chunk {ChunkId} of document: {Id}", chunkId, id);
+            return StatusCode(500, new OperationResponse
+            {
+                Success = false,
+                Message = "An error occurred while updating the chunk"
+            });
+        }
+    }
+
+    /// <summary>
+    /// Background processing of document chunks and embeddings
+    /// </summary>
+    private async Task ProcessDocumentAsync(int documentId, string? notes = null, string? details = null)
+    {
+        // Create a new scope for background processing to avoid disposed context issues
+        using var scope = _serviceScopeFactory.CreateScope();
+        var context = scope.ServiceProvider.GetRequiredService<RagChatDbContext>();
+        var documentService = scope.ServiceProvider.GetRequiredService<IDocumentProcessingService>();
+        var aiService = scope.ServiceProvider.GetRequiredService<IAIProviderService>();
+        var events = scope.ServiceProvider.GetRequiredService<DocumentEventBroadcaster>();
+        var cacheService = scope.ServiceProvider.GetRequiredService<ISemanticCacheService>();
+        var logger = scope.ServiceProvider.GetRequiredService<ILogger<DocumentsController>>();
+
+        try
+        {
+            logger.LogInformation("Starting background processing for document: {DocumentId}", documentId);
+
+            var document = await context.Documents.FindAsync(documentId);
+            if (document == null)
+            {
+                logger.LogWarning("Document not found for processing: {DocumentId}", documentId);
+                return;
+            }
+
+            // Create chunks with enhanced chunking logic and metadata
+            events.Publish(new DocumentProcessingEvent
+            {
+                DocumentId = documentId,
+                FileName = document.FileName,
+                Stage = DocumentProcessingStages.Chunking
+            });
+            var chunks = await documentService.CreateChunksAsync(document.Content, 1000, notes, details, document.FileName);
+
+            // Generate embeddings for each chunk and save to database
+            for (var i = 0; i < chunks.Count; i++)
+            {
+                var chunk = chunks[i];
+                chunk.DocumentId = documentId;
+                
+                // Add the chunk first to get the ID
+                context.DocumentChunks.Add(chunk);
+                await context.SaveChangesAsync(); // Save to get the chunk ID
+
+                var processedChunks = i;
+                await UpsertChunkEmbeddingsAsync(context, aiService, chunk,
+                    onField: field => PublishEmbeddingProgress(events, document, field, processedChunks, chunks.Count));
+            }
+
+            // Update document status
+            document.Status = "Completed";
+            document.ProcessedAt = DateTime.UtcNow;
+
+            await context.SaveChangesAsync();
+            await PurgeSemanticCacheAsync(cacheService, logger, documentId);
+            events.Publish(new DocumentProcessingEvent
+            {
+                DocumentId = documentId,
+                FileName = document.FileName,
+                Stage = DocumentProcessingStages.Completed,
+                ProcessedChunks = chunks.Count,
+                TotalChunks = chunks.Count
+            });
+
+            logger.LogInformation("Completed processing for document: {DocumentId}, Chunks: {ChunkCount}",
+                documentId, chunks.Count);
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "Error processing document: {DocumentId}", documentId);
+            await MarkDocumentFailedAsync(context, events, logger, documentId, ex);
+        }
+    }
+
+    /// <summary>
+    /// Background regeneration of the notes and details embeddings of every chunk of a document
+    /// </summary>
+    private async Task ReembedDocumentMetadataAsync(int documentId)
+    {
+        using var scope = _serviceScopeFactory.CreateScope();
+        var context = scope.ServiceProvider.GetRequiredService<RagChatDbContext>();
+        var aiService = scope.ServiceProvider.GetRequiredService<IAIProviderService>();
+        var events = scope.ServiceProvider.GetRequiredService<DocumentEventBroadcaster>();
+        var cacheService = scope.ServiceProvider.GetRequiredService<ISemanticCacheService>();
+        var logger = scope.ServiceProvider.GetRequiredService<ILogger<DocumentsController>>();
+
+        try
+        {
+            var document = await context.Documents.FindAsync(documentId);
+            if (document == null)
+            {
+                logger.LogWarning("Document not found for metadata re-embedding: {DocumentId}", documentId);
+                return;
+            }
+
+            var chunks = await context.DocumentChunks
+                .Include(c => c.NotesEmbedding)
+                .Include(c => c.DetailsEmbedding)
+                .Where(c => c.DocumentId == documentId)
+                .ToListAsync();
+
+            for (var i = 0; i < chunks.Count; i++)
+            {
+                var processedChunks = i;
+                await UpsertChunkEmbeddingsAsync(context, aiService, chunks[i], includeContent: false,
+                    onField: field => PublishEmbeddingProgress(events, document, field, processedChunks, chunks.Count));
+            }
+
+            document.Status = "Completed";
+            document.ProcessedAt = DateTime.UtcNow;
+            await context.SaveChangesAsync();
+            await PurgeSemanticCacheAsync(cacheService, logger, documentId);
+            events.Publish(new DocumentProcessingEvent
+            {
+                DocumentId = documentId,
+                FileName = document.FileName,
+                Stage = DocumentProcessingStages.Completed,
+                ProcessedChunks = chunks.Count,
+                TotalChunks = chunks.Count
+            });
+
+            logger.LogInformation("Re-embedded metadata for document: {DocumentId}, Chunks: {ChunkCount}",
+                documentId, chunks.Count);
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "Error re-embedding metadata for document: {DocumentId}", documentId);
+            await MarkDocumentFailedAsync(context, events, logger, documentId, ex);
+        }
+    }
+
+    /// <summary>
+    /// Set the status of a document whose background processing failed and report the reason
+    /// </summary>
+    private static async Task MarkDocumentFailedAsync(
+        RagChatDbContext context,
+        DocumentEventBroadcaster events,
+        ILogger logger,
+        int documentId,
+        Exception error)
+    {
+        // Update document status to failed using a separate context operation
+        try
+        {
+            var document = await context.Documents.FindAsync(documentId);
+            if (document != null)
+            {
+                document.Status = "Failed";
+                await context.SaveChangesAsync();
+
+                events.Publish(new DocumentProcessingEvent
+                {
+                    DocumentId = documentId,
+                    FileName = document.FileName,
+                    Stage = DocumentProcessingStages.Failed,
+                    Error = error.Message
+                });
+            }
+            else
+            {
+                events.Forget(documentId);
+            }
+        }
+        catch (Exception saveEx)
+        {
+            logger.LogError(saveEx, "Failed to update document status to Failed for document: {DocumentId}", documentId);
+        }
+    }
+
+    /// <summary>
+    /// Drop the semantic cache entries whose sources come from a document that was changed or deleted.
+    /// Also run when processing ends, for answers cached while only part of the chunks existed.
+    /// A failure is only logged: the document change itself succeeded.
+    /// </summary>
+    private static async Task PurgeSemanticCacheAsync(ISemanticCacheService cacheService, ILogger logger, int documentId)
+    {
+        try
+        {
+            await cacheService.PurgeDocumentAsync(documentId);
+        }
+        catch (Exception ex)
+        {
+            logger.LogWarning(ex, "Could not purge the semantic cache for document: {DocumentId}", documentId);
+        }
+    }
+
+    private static void PublishEmbeddingProgress(
+        DocumentEventBroadcaster events, Document document, string field, int processedChunks, int totalChunks)
+    {
+        events.Publish(new DocumentProcessingEvent
+        {
+            DocumentId = document.Id,
+            FileName = document.FileName,
+            Stage = DocumentProcessingStages.Embedding,
+            Field = field,
+            ProcessedChunks = processedChunks,
+            TotalChunks = totalChunks
+        });
+    }
+
+    /// <summary>
+    /// Generate the content, header context, notes and details embeddings of a chunk.
+    /// Existing vectors are replaced and vectors of fields that became empty are removed.
+    /// The caller saves the changes.
+    /// </summary>
+    /// <param name="includeContent">False to regenerate only the notes and details embeddings</param>
+    /// <param name="onField">Called with the field name before each embedding is generated</param>
+    private static async Task UpsertChunkEmbeddingsAsync(
+        RagChatDbContext context,
+        IAIProviderService aiService,
+        DocumentChunk chunk,
+        bool includeContent = true,
+        Action<string>? onField = null)
+    {
+        var model = aiService.GetModelForTask(AITaskType.Embedding);
+        var now = DateTime.UtcNow;
+
+        // Content embedding
+        if (includeContent && !string.IsNullOrWhiteSpace(chunk.Content))
+        {
+            onField?.Invoke("Content");
+            var embedding = ConvertFloatArrayToBytes(await aiService.GenerateEmbeddingAsync(chunk.Content, AITaskType.Embedding));
+            if (chunk.ContentEmbedding == null)
+            {
+                context.DocumentChunkContentEmbeddings.Add(new DocumentChunkContentEmbedding
+                {
+                    DocumentChunkId = chunk.Id,
+                    Embedding = embedding,
+                    Model = model,
+                    CreatedAt = now,
+                    UpdatedAt = now
+                });
+            }
+            else
+            {
+                chunk.ContentEmbedding.Embedding = embedding;
+                chunk.ContentEmbedding.Model = model;
+                chunk.ContentEmbedding.UpdatedAt = now;
+            }
+        }
+        else if (includeContent && chunk.ContentEmbedding != null)
+        {
+            context.DocumentChunkContentEmbeddings.Remove(chunk.ContentEmbedding);
+        }
+
+        // Header context embedding
+        if (includeContent && !string.IsNullOrWhiteSpace(chunk.HeaderContext))
+        {
+            onField?.Invoke("HeaderContext");
+            var embedding = ConvertFloatArrayToBytes(await aiService.GenerateEmbeddingAsync(chunk.HeaderContext, AITaskType.Embedding));
+            if (chunk.HeaderContextEmbedding == null)
+            {
+                context.DocumentChunkHeaderContextEmbeddings.Add(new DocumentChunkHeaderContextEmbedding
+                {
+                    DocumentChunkId = chunk.Id,
+                    Embedding = embedding,
+                    Model = model,
+                    CreatedAt = now,
+                    UpdatedAt = now
+                });
+            }
+            else
+            {
+                chunk.HeaderContextEmbedding.Embedding = embedding;
+                chunk.HeaderContextEmbedding.Model = model;
+                chunk.HeaderContextEmbedding.UpdatedAt = now;
+            }
+        }
+        else if (includeContent && chunk.HeaderContextEmbedding != null)
+        {
+            context.DocumentChunkHeaderContextEmbeddings.Remove(chunk.HeaderContextEmbedding);
+        }
+
+        // Notes embedding
+        if (!string.IsNullOrWhiteSpace(chunk.Notes))
+        {
+            onField?.Invoke("Notes");
+            var embedding = ConvertFloatArrayToBytes(await aiService.GenerateEmbeddingAsync(chunk.Notes, AITaskType.Embedding));
+            if (chunk.NotesEmbedding == null)
+            {
+                context.DocumentChunkNotesEmbeddings.Add(new DocumentChunkNotesEmbedding
+                {
+                    DocumentChunkId = chunk.Id,
+                    Embedding = embedding,
+                    Model = model,
+                    CreatedAt = now,
+                    UpdatedAt = now
+                });
+            }
+            else
+            {
+                chunk.NotesEmbedding.Embedding = embedding;
+                chunk.NotesEmbedding.Model = model;
+                chunk.NotesEmbedding.UpdatedAt = now;
+            }
+        }
+        else if (chunk.NotesEmbedding != null)
+        {
+            context.DocumentChunkNotesEmbeddings.Remove(chunk.NotesEmbedding);
+        }
+
+        // Details embedding
+        if (!string.IsNullOrWhiteSpace(chunk.Details))
+        {
+            onField?.Invoke("Details");
+            var embedding = ConvertFloatArrayToBytes(await aiService.GenerateEmbeddingAsync(chunk.Details, AITaskType.Embedding));
+            if (chunk.DetailsEmbedding == null)
+            {
+                context.DocumentChunkDetailsEmbeddings.Add(new DocumentChunkDetailsEmbedding
+                {
+                    DocumentChunkId = chunk.Id,
+                    Embedding = embedding,
+                    Model = model,
+                    CreatedAt = now,
+                    UpdatedAt = now
+                });
+            }
+            else
+            {
+                chunk.DetailsEmbedding.Embedding = embedding;
+                chunk.DetailsEmbedding.Model = model;
+                chunk.DetailsEmbedding.UpdatedAt = now;
+            }
+        }
+        else if (chunk.DetailsEmbedding != null)
+        {
+            context.DocumentChunkDetailsEmbeddings.Remove(chunk.DetailsEmbedding);
+        }
+    }
+
+    /// <summary>
+    /// Apply the list filters. Author and tag are read from the Details JSON of the chunks.
+    /// </summary>
+    private static IQueryable<Document> ApplyDocumentFilters(IQueryable<Document> documents, DocumentListQuery query)
+    {
+        if (!string.IsNullOrWhiteSpace(query.Search))
+        {
+            var search = query.Search.Trim();
+            documents = documents.Where(d => d.FileName.Contains(search));
+        }
+
+        if (!string.IsNullOrWhiteSpace(query.Status))
+        {
+            documents = documents.Where(d => d.Status == query.Status);
+        }
+
+        if (!string.IsNullOrWhiteSpace(query.ContentType))
+        {
+            documents = documents.Where(d => d.ContentType == query.ContentType);
+        }
+
+        if (query.UploadedFrom.HasValue)
+        {
+            var from = query.UploadedFrom.Value;
+            documents = documents.Where(d => d.UploadedAt >= from);
+        }
+
+        if (query.UploadedTo.HasValue)
+        {
+            var to = query.UploadedTo.Value;
+            if (to.TimeOfDay == TimeSpan.Zero)
+            {
+                var nextDay = to.Date.AddDays(1);
+                documents = documents.Where(d => d.UploadedAt < nextDay);
+            }
+            else
+            {
+                documents = documents.Where(d => d.UploadedAt <= to);
+            }
+        }
+
+        // ISJSON guards the JSON functions against chunks whose Details are not valid JSON
+        if (!string.IsNullOrWhiteSpace(query.Author))
+        {
+            var author = query.Author.Trim();
+            documents = documents.Where(d => d.Chunks.Any(c =>
+                (RagChatDbContext.IsJson(c.Details) == 1 ? RagChatDbContext.JsonValue(c.Details, "$.author") : null)!
+                    .Contains(author)));
+        }
+
+        if (!string.IsNullOrWhiteSpace(query.Tag))
+        {
+            var quotedTag = $"\"{query.Tag.Trim()}\"";
+            documents = documents.Where(d => d.Chunks.Any(c =>
+                (RagChatDbContext.IsJson(c.Details) == 1 ? RagChatDbContext.JsonQuery(c.Details, "$.tags") : null)!
+                    .Contains(quotedTag)));
+        }
+
+        return documents;
+    }
+
+    private static IQueryable<Document> ApplyDocumentSorting(IQueryable<Document> documents, DocumentListQuery query)
+    {
+        var descending = string.Equals(query.SortDirection, "desc", StringComparison.OrdinalIgnoreCase);
+
+        IOrderedQueryable<Document> sorted = query.SortBy?.ToLowerInvariant() switch
+        {
+            "filename" => descending ? documents.OrderByDescending(d => d.FileName) : documents.OrderBy(d => d.FileName),
+            "contenttype" => descending ? documents.OrderByDescending(d => d.ContentType) : documents.OrderBy(d => d.ContentType),
+            "size" => descending ? documents.OrderByDescending(d => d.Size) : documents.OrderBy(d => d.Size),
+            "status" => descending ? documents.OrderByDescending(d => d.Status) : documents.OrderBy(d => d.Status),
+            "processedat" => descending ? documents.OrderByDescending(d => d.ProcessedAt) : documents.OrderBy(d => d.ProcessedAt),
+            "chunkcount" => descending ? documents.OrderByDescending(d => d.Chunks.Count) : documents.OrderBy(d => d.Chunks.Count),
+            _ => descending ? documents.OrderByDescending(d => d.UploadedAt) : documents.OrderBy(d => d.UploadedAt)
+        };
+
+        // Stable order across pages
+        return sorted.ThenBy(d => d.Id);
+    }
+
+    /// <summary>
+    /// Append notes unless they are already contained in the existing ones
+    /// </summary>
+    private static string? MergeNotes(string? existing, string? incoming)
+    {
+        if (string.IsNullOrWhiteSpace(incoming))
+        {
+            return existing;
+        }
+        if (string.IsNullOrWhiteSpace(existing))
+        {
+            return incoming;
+        }
+        return existing.Contains(incoming, StringComparison.OrdinalIgnoreCase)
+            ? existing
+            : $"{existing}\n{incoming}";
+    }
+
+    /// <summary>
+    /// Merge a details object into existing details JSON: arrays (e.g. tags) are unioned,
+    /// other values are overwritten. Existing details that are not a JSON object are replaced.
+    /// </summary>
+    private static string? MergeDetails(string? existing, JsonObject? incoming)
+    {
+        if (incoming == null)
+        {
+            return existing;
+        }
+
+        var target = string.IsNullOrWhiteSpace(existing) ? null : ParseJsonObject(existing);
+        target ??= new JsonObject();
+
+        foreach (var (key, value) in incoming)
+        {
+            if (value is JsonArray incomingArray && target[key] is JsonArray existingArray)
+            {
+                foreach (var item in incomingArray)
+                {
+                    if (!existingArray.Any(e => JsonNode.DeepEquals(e, item)))
+                    {
+                        existingArray.Add(item?.DeepClone());
+                    }
+                }
+            }
+            else
+            {
+                target[key] = value?.DeepClone();
+            }
+        }
+
+        return target.ToJsonString();
+    }
+
+    private static JsonObject? ParseJsonObject(string json)
+    {
+        try
+        {
+            return JsonNode.Parse(json) as JsonObject;
+        }
+        catch (JsonException)
+        {
+            return null;
+        }
+    }
+
+    /// <summary>
+    /// Documents can be updated or deleted by their uploader and by administrators;
+    /// documents without an uploader (indexed before sign-in existed) only by administrators
+    /// </summary>
+    private bool CanModify(Document document)
+    {
+        return User.IsInRole(AuthRoles.Admin)
+            || (document.UploadedBy != null
+                && string.Equals(document.UploadedBy, User.Identity?.Name, StringComparison.OrdinalIgnoreCase));
+    }
+
+    /// <summary>
+    /// Run the processing of a saved document in the background and report it as queued
+    /// </summary>
+    private void StartBackgroundProcessing(Document document, Func<Task> process)
+    {
+        PublishDocumentEvent(document, DocumentProcessingStages.Queued);
+
+        var documentId = document.Id;
+        _ = Task.Run(async () =>
+        {
+            try
+            {
+                await process();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Background processing failed for document {DocumentId}", documentId);
+            }
+        });
+    }
+
+    private void PublishDocumentEvent(Document document, string stage, string? error = null)
+    {
+        _events.Publish(new DocumentProcessingEvent
+        {
+            DocumentId = document.Id,
+            FileName = document.FileName,
+            Stage = stage,
+            Error = error
+        });
+    }
+
+    /// <summary>
+    /// Write a single Server-Sent Event and flush it to the client immediately
+    /// </summary>
+    private async Task WriteServerSentEventAsync(string type, object data, CancellationToken cancellationToken)
+    {
+        var json = JsonSerializer.Serialize(data, EventJsonOptions);
+        await Response.WriteAsync($"event: {type}\ndata: {json}\n\n", cancellationToken);
+        await Response.Body.FlushAsync(cancellationToken);
+    }
+
+    private ObjectResult DocumentForbidden()
+    {
+        return StatusCode(403, new OperationResponse
+        {
+            Success = false,
+            Message = "Only the uploader or an administrator can change this document"
+        });
+    }
+
+    private static bool IsWebAddress(string path)
+    {
+        return path.StartsWith("http://", StringComparison.OrdinalIgnoreCase)
+            || path.StartsWith("https://", StringComparison.OrdinalIgnoreCase);
+    }
+
+    private static bool IsValidJson(string json)
+    {
+        try
+        {
+            using var _ = JsonDocument.Parse(json);
+            return true;
+        }
+        catch (JsonException)
+        {
+            return false;
+        }
+    }
+
+    /// <summary>
+    /// Delete the stored copy of a replaced or edited upload; paths outside the uploads folder are left alone
+    /// </summary>
+    private void DeleteUploadedFile(string? path, string uploadsFolder)
+    {
+        var uploadsRoot = Path.GetFullPath(uploadsFolder) + Path.DirectorySeparatorChar;
+        if (path == null || !Path.GetFullPath(path).StartsWith(uploadsRoot, StringComparison.OrdinalIgnoreCase))
+        {
+            return;
+        }
+
+        try
+        {
+            if (System.IO.File.Exists(path))
+            {
+                System.IO.File.Delete(path);
+            }
+        }
+        catch (IOException ex)
+        {
+            _logger.LogWarning(ex, "Could not delete stored file: {Path}", path);
+        }
     }
 
     /// <summary>
@@ -0,0 +1,279 @@
+using System.Text.RegularExpressions;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using RagChatApp_Server.Data;
+using RagChatApp_Server.DTOs;
+using RagChatApp_Server.Models;
+
+namespace RagChatApp_Server.Controllers;
+
+/// <summary>
+/// Controller for answer feedback (thumbs up/down, comment, wrong-source flag) and the
+/// quality dashboard. Feedback can only be changed by its author or an administrator.
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+public class FeedbackController : ControllerBase
+{
+    private readonly RagChatDbContext _context;
+    private readonly ILogger<FeedbackController> _logger;
+
+    private const int DefaultDashboardDays = 30;
+    private const int MaxDashboardDays = 365;
+    private const int DashboardListSize = 10;
+
+    public FeedbackController(RagChatDbContext context, ILogger<FeedbackController> logger)
+    {
+        _context = context;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Rate a chat answer. The question, answer, retrieval settings and source chunks are stored with the rating.
+    /// </summary>
+    /// <param name="request">Rating and the answer it refers to</param>
+    /// <returns>The stored feedback; its id is used to change it</returns>
+    [HttpPost]
+    [ProducesResponseType(typeof(AnswerFeedbackResponse), 200)]
+    [ProducesResponseType(typeof(OperationResponse), 400)]
+    public async Task<IActionResult> CreateFeedback([FromBody] AnswerFeedbackRequest request)
+    {
+        try
+        {
+            var flagged = request.FlaggedChunkIds.ToHashSet();
+            var feedback = new AnswerFeedback
+            {
+                Question = request.Question.Trim(),
+                Answer = request.Answer,
+                MaxChunks = request.MaxChunks,
+                SimilarityThreshold = request.SimilarityThreshold,
+                Provider = request.Provider,
+                Model = request.Model,
+                Username = User.Identity?.Name,
+                Sources = request.Sources.Select((source, index) => new AnswerFeedbackSource
+                {
+                    Rank = index + 1,
+                    DocumentId = source.DocumentId,
+                    DocumentName = source.DocumentName,
+                    ChunkId = source.ChunkId,
+                    SimilarityScore = source.SimilarityScore,
+                    IsFlagged = flagged.Contains(source.ChunkId)
+                }).ToList()
+            };
+            ApplyRating(feedback, request);
+
+            _context.AnswerFeedback.Add(feedback);
+            await _context.SaveChangesAsync();
+
+            _logger.LogInformation("Feedback {Id} ({Rating}, wrong source: {WrongSource}) from {Username} for question: {Question}",
+                feedback.Id, feedback.Rating, feedback.WrongSource, feedback.Username, feedback.Question);
+
+            return Ok(ToResponse(feedback));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error storing feedback");
+            return StatusCode(500, new OperationResponse
+            {
+                Success = false,
+                Message = "An error occurred while storing the feedback"
+            });
+        }
+    }
+
+    /// <summary>
+    /// Change the rating, comment or wrong sources of a feedback
+    /// </summary>
+    /// <param name="id">Feedback ID</param>
+    /// <param name="request">New rating, comment and flagged chunks</param>
+    /// <returns>The updated feedback</returns>
+    [HttpPut("{id}")]
+    [ProducesResponseType(typeof(AnswerFeedbackResponse), 200)]
+    [ProducesResponseType(typeof(OperationResponse), 400)]
+    [ProducesResponseType(typeof(OperationResponse), 403)]
+    [ProducesResponseType(typeof(OperationResponse), 404)]
+    public async Task<IActionResult> UpdateFeedback(int id, [FromBody] FeedbackRatingRequest request)
+    {
+        try
+        {
+            var feedback = await _context.AnswerFeedback
+                .Include(f => f.Sources)
+                .FirstOrDefaultAsync(f => f.Id == id);
+            if (feedback == null)
+            {
+                return NotFound(new OperationResponse
+                {
+                    Success = false,
+                    Message = "Feedback not found"
+                });
+            }
+
+            if (!User.IsInRole(AuthRoles.Admin)
+                && !string.Equals(feedback.Username, User.Identity?.Name, StringComparison.OrdinalIgnoreCase))
+            {
+                return StatusCode(403, new OperationResponse
+                {
+                    Success = false,
+                    Message = "Only the author or an administrator can change this feedback"
+                });
+            }
+
+            var flagged = request.FlaggedChunkIds.ToHashSet();
+            foreach (var source in feedback.Sources)
+            {
+                source.IsFlagged = flagged.Contains(source.ChunkId);
+            }
+            ApplyRating(feedback, request);
+            feedback.UpdatedAt = DateTime.UtcNow;
+
+            await _context.SaveChangesAsync();
+            return Ok(ToResponse(feedback));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error updating feedback {Id}", id);
+            return StatusCode(500, new OperationResponse
+            {
+                Success = false,
+                Message = "An error occurred while updating the feedback"
+            });
+        }
+    }
+
+    /// <summary>
+    /// Answer quality over the last days: totals, worst-rated questions, documents most
+    /// often among the sources of bad answers and feedback per day
+    /// </summary>
+    /// <param name="days">Length of the period in days, today included (default: 30, max: 365)</param>
+    [HttpGet("dashboard")]
+    [ProducesResponseType(typeof(FeedbackDashboardResponse), 200)]
+    [ProducesResponseType(typeof(OperationResponse), 400)]
+    public async Task<IActionResult> GetDashboard([FromQuery] int days = DefaultDashboardDays)
+    {
+        if (days < 1 || days > MaxDashboardDays)
+        {
+            return BadRequest(new OperationResponse
+            {
+                Success = false,
+                Message = $"days must be between 1 and {MaxDashboardDays}"
+            });
+        }
+
+        try
+        {
+            var since = DateTime.UtcNow.Date.AddDays(1 - days);
+
+            // Feedback volumes are small, so the period is aggregated in memory
+            var feedbacks = await _context.AnswerFeedback
+                .AsNoTracking()
+                .Include(f => f.Sources)
+                .Where(f => f.CreatedAt >= since)
+                .OrderBy(f => f.CreatedAt)
+                .ToListAsync();
+
+            var dashboard = new FeedbackDashboardResponse
+            {
+                Since = since,
+                TotalCount = feedbacks.Count,
+                PositiveCount = feedbacks.Count(f => f.Rating > 0),
+                NegativeCount = feedbacks.Count(f => f.Rating < 0),
+                WrongSourceCount = feedbacks.Count(f => f.WrongSource),
+                SatisfactionRate = feedbacks.Count > 0 ? (double)feedbacks.Count(f => f.Rating > 0) / feedbacks.Count : null
+            };
+
+            dashboard.WorstQuestions = feedbacks
+                .GroupBy(f => NormalizeQuestion(f.Question))
+                .Where(g => g.Any(IsBadAnswer))
+                .Select(g => new FeedbackQuestionStats
+                {
+                    Question = g.Last().Question,
+                    TotalCount = g.Count(),
+                    PositiveCount = g.Count(f => f.Rating > 0),
+                    NegativeCount = g.Count(f => f.Rating < 0),
+                    WrongSourceCount = g.Count(f => f.WrongSource),
+                    LatestComment = g.Where(f => IsBadAnswer(f) && !string.IsNullOrWhiteSpace(f.Comment)).Select(f => f.Comment).LastOrDefault(),
+                    LastFeedbackAt = g.Max(f => f.UpdatedAt)
+                })
+                .OrderByDescending(q => q.NegativeCount + q.WrongSourceCount)
+                .ThenBy(q => (double)q.PositiveCount / q.TotalCount)
+                .ThenByDescending(q => q.LastFeedbackAt)
+                .Take(DashboardListSize)
+                .ToList();
+
+            // One entry per document and answer, however many of its chunks were cited
+            dashboard.ProblemDocuments = feedbacks
+                .SelectMany(f => f.Sources
+                    .GroupBy(s => s.DocumentId)
+                    .Select(g => new { Feedback = f, DocumentId = g.Key, g.First().DocumentName, FlaggedCount = g.Count(s => s.IsFlagged) }))
+                .GroupBy(x => x.DocumentId)
+                .Select(g => new FeedbackDocumentStats
+                {
+                    DocumentId = g.Key,
+                    DocumentName = g.Last().DocumentName,
+                    AnswerCount = g.Count(),
+                    BadAnswerCount = g.Count(x => IsBadAnswer(x.Feedback)),
+                    FlaggedChunkCount = g.Sum(x => x.FlaggedCount)
+                })
+                .Where(d => d.BadAnswerCount > 0)
+                .OrderByDescending(d => d.BadAnswerCount + d.FlaggedChunkCount)
+                .ThenByDescending(d => (double)d.BadAnswerCount / d.AnswerCount)
+                .Take(DashboardListSize)
+                .ToList();
+
+            var perDay = feedbacks.ToLookup(f => f.CreatedAt.Date);
+            dashboard.Trend = Enumerable.Range(0, days)
+                .Select(offset => since.AddDays(offset))
+                .Select(day => new FeedbackTrendPoint
+                {
+                    Date = day,
+                    PositiveCount = perDay[day].Count(f => f.Rating > 0),
+                    NegativeCount = perDay[day].Count(f => f.Rating < 0),
+                    WrongSourceCount = perDay[day].Count(f => f.WrongSource)
+                })
+                .ToList();
+
+            return Ok(dashboard);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error building the feedback dashboard");
+            return StatusCode(500, new OperationResponse
+            {
+                Success = false,
+                Message = "An error occurred while building the feedback dashboard"
+            });
+        }
+    }
+
+    private static void ApplyRating(AnswerFeedback feedback, FeedbackRatingRequest request)
+    {
+        feedback.Rating = request.Rating;
+        feedback.Comment = string.IsNullOrWhiteSpace(request.Comment) ? null : request.Comment.Trim();
+        feedback.WrongSource = request.WrongSource || feedback.Sources.Any(s => s.IsFlagged);
+    }
+
+    private static bool IsBadAnswer(AnswerFeedback feedback)
+    {
+        return feedback.Rating < 0 || feedback.WrongSource;
+    }
+
+    private static string NormalizeQuestion(string question)
+    {
+        return Regex.Replace(question.Trim(), @"\s+", " ").ToLowerInvariant();
+    }
+
+    private static AnswerFeedbackResponse ToResponse(AnswerFeedback feedback)
+    {
+        return new AnswerFeedbackResponse
+        {
+            Id = feedback.Id,
+            Rating = feedback.Rating,
+            Comment = feedback.Comment,
+            WrongSource = feedback.WrongSource,
+            FlaggedChunkIds = feedback.Sources.Where(s => s.IsFlagged).Select(s => s.ChunkId).ToList(),
+            Username = feedback.Username,
+            CreatedAt = feedback.CreatedAt,
+            UpdatedAt = feedback.UpdatedAt
+        };
+    }
+}
@@ -0,0 +1,233 @@
+using System.Data.Common;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using RagChatApp_Server.DTOs;
+using RagChatApp_Server.Models;
+using RagChatApp_Server.Services;
+
+namespace RagChatApp_Server.Controllers;
+
+/// <summary>
+/// Controller for semantic cache statistics, search and cleanup. Deleting entries is reserved to administrators.
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+public class SemanticCacheController : ControllerBase
+{
+    private const string ProceduresHint =
+        "Make sure the semantic cache stored procedures are installed (Database/StoredProcedures/04_SemanticCacheManagement.sql)";
+
+    private readonly ISemanticCacheService _cacheService;
+    private readonly ILogger<SemanticCacheController> _logger;
+
+    public SemanticCacheController(
+        ISemanticCacheService cacheService,
+        ILogger<SemanticCacheController> logger)
+    {
+        _cacheService = cacheService;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Get cache statistics: entry count, hit rate since startup, age distribution,
+    /// most recent and repeated queries
+    /// </summary>
+    [HttpGet("stats")]
+    [ProducesResponseType(typeof(SemanticCacheStatsResponse), 200)]
+    public async Task<IActionResult> GetStats()
+    {
+        try
+        {
+            return Ok(await _cacheService.GetStatsAsync());
+        }
+        catch (DbException ex)
+        {
+            _logger.LogError(ex, "Error reading semantic cache statistics");
+            return StatusCode(500, new OperationResponse
+            {
+                Success = false,
+                Message = $"An error occurred while reading the cache statistics. {ProceduresHint}"
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error reading semantic cache statistics");
+            return StatusCode(500, new OperationResponse
+            {
+                Success = false,
+                Message = "An error occurred while reading the cache statistics"
+            });
+        }
+    }
+
+    /// <summary>
+    /// List the newest cache entries, or search them by query
+    /// </summary>
+    /// <param name="search">Text to search in the cached queries; empty lists the newest 100 entries</param>
+    /// <param name="exactMatch">Exact query match (1 result) instead of a contains match (up to 5 results)</param>
+    /// <param name="maxAgeHours">Only entries younger than this are returned (default: 24)</param>
+    [HttpGet("entries")]
+    [ProducesResponseType(typeof(List<SemanticCacheEntryResponse>), 200)]
+    [ProducesResponseType(typeof(OperationResponse), 400)]
+    public async Task<IActionResult> GetEntries(
+        [FromQuery] string? search,
+        [FromQuery] bool exactMatch = false,
+        [FromQuery] int maxAgeHours = 24)
+    {
+        if (maxAgeHours < 1)
+        {
+            return BadRequest(new OperationResponse
+            {
+                Success = false,
+                Message = "maxAgeHours must be at least 1"
+            });
+        }
+
+        try
+        {
+            return Ok(await _cacheService.GetEntriesAsync(search, exactMatch, maxAgeHours));
+        }
+        catch (DbException ex)
+        {
+            _logger.LogError(ex, "Error searching the semantic cache: {Search}", search);
+            return StatusCode(500, new OperationResponse
+            {
+                Success = false,
+                Message = $"An error occurred while searching the cache. {ProceduresHint}"
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error searching the semantic cache: {Search}", search);
+            return StatusCode(500, new OperationResponse
+            {
+                Success = false,
+                Message = "An error occurred while searching the cache"
+            });
+        }
+    }
+
+    /// <summary>
+    /// Delete the entries older than the given age; 0 empties the cache
+    /// </summary>
+    /// <param name="olderThanHours">Age in hours of the entries to delete</param>
+    [HttpDelete]
+    [Authorize(Roles = AuthRoles.Admin)]
+    [ProducesResponseType(typeof(OperationResponse), 200)]
+    [ProducesResponseType(typeof(OperationResponse), 400)]
+    public async Task<IActionResult> Clean([FromQuery] int? olderThanHours)
+    {
+        if (olderThanHours == null || olderThanHours < 0)
+        {
+            return BadRequest(new OperationResponse
+            {
+                Success = false,
+                Message = "olderThanHours is required and must be 0 or greater"
+            });
+        }
+
+        _logger.LogInformation("Cleaning semantic cache entries older than {Hours} hours", olderThanHours);
+
+        try
+        {
+            var deleted = await _cacheService.CleanAsync(olderThanHours.Value);
+
+            return Ok(new OperationResponse
+            {
+                Success = true,
+                Message = $"{deleted} cache entries deleted",
+                Data = new { DeletedEntries = deleted }
+            });
+        }
+        catch (DbException ex)
+        {
+            _logger.LogError(ex, "Error cleaning the semantic cache");
+            return StatusCode(500, new OperationResponse
+            {
+                Success = false,
+                Message = $"An error occurred while cleaning the cache. {ProceduresHint}"
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error cleaning the semantic cache");
+            return StatusCode(500, new OperationResponse
+            {
+                Success = false,
+                Message = "An error occurred while cleaning the cache"
+            });
+        }
+    }
+
+    /// <summary>
+    /// Delete the entries that cached chunks of a document, e.g. after it was re-indexed
+    /// </summary>
+    /// <param name="documentId">Document ID</param>
+    [HttpDelete("documents/{documentId}")]
+    [Authorize(Roles = AuthRoles.Admin)]
+    [ProducesResponseType(typeof(OperationResponse), 200)]
+    public async Task<IActionResult> PurgeDocument(int documentId)
+    {
+        _logger.LogInformation("Purging semantic cache entries for document: {DocumentId}", documentId);
+
+        try
+        {
+            var deleted = await _cacheService.PurgeDocumentAsync(documentId);
+
+            return Ok(new OperationResponse
+            {
+                Success = true,
+                Message = $"{deleted} cache entries deleted",
+                Data = new { DeletedEntries = deleted }
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error purging the semantic cache for document: {DocumentId}", documentId);
+            return StatusCode(500, new OperationResponse
+            {
+                Success = false,
+                Message = "An error occurred while purging the cache"
+            });
+        }
+    }
+
+    /// <summary>
+    /// Delete a single cache entry
+    /// </summary>
+    /// <param name="id">Cache entry ID</param>
+    [HttpDelete("{id}")]
+    [Authorize(Roles = AuthRoles.Admin)]
+    [ProducesResponseType(typeof(OperationResponse), 200)]
+    [ProducesResponseType(typeof(OperationResponse), 404)]
+    public async Task<IActionResult> DeleteEntry(int id)
+    {
+        try
+        {
+            var deleted = await _cacheService.DeleteEntryAsync(id);
+            if (deleted == 0)
+            {
+                return NotFound(new OperationResponse
+                {
+                    Success = false,
+                    Message = "Cache entry not found"
+                });
+            }
+
+            return Ok(new OperationResponse
+            {
+                Success = true,
+                Message = "Cache entry deleted"
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error deleting semantic cache entry: {Id}", id);
+            return StatusCode(500, new OperationResponse
+            {
+                Success = false,
+                Message = "An error occurred while deleting the cache entry"
+            });
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,65 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace RagChatApp_Server.DTOs;
+
+/// <summary>
+/// Request model for signing in with a username and password
+/// </summary>
+public class LoginRequest
+{
+    /// <summary>
+    /// Username of the local identity store
+    /// </summary>
+    [Required]
+    [MaxLength(255)]
+    public string Username { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Password of the user
+    /// </summary>
+    [Required]
+    [MaxLength(256)]
+    public string Password { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// Response model of a successful sign-in
+/// </summary>
+public class LoginResponse
+{
+    /// <summary>
+    /// JWT to send as "Authorization: Bearer &lt;token&gt;" with every request
+    /// </summary>
+    public string Token { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Expiry of the token (UTC); after it requests answer 401 and the user signs in again
+    /// </summary>
+    public DateTime ExpiresAt { get; set; }
+
+    /// <summary>
+    /// The signed-in user
+    /// </summary>
+    public CurrentUserResponse User { get; set; } = new();
+}
+
+/// <summary>
+/// Response model describing the signed-in user
+/// </summary>
+public class CurrentUserResponse
+{
+    /// <summary>
+    /// Username, recorded as the uploader of the user's documents
+    /// </summary>
+    public string Username { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Name shown in the UI
+    /// </summary>
+    public string DisplayName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Admin or User
+    /// </summary>
+    public string Role { get; set; } = string.Empty;
+}
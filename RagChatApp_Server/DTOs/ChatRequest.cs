@@ -1,4 +1,6 @@
 using System.ComponentModel.DataAnnotations;
+using System.Text.Json.Serialization;
+using RagChatApp_Server.Models;
 
 namespace RagChatApp_Server.DTOs;
 
@@ -32,6 +34,82 @@ public class ChatRequest
     /// Default: false (generates complete chat response)
     /// </summary>
     public bool ReturnOnlyChunks { get; set; } = false;
+
+    /// <summary>
+    /// Previous turns of the conversation, oldest first, used to answer follow-up questions.
+    /// The client is responsible for trimming it to a reasonable size; the server keeps
+    /// only the most recent RagSettings.MaxHistoryMessages entries.
+    /// </summary>
+    public List<ChatHistoryMessage> History { get; set; } = new();
+
+    /// <summary>
+    /// AI provider that generates the answer. Default: the configured default provider.
+    /// Retrieval always uses the embedding provider the documents were indexed with.
+    /// Accepted by name (e.g. "Gemini") or by number.
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public AIProviderType? Provider { get; set; }
+
+    /// <summary>
+    /// Chat model (or Azure OpenAI deployment) to use instead of the provider's configured one.
+    /// It becomes part of the provider URL, so only a name or a "models/name" path is accepted.
+    /// </summary>
+    [MaxLength(200)]
+    [RegularExpression(@"^(?!.*\.\.)[A-Za-z0-9][A-Za-z0-9._:-]*(/[A-Za-z0-9][A-Za-z0-9._:-]*)?$",
+        ErrorMessage = "Model must be a model or deployment name such as 'gpt-4o' or 'models/gemini-1.5-pro'")]
+    public string? Model { get; set; }
+
+    /// <summary>
+    /// Sampling temperature override (0.0 to 2.0). Default: 0.7
+    /// </summary>
+    [Range(0.0, 2.0)]
+    public float? Temperature { get; set; }
+
+    /// <summary>
+    /// Maximum tokens of the generated answer. Default: 1000
+    /// </summary>
+    [Range(1, 32000)]
+    public int? MaxTokens { get; set; }
+
+    /// <summary>
+    /// Only chunks whose Details JSON has all these values are retrieved.
+    /// A key matches a string or number property with the same value (case-insensitive)
+    /// or an array property containing it, e.g. { "author": "Mario Rossi", "tags": "api" }.
+    /// </summary>
+    public Dictionary<string, string>? DetailsFilter { get; set; }
+
+    /// <summary>
+    /// When true, the chunks are retrieved again instead of being served from the semantic cache;
+    /// the fresh result replaces the cached one for later requests. Default: false
+    /// </summary>
+    public bool BypassCache { get; set; } = false;
+
+    /// <summary>
+    /// Optional language of the answer as a language tag (e.g. "it", "en-US"), whatever
+    /// the language of the question and of the documents. Default: the model decides
+    /// </summary>
+    [MaxLength(35)]
+    [RegularExpression(@"^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$", ErrorMessage = "ResponseLanguage must be a language tag such as 'it' or 'en-US'")]
+    public string? ResponseLanguage { get; set; }
+}
+
+/// <summary>
+/// A previous turn of the conversation sent along with a chat request
+/// </summary>
+public class ChatHistoryMessage
+{
+    /// <summary>
+    /// Author of the message: "user" or "assistant"
+    /// </summary>
+    [Required]
+    [MaxLength(20)]
+    public string Role { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Text of the message
+    /// </summary>
+    [Required]
+    public string Content { get; set; } = string.Empty;
 }
 
 /// <summary>
@@ -53,6 +131,42 @@ public class ChatResponse
     /// Whether the response was generated using mock mode
     /// </summary>
     public bool IsMockResponse { get; set; }
+
+    /// <summary>
+    /// Provider that generated the answer ("Mock" in mock mode, null when only chunks were returned)
+    /// </summary>
+    public string? Provider { get; set; }
+
+    /// <summary>
+    /// Model (or Azure OpenAI deployment) that generated the answer
+    /// </summary>
+    public string? Model { get; set; }
+
+    /// <summary>
+    /// Whether the sources were served from the semantic cache instead of a new search
+    /// </summary>
+    public bool FromCache { get; set; }
+
+    /// <summary>
+    /// When the cached sources were retrieved (UTC), null when FromCache is false
+    /// </summary>
+    public DateTime? CachedAt { get; set; }
+}
+
+/// <summary>
+/// Event emitted by the streaming chat endpoint as a Server-Sent Event
+/// </summary>
+public class ChatStreamEvent
+{
+    /// <summary>
+    /// Event name: "sources", "token", "done" or "error"
+    /// </summary>
+    public string Type { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Event payload, serialized as JSON in the SSE data field
+    /// </summary>
+    public object? Data { get; set; }
 }
 
 /// <summary>
@@ -65,6 +179,16 @@ public class ChatSource
     /// </summary>
     public int DocumentId { get; set; }
 
+    /// <summary>
+    /// ID of the source chunk
+    /// </summary>
+    public int ChunkId { get; set; }
+
+    /// <summary>
+    /// Position of the chunk within its document, used to load the neighbouring chunks
+    /// </summary>
+    public int ChunkIndex { get; set; }
+
     /// <summary>
     /// Name of the source document
     /// </summary>
@@ -0,0 +1,62 @@
+namespace RagChatApp_Server.DTOs;
+
+/// <summary>
+/// Query parameters for searching, filtering, sorting and paging the document list
+/// </summary>
+public class DocumentListQuery
+{
+    /// <summary>
+    /// Text contained in the filename
+    /// </summary>
+    public string? Search { get; set; }
+
+    /// <summary>
+    /// Processing status (Processing, Completed, Failed)
+    /// </summary>
+    public string? Status { get; set; }
+
+    /// <summary>
+    /// Exact content type, e.g. application/pdf
+    /// </summary>
+    public string? ContentType { get; set; }
+
+    /// <summary>
+    /// Uploaded on or after this date
+    /// </summary>
+    public DateTime? UploadedFrom { get; set; }
+
+    /// <summary>
+    /// Uploaded on or before this date (a date without time includes the whole day)
+    /// </summary>
+    public DateTime? UploadedTo { get; set; }
+
+    /// <summary>
+    /// Text contained in the "author" field of the chunk Details JSON
+    /// </summary>
+    public string? Author { get; set; }
+
+    /// <summary>
+    /// Value contained in the "tags" array of the chunk Details JSON
+    /// </summary>
+    public string? Tag { get; set; }
+
+    /// <summary>
+    /// Sort column: fileName, contentType, size, status, uploadedAt, processedAt or chunkCount
+    /// </summary>
+    public string SortBy { get; set; } = "uploadedAt";
+
+    /// <summary>
+    /// Sort direction: asc or desc
+    /// </summary>
+    public string SortDirection { get; set; } = "desc";
+
+    /// <summary>
+    /// Page number (1-based); when omitted together with PageSize all matching documents are returned
+    /// </summary>
+    public int? Page { get; set; }
+
+    /// <summary>
+    /// Documents per page (max 200)
+    /// </summary>
+    public int? PageSize { get; set; }
+}
\ No newline at end of file
@@ -0,0 +1,83 @@
+namespace RagChatApp_Server.DTOs;
+
+/// <summary>
+/// Lifecycle event of a document, pushed to the clients of GET /api/documents/events
+/// </summary>
+public class DocumentProcessingEvent
+{
+    /// <summary>
+    /// Document the event refers to
+    /// </summary>
+    public int DocumentId { get; set; }
+
+    /// <summary>
+    /// Name of the document
+    /// </summary>
+    public string FileName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// One of the DocumentProcessingStages values
+    /// </summary>
+    public string Stage { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Embedded field (Content, HeaderContext, Notes or Details), only for the Embedding stage
+    /// </summary>
+    public string? Field { get; set; }
+
+    /// <summary>
+    /// Chunks whose embeddings are done, for the Embedding stage
+    /// </summary>
+    public int? ProcessedChunks { get; set; }
+
+    /// <summary>
+    /// Chunks of the document, from the Embedding stage on
+    /// </summary>
+    public int? TotalChunks { get; set; }
+
+    /// <summary>
+    /// Reason of the failure, only for the Failed stage
+    /// </summary>
+    public string? Error { get; set; }
+
+    /// <summary>
+    /// When the event happened (UTC)
+    /// </summary>
+    public DateTime Timestamp { get; set; } = DateTime.UtcNow;
+}
+
+/// <summary>
+/// Stages of document processing, in the order they happen
+/// </summary>
+public static class DocumentProcessingStages
+{
+    /// <summary>
+    /// Saved and waiting for background processing
+    /// </summary>
+    public const string Queued = "Queued";
+
+    /// <summary>
+    /// Text is being extracted from the uploaded file or web page
+    /// </summary>
+    public const string Extracting = "Extracting";
+
+    /// <summary>
+    /// Text is being split into chunks
+    /// </summary>
+    public const string Chunking = "Chunking";
+
+    /// <summary>
+    /// Embeddings are being generated, one field of one chunk at a time
+    /// </summary>
+    public const string Embedding = "Embedding";
+
+    /// <summary>
+    /// Processing finished; the document is searchable
+    /// </summary>
+    public const string Completed = "Completed";
+
+    /// <summary>
+    /// Processing stopped with an error
+    /// </summary>
+    public const string Failed = "Failed";
+}
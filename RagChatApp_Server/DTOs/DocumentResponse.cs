@@ -40,6 +40,12 @@ public class DocumentResponse
     /// </summary>
     public DateTime UploadedAt { get; set; }
 
+    /// <summary>
+    /// Username of the uploader; only they and administrators can update or delete the document.
+    /// Null for documents uploaded before sign-in was required, which only administrators can change.
+    /// </summary>
+    public string? UploadedBy { get; set; }
+
     /// <summary>
     /// Processing timestamp
     /// </summary>
@@ -51,6 +57,222 @@ public class DocumentResponse
     public int ChunkCount { get; set; }
 }
 
+/// <summary>
+/// Response model for a single document including its text and metadata
+/// </summary>
+public class DocumentDetailResponse : DocumentResponse
+{
+    /// <summary>
+    /// Full text content of the document
+    /// </summary>
+    public string Content { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Document notes
+    /// </summary>
+    public string? Notes { get; set; }
+
+    /// <summary>
+    /// Structured metadata as JSON string, as applied to the document chunks
+    /// </summary>
+    public string? Details { get; set; }
+}
+
+/// <summary>
+/// Response model for a single document chunk
+/// </summary>
+public class DocumentChunkResponse
+{
+    /// <summary>
+    /// Chunk ID
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Parent document ID
+    /// </summary>
+    public int DocumentId { get; set; }
+
+    /// <summary>
+    /// Order of this chunk within the document (0-based)
+    /// </summary>
+    public int ChunkIndex { get; set; }
+
+    /// <summary>
+    /// Header context of the chunk
+    /// </summary>
+    public string? HeaderContext { get; set; }
+
+    /// <summary>
+    /// Text content of the chunk
+    /// </summary>
+    public string Content { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Chunk notes
+    /// </summary>
+    public string? Notes { get; set; }
+
+    /// <summary>
+    /// Chunk details as JSON
+    /// </summary>
+    public string? Details { get; set; }
+
+    /// <summary>
+    /// Creation timestamp
+    /// </summary>
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// Last update timestamp
+    /// </summary>
+    public DateTime UpdatedAt { get; set; }
+
+    /// <summary>
+    /// Embedding status for each of the four embedding tables (Content, HeaderContext, Notes, Details)
+    /// </summary>
+    public List<ChunkEmbeddingInfo> Embeddings { get; set; } = new();
+}
+
+/// <summary>
+/// Embedding status of one chunk field
+/// </summary>
+public class ChunkEmbeddingInfo
+{
+    /// <summary>
+    /// Embedded field: Content, HeaderContext, Notes or Details
+    /// </summary>
+    public string Field { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Whether a vector is stored for this field
+    /// </summary>
+    public bool HasEmbedding { get; set; }
+
+    /// <summary>
+    /// AI model that produced the vector, if recorded
+    /// </summary>
+    public string? Model { get; set; }
+
+    /// <summary>
+    /// Number of dimensions of the stored vector
+    /// </summary>
+    public int Dimensions { get; set; }
+
+    /// <summary>
+    /// Last time the vector was generated
+    /// </summary>
+    public DateTime? UpdatedAt { get; set; }
+}
+
+/// <summary>
+/// Page of chunks belonging to a document
+/// </summary>
+public class DocumentChunksPageResponse
+{
+    /// <summary>
+    /// Document ID
+    /// </summary>
+    public int DocumentId { get; set; }
+
+    /// <summary>
+    /// Document filename
+    /// </summary>
+    public string FileName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Current page (1-based)
+    /// </summary>
+    public int Page { get; set; }
+
+    /// <summary>
+    /// Chunks per page
+    /// </summary>
+    public int PageSize { get; set; }
+
+    /// <summary>
+    /// Total number of chunks in the document
+    /// </summary>
+    public int TotalCount { get; set; }
+
+    /// <summary>
+    /// Chunks in this page ordered by ChunkIndex
+    /// </summary>
+    public List<DocumentChunkResponse> Chunks { get; set; } = new();
+}
+
+/// <summary>
+/// Existing document whose content hash matches a file about to be uploaded
+/// </summary>
+public class DuplicateDocumentResponse
+{
+    /// <summary>
+    /// Matching SHA-256 hash (hex)
+    /// </summary>
+    public string Hash { get; set; } = string.Empty;
+
+    /// <summary>
+    /// ID of the existing document
+    /// </summary>
+    public int DocumentId { get; set; }
+
+    /// <summary>
+    /// File name of the existing document
+    /// </summary>
+    public string FileName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Processing status of the existing document
+    /// </summary>
+    public string Status { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Upload timestamp of the existing document
+    /// </summary>
+    public DateTime UploadedAt { get; set; }
+}
+
+/// <summary>
+/// Position of a chunk in its document, used by the document viewer to highlight the cited passage
+/// </summary>
+public class ChunkLocationResponse
+{
+    /// <summary>
+    /// Document ID
+    /// </summary>
+    public int DocumentId { get; set; }
+
+    /// <summary>
+    /// Chunk ID
+    /// </summary>
+    public int ChunkId { get; set; }
+
+    /// <summary>
+    /// Position of the chunk within the document
+    /// </summary>
+    public int ChunkIndex { get; set; }
+
+    /// <summary>
+    /// Header context of the chunk
+    /// </summary>
+    public string? HeaderContext { get; set; }
+
+    /// <summary>
+    /// Start of the chunk in the document content; null when the chunk text is not found
+    /// </summary>
+    public int? Start { get; set; }
+
+    /// <summary>
+    /// Length of the chunk in the document content
+    /// </summary>
+    public int? Length { get; set; }
+
+    /// <summary>
+    /// 1-based page of the original PDF where the chunk begins; null for other files
+    /// </summary>
+    public int? Page { get; set; }
+}
+
 /// <summary>
 /// Response model for successful operations
 /// </summary>
@@ -23,6 +23,25 @@ public class DocumentUploadRequest
     /// Examples: {"author": "John Doe", "tags": ["AI", "ML"], "license": "MIT"}
     /// </summary>
     public string? Details { get; set; }
+
+    /// <summary>
+    /// Optional ID of an existing document to replace with this file, e.g. a duplicate
+    /// found by check-duplicates; the document keeps its ID and is re-processed
+    /// </summary>
+    public int? ReplaceDocumentId { get; set; }
+}
+
+/// <summary>
+/// Request model for checking which file hashes are already indexed
+/// </summary>
+public class DuplicateCheckRequest
+{
+    /// <summary>
+    /// SHA-256 hashes (hex) of the files about to be uploaded
+    /// </summary>
+    [Required]
+    [MaxLength(1000)]
+    public List<string> Hashes { get; set; } = new();
 }
 
 /// <summary>
@@ -53,4 +72,84 @@ public class IndexTextRequest
     /// Examples: {"author": "John Doe", "type": "documentation", "tags": ["tutorial"]}
     /// </summary>
     public string? Details { get; set; }
+}
+
+/// <summary>
+/// Request model for indexing a web page
+/// </summary>
+public class IndexUrlRequest
+{
+    /// <summary>
+    /// Absolute http or https URL of the page; it becomes the document path
+    /// </summary>
+    [Required]
+    [MaxLength(500)]
+    public string Url { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Optional title; defaults to the page title
+    /// </summary>
+    [MaxLength(255)]
+    public string? Title { get; set; }
+
+    /// <summary>
+    /// Optional notes about the page
+    /// </summary>
+    public string? Notes { get; set; }
+
+    /// <summary>
+    /// Optional structured metadata as JSON string
+    /// Examples: {"author": "John Doe", "type": "documentation", "tags": ["tutorial"]}
+    /// </summary>
+    public string? Details { get; set; }
+
+    /// <summary>
+    /// Re-download and re-process the page when the URL is already indexed,
+    /// instead of answering 409 Conflict
+    /// </summary>
+    public bool ReplaceExisting { get; set; }
+}
+
+/// <summary>
+/// Request model for updating the metadata of a single chunk
+/// </summary>
+public class UpdateChunkRequest
+{
+    /// <summary>
+    /// Chunk notes; empty removes the notes and their embedding
+    /// </summary>
+    public string? Notes { get; set; }
+
+    /// <summary>
+    /// Chunk details as JSON string; empty removes the details and their embedding
+    /// Examples: {"author": "John Doe", "tags": ["tutorial"]}
+    /// </summary>
+    public string? Details { get; set; }
+
+    /// <summary>
+    /// Regenerate the embeddings of this chunk after saving
+    /// </summary>
+    public bool ReEmbed { get; set; } = true;
+}
+
+/// <summary>
+/// Request model for applying metadata to every chunk of a document
+/// </summary>
+public class DocumentMetadataRequest
+{
+    /// <summary>
+    /// Notes to apply; with Merge they are appended to the existing notes
+    /// </summary>
+    public string? Notes { get; set; }
+
+    /// <summary>
+    /// Details JSON object to apply; with Merge arrays such as tags are unioned and other keys overwritten
+    /// Examples: {"author": "John Doe", "tags": ["reviewed"]}
+    /// </summary>
+    public string? Details { get; set; }
+
+    /// <summary>
+    /// Merge with the existing metadata (true) or replace it (false)
+    /// </summary>
+    public bool Merge { get; set; } = true;
 }
\ No newline at end of file
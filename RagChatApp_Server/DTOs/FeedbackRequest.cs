@@ -0,0 +1,105 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace RagChatApp_Server.DTOs;
+
+/// <summary>
+/// Request model for changing the rating, comment and wrong-source flag of a feedback
+/// </summary>
+public class FeedbackRatingRequest
+{
+    /// <summary>
+    /// 1 for thumbs up, -1 for thumbs down
+    /// </summary>
+    [AllowedValues(1, -1)]
+    public int Rating { get; set; }
+
+    /// <summary>
+    /// Optional comment
+    /// </summary>
+    [MaxLength(2000)]
+    public string? Comment { get; set; }
+
+    /// <summary>
+    /// Whether one or more sources are wrong
+    /// </summary>
+    public bool WrongSource { get; set; }
+
+    /// <summary>
+    /// Chunk ids of the sources marked as wrong; WrongSource is set when any is given
+    /// </summary>
+    public List<int> FlaggedChunkIds { get; set; } = new();
+}
+
+/// <summary>
+/// Request model for rating a chat answer, with everything needed to reproduce it
+/// </summary>
+public class AnswerFeedbackRequest : FeedbackRatingRequest
+{
+    /// <summary>
+    /// Question the answer replied to
+    /// </summary>
+    [Required]
+    [MaxLength(10000)]
+    public string Question { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The rated answer
+    /// </summary>
+    [Required]
+    public string Answer { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Maximum number of chunks the question was asked with
+    /// </summary>
+    public int? MaxChunks { get; set; }
+
+    /// <summary>
+    /// Similarity threshold the question was asked with
+    /// </summary>
+    public double? SimilarityThreshold { get; set; }
+
+    /// <summary>
+    /// AI provider that generated the answer
+    /// </summary>
+    [MaxLength(50)]
+    public string? Provider { get; set; }
+
+    /// <summary>
+    /// Model that generated the answer
+    /// </summary>
+    [MaxLength(200)]
+    public string? Model { get; set; }
+
+    /// <summary>
+    /// Sources of the answer, in citation order
+    /// </summary>
+    [MaxLength(100)]
+    public List<FeedbackSourceRequest> Sources { get; set; } = new();
+}
+
+/// <summary>
+/// Source chunk of a rated answer
+/// </summary>
+public class FeedbackSourceRequest
+{
+    /// <summary>
+    /// Document the chunk belongs to
+    /// </summary>
+    public int DocumentId { get; set; }
+
+    /// <summary>
+    /// Name of the document
+    /// </summary>
+    [MaxLength(255)]
+    public string DocumentName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The source chunk
+    /// </summary>
+    public int ChunkId { get; set; }
+
+    /// <summary>
+    /// Similarity score of the chunk
+    /// </summary>
+    public double SimilarityScore { get; set; }
+}
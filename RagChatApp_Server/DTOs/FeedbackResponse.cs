@@ -0,0 +1,197 @@
+namespace RagChatApp_Server.DTOs;
+
+/// <summary>
+/// Response model of a stored feedback
+/// </summary>
+public class AnswerFeedbackResponse
+{
+    /// <summary>
+    /// Feedback identifier, used to change the feedback later
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// 1 for thumbs up, -1 for thumbs down
+    /// </summary>
+    public int Rating { get; set; }
+
+    /// <summary>
+    /// Optional comment
+    /// </summary>
+    public string? Comment { get; set; }
+
+    /// <summary>
+    /// Whether one or more sources were reported as wrong
+    /// </summary>
+    public bool WrongSource { get; set; }
+
+    /// <summary>
+    /// Chunk ids of the sources marked as wrong
+    /// </summary>
+    public List<int> FlaggedChunkIds { get; set; } = new();
+
+    /// <summary>
+    /// User who gave the feedback
+    /// </summary>
+    public string? Username { get; set; }
+
+    /// <summary>
+    /// Date and time when the feedback was given
+    /// </summary>
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// Date and time when the feedback was last changed
+    /// </summary>
+    public DateTime UpdatedAt { get; set; }
+}
+
+/// <summary>
+/// Answer quality over a period: totals, worst questions, documents involved in bad answers and daily trend.
+/// A bad answer is one rated thumbs down or reported as having a wrong source.
+/// </summary>
+public class FeedbackDashboardResponse
+{
+    /// <summary>
+    /// Start of the period (UTC, inclusive)
+    /// </summary>
+    public DateTime Since { get; set; }
+
+    /// <summary>
+    /// Number of feedbacks in the period
+    /// </summary>
+    public int TotalCount { get; set; }
+
+    /// <summary>
+    /// Thumbs up
+    /// </summary>
+    public int PositiveCount { get; set; }
+
+    /// <summary>
+    /// Thumbs down
+    /// </summary>
+    public int NegativeCount { get; set; }
+
+    /// <summary>
+    /// Answers reported as having a wrong source
+    /// </summary>
+    public int WrongSourceCount { get; set; }
+
+    /// <summary>
+    /// PositiveCount / TotalCount, null without feedback
+    /// </summary>
+    public double? SatisfactionRate { get; set; }
+
+    /// <summary>
+    /// Questions with the most bad answers, worst first
+    /// </summary>
+    public List<FeedbackQuestionStats> WorstQuestions { get; set; } = new();
+
+    /// <summary>
+    /// Documents most often among the sources of bad answers, worst first
+    /// </summary>
+    public List<FeedbackDocumentStats> ProblemDocuments { get; set; } = new();
+
+    /// <summary>
+    /// Feedback per day, oldest first, including days without feedback
+    /// </summary>
+    public List<FeedbackTrendPoint> Trend { get; set; } = new();
+}
+
+/// <summary>
+/// Feedback of one question; questions differing only in case and spacing are grouped
+/// </summary>
+public class FeedbackQuestionStats
+{
+    /// <summary>
+    /// The question, as last asked
+    /// </summary>
+    public string Question { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Number of feedbacks for the question
+    /// </summary>
+    public int TotalCount { get; set; }
+
+    /// <summary>
+    /// Thumbs up
+    /// </summary>
+    public int PositiveCount { get; set; }
+
+    /// <summary>
+    /// Thumbs down
+    /// </summary>
+    public int NegativeCount { get; set; }
+
+    /// <summary>
+    /// Answers reported as having a wrong source
+    /// </summary>
+    public int WrongSourceCount { get; set; }
+
+    /// <summary>
+    /// Most recent comment of a bad answer
+    /// </summary>
+    public string? LatestComment { get; set; }
+
+    /// <summary>
+    /// Date and time of the most recent feedback
+    /// </summary>
+    public DateTime LastFeedbackAt { get; set; }
+}
+
+/// <summary>
+/// How often a document was among the sources of rated answers
+/// </summary>
+public class FeedbackDocumentStats
+{
+    /// <summary>
+    /// Document identifier; the document may have been deleted since
+    /// </summary>
+    public int DocumentId { get; set; }
+
+    /// <summary>
+    /// Name of the document in the most recent feedback
+    /// </summary>
+    public string DocumentName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Rated answers with a chunk of the document among the sources
+    /// </summary>
+    public int AnswerCount { get; set; }
+
+    /// <summary>
+    /// Bad answers with a chunk of the document among the sources
+    /// </summary>
+    public int BadAnswerCount { get; set; }
+
+    /// <summary>
+    /// Chunks of the document marked as wrong sources
+    /// </summary>
+    public int FlaggedChunkCount { get; set; }
+}
+
+/// <summary>
+/// Feedback given on one day
+/// </summary>
+public class FeedbackTrendPoint
+{
+    /// <summary>
+    /// Day (UTC)
+    /// </summary>
+    public DateTime Date { get; set; }
+
+    /// <summary>
+    /// Thumbs up
+    /// </summary>
+    public int PositiveCount { get; set; }
+
+    /// <summary>
+    /// Thumbs down
+    /// </summary>
+    public int NegativeCount { get; set; }
+
+    /// <summary>
+    /// Answers reported as having a wrong source
+    /// </summary>
+    public int WrongSourceCount { get; set; }
+}
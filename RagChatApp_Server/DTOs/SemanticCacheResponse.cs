@@ -0,0 +1,211 @@
+namespace RagChatApp_Server.DTOs;
+
+/// <summary>
+/// Semantic cache statistics for the cache management panel
+/// </summary>
+public class SemanticCacheStatsResponse
+{
+    /// <summary>
+    /// Whether chat requests currently use the cache (SemanticCache:Enabled)
+    /// </summary>
+    public bool Enabled { get; set; }
+
+    /// <summary>
+    /// Age in hours after which entries are no longer used (SemanticCache:MaxAgeHours)
+    /// </summary>
+    public int MaxAgeHours { get; set; }
+
+    /// <summary>
+    /// Number of entries in the SemanticCache table
+    /// </summary>
+    public int TotalEntries { get; set; }
+
+    /// <summary>
+    /// Entries created in the last hour
+    /// </summary>
+    public int EntriesLastHour { get; set; }
+
+    /// <summary>
+    /// Entries created in the last 24 hours
+    /// </summary>
+    public int EntriesLast24Hours { get; set; }
+
+    /// <summary>
+    /// Creation date of the oldest entry
+    /// </summary>
+    public DateTime? OldestEntry { get; set; }
+
+    /// <summary>
+    /// Creation date of the newest entry
+    /// </summary>
+    public DateTime? NewestEntry { get; set; }
+
+    /// <summary>
+    /// Average size in bytes of the cached content
+    /// </summary>
+    public long? AvgContentSize { get; set; }
+
+    /// <summary>
+    /// Requests answered from the cache since CountersSince
+    /// </summary>
+    public long Hits { get; set; }
+
+    /// <summary>
+    /// Requests that found no usable cache entry since CountersSince
+    /// </summary>
+    public long Misses { get; set; }
+
+    /// <summary>
+    /// Requests that skipped the cache (BypassCache) since CountersSince
+    /// </summary>
+    public long Bypasses { get; set; }
+
+    /// <summary>
+    /// Hits / (Hits + Misses), null before the first lookup
+    /// </summary>
+    public double? HitRate { get; set; }
+
+    /// <summary>
+    /// When the hit/miss counters started, i.e. the application start (UTC)
+    /// </summary>
+    public DateTime CountersSince { get; set; }
+
+    /// <summary>
+    /// Number of entries per age range, youngest first
+    /// </summary>
+    public List<SemanticCacheAgeBucket> AgeDistribution { get; set; } = new();
+
+    /// <summary>
+    /// The 10 most recent cached queries
+    /// </summary>
+    public List<SemanticCacheEntryResponse> RecentEntries { get; set; } = new();
+
+    /// <summary>
+    /// Queries cached more than once (after expiry or with different parameters)
+    /// </summary>
+    public List<SemanticCacheRepeatedQuery> RepeatedQueries { get; set; } = new();
+}
+
+/// <summary>
+/// Number of cache entries in an age range
+/// </summary>
+public class SemanticCacheAgeBucket
+{
+    /// <summary>
+    /// Display label of the range, e.g. "1-6 h"
+    /// </summary>
+    public string Label { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Upper bound of the range in minutes, null for the last open-ended range
+    /// </summary>
+    public int? MaxAgeMinutes { get; set; }
+
+    /// <summary>
+    /// Entries in the range
+    /// </summary>
+    public int Count { get; set; }
+}
+
+/// <summary>
+/// A query with more than one cache entry
+/// </summary>
+public class SemanticCacheRepeatedQuery
+{
+    /// <summary>
+    /// The cached query
+    /// </summary>
+    public string SearchQuery { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Number of entries for the query
+    /// </summary>
+    public int EntryCount { get; set; }
+
+    /// <summary>
+    /// Creation date of the first entry
+    /// </summary>
+    public DateTime FirstCachedAt { get; set; }
+
+    /// <summary>
+    /// Creation date of the last entry
+    /// </summary>
+    public DateTime LastCachedAt { get; set; }
+}
+
+/// <summary>
+/// A cached retrieval result
+/// </summary>
+public class SemanticCacheEntryResponse
+{
+    /// <summary>
+    /// Cache entry ID
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// The cached query
+    /// </summary>
+    public string SearchQuery { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Creation date of the entry (UTC)
+    /// </summary>
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// Age of the entry in minutes
+    /// </summary>
+    public int AgeMinutes { get; set; }
+
+    /// <summary>
+    /// "ExactMatch" or "FuzzyMatch" for search results, null when listing
+    /// </summary>
+    public string? MatchType { get; set; }
+
+    /// <summary>
+    /// MaxChunks the result was retrieved with, null for entries cached by older versions
+    /// </summary>
+    public int? MaxResults { get; set; }
+
+    /// <summary>
+    /// Similarity threshold the result was retrieved with
+    /// </summary>
+    public double? SimilarityThreshold { get; set; }
+
+    /// <summary>
+    /// Details filter the result was retrieved with
+    /// </summary>
+    public Dictionary<string, string>? DetailsFilter { get; set; }
+
+    /// <summary>
+    /// Number of cached chunks
+    /// </summary>
+    public int SourceCount { get; set; }
+
+    /// <summary>
+    /// Documents the cached chunks belong to
+    /// </summary>
+    public List<SemanticCacheDocumentRef> Documents { get; set; } = new();
+
+    /// <summary>
+    /// Beginning of the best cached chunk
+    /// </summary>
+    public string ContentPreview { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// Document referenced by a cache entry
+/// </summary>
+public class SemanticCacheDocumentRef
+{
+    /// <summary>
+    /// Document ID
+    /// </summary>
+    public int DocumentId { get; set; }
+
+    /// <summary>
+    /// Document filename
+    /// </summary>
+    public string DocumentName { get; set; } = string.Empty;
+}
\ No newline at end of file
@@ -47,6 +47,34 @@ public class RagChatDbContext : DbContext
     /// </summary>
     public DbSet<SemanticCache> SemanticCache { get; set; }
 
+    /// <summary>
+    /// Ratings of chat answers
+    /// </summary>
+    public DbSet<AnswerFeedback> AnswerFeedback { get; set; }
+
+    /// <summary>
+    /// Source chunks of the rated answers
+    /// </summary>
+    public DbSet<AnswerFeedbackSource> AnswerFeedbackSources { get; set; }
+
+    /// <summary>
+    /// SQL Server ISJSON, returns 1 when the expression is valid JSON
+    /// </summary>
+    [DbFunction("ISJSON", IsBuiltIn = true)]
+    public static int IsJson(string? expression) => throw new NotSupportedException("Only usable in LINQ to Entities queries");
+
+    /// <summary>
+    /// SQL Server JSON_VALUE, extracts a scalar value from a JSON string
+    /// </summary>
+    [DbFunction("JSON_VALUE", IsBuiltIn = true)]
+    public static string? JsonValue(string? expression, string path) => throw new NotSupportedException("Only usable in LINQ to Entities queries");
+
+    /// <summary>
+    /// SQL Server JSON_QUERY, extracts an object or array from a JSON string
+    /// </summary>
+    [DbFunction("JSON_QUERY", IsBuiltIn = true)]
+    public static string? JsonQuery(string? expression, string path) => throw new NotSupportedException("Only usable in LINQ to Entities queries");
+
     protected override void OnModelCreating(ModelBuilder modelBuilder)
     {
         base.OnModelCreating(modelBuilder);
@@ -59,6 +87,7 @@ public class RagChatDbContext : DbContext
             entity.Property(e => e.ContentType).IsRequired().HasMaxLength(100);
             entity.Property(e => e.Content).IsRequired();
             entity.Property(e => e.Path).HasMaxLength(500);
+            entity.Property(e => e.ContentHash).HasMaxLength(64);
             entity.Property(e => e.Status).IsRequired().HasMaxLength(50);
             entity.Property(e => e.UploadedAt).IsRequired();
 
@@ -66,6 +95,7 @@ public class RagChatDbContext : DbContext
             entity.HasIndex(e => e.FileName);
             entity.HasIndex(e => e.Status);
             entity.HasIndex(e => e.UploadedAt);
+            entity.HasIndex(e => e.ContentHash);
         });
 
         // Configure DocumentChunk entity
@@ -184,5 +214,37 @@ public class RagChatDbContext : DbContext
             entity.HasIndex(e => e.SearchQuery);
             entity.HasIndex(e => e.CreatedAt);
         });
+
+        // Configure AnswerFeedback entity
+        modelBuilder.Entity<AnswerFeedback>(entity =>
+        {
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.Question).IsRequired();
+            entity.Property(e => e.Answer).IsRequired();
+            entity.Property(e => e.Comment).HasMaxLength(2000);
+            entity.Property(e => e.Provider).HasMaxLength(50);
+            entity.Property(e => e.Model).HasMaxLength(200);
+            entity.Property(e => e.Username).HasMaxLength(255);
+            entity.Property(e => e.CreatedAt).IsRequired();
+            entity.Property(e => e.UpdatedAt).IsRequired();
+
+            entity.HasIndex(e => e.CreatedAt);
+        });
+
+        // Configure AnswerFeedbackSource entity
+        modelBuilder.Entity<AnswerFeedbackSource>(entity =>
+        {
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.DocumentName).IsRequired().HasMaxLength(255);
+
+            // Configure relationship with cascade delete
+            entity.HasOne(e => e.AnswerFeedback)
+                .WithMany(f => f.Sources)
+                .HasForeignKey(e => e.AnswerFeedbackId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            entity.HasIndex(e => e.AnswerFeedbackId);
+            entity.HasIndex(e => e.DocumentId);
+        });
     }
 }
\ No newline at end of file
@@ -379,6 +379,115 @@ BEGIN
 END;
 GO
 
+IF NOT EXISTS (
+    SELECT * FROM [__EFMigrationsHistory]
+    WHERE [MigrationId] = N'20261019090000_AddDocumentContentHash'
+)
+BEGIN
+    ALTER TABLE [Documents] ADD [ContentHash] nvarchar(64) NULL;
+END;
+GO
+
+IF NOT EXISTS (
+    SELECT * FROM [__EFMigrationsHistory]
+    WHERE [MigrationId] = N'20261019090000_AddDocumentContentHash'
+)
+BEGIN
+    CREATE INDEX [IX_Documents_ContentHash] ON [Documents] ([ContentHash]);
+END;
+GO
+
+IF NOT EXISTS (
+    SELECT * FROM [__EFMigrationsHistory]
+    WHERE [MigrationId] = N'20261019090000_AddDocumentContentHash'
+)
+BEGIN
+    INSERT INTO [__EFMigrationsHistory] ([MigrationId], [ProductVersion])
+    VALUES (N'20261019090000_AddDocumentContentHash', N'8.0.4');
+END;
+GO
+
+IF NOT EXISTS (
+    SELECT * FROM [__EFMigrationsHistory]
+    WHERE [MigrationId] = N'20261019120000_AddAnswerFeedback'
+)
+BEGIN
+    CREATE TABLE [AnswerFeedback] (
+        [Id] int NOT NULL IDENTITY,
+        [Rating] int NOT NULL,
+        [Comment] nvarchar(2000) NULL,
+        [WrongSource] bit NOT NULL,
+        [Question] nvarchar(max) NOT NULL,
+        [Answer] nvarchar(max) NOT NULL,
+        [MaxChunks] int NULL,
+        [SimilarityThreshold] float NULL,
+        [Provider] nvarchar(50) NULL,
+        [Model] nvarchar(200) NULL,
+        [Username] nvarchar(255) NULL,
+        [CreatedAt] datetime2 NOT NULL,
+        [UpdatedAt] datetime2 NOT NULL,
+        CONSTRAINT [PK_AnswerFeedback] PRIMARY KEY ([Id])
+    );
+END;
+GO
+
+IF NOT EXISTS (
+    SELECT * FROM [__EFMigrationsHistory]
+    WHERE [MigrationId] = N'20261019120000_AddAnswerFeedback'
+)
+BEGIN
+    CREATE TABLE [AnswerFeedbackSources] (
+        [Id] int NOT NULL IDENTITY,
+        [AnswerFeedbackId] int NOT NULL,
+        [Rank] int NOT NULL,
+        [DocumentId] int NOT NULL,
+        [DocumentName] nvarchar(255) NOT NULL,
+        [ChunkId] int NOT NULL,
+        [SimilarityScore] float NOT NULL,
+        [IsFlagged] bit NOT NULL,
+        CONSTRAINT [PK_AnswerFeedbackSources] PRIMARY KEY ([Id]),
+        CONSTRAINT [FK_AnswerFeedbackSources_AnswerFeedback_AnswerFeedbackId] FOREIGN KEY ([AnswerFeedbackId]) REFERENCES [AnswerFeedback] ([Id]) ON DELETE CASCADE
+    );
+END;
+GO
+
+IF NOT EXISTS (
+    SELECT * FROM [__EFMigrationsHistory]
+    WHERE [MigrationId] = N'20261019120000_AddAnswerFeedback'
+)
+BEGIN
+    CREATE INDEX [IX_AnswerFeedback_CreatedAt] ON [AnswerFeedback] ([CreatedAt]);
+END;
+GO
+
+IF NOT EXISTS (
+    SELECT * FROM [__EFMigrationsHistory]
+    WHERE [MigrationId] = N'20261019120000_AddAnswerFeedback'
+)
+BEGIN
+    CREATE INDEX [IX_AnswerFeedbackSources_AnswerFeedbackId] ON [AnswerFeedbackSources] ([AnswerFeedbackId]);
+END;
+GO
+
+IF NOT EXISTS (
+    SELECT * FROM [__EFMigrationsHistory]
+    WHERE [MigrationId] = N'20261019120000_AddAnswerFeedback'
+)
+BEGIN
+    CREATE INDEX [IX_AnswerFeedbackSources_DocumentId] ON [AnswerFeedbackSources] ([DocumentId]);
+END;
+GO
+
+IF NOT EXISTS (
+    SELECT * FROM [__EFMigrationsHistory]
+    WHERE [MigrationId] = N'20261019120000_AddAnswerFeedback'
+)
+BEGIN
+    INSERT INTO [__EFMigrationsHistory] ([MigrationId], [ProductVersion])
+    VALUES (N'20261019120000_AddAnswerFeedback', N'8.0.4');
+END;
+GO
+
 COMMIT;
 GO
 
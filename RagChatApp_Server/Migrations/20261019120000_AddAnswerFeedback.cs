@@ -0,0 +1,89 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace RagChatApp_Server.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddAnswerFeedback : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.CreateTable(
+                name: "AnswerFeedback",
+                columns: table => new
+                {
+                    Id = table.Column<int>(type: "int", nullable: false)
+                        .Annotation("SqlServer:Identity", "1, 1"),
+                    Rating = table.Column<int>(type: "int", nullable: false),
+                    Comment = table.Column<string>(type: "nvarchar(2000)", maxLength: 2000, nullable: true),
+                    WrongSource = table.Column<bool>(type: "bit", nullable: false),
+                    Question = table.Column<string>(type: "nvarchar(max)", nullable: false),
+                    Answer = table.Column<string>(type: "nvarchar(max)", nullable: false),
+                    MaxChunks = table.Column<int>(type: "int", nullable: true),
+                    SimilarityThreshold = table.Column<double>(type: "float", nullable: true),
+                    Provider = table.Column<string>(type: "nvarchar(50)", maxLength: 50, nullable: true),
+                    Model = table.Column<string>(type: "nvarchar(200)", maxLength: 200, nullable: true),
+                    Username = table.Column<string>(type: "nvarchar(255)", maxLength: 255, nullable: true),
+                    CreatedAt = table.Column<DateTime>(type: "datetime2", nullable: false),
+                    UpdatedAt = table.Column<DateTime>(type: "datetime2", nullable: false)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_AnswerFeedback", x => x.Id);
+                });
+
+            migrationBuilder.CreateTable(
+                name: "AnswerFeedbackSources",
+                columns: table => new
+                {
+                    Id = table.Column<int>(type: "int", nullable: false)
+                        .Annotation("SqlServer:Identity", "1, 1"),
+                    AnswerFeedbackId = table.Column<int>(type: "int", nullable: false),
+                    Rank = table.Column<int>(type: "int", nullable: false),
+                    DocumentId = table.Column<int>(type: "int", nullable: false),
+                    DocumentName = table.Column<string>(type: "nvarchar(255)", maxLength: 255, nullable: false),
+                    ChunkId = table.Column<int>(type: "int", nullable: false),
+                    SimilarityScore = table.Column<double>(type: "float", nullable: false),
+                    IsFlagged = table.Column<bool>(type: "bit", nullable: false)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_AnswerFeedbackSources", x => x.Id);
+                    table.ForeignKey(
+                        name: "FK_AnswerFeedbackSources_AnswerFeedback_AnswerFeedbackId",
+                        column: x => x.AnswerFeedbackId,
+                        principalTable: "AnswerFeedback",
+                        principalColumn: "Id",
+                        onDelete: ReferentialAction.Cascade);
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_AnswerFeedback_CreatedAt",
+                table: "AnswerFeedback",
+                column: "CreatedAt");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_AnswerFeedbackSources_AnswerFeedbackId",
+                table: "AnswerFeedbackSources",
+                column: "AnswerFeedbackId");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_AnswerFeedbackSources_DocumentId",
+                table: "AnswerFeedbackSources",
+                column: "DocumentId");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropTable(
+                name: "AnswerFeedbackSources");
+
+            migrationBuilder.DropTable(
+                name: "AnswerFeedback");
+        }
+    }
+}
@@ -22,6 +22,103 @@ namespace RagChatApp_Server.Migrations
 
             SqlServerModelBuilderExtensions.UseIdentityColumns(modelBuilder);
 
+            modelBuilder.Entity("RagChatApp_Server.Models.AnswerFeedback", b =>
+                {
+                    b.Property<int>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("int");
+
+                    SqlServerPropertyBuilderExtensions.UseIdentityColumn(b.Property<int>("Id"));
+
+                    b.Property<string>("Answer")
+                        .IsRequired()
+                        .HasColumnType("nvarchar(max)");
+
+                    b.Property<string>("Comment")
+                        .HasMaxLength(2000)
+                        .HasColumnType("nvarchar(2000)");
+
+                    b.Property<DateTime>("CreatedAt")
+                        .HasColumnType("datetime2");
+
+                    b.Property<int?>("MaxChunks")
+                        .HasColumnType("int");
+
+                    b.Property<string>("Model")
+                        .HasMaxLength(200)
+                        .HasColumnType("nvarchar(200)");
+
+                    b.Property<string>("Provider")
+                        .HasMaxLength(50)
+                        .HasColumnType("nvarchar(50)");
+
+                    b.Property<string>("Question")
+                        .IsRequired()
+                        .HasColumnType("nvarchar(max)");
+
+                    b.Property<int>("Rating")
+                        .HasColumnType("int");
+
+                    b.Property<double?>("SimilarityThreshold")
+                        .HasColumnType("float");
+
+                    b.Property<DateTime>("UpdatedAt")
+                        .HasColumnType("datetime2");
+
+                    b.Property<string>("Username")
+                        .HasMaxLength(255)
+                        .HasColumnType("nvarchar(255)");
+
+                    b.Property<bool>("WrongSource")
+                        .HasColumnType("bit");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("CreatedAt");
+
+                    b.ToTable("AnswerFeedback");
+                });
+
+            modelBuilder.Entity("RagChatApp_Server.Models.AnswerFeedbackSource", b =>
+                {
+                    b.Property<int>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("int");
+
+                    SqlServerPropertyBuilderExtensions.UseIdentityColumn(b.Property<int>("Id"));
+
+                    b.Property<int>("AnswerFeedbackId")
+                        .HasColumnType("int");
+
+                    b.Property<int>("ChunkId")
+                        .HasColumnType("int");
+
+                    b.Property<int>("DocumentId")
+                        .HasColumnType("int");
+
+                    b.Property<string>("DocumentName")
+                        .IsRequired()
+                        .HasMaxLength(255)
+                        .HasColumnType("nvarchar(255)");
+
+                    b.Property<bool>("IsFlagged")
+                        .HasColumnType("bit");
+
+                    b.Property<int>("Rank")
+                        .HasColumnType("int");
+
+                    b.Property<double>("SimilarityScore")
+                        .HasColumnType("float");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("AnswerFeedbackId");
+
+                    b.HasIndex("DocumentId");
+
+                    b.ToTable("AnswerFeedbackSources");
+                });
+
             modelBuilder.Entity("RagChatApp_Server.Models.Document", b =>
                 {
                     b.Property<int>("Id")
@@ -34,6 +131,10 @@ namespace RagChatApp_Server.Migrations
                         .IsRequired()
                         .HasColumnType("nvarchar(max)");
 
+                    b.Property<string>("ContentHash")
+                        .HasMaxLength(64)
+                        .HasColumnType("nvarchar(64)");
+
                     b.Property<string>("ContentType")
                         .IsRequired()
                         .HasMaxLength(100)
@@ -71,6 +172,8 @@ namespace RagChatApp_Server.Migrations
 
                     b.HasKey("Id");
 
+                    b.HasIndex("ContentHash");
+
                     b.HasIndex("FileName");
 
                     b.HasIndex("Status");
@@ -288,6 +391,17 @@ namespace RagChatApp_Server.Migrations
                     b.ToTable("SemanticCache");
                 });
 
+            modelBuilder.Entity("RagChatApp_Server.Models.AnswerFeedbackSource", b =>
+                {
+                    b.HasOne("RagChatApp_Server.Models.AnswerFeedback", "AnswerFeedback")
+                        .WithMany("Sources")
+                        .HasForeignKey("AnswerFeedbackId")
+                        .OnDelete(DeleteBehavior.Cascade)
+                        .IsRequired();
+
+                    b.Navigation("AnswerFeedback");
+                });
+
             modelBuilder.Entity("RagChatApp_Server.Models.DocumentChunk", b =>
                 {
                     b.HasOne("RagChatApp_Server.Models.Document", "Document")
@@ -343,6 +457,11 @@ namespace RagChatApp_Server.Migrations
                     b.Navigation("DocumentChunk");
                 });
 
+            modelBuilder.Entity("RagChatApp_Server.Models.AnswerFeedback", b =>
+                {
+                    b.Navigation("Sources");
+                });
+
             modelBuilder.Entity("RagChatApp_Server.Models.Document", b =>
                 {
                     b.Navigation("Chunks");
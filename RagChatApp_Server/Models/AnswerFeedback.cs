@@ -0,0 +1,146 @@
+using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
+
+namespace RagChatApp_Server.Models;
+
+/// <summary>
+/// Rating given by a user to a chat answer, stored with the question, the answer
+/// and the retrieval settings that produced it
+/// </summary>
+public class AnswerFeedback
+{
+    /// <summary>
+    /// Unique identifier for the feedback
+    /// </summary>
+    [Key]
+    public int Id { get; set; }
+
+    /// <summary>
+    /// 1 for thumbs up, -1 for thumbs down
+    /// </summary>
+    [Required]
+    public int Rating { get; set; }
+
+    /// <summary>
+    /// Optional comment of the user
+    /// </summary>
+    [MaxLength(2000)]
+    public string? Comment { get; set; }
+
+    /// <summary>
+    /// Whether the user reported that one or more sources are wrong
+    /// </summary>
+    public bool WrongSource { get; set; }
+
+    /// <summary>
+    /// Question the answer replied to
+    /// </summary>
+    [Required]
+    public string Question { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The rated answer
+    /// </summary>
+    [Required]
+    public string Answer { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Maximum number of chunks requested, null if the client did not record it
+    /// </summary>
+    public int? MaxChunks { get; set; }
+
+    /// <summary>
+    /// Similarity threshold requested, null if the client did not record it
+    /// </summary>
+    public double? SimilarityThreshold { get; set; }
+
+    /// <summary>
+    /// AI provider that generated the answer
+    /// </summary>
+    [MaxLength(50)]
+    public string? Provider { get; set; }
+
+    /// <summary>
+    /// Model that generated the answer
+    /// </summary>
+    [MaxLength(200)]
+    public string? Model { get; set; }
+
+    /// <summary>
+    /// User who gave the feedback
+    /// </summary>
+    [MaxLength(255)]
+    public string? Username { get; set; }
+
+    /// <summary>
+    /// Date and time when the feedback was given
+    /// </summary>
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+    /// <summary>
+    /// Date and time when the feedback was last changed
+    /// </summary>
+    public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+
+    /// <summary>
+    /// Source chunks of the answer, in the order they were cited
+    /// </summary>
+    public virtual ICollection<AnswerFeedbackSource> Sources { get; set; } = new List<AnswerFeedbackSource>();
+}
+
+/// <summary>
+/// Source chunk of a rated answer. Document and chunk are referenced by id only,
+/// so the feedback outlives re-processing or deleting the document
+/// </summary>
+public class AnswerFeedbackSource
+{
+    /// <summary>
+    /// Unique identifier for the source
+    /// </summary>
+    [Key]
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Foreign key to the feedback
+    /// </summary>
+    [Required]
+    public int AnswerFeedbackId { get; set; }
+
+    /// <summary>
+    /// Citation number of the source in the answer (1-based)
+    /// </summary>
+    public int Rank { get; set; }
+
+    /// <summary>
+    /// Document the chunk belonged to
+    /// </summary>
+    public int DocumentId { get; set; }
+
+    /// <summary>
+    /// Name of the document when the answer was given
+    /// </summary>
+    [Required]
+    [MaxLength(255)]
+    public string DocumentName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The source chunk
+    /// </summary>
+    public int ChunkId { get; set; }
+
+    /// <summary>
+    /// Similarity score of the chunk for the question
+    /// </summary>
+    public double SimilarityScore { get; set; }
+
+    /// <summary>
+    /// Whether the user marked this source as wrong
+    /// </summary>
+    public bool IsFlagged { get; set; }
+
+    /// <summary>
+    /// Navigation property to the feedback
+    /// </summary>
+    [ForeignKey(nameof(AnswerFeedbackId))]
+    public virtual AnswerFeedback AnswerFeedback { get; set; } = null!;
+}
@@ -0,0 +1,106 @@
+namespace RagChatApp_Server.Models;
+
+/// <summary>
+/// Configuration of sign-in: the local identity store (users and API keys) and the JWT tokens it issues
+/// </summary>
+public class AuthSettings
+{
+    /// <summary>
+    /// Shortest JwtSigningKey accepted, in UTF-8 bytes: HS256 needs a 256-bit key
+    /// </summary>
+    public const int MinSigningKeyBytes = 32;
+
+    /// <summary>
+    /// HMAC key used to sign the tokens, at least 32 bytes; a shorter key stops the server at startup.
+    /// When empty a random key is generated at startup and tokens do not survive a restart.
+    /// </summary>
+    public string JwtSigningKey { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Issuer written to and required in the tokens
+    /// </summary>
+    public string Issuer { get; set; } = "RagChatApp";
+
+    /// <summary>
+    /// Audience written to and required in the tokens
+    /// </summary>
+    public string Audience { get; set; } = "RagChatApp";
+
+    /// <summary>
+    /// Lifetime of a token in minutes. Default is 480 (8 hours)
+    /// </summary>
+    public int TokenLifetimeMinutes { get; set; } = 480;
+
+    /// <summary>
+    /// Users who can sign in with a password
+    /// </summary>
+    public List<LocalUser> Users { get; set; } = new();
+
+    /// <summary>
+    /// API keys for scripts and services, each acting as one of the users
+    /// </summary>
+    public List<ApiKeyCredential> ApiKeys { get; set; } = new();
+}
+
+/// <summary>
+/// A user of the local identity store
+/// </summary>
+public class LocalUser
+{
+    /// <summary>
+    /// Sign-in name, recorded as the uploader of the user's documents
+    /// </summary>
+    public string Username { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Name shown in the UI. Defaults to the username
+    /// </summary>
+    public string? DisplayName { get; set; }
+
+    /// <summary>
+    /// PBKDF2 hash of the password, as printed by <c>dotnet run -- --hash-password &lt;password&gt;</c>
+    /// </summary>
+    public string PasswordHash { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Admin or User. Default is User
+    /// </summary>
+    public string Role { get; set; } = AuthRoles.User;
+}
+
+/// <summary>
+/// An API key sent in the X-Api-Key header
+/// </summary>
+public class ApiKeyCredential
+{
+    /// <summary>
+    /// Label used in the logs
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The key itself
+    /// </summary>
+    public string Key { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Username of the user the key acts as
+    /// </summary>
+    public string Username { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// Roles of the local users
+/// </summary>
+public static class AuthRoles
+{
+    /// <summary>
+    /// Can update and delete every document and manage providers and cache
+    /// </summary>
+    public const string Admin = "Admin";
+
+    /// <summary>
+    /// Can upload documents and update or delete the ones they uploaded
+    /// </summary>
+    public const string User = "User";
+}
@@ -50,6 +50,12 @@ public class Document
     [MaxLength(500)]
     public string? Path { get; set; }
 
+    /// <summary>
+    /// SHA-256 (hex) of the uploaded file, or of the text for indexed text, used to detect duplicates
+    /// </summary>
+    [MaxLength(64)]
+    public string? ContentHash { get; set; }
+
     /// <summary>
     /// User who uploaded the document
     /// </summary>
@@ -287,13 +287,15 @@ public class SemanticCache
     public string SearchQuery { get; set; } = string.Empty;
 
     /// <summary>
-    /// Content of the result with the highest similarity percentage
+    /// Cached search result: the JSON written by SemanticCacheService (search parameters
+    /// and source list), or the best chunk text for entries cached by older versions
     /// </summary>
     [Required]
     public string ResultContent { get; set; } = string.Empty;
 
     /// <summary>
-    /// Embedding of the result content with the highest similarity percentage
+    /// Embedding of the result content with the highest similarity percentage.
+    /// Empty for entries written by SemanticCacheService, which caches whole source lists.
     /// </summary>
     [Required]
     public byte[] ResultEmbedding { get; set; } = Array.Empty<byte>();
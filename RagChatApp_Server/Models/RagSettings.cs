@@ -18,4 +18,10 @@ public class RagSettings
     {
         return Math.Min(MaxChunksForLLM <= 0 ? 10 : MaxChunksForLLM, 50);
     }
+
+    /// <summary>
+    /// Maximum number of previous conversation messages forwarded to the LLM
+    /// Default is 20, 0 disables conversation history
+    /// </summary>
+    public int MaxHistoryMessages { get; set; } = 20;
 }
\ No newline at end of file
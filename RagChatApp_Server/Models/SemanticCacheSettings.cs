@@ -0,0 +1,18 @@
+namespace RagChatApp_Server.Models;
+
+/// <summary>
+/// Configuration of the semantic cache that stores retrieval results per query
+/// </summary>
+public class SemanticCacheSettings
+{
+    /// <summary>
+    /// Whether chat requests reuse and store cached retrieval results. Default is true
+    /// </summary>
+    public bool Enabled { get; set; } = true;
+
+    /// <summary>
+    /// Age in hours after which a cache entry is no longer used and gets cleaned up.
+    /// Default is 1
+    /// </summary>
+    public int MaxAgeHours { get; set; } = 1;
+}
\ No newline at end of file
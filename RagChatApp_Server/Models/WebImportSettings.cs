@@ -0,0 +1,38 @@
+namespace RagChatApp_Server.Models;
+
+/// <summary>
+/// Configuration of the import of web pages and sitemaps
+/// </summary>
+public class WebImportSettings
+{
+    /// <summary>
+    /// Timeout in seconds of each page or sitemap request. Default is 30
+    /// </summary>
+    public int TimeoutSeconds { get; set; } = 30;
+
+    /// <summary>
+    /// Largest page or sitemap in bytes that is downloaded. Default is 5 MB
+    /// </summary>
+    public int MaxContentBytes { get; set; } = 5 * 1024 * 1024;
+
+    /// <summary>
+    /// Most page URLs returned for a sitemap, including nested sitemaps. Default is 500
+    /// </summary>
+    public int MaxSitemapUrls { get; set; } = 500;
+
+    /// <summary>
+    /// User-Agent header sent with every request
+    /// </summary>
+    public string UserAgent { get; set; } = "RagChatApp/1.0 (web import)";
+
+    /// <summary>
+    /// Redirects followed for each request; every target is checked like the requested URL. Default is 5
+    /// </summary>
+    public int MaxRedirects { get; set; } = 5;
+
+    /// <summary>
+    /// Host names that may be downloaded even though they resolve to a loopback, private or
+    /// link-local address, e.g. "localhost" for the test site. Empty by default
+    /// </summary>
+    public List<string> AllowedPrivateHosts { get; set; } = new();
+}
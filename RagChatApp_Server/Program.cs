@@ -1,4 +1,10 @@
+using System.Security.Cryptography;
+using System.Text;
+using Microsoft.AspNetCore.Authentication;
+using Microsoft.AspNetCore.Authentication.JwtBearer;
+using Microsoft.AspNetCore.Authorization;
 using Microsoft.EntityFrameworkCore;
+using Microsoft.OpenApi.Models;
 using RagChatApp_Server.Data;
 using RagChatApp_Server.Models;
 using RagChatApp_Server.Services;
@@ -8,6 +14,13 @@ using RagChatApp_Server.Middleware;
 using Serilog;
 using Serilog.Events;
 
+// dotnet run -- --hash-password <password> prints the PasswordHash of an Auth:Users entry
+if (args.Length == 2 && args[0] == "--hash-password")
+{
+    Console.WriteLine(LocalIdentityService.HashPassword(args[1]));
+    return;
+}
+
 // Configure Serilog early for application startup logging
 Log.Logger = new LoggerConfiguration()
     .MinimumLevel.Debug()
@@ -67,12 +80,62 @@ builder.Services.AddCors(options =>
     {
         policy.AllowAnyOrigin()
               .AllowAnyMethod()
-              .AllowAnyHeader();
+              .AllowAnyHeader()
+              .WithExposedHeaders("X-Total-Count", "X-Page", "X-Page-Size", "X-Content-Source", "Content-Disposition");
     });
 });
 
+// Configure authentication: JWT issued by /api/auth/login, or an X-Api-Key for scripts.
+// Every endpoint requires a signed-in user unless marked [AllowAnonymous].
+// The signing key is checked at startup rather than when the first token is issued.
+builder.Services.AddOptions<AuthSettings>()
+    .Bind(builder.Configuration.GetSection("Auth"))
+    .PostConfigure(settings =>
+    {
+        if (string.IsNullOrWhiteSpace(settings.JwtSigningKey))
+        {
+            Log.Warning("Auth:JwtSigningKey is not configured, using a random key: every user is signed out when the server restarts");
+            settings.JwtSigningKey = Convert.ToBase64String(RandomNumberGenerator.GetBytes(AuthSettings.MinSigningKeyBytes));
+        }
+    })
+    .Validate(settings => Encoding.UTF8.GetByteCount(settings.JwtSigningKey) >= AuthSettings.MinSigningKeyBytes,
+        $"Auth:JwtSigningKey must be at least {AuthSettings.MinSigningKeyBytes} bytes long to sign HS256 tokens")
+    .ValidateOnStart();
+builder.Services.AddSingleton<IIdentityService, LocalIdentityService>();
+
+const string AuthSchemeSelector = "JwtOrApiKey";
+builder.Services.AddAuthentication(AuthSchemeSelector)
+    .AddPolicyScheme(AuthSchemeSelector, "JWT or API key", options =>
+    {
+        options.ForwardDefaultSelector = context =>
+            context.Request.Headers.ContainsKey(ApiKeyAuthenticationHandler.HeaderName)
+                ? ApiKeyAuthenticationHandler.SchemeName
+                : JwtBearerDefaults.AuthenticationScheme;
+    })
+    .AddJwtBearer()
+    .AddScheme<AuthenticationSchemeOptions, ApiKeyAuthenticationHandler>(ApiKeyAuthenticationHandler.SchemeName, null);
+
+builder.Services.AddOptions<JwtBearerOptions>(JwtBearerDefaults.AuthenticationScheme)
+    .Configure<IIdentityService>((options, identityService) =>
+    {
+        // Keep the short claim names (sub, role) of the issued tokens
+        options.MapInboundClaims = false;
+        options.TokenValidationParameters = identityService.GetValidationParameters();
+    });
+
+builder.Services.AddAuthorization(options =>
+{
+    options.FallbackPolicy = new AuthorizationPolicyBuilder()
+        .RequireAuthenticatedUser()
+        .Build();
+});
+
 // Register custom services
 builder.Services.AddScoped<IDocumentProcessingService, DocumentProcessingService>();
+builder.Services.AddSingleton<SemanticCacheMetrics>();
+builder.Services.AddSingleton<DocumentEventBroadcaster>();
+builder.Services.AddScoped<ISemanticCacheService, SemanticCacheService>();
+builder.Services.AddHostedService<ContentHashBackfillService>();
 
 // Register AI provider services with HttpClient
 // Configure HttpClient for each provider with proper BaseAddress
@@ -110,6 +173,31 @@ builder.Services.AddHttpClient<GeminiProviderService>((serviceProvider, client)
 
 builder.Services.AddHttpClient<AzureOpenAIProviderService>();
 
+// Web page and sitemap downloads for the index-url import
+builder.Services.AddHttpClient<IWebPageService, WebPageService>((serviceProvider, client) =>
+{
+    var config = serviceProvider.GetRequiredService<IConfiguration>();
+    var settings = config.GetSection("WebImport").Get<WebImportSettings>() ?? new WebImportSettings();
+
+    client.Timeout = TimeSpan.FromSeconds(settings.TimeoutSeconds);
+    client.DefaultRequestHeaders.UserAgent.ParseAdd(settings.UserAgent);
+    client.DefaultRequestHeaders.Accept.ParseAdd("text/html,application/xhtml+xml,application/xml;q=0.9,text/plain;q=0.8");
+})
+.ConfigurePrimaryHttpMessageHandler(serviceProvider =>
+{
+    var config = serviceProvider.GetRequiredService<IConfiguration>();
+    var settings = config.GetSection("WebImport").Get<WebImportSettings>() ?? new WebImportSettings();
+
+    // WebPageService follows and checks redirects itself; every connection is checked again
+    // against the address it actually goes to
+    return new SocketsHttpHandler
+    {
+        AllowAutoRedirect = false,
+        ConnectCallback = (context, cancellationToken) =>
+            WebPageService.ConnectToAllowedAddressAsync(context, settings, cancellationToken)
+    };
+});
+
 builder.Services.AddScoped<AIProviderFactory>();
 
 // Register the default AI provider service based on configuration
@@ -129,6 +217,25 @@ builder.Services.AddSwaggerGen(c =>
 {
     c.SwaggerDoc("v1", new() { Title = "RAG Chat API", Version = "v1" });
 
+    // "Authorize" button: paste the token returned by /api/auth/login
+    c.AddSecurityDefinition("Bearer", new OpenApiSecurityScheme
+    {
+        Type = SecuritySchemeType.Http,
+        Scheme = "bearer",
+        BearerFormat = "JWT",
+        Description = "Token returned by POST /api/auth/login"
+    });
+    c.AddSecurityRequirement(new OpenApiSecurityRequirement
+    {
+        {
+            new OpenApiSecurityScheme
+            {
+                Reference = new OpenApiReference { Type = ReferenceType.SecurityScheme, Id = "Bearer" }
+            },
+            Array.Empty<string>()
+        }
+    });
+
     // Include XML comments
     var xmlFile = $"{System.Reflection.Assembly.GetExecutingAssembly().GetName().Name}.xml";
     var xmlPath = Path.Combine(AppContext.BaseDirectory, xmlFile);
@@ -176,12 +283,16 @@ app.UseMiddleware<RequestResponseLoggingMiddleware>();
 
 app.UseHttpsRedirection();
 
+app.UseAuthentication();
+app.UseAuthorization();
+
 // Map controllers
 app.MapControllers();
 
 // Health check endpoint
 app.MapGet("/health", () => new { Status = "Healthy", Timestamp = DateTime.UtcNow })
-    .WithName("HealthCheck");
+    .WithName("HealthCheck")
+    .AllowAnonymous();
 
 // API info endpoint
 app.MapGet("/api/info", (IConfiguration config, AIProviderFactory factory) => new
@@ -192,7 +303,7 @@ app.MapGet("/api/info", (IConfiguration config, AIProviderFactory factory) => ne
     MockMode = config.GetValue<bool>("MockMode:Enabled", false),
     DefaultAIProvider = factory.GetDefaultProvider().ToString(),
     AvailableProviders = factory.GetAvailableProviders().Select(p => p.ToString()).ToArray()
-}).WithName("ApiInfo");
+}).WithName("ApiInfo").AllowAnonymous();
 
     Log.Information("=== RagChatApp Server Started Successfully ===");
     app.Run();
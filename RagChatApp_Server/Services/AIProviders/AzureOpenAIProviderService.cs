@@ -1,6 +1,7 @@
 using Microsoft.Extensions.Options;
 using RagChatApp_Server.Models;
 using RagChatApp_Server.Services.Interfaces;
+using System.Runtime.CompilerServices;
 using System.Text;
 using System.Text.Json;
 
@@ -79,13 +80,14 @@ public class AzureOpenAIProviderService : IAIProviderService
         List<ChatMessage> messages,
         int? maxTokens = null,
         float temperature = 0.1f,
-        AITaskType taskType = AITaskType.Chat)
+        AITaskType taskType = AITaskType.Chat,
+        string? model = null)
     {
         try
         {
             _logger.LogInformation("Generating chat completion using Azure OpenAI for task: {TaskType}", taskType);
 
-            var deploymentName = _settings.AzureOpenAI.ChatDeploymentName;
+            var deploymentName = Uri.EscapeDataString(model ?? _settings.AzureOpenAI.ChatDeploymentName);
             var url = $"openai/deployments/{deploymentName}/chat/completions?api-version={_settings.AzureOpenAI.ApiVersion}";
 
             var requestBody = new
@@ -120,6 +122,49 @@ public class AzureOpenAIProviderService : IAIProviderService
         }
     }
 
+    public async IAsyncEnumerable<string> StreamChatCompletionAsync(
+        List<ChatMessage> messages,
+        int? maxTokens = null,
+        float temperature = 0.1f,
+        AITaskType taskType = AITaskType.Chat,
+        string? model = null,
+        [EnumeratorCancellation] CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Streaming chat completion using Azure OpenAI for task: {TaskType}", taskType);
+
+        var deploymentName = Uri.EscapeDataString(model ?? _settings.AzureOpenAI.ChatDeploymentName);
+        var url = $"openai/deployments/{deploymentName}/chat/completions?api-version={_settings.AzureOpenAI.ApiVersion}";
+
+        var requestBody = new
+        {
+            messages = messages.Select(m => new { role = m.Role, content = m.Content }),
+            max_tokens = maxTokens ?? _settings.AzureOpenAI.MaxTokens,
+            temperature = temperature,
+            stream = true
+        };
+
+        var json = JsonSerializer.Serialize(requestBody);
+        using var request = new HttpRequestMessage(HttpMethod.Post, url)
+        {
+            Content = new StringContent(json, Encoding.UTF8, "application/json")
+        };
+
+        using var response = await _httpClient.SendAsync(request, HttpCompletionOption.ResponseHeadersRead, cancellationToken);
+        response.EnsureSuccessStatusCode();
+
+        // Azure OpenAI uses the same chunk format as OpenAI
+        await foreach (var data in SseStreamReader.ReadDataAsync(response, cancellationToken))
+        {
+            var fragment = OpenAIProviderService.ExtractDeltaContent(data);
+            if (!string.IsNullOrEmpty(fragment))
+            {
+                yield return fragment;
+            }
+        }
+
+        _logger.LogInformation("Completed streaming chat completion");
+    }
+
     public string GetModelForTask(AITaskType taskType)
     {
         return taskType switch
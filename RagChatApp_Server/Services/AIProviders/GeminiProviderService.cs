@@ -1,6 +1,7 @@
 using Microsoft.Extensions.Options;
 using RagChatApp_Server.Models;
 using RagChatApp_Server.Services.Interfaces;
+using System.Runtime.CompilerServices;
 using System.Text;
 using System.Text.Json;
 
@@ -77,44 +78,17 @@ public class GeminiProviderService : IAIProviderService
         List<ChatMessage> messages,
         int? maxTokens = null,
         float temperature = 0.1f,
-        AITaskType taskType = AITaskType.Chat)
+        AITaskType taskType = AITaskType.Chat,
+        string? model = null)
     {
         try
         {
             _logger.LogInformation("Generating chat completion using Gemini for task: {TaskType}", taskType);
 
-            var model = GetModelForTask(taskType);
+            model = NormalizeModelName(model ?? GetModelForTask(taskType));
             var url = $"{model}:generateContent?key={_settings.Gemini.ApiKey}";
 
-            // Extract system message if present and convert to systemInstruction
-            var systemMessage = messages.FirstOrDefault(m => m.Role == "system");
-            var userMessages = messages.Where(m => m.Role != "system").ToList();
-
-            // Build request body with systemInstruction support
-            var requestBody = new Dictionary<string, object>
-            {
-                ["contents"] = userMessages.Select(m => new
-                {
-                    role = m.Role == "assistant" ? "model" : "user",
-                    parts = new[] { new { text = m.Content } }
-                }).ToArray(),
-                ["generationConfig"] = new
-                {
-                    temperature = temperature,
-                    topP = _settings.Gemini.GenerationConfig.TopP,
-                    topK = _settings.Gemini.GenerationConfig.TopK,
-                    maxOutputTokens = maxTokens ?? _settings.Gemini.MaxTokens
-                }
-            };
-
-            // Add system instruction if present
-            if (systemMessage != null)
-            {
-                requestBody["systemInstruction"] = new
-                {
-                    parts = new[] { new { text = systemMessage.Content } }
-                };
-            }
+            var requestBody = BuildChatRequestBody(messages, maxTokens, temperature);
 
             var json = JsonSerializer.Serialize(requestBody);
             var content = new StringContent(json, Encoding.UTF8, "application/json");
@@ -142,6 +116,118 @@ public class GeminiProviderService : IAIProviderService
         }
     }
 
+    public async IAsyncEnumerable<string> StreamChatCompletionAsync(
+        List<ChatMessage> messages,
+        int? maxTokens = null,
+        float temperature = 0.1f,
+        AITaskType taskType = AITaskType.Chat,
+        string? model = null,
+        [EnumeratorCancellation] CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Streaming chat completion using Gemini for task: {TaskType}", taskType);
+
+        model = NormalizeModelName(model ?? GetModelForTask(taskType));
+        var url = $"{model}:streamGenerateContent?alt=sse&key={_settings.Gemini.ApiKey}";
+
+        var json = JsonSerializer.Serialize(BuildChatRequestBody(messages, maxTokens, temperature));
+        using var request = new HttpRequestMessage(HttpMethod.Post, url)
+        {
+            Content = new StringContent(json, Encoding.UTF8, "application/json")
+        };
+
+        using var response = await _httpClient.SendAsync(request, HttpCompletionOption.ResponseHeadersRead, cancellationToken);
+        response.EnsureSuccessStatusCode();
+
+        await foreach (var data in SseStreamReader.ReadDataAsync(response, cancellationToken))
+        {
+            var fragment = ExtractCandidateText(data);
+            if (!string.IsNullOrEmpty(fragment))
+            {
+                yield return fragment;
+            }
+        }
+
+        _logger.LogInformation("Completed streaming chat completion");
+    }
+
+    /// <summary>
+    /// Gemini endpoints expect "models/{name}"; overrides such as "gemini-1.5-flash" get the prefix added.
+    /// The name is escaped so that it stays one path segment.
+    /// </summary>
+    private static string NormalizeModelName(string model)
+    {
+        var name = model.StartsWith("models/", StringComparison.Ordinal) ? model["models/".Length..] : model;
+        return $"models/{Uri.EscapeDataString(name)}";
+    }
+
+    /// <summary>
+    /// Build the generateContent request body, converting the system message to systemInstruction
+    /// </summary>
+    private Dictionary<string, object> BuildChatRequestBody(List<ChatMessage> messages, int? maxTokens, float temperature)
+    {
+        // Extract system message if present and convert to systemInstruction
+        var systemMessage = messages.FirstOrDefault(m => m.Role == "system");
+        var userMessages = messages.Where(m => m.Role != "system").ToList();
+
+        // Build request body with systemInstruction support
+        var requestBody = new Dictionary<string, object>
+        {
+            ["contents"] = userMessages.Select(m => new
+            {
+                role = m.Role == "assistant" ? "model" : "user",
+                parts = new[] { new { text = m.Content } }
+            }).ToArray(),
+            ["generationConfig"] = new
+            {
+                temperature = temperature,
+                topP = _settings.Gemini.GenerationConfig.TopP,
+                topK = _settings.Gemini.GenerationConfig.TopK,
+                maxOutputTokens = maxTokens ?? _settings.Gemini.MaxTokens
+            }
+        };
+
+        // Add system instruction if present
+        if (systemMessage != null)
+        {
+            requestBody["systemInstruction"] = new
+            {
+                parts = new[] { new { text = systemMessage.Content } }
+            };
+        }
+
+        return requestBody;
+    }
+
+    /// <summary>
+    /// Extract the text of the first candidate from a streaming chunk
+    /// </summary>
+    private static string? ExtractCandidateText(string data)
+    {
+        using var document = JsonDocument.Parse(data);
+
+        if (!document.RootElement.TryGetProperty("candidates", out var candidates) || candidates.GetArrayLength() == 0)
+        {
+            return null;
+        }
+
+        if (!candidates[0].TryGetProperty("content", out var content) ||
+            !content.TryGetProperty("parts", out var parts))
+        {
+            return null;
+        }
+
+        var text = new StringBuilder();
+        foreach (var part in parts.EnumerateArray())
+        {
+            if (part.TryGetProperty("text", out var partText))
+            {
+                text.Append(partText.GetString());
+            }
+        }
+
+        return text.ToString();
+    }
+
     public string GetModelForTask(AITaskType taskType)
     {
         return taskType switch
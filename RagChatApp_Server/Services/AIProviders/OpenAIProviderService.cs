@@ -1,6 +1,7 @@
 using Microsoft.Extensions.Options;
 using RagChatApp_Server.Models;
 using RagChatApp_Server.Services.Interfaces;
+using System.Runtime.CompilerServices;
 using System.Text;
 using System.Text.Json;
 
@@ -94,13 +95,14 @@ public class OpenAIProviderService : IAIProviderService
         List<ChatMessage> messages,
         int? maxTokens = null,
         float temperature = 0.1f,
-        AITaskType taskType = AITaskType.Chat)
+        AITaskType taskType = AITaskType.Chat,
+        string? model = null)
     {
         try
         {
             _logger.LogInformation("Generating chat completion using OpenAI for task: {TaskType}", taskType);
 
-            var model = GetModelForTask(taskType);
+            model ??= GetModelForTask(taskType);
             var requestBody = new
             {
                 model = model,
@@ -134,6 +136,71 @@ public class OpenAIProviderService : IAIProviderService
         }
     }
 
+    public async IAsyncEnumerable<string> StreamChatCompletionAsync(
+        List<ChatMessage> messages,
+        int? maxTokens = null,
+        float temperature = 0.1f,
+        AITaskType taskType = AITaskType.Chat,
+        string? model = null,
+        [EnumeratorCancellation] CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Streaming chat completion using OpenAI for task: {TaskType}", taskType);
+
+        model ??= GetModelForTask(taskType);
+        var requestBody = new
+        {
+            model = model,
+            messages = messages.Select(m => new { role = m.Role, content = m.Content }),
+            max_tokens = maxTokens ?? _settings.OpenAI.MaxTokens,
+            temperature = temperature,
+            stream = true
+        };
+
+        var json = JsonSerializer.Serialize(requestBody);
+        using var request = new HttpRequestMessage(HttpMethod.Post, "chat/completions")
+        {
+            Content = new StringContent(json, Encoding.UTF8, "application/json")
+        };
+
+        using var response = await _httpClient.SendAsync(request, HttpCompletionOption.ResponseHeadersRead, cancellationToken);
+        if (!response.IsSuccessStatusCode)
+        {
+            var errorContent = await response.Content.ReadAsStringAsync(cancellationToken);
+            _logger.LogError("OpenAI API Error: {StatusCode} - {Content}", response.StatusCode, errorContent);
+            response.EnsureSuccessStatusCode();
+        }
+
+        await foreach (var data in SseStreamReader.ReadDataAsync(response, cancellationToken))
+        {
+            var fragment = ExtractDeltaContent(data);
+            if (!string.IsNullOrEmpty(fragment))
+            {
+                yield return fragment;
+            }
+        }
+
+        _logger.LogInformation("Completed streaming chat completion");
+    }
+
+    /// <summary>
+    /// Extract the text delta from an OpenAI-compatible streaming chunk
+    /// </summary>
+    internal static string? ExtractDeltaContent(string data)
+    {
+        using var document = JsonDocument.Parse(data);
+
+        if (!document.RootElement.TryGetProperty("choices", out var choices) || choices.GetArrayLength() == 0)
+        {
+            return null;
+        }
+
+        return choices[0].TryGetProperty("delta", out var delta) &&
+               delta.TryGetProperty("content", out var content) &&
+               content.ValueKind == JsonValueKind.String
+            ? content.GetString()
+            : null;
+    }
+
     /// <summary>
     /// Send HTTP request with retry logic for transient failures (502, 503, 429)
     /// </summary>
@@ -0,0 +1,48 @@
+using System.Runtime.CompilerServices;
+
+namespace RagChatApp_Server.Services.AIProviders;
+
+/// <summary>
+/// Reads the "data:" payloads of a Server-Sent Events stream returned by an AI provider
+/// </summary>
+internal static class SseStreamReader
+{
+    /// <summary>
+    /// Enumerate the data payloads of the stream until it ends or the "[DONE]" sentinel is received
+    /// </summary>
+    /// <param name="response">Provider response read with HttpCompletionOption.ResponseHeadersRead</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>Raw data payloads, usually JSON documents</returns>
+    public static async IAsyncEnumerable<string> ReadDataAsync(
+        HttpResponseMessage response,
+        [EnumeratorCancellation] CancellationToken cancellationToken = default)
+    {
+        await using var stream = await response.Content.ReadAsStreamAsync(cancellationToken);
+        using var reader = new StreamReader(stream);
+
+        while (!cancellationToken.IsCancellationRequested)
+        {
+            var line = await reader.ReadLineAsync(cancellationToken);
+            if (line == null)
+            {
+                yield break;
+            }
+
+            if (!line.StartsWith("data:", StringComparison.Ordinal))
+            {
+                continue;
+            }
+
+            var data = line.Substring(5).Trim();
+            if (data == "[DONE]")
+            {
+                yield break;
+            }
+
+            if (data.Length > 0)
+            {
+                yield return data;
+            }
+        }
+    }
+}
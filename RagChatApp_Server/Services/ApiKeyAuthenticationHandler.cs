@@ -0,0 +1,58 @@
+using System.Security.Claims;
+using System.Text.Encodings.Web;
+using Microsoft.AspNetCore.Authentication;
+using Microsoft.Extensions.Options;
+
+namespace RagChatApp_Server.Services;
+
+/// <summary>
+/// Authenticates scripts and services by the X-Api-Key header. Each key acts as a
+/// user of the local identity store, with the same claims as a signed-in token.
+/// </summary>
+public class ApiKeyAuthenticationHandler : AuthenticationHandler<AuthenticationSchemeOptions>
+{
+    /// <summary>
+    /// Name of the authentication scheme
+    /// </summary>
+    public const string SchemeName = "ApiKey";
+
+    /// <summary>
+    /// Header carrying the key
+    /// </summary>
+    public const string HeaderName = "X-Api-Key";
+
+    private readonly IIdentityService _identityService;
+
+    public ApiKeyAuthenticationHandler(
+        IOptionsMonitor<AuthenticationSchemeOptions> options,
+        ILoggerFactory logger,
+        UrlEncoder encoder,
+        IIdentityService identityService)
+        : base(options, logger, encoder)
+    {
+        _identityService = identityService;
+    }
+
+    protected override Task<AuthenticateResult> HandleAuthenticateAsync()
+    {
+        var apiKey = Request.Headers[HeaderName].ToString();
+        if (string.IsNullOrEmpty(apiKey))
+        {
+            return Task.FromResult(AuthenticateResult.NoResult());
+        }
+
+        var user = _identityService.FindByApiKey(apiKey);
+        if (user == null)
+        {
+            return Task.FromResult(AuthenticateResult.Fail("Invalid API key"));
+        }
+
+        var identity = new ClaimsIdentity(
+            _identityService.CreateClaims(user),
+            SchemeName,
+            LocalIdentityService.NameClaimType,
+            LocalIdentityService.RoleClaimType);
+
+        return Task.FromResult(AuthenticateResult.Success(new AuthenticationTicket(new ClaimsPrincipal(identity), SchemeName)));
+    }
+}
@@ -4,9 +4,12 @@ using RagChatApp_Server.DTOs;
 using RagChatApp_Server.Models;
 using RagChatApp_Server.Services.AIProviders;
 using RagChatApp_Server.Services.Interfaces;
+using System.Globalization;
 using System.Net.Http.Headers;
+using System.Runtime.CompilerServices;
 using System.Text;
 using System.Text.Json;
+using System.Text.RegularExpressions;
 
 namespace RagChatApp_Server.Services;
 
@@ -20,22 +23,31 @@ public class AzureOpenAIService : IAzureOpenAIService
     private readonly HttpClient _httpClient;
     private readonly IConfiguration _configuration;
     private readonly IServiceProvider _serviceProvider;
+    private readonly AIProviderFactory _providerFactory;
+    private readonly ISemanticCacheService _semanticCache;
     private readonly IAIProviderService _aiProvider;
     private readonly bool _isMockMode;
 
+    private const int DefaultChatMaxTokens = 1000;
+    private const float DefaultChatTemperature = 0.7f;
+    private const string MockProviderName = "Mock";
+
     public AzureOpenAIService(
         ILogger<AzureOpenAIService> logger,
         RagChatDbContext context,
         HttpClient httpClient,
         IConfiguration configuration,
         IServiceProvider serviceProvider,
-        AIProviderFactory providerFactory)
+        AIProviderFactory providerFactory,
+        ISemanticCacheService semanticCache)
     {
         _logger = logger;
         _context = context;
         _httpClient = httpClient;
         _configuration = configuration;
         _serviceProvider = serviceProvider;
+        _providerFactory = providerFactory;
+        _semanticCache = semanticCache;
         _aiProvider = providerFactory.CreateProvider();
 
         // Check if mock mode is enabled
@@ -78,13 +90,26 @@ public class AzureOpenAIService : IAzureOpenAIService
     /// <summary>
     /// Finds similar document chunks using vector similarity
     /// </summary>
-    public async Task<List<ChatSource>> FindSimilarChunksAsync(string query, int maxResults = 5, double similarityThreshold = 0.7)
+    public async Task<List<ChatSource>> FindSimilarChunksAsync(string query, int maxResults = 5, double similarityThreshold = 0.7,
+        IReadOnlyDictionary<string, string>? detailsFilter = null)
+    {
+        var (results, _) = await SearchChunksAsync(query, maxResults, similarityThreshold, detailsFilter);
+        return results;
+    }
+
+    /// <summary>
+    /// Finds similar document chunks; FromFallback is set when vector search failed and
+    /// the chunks come from the unscored fallback search
+    /// </summary>
+    private async Task<(List<ChatSource> Sources, bool FromFallback)> SearchChunksAsync(string query, int maxResults,
+        double similarityThreshold, IReadOnlyDictionary<string, string>? detailsFilter)
     {
-        _logger.LogInformation("Finding similar chunks for query: {Query}", query);
+        _logger.LogInformation("Finding similar chunks for query: {Query} (Details filter: {FilterCount} keys)",
+            query, detailsFilter?.Count ?? 0);
 
         if (_isMockMode)
         {
-            return await FindSimilarChunksMockAsync(query, maxResults, similarityThreshold);
+            return (await FindSimilarChunksMockAsync(query, maxResults, similarityThreshold, detailsFilter), false);
         }
 
         // Get configuration for max chunks
@@ -92,38 +117,14 @@ public class AzureOpenAIService : IAzureOpenAIService
         var ragSettings = configuration.GetSection("RagSettings").Get<RagSettings>() ?? new RagSettings();
         var effectiveMaxResults = Math.Min(maxResults, ragSettings.GetEffectiveMaxChunks());
 
-        // Clean old cache entries (older than 1 hour)
-        await CleanSemanticCacheAsync();
-
-        // NOTE: Semantic cache disabled for RAG searches to respect maxResults and similarityThreshold parameters
-        // The cache was returning a single cached result, ignoring the search parameters
-        // TODO: Implement parameter-aware caching in future version
-
-        /* DISABLED - Cache bypass issue
-        var cachedResult = await CheckSemanticCacheAsync(query);
-        if (cachedResult != null)
-        {
-            _logger.LogInformation("Found cached result for query: {Query}", query);
-            return new List<ChatSource> { cachedResult };
-        }
-        */
-
         // Generate embedding for the query
         var queryEmbedding = await GenerateEmbeddingsAsync(query);
 
         // Perform multi-field vector search using SQL with LEAST function
-        var results = await PerformMultiFieldVectorSearchAsync(queryEmbedding, effectiveMaxResults, similarityThreshold);
-
-        // NOTE: Caching disabled until parameter-aware caching is implemented
-        /* DISABLED - Cache bypass issue
-        if (results.Any())
-        {
-            await CacheSemanticResultAsync(query, results.First());
-        }
-        */
+        var (results, fromFallback) = await PerformMultiFieldVectorSearchAsync(queryEmbedding, effectiveMaxResults, similarityThreshold, detailsFilter);
 
         _logger.LogInformation("Found {ResultCount} similar chunks for query: {Query}", results.Count, query);
-        return results;
+        return (results, fromFallback);
     }
 
     /// <summary>
@@ -135,10 +136,7 @@ public class AzureOpenAIService : IAzureOpenAIService
             request.Message, request.ReturnOnlyChunks);
 
         // Find relevant chunks
-        var relevantChunks = await FindSimilarChunksAsync(
-            request.Message,
-            request.MaxChunks,
-            request.SimilarityThreshold);
+        var (relevantChunks, cachedAt) = await RetrieveChunksAsync(request);
 
         // If ReturnOnlyChunks is true, return only RAG search results without LLM processing
         if (request.ReturnOnlyChunks)
@@ -150,44 +148,44 @@ public class AzureOpenAIService : IAzureOpenAIService
             {
                 Response = string.Empty, // No LLM-generated response
                 Sources = relevantChunks,
-                IsMockResponse = false
+                IsMockResponse = false,
+                FromCache = cachedAt != null,
+                CachedAt = cachedAt
             };
         }
 
         if (_isMockMode)
         {
-            return GenerateMockChatResponse(request, relevantChunks);
+            var mockResponse = GenerateMockChatResponse(request, relevantChunks);
+            mockResponse.FromCache = cachedAt != null;
+            mockResponse.CachedAt = cachedAt;
+            return mockResponse;
         }
 
         try
         {
-            // Build context from relevant chunks
-            var context = BuildContextFromChunks(relevantChunks);
+            var messages = BuildChatMessages(request, relevantChunks);
 
-            // Create chat completion request using configured AI provider
-            var systemMessage = "You are a helpful assistant that answers questions based on the provided context. " +
-                               "If the context doesn't contain enough information to answer the question, say so clearly.";
+            // Use the provider/model requested by the client, or the configured default
+            var chatProvider = GetChatProvider(request);
+            var model = request.Model ?? chatProvider.GetModelForTask(AITaskType.Chat);
 
-            var userMessage = $"Context:\n{context}\n\nQuestion: {request.Message}";
-
-            var messages = new List<ChatMessage>
-            {
-                new ChatMessage { Role = "system", Content = systemMessage },
-                new ChatMessage { Role = "user", Content = userMessage }
-            };
-
-            // Use configured AI provider for chat completion
-            var aiResponse = await _aiProvider.GenerateChatCompletionAsync(
+            var aiResponse = await chatProvider.GenerateChatCompletionAsync(
                 messages,
-                maxTokens: 1000,
-                temperature: 0.7f,
-                taskType: AITaskType.Chat);
+                maxTokens: request.MaxTokens ?? DefaultChatMaxTokens,
+                temperature: request.Temperature ?? DefaultChatTemperature,
+                taskType: AITaskType.Chat,
+                model: model);
 
             return new ChatResponse
             {
                 Response = aiResponse,
                 Sources = relevantChunks,
-                IsMockResponse = false
+                IsMockResponse = false,
+                Provider = chatProvider.GetCurrentProvider().ToString(),
+                Model = model,
+                FromCache = cachedAt != null,
+                CachedAt = cachedAt
             };
         }
         catch (Exception ex)
@@ -197,6 +195,186 @@ public class AzureOpenAIService : IAzureOpenAIService
         }
     }
 
+    /// <summary>
+    /// Generates a chat response as a stream of events for the streaming endpoint
+    /// </summary>
+    public async IAsyncEnumerable<ChatStreamEvent> StreamChatResponseAsync(
+        ChatRequest request,
+        [EnumeratorCancellation] CancellationToken cancellationToken = default)
+    {
+        _logger.LogInformation("Streaming chat response for message: {Message} (ReturnOnlyChunks: {ReturnOnlyChunks})",
+            request.Message, request.ReturnOnlyChunks);
+
+        // Retrieval happens first so the client can show sources while the answer is generated
+        var (relevantChunks, cachedAt) = await RetrieveChunksAsync(request);
+
+        yield return new ChatStreamEvent
+        {
+            Type = "sources",
+            Data = new { Sources = relevantChunks, FromCache = cachedAt != null, CachedAt = cachedAt }
+        };
+
+        var isMockResponse = false;
+        string? providerName = null;
+        string? model = null;
+
+        if (!request.ReturnOnlyChunks)
+        {
+            if (_isMockMode)
+            {
+                isMockResponse = true;
+                providerName = MockProviderName;
+                var mockResponse = GenerateMockChatResponse(request, relevantChunks).Response;
+
+                // Emit the mock answer word by word to mimic a real provider
+                foreach (var fragment in Regex.Split(mockResponse, @"(?<=\s)"))
+                {
+                    if (fragment.Length == 0)
+                    {
+                        continue;
+                    }
+
+                    await Task.Delay(20, cancellationToken);
+                    yield return new ChatStreamEvent { Type = "token", Data = new { Text = fragment } };
+                }
+            }
+            else
+            {
+                var messages = BuildChatMessages(request, relevantChunks);
+                var chatProvider = GetChatProvider(request);
+                providerName = chatProvider.GetCurrentProvider().ToString();
+                model = request.Model ?? chatProvider.GetModelForTask(AITaskType.Chat);
+
+                await foreach (var fragment in chatProvider.StreamChatCompletionAsync(
+                    messages,
+                    maxTokens: request.MaxTokens ?? DefaultChatMaxTokens,
+                    temperature: request.Temperature ?? DefaultChatTemperature,
+                    taskType: AITaskType.Chat,
+                    model: model,
+                    cancellationToken: cancellationToken))
+                {
+                    yield return new ChatStreamEvent { Type = "token", Data = new { Text = fragment } };
+                }
+            }
+        }
+
+        yield return new ChatStreamEvent
+        {
+            Type = "done",
+            Data = new { IsMockResponse = isMockResponse, Provider = providerName, Model = model }
+        };
+    }
+
+    /// <summary>
+    /// Retrieves the chunks of a chat request through the semantic cache: a cached search with
+    /// the same query and parameters is reused unless the request bypasses the cache.
+    /// CachedAt is set when the chunks come from the cache. Chunks of the fallback search are
+    /// not cached, so the query is searched again once vector search works.
+    /// </summary>
+    private async Task<(List<ChatSource> Sources, DateTime? CachedAt)> RetrieveChunksAsync(ChatRequest request)
+    {
+        if (request.BypassCache)
+        {
+            _semanticCache.RecordBypass();
+        }
+        else
+        {
+            var cached = await _semanticCache.TryGetSourcesAsync(
+                request.Message, request.MaxChunks, request.SimilarityThreshold, request.DetailsFilter);
+            if (cached != null)
+            {
+                return (cached.Sources, cached.CachedAt);
+            }
+        }
+
+        var (sources, fromFallback) = await SearchChunksAsync(
+            request.Message,
+            request.MaxChunks,
+            request.SimilarityThreshold,
+            request.DetailsFilter);
+
+        if (!fromFallback)
+        {
+            await _semanticCache.StoreSourcesAsync(
+                request.Message, request.MaxChunks, request.SimilarityThreshold, request.DetailsFilter, sources);
+        }
+
+        return (sources, null);
+    }
+
+    /// <summary>
+    /// Returns the provider that answers this request: the one requested by the client,
+    /// or the configured default. Embeddings always use the default provider.
+    /// </summary>
+    private IAIProviderService GetChatProvider(ChatRequest request)
+    {
+        if (request.Provider == null || request.Provider == _aiProvider.GetCurrentProvider())
+        {
+            return _aiProvider;
+        }
+
+        if (!_providerFactory.IsProviderConfigured(request.Provider.Value))
+        {
+            throw new InvalidOperationException($"Provider {request.Provider} is not configured");
+        }
+
+        return _providerFactory.CreateProvider(request.Provider);
+    }
+
+    /// <summary>
+    /// Builds the provider messages for a RAG answer: system prompt, conversation history
+    /// and the user question with the retrieved context
+    /// </summary>
+    private List<ChatMessage> BuildChatMessages(ChatRequest request, List<ChatSource> relevantChunks)
+    {
+        // Build context from relevant chunks
+        var context = BuildContextFromChunks(relevantChunks);
+
+        var history = BuildHistoryMessages(request.History);
+
+        var systemMessage = "You are a helpful assistant that answers questions based on the provided context. " +
+                           "If the context doesn't contain enough information to answer the question, say so clearly. " +
+                           "The context is split into numbered sources. After each statement, cite the sources that support it " +
+                           "with their number in square brackets, for example [1] or [2][3]. Only cite numbers that appear in the context.";
+
+        if (history.Any())
+        {
+            systemMessage += " Use the previous conversation turns only to understand what follow-up questions refer to.";
+        }
+
+        if (!string.IsNullOrWhiteSpace(request.ResponseLanguage))
+        {
+            systemMessage += $" Always answer in {GetLanguageName(request.ResponseLanguage)}, even when the question or the context is in another language.";
+        }
+
+        var userMessage = $"Context:\n{context}\n\nQuestion: {request.Message}";
+
+        var messages = new List<ChatMessage>
+        {
+            new ChatMessage { Role = "system", Content = systemMessage }
+        };
+        messages.AddRange(history);
+        messages.Add(new ChatMessage { Role = "user", Content = userMessage });
+
+        return messages;
+    }
+
+    /// <summary>
+    /// English name of a language tag for the prompt, e.g. "it" -> "Italian"; unknown tags are used as they are
+    /// </summary>
+    private static string GetLanguageName(string languageTag)
+    {
+        try
+        {
+            var culture = CultureInfo.GetCultureInfo(languageTag);
+            return culture.IsNeutralCulture ? culture.EnglishName : culture.Parent.EnglishName;
+        }
+        catch (CultureNotFoundException)
+        {
+            return languageTag;
+        }
+    }
+
     private byte[] GenerateMockEmbedding(string text)
     {
         // Generate a deterministic mock embedding based on text hash
@@ -212,7 +390,8 @@ public class AzureOpenAIService : IAzureOpenAIService
         return ConvertFloatArrayToByteArray(embedding);
     }
 
-    private async Task<List<ChatSource>> FindSimilarChunksMockAsync(string query, int maxResults, double similarityThreshold)
+    private async Task<List<ChatSource>> FindSimilarChunksMockAsync(string query, int maxResults, double similarityThreshold,
+        IReadOnlyDictionary<string, string>? detailsFilter)
     {
         // Extract meaningful keywords from query
         var keywords = ExtractKeywords(query);
@@ -238,6 +417,8 @@ public class AzureOpenAIService : IAzureOpenAIService
         var result = chunks.Select(c => new ChatSource
         {
             DocumentId = c.DocumentId,
+            ChunkId = c.Id,
+            ChunkIndex = c.ChunkIndex,
             DocumentName = c.Document.FileName,
             DocumentPath = c.Document.Path,
             Content = c.Content,
@@ -247,6 +428,7 @@ public class AzureOpenAIService : IAzureOpenAIService
             SimilarityScore = CalculateRelevanceScore(c, query, keywords)
         })
         .Where(c => c.SimilarityScore >= similarityThreshold)  // ← FIX: Apply threshold filter
+        .Where(c => MatchesDetailsFilter(c.Details, detailsFilter))
         .Take(maxResults)
         .ToList();
 
@@ -264,15 +446,15 @@ public class AzureOpenAIService : IAzureOpenAIService
 
         if (sources.Any())
         {
-            foreach (var source in sources.Take(2)) // Limit to 2 sources for mock
+            foreach (var (source, index) in sources.Take(2).Select((s, i) => (s, i))) // Limit to 2 sources for mock
             {
                 if (!string.IsNullOrEmpty(source.HeaderContext))
                 {
                     response.AppendLine($"**{source.HeaderContext}**");
                 }
-                response.AppendLine(source.Content.Length > 200
+                response.AppendLine((source.Content.Length > 200
                     ? source.Content[..200] + "..."
-                    : source.Content);
+                    : source.Content) + $" [{index + 1}]");
                 response.AppendLine($"*(Source: {source.DocumentName})*");
                 response.AppendLine();
             }
@@ -286,16 +468,49 @@ public class AzureOpenAIService : IAzureOpenAIService
         {
             Response = response.ToString(),
             Sources = sources,
-            IsMockResponse = true
+            IsMockResponse = true,
+            Provider = MockProviderName
         };
     }
 
+    /// <summary>
+    /// Converts the client-provided conversation history into provider chat messages,
+    /// dropping unknown roles and keeping only the most recent configured number of turns
+    /// </summary>
+    private List<ChatMessage> BuildHistoryMessages(List<ChatHistoryMessage>? history)
+    {
+        if (history == null || history.Count == 0)
+        {
+            return new List<ChatMessage>();
+        }
+
+        var ragSettings = _configuration.GetSection("RagSettings").Get<RagSettings>() ?? new RagSettings();
+        var maxMessages = Math.Max(ragSettings.MaxHistoryMessages, 0);
+
+        var messages = history
+            .Where(h => !string.IsNullOrWhiteSpace(h.Content))
+            .Where(h => h.Role == "user" || h.Role == "assistant")
+            .Select(h => new ChatMessage { Role = h.Role, Content = h.Content })
+            .ToList();
+
+        if (messages.Count > maxMessages)
+        {
+            messages = messages.Skip(messages.Count - maxMessages).ToList();
+        }
+
+        _logger.LogInformation("Including {Count} conversation history messages", messages.Count);
+        return messages;
+    }
+
     private string BuildContextFromChunks(List<ChatSource> chunks)
     {
         var context = new StringBuilder();
 
-        foreach (var chunk in chunks)
+        // Sources are numbered from 1 in the same order returned to the client,
+        // so [n] citations in the answer map to Sources[n - 1]
+        foreach (var (chunk, index) in chunks.Select((c, i) => (c, i)))
         {
+            context.AppendLine($"[{index + 1}]");
             if (!string.IsNullOrEmpty(chunk.HeaderContext))
             {
                 context.AppendLine($"Header: {chunk.HeaderContext}");
@@ -373,66 +588,8 @@ public class AzureOpenAIService : IAzureOpenAIService
         return keywords;
     }
 
-    /// <summary>
-    /// Calculate relevance score for a chunk based on query matching
-    /// </summary>
-    private async Task CleanSemanticCacheAsync()
-    {
-        var oneHourAgo = DateTime.UtcNow.AddHours(-1);
-        var oldEntries = await _context.SemanticCache
-            .Where(sc => sc.CreatedAt < oneHourAgo)
-            .ToListAsync();
-
-        if (oldEntries.Any())
-        {
-            _context.SemanticCache.RemoveRange(oldEntries);
-            await _context.SaveChangesAsync();
-            _logger.LogInformation("Cleaned {Count} old semantic cache entries", oldEntries.Count);
-        }
-    }
-
-    private async Task<ChatSource?> CheckSemanticCacheAsync(string query)
-    {
-        var cacheEntry = await _context.SemanticCache
-            .Where(sc => sc.SearchQuery == query)
-            .OrderByDescending(sc => sc.CreatedAt)
-            .FirstOrDefaultAsync();
-
-        if (cacheEntry != null)
-        {
-            return new ChatSource
-            {
-                Content = cacheEntry.ResultContent,
-                SimilarityScore = 1.0 // Cached results are considered perfect matches
-            };
-        }
-
-        return null;
-    }
-
-    private async Task CacheSemanticResultAsync(string query, ChatSource bestResult)
-    {
-        try
-        {
-            var embedding = await GenerateEmbeddingsAsync(bestResult.Content);
-            var cacheEntry = new SemanticCache
-            {
-                SearchQuery = query,
-                ResultContent = bestResult.Content,
-                ResultEmbedding = embedding,
-                CreatedAt = DateTime.UtcNow
-            };
-
-            _context.SemanticCache.Add(cacheEntry);
-            await _context.SaveChangesAsync();
-        }
-        catch (Exception ex)
-        {
-            _logger.LogWarning(ex, "Failed to cache semantic result for query: {Query}", query);
-        }
-    }
-
-    private async Task<List<ChatSource>> PerformMultiFieldVectorSearchAsync(byte[] queryEmbedding, int maxResults, double similarityThreshold)
+    private async Task<(List<ChatSource> Sources, bool FromFallback)> PerformMultiFieldVectorSearchAsync(byte[] queryEmbedding, int maxResults, double similarityThreshold,
+        IReadOnlyDictionary<string, string>? detailsFilter)
     {
         try
         {
@@ -507,9 +664,10 @@ public class AzureOpenAIService : IAzureOpenAIService
 
             var computeTime = stopwatch.ElapsedMilliseconds - loadTime;
 
-            // Filter by similarity threshold FIRST, then sort and take top results
+            // Filter by similarity threshold and Details FIRST, then sort and take top results
             var topChunks = scoredChunks
                 .Where(x => x.score >= similarityThreshold)
+                .Where(x => MatchesDetailsFilter(x.chunk.Details, detailsFilter))
                 .OrderByDescending(x => x.score)
                 .Take(maxResults)
                 .ToList();
@@ -528,9 +686,11 @@ public class AzureOpenAIService : IAzureOpenAIService
                 computeTime,
                 stopwatch.ElapsedMilliseconds);
 
-            return topChunks.Select(x => new ChatSource
+            var sources = topChunks.Select(x => new ChatSource
             {
                 DocumentId = x.chunk.DocumentId,
+                ChunkId = x.chunk.Id,
+                ChunkIndex = x.chunk.ChunkIndex,
                 DocumentName = x.docName,
                 DocumentPath = x.docPath,
                 Content = x.chunk.Content,
@@ -539,27 +699,47 @@ public class AzureOpenAIService : IAzureOpenAIService
                 Details = x.chunk.Details,
                 SimilarityScore = x.score
             }).ToList();
+
+            return (sources, false);
         }
         catch (Exception ex)
         {
             _logger.LogError(ex, "Error in vector search, falling back to text search");
-            return await FallbackTextSearchAsync(maxResults);
+            return (await FallbackTextSearchAsync(maxResults, detailsFilter), true);
         }
     }
 
-    private async Task<List<ChatSource>> FallbackTextSearchAsync(int maxResults)
+    private async Task<List<ChatSource>> FallbackTextSearchAsync(int maxResults, IReadOnlyDictionary<string, string>? detailsFilter)
     {
-        // Simplified fallback search using existing logic
-        var chunks = await _context.DocumentChunks
+        // Simplified fallback search using existing logic; the Details filter still applies
+        // because it is checked in memory, the first matching chunks are kept
+        var chunks = new List<DocumentChunk>();
+        var candidates = _context.DocumentChunks
+            .AsNoTracking()
             .Include(c => c.Document)
             .OrderBy(c => c.DocumentId)
             .ThenBy(c => c.ChunkIndex)
-            .Take(maxResults)
-            .ToListAsync();
+            .AsAsyncEnumerable();
+
+        await foreach (var chunk in candidates)
+        {
+            if (!MatchesDetailsFilter(chunk.Details, detailsFilter))
+            {
+                continue;
+            }
+
+            chunks.Add(chunk);
+            if (chunks.Count >= maxResults)
+            {
+                break;
+            }
+        }
 
         return chunks.Select(c => new ChatSource
         {
             DocumentId = c.DocumentId,
+            ChunkId = c.Id,
+            ChunkIndex = c.ChunkIndex,
             DocumentName = c.Document.FileName,
             DocumentPath = c.Document.Path,
             Content = c.Content,
@@ -570,6 +750,64 @@ public class AzureOpenAIService : IAzureOpenAIService
         }).ToList();
     }
 
+    /// <summary>
+    /// Checks a chunk's Details JSON against the requested filter: every key must match a string
+    /// or scalar property with the same value, or an array property containing it (case-insensitive)
+    /// </summary>
+    private static bool MatchesDetailsFilter(string? details, IReadOnlyDictionary<string, string>? detailsFilter)
+    {
+        if (detailsFilter == null || detailsFilter.Count == 0)
+        {
+            return true;
+        }
+
+        if (string.IsNullOrWhiteSpace(details))
+        {
+            return false;
+        }
+
+        JsonElement root;
+        try
+        {
+            using var document = JsonDocument.Parse(details);
+            root = document.RootElement.Clone();
+        }
+        catch (JsonException)
+        {
+            return false;
+        }
+
+        if (root.ValueKind != JsonValueKind.Object)
+        {
+            return false;
+        }
+
+        foreach (var (key, expected) in detailsFilter)
+        {
+            var property = root.EnumerateObject()
+                .FirstOrDefault(p => string.Equals(p.Name, key, StringComparison.OrdinalIgnoreCase));
+
+            if (property.Value.ValueKind == JsonValueKind.Undefined)
+            {
+                return false;
+            }
+
+            IEnumerable<JsonElement> values = property.Value.ValueKind == JsonValueKind.Array
+                ? property.Value.EnumerateArray()
+                : Enumerable.Repeat(property.Value, 1);
+
+            if (!values.Any(v => string.Equals(
+                    v.ValueKind == JsonValueKind.String ? v.GetString() : v.GetRawText(),
+                    expected.Trim(),
+                    StringComparison.OrdinalIgnoreCase)))
+            {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
     private double CalculateRelevanceScore(DocumentChunk chunk, string originalQuery, List<string> keywords)
     {
         double score = 0.5; // Base score
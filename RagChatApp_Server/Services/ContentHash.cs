@@ -0,0 +1,21 @@
+using System.Security.Cryptography;
+using System.Text;
+
+namespace RagChatApp_Server.Services;
+
+/// <summary>
+/// SHA-256 content hashes (lowercase hex) used to detect duplicate documents: uploads are
+/// hashed from the original file, indexed text and web pages from their UTF-8 text
+/// </summary>
+public static class ContentHash
+{
+    public static string Compute(string text)
+    {
+        return Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(text))).ToLowerInvariant();
+    }
+
+    public static async Task<string> ComputeAsync(Stream stream, CancellationToken cancellationToken = default)
+    {
+        return Convert.ToHexString(await SHA256.HashDataAsync(stream, cancellationToken)).ToLowerInvariant();
+    }
+}
@@ -0,0 +1,90 @@
+using Microsoft.EntityFrameworkCore;
+using RagChatApp_Server.Data;
+
+namespace RagChatApp_Server.Services;
+
+/// <summary>
+/// Computes, once after startup, the content hash of the documents indexed before duplicate
+/// detection existed. Documents are read in small batches and only the text of indexed text
+/// and web pages is loaded, so the content of every document is never held at once.
+/// </summary>
+public class ContentHashBackfillService : BackgroundService
+{
+    private const int BatchSize = 50;
+
+    private readonly IServiceScopeFactory _serviceScopeFactory;
+    private readonly ILogger<ContentHashBackfillService> _logger;
+
+    public ContentHashBackfillService(IServiceScopeFactory serviceScopeFactory, ILogger<ContentHashBackfillService> logger)
+    {
+        _serviceScopeFactory = serviceScopeFactory;
+        _logger = logger;
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        using var scope = _serviceScopeFactory.CreateScope();
+        var context = scope.ServiceProvider.GetRequiredService<RagChatDbContext>();
+
+        try
+        {
+            var hashed = 0;
+            var lastId = 0;
+            while (true)
+            {
+                var batch = await context.Documents
+                    .Where(d => d.ContentHash == null && d.Id > lastId)
+                    .OrderBy(d => d.Id)
+                    .Select(d => new { d.Id, d.Path, d.ContentType })
+                    .Take(BatchSize)
+                    .ToListAsync(stoppingToken);
+
+                if (batch.Count == 0)
+                {
+                    break;
+                }
+                lastId = batch[^1].Id;
+
+                foreach (var document in batch)
+                {
+                    string hash;
+                    if (document.Path == null || document.ContentType == "text/html")
+                    {
+                        // Indexed text and web pages have no stored file
+                        var content = await context.Documents
+                            .Where(d => d.Id == document.Id)
+                            .Select(d => d.Content)
+                            .FirstAsync(stoppingToken);
+                        hash = ContentHash.Compute(content);
+                    }
+                    else if (File.Exists(document.Path))
+                    {
+                        await using var stream = File.OpenRead(document.Path);
+                        hash = await ContentHash.ComputeAsync(stream, stoppingToken);
+                    }
+                    else
+                    {
+                        continue; // The uploaded file is gone; the document is never reported as a duplicate
+                    }
+
+                    hashed += await context.Documents
+                        .Where(d => d.Id == document.Id && d.ContentHash == null)
+                        .ExecuteUpdateAsync(s => s.SetProperty(d => d.ContentHash, hash), stoppingToken);
+                }
+            }
+
+            if (hashed > 0)
+            {
+                _logger.LogInformation("Computed missing content hashes for {Count} documents", hashed);
+            }
+        }
+        catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+        {
+            // Shutting down; the remaining documents are hashed at the next start
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error computing missing content hashes");
+        }
+    }
+}
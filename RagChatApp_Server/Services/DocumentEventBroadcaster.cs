@@ -0,0 +1,106 @@
+using System.Collections.Concurrent;
+using System.Threading.Channels;
+using RagChatApp_Server.DTOs;
+
+namespace RagChatApp_Server.Services;
+
+/// <summary>
+/// Fans document lifecycle events out to the connected event streams.
+/// Registered as a singleton because processing runs in background scopes.
+/// </summary>
+public class DocumentEventBroadcaster
+{
+    // A client that stops reading loses its oldest events instead of slowing processing down
+    private const int SubscriberBufferSize = 256;
+
+    // Embedding progress of the same field is sent at most this often per document; stage
+    // changes and the first progress of every field always are. The replayed snapshot
+    // is kept up to date either way.
+    private static readonly TimeSpan ProgressInterval = TimeSpan.FromMilliseconds(250);
+
+    private readonly ConcurrentDictionary<Guid, Channel<DocumentProcessingEvent>> _subscribers = new();
+    private readonly ConcurrentDictionary<int, DocumentProcessingEvent> _inProgress = new();
+    private readonly ConcurrentDictionary<(int DocumentId, string? Field), DateTime> _progressSentAt = new();
+
+    /// <summary>
+    /// Send an event to every subscriber
+    /// </summary>
+    public void Publish(DocumentProcessingEvent documentEvent)
+    {
+        if (documentEvent.Stage is DocumentProcessingStages.Completed or DocumentProcessingStages.Failed)
+        {
+            Forget(documentEvent.DocumentId);
+        }
+        else
+        {
+            _inProgress[documentEvent.DocumentId] = documentEvent;
+        }
+
+        if (documentEvent.Stage == DocumentProcessingStages.Embedding)
+        {
+            var progressKey = (documentEvent.DocumentId, documentEvent.Field);
+            if (_progressSentAt.TryGetValue(progressKey, out var sentAt)
+                && documentEvent.Timestamp - sentAt < ProgressInterval)
+            {
+                return;
+            }
+            _progressSentAt[progressKey] = documentEvent.Timestamp;
+        }
+
+        foreach (var channel in _subscribers.Values)
+        {
+            channel.Writer.TryWrite(documentEvent);
+        }
+    }
+
+    /// <summary>
+    /// Stop replaying the progress of a document deleted while it was being processed
+    /// </summary>
+    public void Forget(int documentId)
+    {
+        _inProgress.TryRemove(documentId, out _);
+        foreach (var progressKey in _progressSentAt.Keys.Where(k => k.DocumentId == documentId))
+        {
+            _progressSentAt.TryRemove(progressKey, out _);
+        }
+    }
+
+    /// <summary>
+    /// Start receiving events. The latest event of every document still being processed
+    /// is delivered first, so a client that (re)connects sees the current progress.
+    /// </summary>
+    /// <returns>Reader of the events and the handle that ends the subscription</returns>
+    public (ChannelReader<DocumentProcessingEvent> Reader, IDisposable Subscription) Subscribe()
+    {
+        var channel = Channel.CreateBounded<DocumentProcessingEvent>(new BoundedChannelOptions(SubscriberBufferSize)
+        {
+            FullMode = BoundedChannelFullMode.DropOldest,
+            SingleReader = true
+        });
+
+        var id = Guid.NewGuid();
+        _subscribers[id] = channel;
+
+        foreach (var documentEvent in _inProgress.Values.OrderBy(e => e.Timestamp))
+        {
+            channel.Writer.TryWrite(documentEvent);
+        }
+
+        return (channel.Reader, new Subscription(() =>
+        {
+            if (_subscribers.TryRemove(id, out var removed))
+            {
+                removed.Writer.TryComplete();
+            }
+        }));
+    }
+
+    private sealed class Subscription : IDisposable
+    {
+        private Action? _unsubscribe;
+
+        public Subscription(Action unsubscribe) => _unsubscribe = unsubscribe;
+
+        public void Dispose() => Interlocked.Exchange(ref _unsubscribe, null)?.Invoke();
+    }
+}
@@ -12,10 +12,16 @@ namespace RagChatApp_Server.Services;
 /// </summary>
 public class DocumentProcessingService : IDocumentProcessingService
 {
+    private const string HeaderCandidateMarker = "[HEADER_CANDIDATE]";
+    private const int LocatePrefixLength = 200;  // Compared characters when the whole chunk does not match
+    private const int PagePrefixLength = 60;     // Compared characters when looking for the page of a chunk
+
     private readonly ILogger<DocumentProcessingService> _logger;
     private readonly HashSet<string> _supportedTypes = new()
     {
         "text/plain",
+        "text/markdown",
+        "text/x-markdown",
         "application/pdf",
         "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
         "application/msword"
@@ -38,7 +44,7 @@ public class DocumentProcessingService : IDocumentProcessingService
         {
             return file.ContentType.ToLower() switch
             {
-                "text/plain" => await ExtractFromTextFileAsync(file),
+                "text/plain" or "text/markdown" or "text/x-markdown" => await ExtractFromTextFileAsync(file),
                 "application/pdf" => await ExtractFromPdfAsync(file),
                 "application/vnd.openxmlformats-officedocument.wordprocessingml.document" => await ExtractFromDocxAsync(file),
                 "application/msword" => await ExtractFromDocAsync(file), // Legacy Word format (.doc)
@@ -65,8 +71,9 @@ public class DocumentProcessingService : IDocumentProcessingService
 
         _logger.LogInformation("File extension detected: {Extension}", extension);
 
-        // For markdown and text files, try to use header-based chunking
-        if (extension == ".md" || extension == ".txt")
+        // For markdown and text files, and web pages whose headings were extracted as
+        // markdown headers, try to use header-based chunking
+        if (extension == ".md" || extension == ".txt" || extension == ".html")
         {
             var sections = SplitByHeaders(content);
             _logger.LogInformation("Split into {SectionCount} sections for header-based chunking", sections.Count);
@@ -130,6 +137,90 @@ public class DocumentProcessingService : IDocumentProcessingService
         return _supportedTypes.Contains(contentType.ToLower());
     }
 
+    public (int Start, int Length)? LocateChunk(string content, string chunkContent)
+    {
+        var (text, positions) = StripForComparison(content);
+        var (chunk, _) = StripForComparison(chunkContent);
+        if (chunk.Length == 0)
+        {
+            return null;
+        }
+
+        var start = text.IndexOf(chunk, StringComparison.Ordinal);
+        var length = chunk.Length;
+        if (start < 0)
+        {
+            // Chunks spanning a removed header line only match at their beginning
+            start = text.IndexOf(chunk[..Math.Min(chunk.Length, LocatePrefixLength)], StringComparison.Ordinal);
+            if (start < 0)
+            {
+                return null;
+            }
+            length = Math.Min(chunk.Length, text.Length - start);
+        }
+
+        var first = positions[start];
+        var last = positions[start + length - 1];
+        return (first, last - first + 1);
+    }
+
+    public int? FindPdfPage(string filePath, string chunkContent)
+    {
+        var (chunk, _) = StripForComparison(chunkContent);
+        if (chunk.Length == 0 || !File.Exists(filePath))
+        {
+            return null;
+        }
+
+        var prefix = chunk[..Math.Min(chunk.Length, PagePrefixLength)];
+
+        try
+        {
+            using var document = PdfDocument.Open(filePath);
+            foreach (var page in document.GetPages())
+            {
+                // Words as extracted for the content, so spacing differences do not matter
+                var (pageText, _) = StripForComparison(string.Concat(page.GetWords().Select(w => w.Text)));
+                if (pageText.Contains(prefix, StringComparison.Ordinal))
+                {
+                    return page.Number;
+                }
+            }
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Could not search the pages of PDF: {FilePath}", filePath);
+        }
+
+        return null;
+    }
+
+    /// <summary>
+    /// Removes whitespace and header markers, keeping for every remaining character
+    /// its position in the original text
+    /// </summary>
+    private static (string Text, List<int> Positions) StripForComparison(string text)
+    {
+        var stripped = new StringBuilder(text.Length);
+        var positions = new List<int>(text.Length);
+
+        for (var i = 0; i < text.Length; i++)
+        {
+            if (string.CompareOrdinal(text, i, HeaderCandidateMarker, 0, HeaderCandidateMarker.Length) == 0)
+            {
+                i += HeaderCandidateMarker.Length - 1;
+                continue;
+            }
+            if (!char.IsWhiteSpace(text[i]))
+            {
+                stripped.Append(text[i]);
+                positions.Add(i);
+            }
+        }
+
+        return (stripped.ToString(), positions);
+    }
+
     private async Task<string> ExtractFromTextFileAsync(IFormFile file)
     {
         using var reader = new StreamReader(file.OpenReadStream(), Encoding.UTF8);
@@ -21,8 +21,10 @@ public interface IAzureOpenAIService
     /// <param name="query">The search query</param>
     /// <param name="maxResults">Maximum number of results to return</param>
     /// <param name="similarityThreshold">Minimum similarity threshold</param>
+    /// <param name="detailsFilter">Optional Details values every returned chunk must match</param>
     /// <returns>List of relevant document chunks with similarity scores</returns>
-    Task<List<ChatSource>> FindSimilarChunksAsync(string query, int maxResults = 5, double similarityThreshold = 0.7);
+    Task<List<ChatSource>> FindSimilarChunksAsync(string query, int maxResults = 5, double similarityThreshold = 0.7,
+        IReadOnlyDictionary<string, string>? detailsFilter = null);
 
     /// <summary>
     /// Generates a chat response using RAG (Retrieval-Augmented Generation)
@@ -31,6 +33,15 @@ public interface IAzureOpenAIService
     /// <returns>AI-generated response with sources</returns>
     Task<ChatResponse> GenerateChatResponseAsync(ChatRequest request);
 
+    /// <summary>
+    /// Generates a chat response as a stream of events: the retrieved sources first,
+    /// then the answer text fragments, then a final "done" event
+    /// </summary>
+    /// <param name="request">Chat request with user message and parameters</param>
+    /// <param name="cancellationToken">Cancellation token, triggered when the client disconnects</param>
+    /// <returns>Stream of chat events</returns>
+    IAsyncEnumerable<ChatStreamEvent> StreamChatResponseAsync(ChatRequest request, CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Gets whether the service is running in mock mode
     /// </summary>
@@ -31,4 +31,21 @@ public interface IDocumentProcessingService
     /// <param name="contentType">The MIME type of the file</param>
     /// <returns>True if supported, false otherwise</returns>
     bool IsSupportedFileType(string contentType);
+
+    /// <summary>
+    /// Finds the text of a chunk in the content of its document, ignoring the whitespace
+    /// and header markers that chunking removes or rearranges
+    /// </summary>
+    /// <param name="content">The document content</param>
+    /// <param name="chunkContent">The chunk content</param>
+    /// <returns>Start and length of the chunk in the content, or null if it is not found</returns>
+    (int Start, int Length)? LocateChunk(string content, string chunkContent);
+
+    /// <summary>
+    /// Finds the page of a PDF file where a chunk begins
+    /// </summary>
+    /// <param name="filePath">Path of the stored PDF file</param>
+    /// <param name="chunkContent">The chunk content</param>
+    /// <returns>1-based page number, or null if the file or the text is not found</returns>
+    int? FindPdfPage(string filePath, string chunkContent);
 }
\ No newline at end of file
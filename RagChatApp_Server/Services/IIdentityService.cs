@@ -0,0 +1,60 @@
+using System.Security.Claims;
+using Microsoft.IdentityModel.Tokens;
+using RagChatApp_Server.Models;
+
+namespace RagChatApp_Server.Services;
+
+/// <summary>
+/// Signs users in against the local identity store and issues their tokens
+/// </summary>
+public interface IIdentityService
+{
+    /// <summary>
+    /// Checks a username and password
+    /// </summary>
+    /// <param name="username">Sign-in name, case-insensitive</param>
+    /// <param name="password">Plain password</param>
+    /// <returns>The user, or null when the credentials are wrong</returns>
+    LocalUser? ValidateCredentials(string username, string password);
+
+    /// <summary>
+    /// Finds the user an API key acts as
+    /// </summary>
+    /// <param name="apiKey">Value of the X-Api-Key header</param>
+    /// <returns>The user, or null when the key is unknown</returns>
+    LocalUser? FindByApiKey(string apiKey);
+
+    /// <summary>
+    /// Issues a signed JWT for a user
+    /// </summary>
+    /// <param name="user">Signed-in user</param>
+    /// <returns>The token and its expiry</returns>
+    IdentityToken CreateToken(LocalUser user);
+
+    /// <summary>
+    /// Parameters the JWT bearer handler uses to validate the issued tokens
+    /// </summary>
+    TokenValidationParameters GetValidationParameters();
+
+    /// <summary>
+    /// Claims of a user, shared by tokens and API keys
+    /// </summary>
+    /// <param name="user">Signed-in user</param>
+    List<Claim> CreateClaims(LocalUser user);
+}
+
+/// <summary>
+/// A token issued at sign-in
+/// </summary>
+public class IdentityToken
+{
+    /// <summary>
+    /// Signed JWT to send as "Authorization: Bearer &lt;token&gt;"
+    /// </summary>
+    public string Token { get; set; } = string.Empty;
+
+    /// <summary>
+    /// When the token stops being accepted
+    /// </summary>
+    public DateTime ExpiresAt { get; set; }
+}
@@ -0,0 +1,79 @@
+using RagChatApp_Server.DTOs;
+
+namespace RagChatApp_Server.Services;
+
+/// <summary>
+/// Semantic cache of retrieval results: lookup and storage for chat requests,
+/// plus the statistics, search and purge operations of the management API
+/// </summary>
+public interface ISemanticCacheService
+{
+    /// <summary>
+    /// Returns the cached sources of a search with the same query and parameters, if not expired
+    /// </summary>
+    /// <param name="query">The search query</param>
+    /// <param name="maxResults">Maximum number of results requested</param>
+    /// <param name="similarityThreshold">Minimum similarity threshold requested</param>
+    /// <param name="detailsFilter">Details filter requested</param>
+    /// <returns>The cached sources and their creation date, or null on a miss</returns>
+    Task<SemanticCacheHit?> TryGetSourcesAsync(string query, int maxResults, double similarityThreshold,
+        IReadOnlyDictionary<string, string>? detailsFilter);
+
+    /// <summary>
+    /// Stores the sources of a search and removes expired entries. Failures are logged, not thrown.
+    /// </summary>
+    Task StoreSourcesAsync(string query, int maxResults, double similarityThreshold,
+        IReadOnlyDictionary<string, string>? detailsFilter, List<ChatSource> sources);
+
+    /// <summary>
+    /// Counts a request that skipped the cache
+    /// </summary>
+    void RecordBypass();
+
+    /// <summary>
+    /// Gets the cache statistics (SP_GetSemanticCacheStats plus hit rate and age distribution)
+    /// </summary>
+    Task<SemanticCacheStatsResponse> GetStatsAsync();
+
+    /// <summary>
+    /// Lists the newest entries, or searches them with SP_SearchSemanticCache when a query is given
+    /// </summary>
+    /// <param name="search">Text to search, null or empty to list the newest entries</param>
+    /// <param name="exactMatch">Exact query match instead of a contains match</param>
+    /// <param name="maxAgeHours">Only entries younger than this are returned</param>
+    Task<List<SemanticCacheEntryResponse>> GetEntriesAsync(string? search, bool exactMatch, int maxAgeHours);
+
+    /// <summary>
+    /// Deletes the entries older than the given age with SP_CleanSemanticCache
+    /// </summary>
+    /// <returns>Number of deleted entries</returns>
+    Task<int> CleanAsync(int maxAgeHours);
+
+    /// <summary>
+    /// Deletes the entries whose cached sources include a chunk of the document
+    /// </summary>
+    /// <returns>Number of deleted entries</returns>
+    Task<int> PurgeDocumentAsync(int documentId);
+
+    /// <summary>
+    /// Deletes a single entry
+    /// </summary>
+    /// <returns>Number of deleted entries (0 when not found)</returns>
+    Task<int> DeleteEntryAsync(int id);
+}
+
+/// <summary>
+/// Sources served from the semantic cache
+/// </summary>
+public class SemanticCacheHit
+{
+    /// <summary>
+    /// The cached sources
+    /// </summary>
+    public List<ChatSource> Sources { get; set; } = new();
+
+    /// <summary>
+    /// When the sources were cached (UTC)
+    /// </summary>
+    public DateTime CachedAt { get; set; }
+}
\ No newline at end of file
@@ -0,0 +1,61 @@
+namespace RagChatApp_Server.Services;
+
+/// <summary>
+/// Downloads web pages and sitemaps for indexing
+/// </summary>
+public interface IWebPageService
+{
+    /// <summary>
+    /// Downloads a page and extracts its readable content, with the HTML headings
+    /// converted to markdown headers so chunks get a meaningful header context
+    /// </summary>
+    /// <param name="url">Absolute http or https URL</param>
+    /// <returns>The page title and extracted content</returns>
+    /// <exception cref="WebPageImportException">The URL is invalid, unreachable or has no readable content</exception>
+    Task<WebPageContent> FetchPageAsync(string url);
+
+    /// <summary>
+    /// Downloads a sitemap and lists its page URLs; the sitemaps of a sitemap index are followed one level deep
+    /// </summary>
+    /// <param name="url">Absolute http or https URL of the sitemap</param>
+    /// <returns>Distinct page URLs, at most WebImport:MaxSitemapUrls</returns>
+    /// <exception cref="WebPageImportException">The URL is invalid, unreachable or not a sitemap</exception>
+    Task<List<string>> GetSitemapUrlsAsync(string url);
+}
+
+/// <summary>
+/// Readable content extracted from a web page
+/// </summary>
+public class WebPageContent
+{
+    /// <summary>
+    /// The requested URL without fragment
+    /// </summary>
+    public string Url { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Page title from &lt;title&gt;, the first heading or the URL
+    /// </summary>
+    public string Title { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Extracted text with markdown headers (# to ######)
+    /// </summary>
+    public string Content { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Number of headings found in the content
+    /// </summary>
+    public int HeadingCount { get; set; }
+}
+
+/// <summary>
+/// A page or sitemap that cannot be imported; the message is returned to the client
+/// </summary>
+public class WebPageImportException : Exception
+{
+    public WebPageImportException(string message, Exception? innerException = null)
+        : base(message, innerException)
+    {
+    }
+}
@@ -22,12 +22,32 @@ public interface IAIProviderService
     /// <param name="maxTokens">Maximum tokens for response</param>
     /// <param name="temperature">Temperature for response randomness</param>
     /// <param name="taskType">Type of AI task for provider selection</param>
+    /// <param name="model">Model (or Azure OpenAI deployment) to use instead of the one configured for the task</param>
     /// <returns>Chat completion response</returns>
     Task<string> GenerateChatCompletionAsync(
         List<ChatMessage> messages,
         int? maxTokens = null,
         float temperature = 0.1f,
-        AITaskType taskType = AITaskType.Chat);
+        AITaskType taskType = AITaskType.Chat,
+        string? model = null);
+
+    /// <summary>
+    /// Generate chat completion as a stream of text fragments
+    /// </summary>
+    /// <param name="messages">Chat messages</param>
+    /// <param name="maxTokens">Maximum tokens for response</param>
+    /// <param name="temperature">Temperature for response randomness</param>
+    /// <param name="taskType">Type of AI task for provider selection</param>
+    /// <param name="model">Model (or Azure OpenAI deployment) to use instead of the one configured for the task</param>
+    /// <param name="cancellationToken">Cancellation token, triggered when the client disconnects</param>
+    /// <returns>Text fragments in the order produced by the model</returns>
+    IAsyncEnumerable<string> StreamChatCompletionAsync(
+        List<ChatMessage> messages,
+        int? maxTokens = null,
+        float temperature = 0.1f,
+        AITaskType taskType = AITaskType.Chat,
+        string? model = null,
+        CancellationToken cancellationToken = default);
 
     /// <summary>
     /// Get the model name for a specific task type
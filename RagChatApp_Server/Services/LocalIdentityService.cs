@@ -0,0 +1,158 @@
+using System.Security.Claims;
+using System.Security.Cryptography;
+using System.Text;
+using Microsoft.Extensions.Options;
+using Microsoft.IdentityModel.JsonWebTokens;
+using Microsoft.IdentityModel.Tokens;
+using RagChatApp_Server.Models;
+
+namespace RagChatApp_Server.Services;
+
+/// <summary>
+/// Identity store backed by the Auth section of the configuration. Passwords are
+/// stored as PBKDF2-SHA256 hashes; tokens are HS256 JWTs signed with Auth:JwtSigningKey.
+/// Nothing external is needed, which also makes it the test identity provider for development.
+/// </summary>
+public class LocalIdentityService : IIdentityService
+{
+    /// <summary>
+    /// Claim holding the username, used as the name of the signed-in user
+    /// </summary>
+    public const string NameClaimType = "sub";
+
+    /// <summary>
+    /// Claim holding the role (Admin or User)
+    /// </summary>
+    public const string RoleClaimType = "role";
+
+    /// <summary>
+    /// Claim holding the name shown in the UI
+    /// </summary>
+    public const string DisplayNameClaimType = "name";
+
+    private const string HashPrefix = "PBKDF2";
+    private const int HashIterations = 100_000;
+    private const int SaltBytes = 16;
+    private const int HashBytes = 32;
+
+    private readonly AuthSettings _settings;
+    private readonly SymmetricSecurityKey _signingKey;
+    private readonly ILogger<LocalIdentityService> _logger;
+
+    public LocalIdentityService(IOptions<AuthSettings> settings, ILogger<LocalIdentityService> logger)
+    {
+        _settings = settings.Value;
+        _signingKey = new SymmetricSecurityKey(Encoding.UTF8.GetBytes(_settings.JwtSigningKey));
+        _logger = logger;
+    }
+
+    public LocalUser? ValidateCredentials(string username, string password)
+    {
+        var user = FindUser(username);
+        if (user == null || !VerifyPassword(password, user.PasswordHash))
+        {
+            _logger.LogWarning("Failed sign-in for user {Username}", username);
+            return null;
+        }
+
+        return user;
+    }
+
+    public LocalUser? FindByApiKey(string apiKey)
+    {
+        var key = Encoding.UTF8.GetBytes(apiKey);
+        var credential = _settings.ApiKeys.FirstOrDefault(k =>
+            !string.IsNullOrEmpty(k.Key) && CryptographicOperations.FixedTimeEquals(Encoding.UTF8.GetBytes(k.Key), key));
+        if (credential == null)
+        {
+            return null;
+        }
+
+        var user = FindUser(credential.Username);
+        if (user == null)
+        {
+            _logger.LogWarning("API key {Name} refers to the unknown user {Username}", credential.Name, credential.Username);
+        }
+        return user;
+    }
+
+    public IdentityToken CreateToken(LocalUser user)
+    {
+        var expiresAt = DateTime.UtcNow.AddMinutes(_settings.TokenLifetimeMinutes);
+        var token = new JsonWebTokenHandler().CreateToken(new SecurityTokenDescriptor
+        {
+            Issuer = _settings.Issuer,
+            Audience = _settings.Audience,
+            Subject = new ClaimsIdentity(CreateClaims(user)),
+            Expires = expiresAt,
+            SigningCredentials = new SigningCredentials(_signingKey, SecurityAlgorithms.HmacSha256)
+        });
+
+        return new IdentityToken { Token = token, ExpiresAt = expiresAt };
+    }
+
+    public TokenValidationParameters GetValidationParameters()
+    {
+        return new TokenValidationParameters
+        {
+            ValidIssuer = _settings.Issuer,
+            ValidAudience = _settings.Audience,
+            IssuerSigningKey = _signingKey,
+            ValidateIssuerSigningKey = true,
+            NameClaimType = NameClaimType,
+            RoleClaimType = RoleClaimType,
+            ClockSkew = TimeSpan.FromMinutes(1)
+        };
+    }
+
+    public List<Claim> CreateClaims(LocalUser user)
+    {
+        return new List<Claim>
+        {
+            new(NameClaimType, user.Username),
+            new(DisplayNameClaimType, string.IsNullOrWhiteSpace(user.DisplayName) ? user.Username : user.DisplayName),
+            new(RoleClaimType, user.Role)
+        };
+    }
+
+    /// <summary>
+    /// Hashes a password for the PasswordHash of a user in the Auth:Users configuration
+    /// </summary>
+    /// <param name="password">Plain password</param>
+    /// <returns>PBKDF2$iterations$salt$hash, with salt and hash in base64</returns>
+    public static string HashPassword(string password)
+    {
+        var salt = RandomNumberGenerator.GetBytes(SaltBytes);
+        var hash = Rfc2898DeriveBytes.Pbkdf2(password, salt, HashIterations, HashAlgorithmName.SHA256, HashBytes);
+        return $"{HashPrefix}${HashIterations}${Convert.ToBase64String(salt)}${Convert.ToBase64String(hash)}";
+    }
+
+    private LocalUser? FindUser(string username)
+    {
+        return _settings.Users.FirstOrDefault(u => string.Equals(u.Username, username, StringComparison.OrdinalIgnoreCase));
+    }
+
+    private static bool VerifyPassword(string password, string passwordHash)
+    {
+        var parts = passwordHash.Split('$');
+        if (parts.Length != 4 || parts[0] != HashPrefix || !int.TryParse(parts[1], out var iterations))
+        {
+            return false;
+        }
+
+        byte[] salt;
+        byte[] expected;
+        try
+        {
+            salt = Convert.FromBase64String(parts[2]);
+            expected = Convert.FromBase64String(parts[3]);
+        }
+        catch (FormatException)
+        {
+            return false;
+        }
+
+        var actual = Rfc2898DeriveBytes.Pbkdf2(password, salt, iterations, HashAlgorithmName.SHA256, expected.Length);
+        return CryptographicOperations.FixedTimeEquals(actual, expected);
+    }
+}
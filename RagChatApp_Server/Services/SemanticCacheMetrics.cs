@@ -0,0 +1,29 @@
+namespace RagChatApp_Server.Services;
+
+/// <summary>
+/// Semantic cache hit, miss and bypass counters since the application started.
+/// Registered as a singleton because the cache service itself is scoped.
+/// </summary>
+public class SemanticCacheMetrics
+{
+    private long _hits;
+    private long _misses;
+    private long _bypasses;
+
+    /// <summary>
+    /// When the counters started (UTC)
+    /// </summary>
+    public DateTime Since { get; } = DateTime.UtcNow;
+
+    public long Hits => Interlocked.Read(ref _hits);
+
+    public long Misses => Interlocked.Read(ref _misses);
+
+    public long Bypasses => Interlocked.Read(ref _bypasses);
+
+    public void RecordHit() => Interlocked.Increment(ref _hits);
+
+    public void RecordMiss() => Interlocked.Increment(ref _misses);
+
+    public void RecordBypass() => Interlocked.Increment(ref _bypasses);
+}
\ No newline at end of file
@@ -0,0 +1,440 @@
+using System.Data;
+using System.Data.Common;
+using System.Globalization;
+using System.Text.Json;
+using Microsoft.EntityFrameworkCore;
+using RagChatApp_Server.Data;
+using RagChatApp_Server.DTOs;
+using RagChatApp_Server.Models;
+
+namespace RagChatApp_Server.Services;
+
+/// <summary>
+/// Semantic cache backed by the SemanticCache table. Each entry stores the whole
+/// source list of a search together with the parameters it was retrieved with,
+/// so a cached result is only reused for the same query, MaxChunks, threshold and filter.
+/// </summary>
+public class SemanticCacheService : ISemanticCacheService
+{
+    private const int MaxQueryLength = 1000; // SemanticCache.SearchQuery column size
+    private const int MaxListedEntries = 100;
+    private const int PreviewLength = 200;
+
+    // Age distribution ranges in minutes; the last range is open-ended
+    private static readonly (string Label, int? MaxAgeMinutes)[] AgeBuckets =
+    {
+        ("< 15 min", 15),
+        ("15-60 min", 60),
+        ("1-6 h", 360),
+        ("6-24 h", 1440),
+        ("> 24 h", null)
+    };
+
+    private readonly RagChatDbContext _context;
+    private readonly SemanticCacheMetrics _metrics;
+    private readonly SemanticCacheSettings _settings;
+    private readonly ILogger<SemanticCacheService> _logger;
+
+    public SemanticCacheService(
+        RagChatDbContext context,
+        SemanticCacheMetrics metrics,
+        IConfiguration configuration,
+        ILogger<SemanticCacheService> logger)
+    {
+        _context = context;
+        _metrics = metrics;
+        _settings = configuration.GetSection("SemanticCache").Get<SemanticCacheSettings>() ?? new SemanticCacheSettings();
+        _logger = logger;
+    }
+
+    public async Task<SemanticCacheHit?> TryGetSourcesAsync(string query, int maxResults, double similarityThreshold,
+        IReadOnlyDictionary<string, string>? detailsFilter)
+    {
+        if (!_settings.Enabled)
+        {
+            return null;
+        }
+
+        var cutoff = DateTime.UtcNow.AddHours(-_settings.MaxAgeHours);
+        var parametersKey = BuildParametersKey(maxResults, similarityThreshold, detailsFilter);
+
+        var entries = await _context.SemanticCache
+            .AsNoTracking()
+            .Where(sc => sc.SearchQuery == query && sc.CreatedAt >= cutoff)
+            .OrderByDescending(sc => sc.CreatedAt)
+            .ToListAsync();
+
+        foreach (var entry in entries)
+        {
+            var cached = ParseCachedSearch(entry.ResultContent);
+            if (cached != null && cached.ParametersKey == parametersKey)
+            {
+                _metrics.RecordHit();
+                _logger.LogInformation("Semantic cache hit for query: {Query} (entry {Id})", query, entry.Id);
+                return new SemanticCacheHit { Sources = cached.Sources, CachedAt = entry.CreatedAt };
+            }
+        }
+
+        _metrics.RecordMiss();
+        return null;
+    }
+
+    public async Task StoreSourcesAsync(string query, int maxResults, double similarityThreshold,
+        IReadOnlyDictionary<string, string>? detailsFilter, List<ChatSource> sources)
+    {
+        if (!_settings.Enabled || !sources.Any() || query.Length > MaxQueryLength)
+        {
+            return;
+        }
+
+        // The sources are cached as they are; their chunk embeddings already live in the
+        // embedding tables, so no embedding is stored with the entry
+        var entry = new SemanticCache
+        {
+            SearchQuery = query,
+            ResultContent = JsonSerializer.Serialize(new CachedSearch
+            {
+                ParametersKey = BuildParametersKey(maxResults, similarityThreshold, detailsFilter),
+                MaxResults = maxResults,
+                SimilarityThreshold = similarityThreshold,
+                DetailsFilter = detailsFilter?.ToDictionary(kv => kv.Key, kv => kv.Value),
+                Sources = sources
+            }),
+            ResultEmbedding = Array.Empty<byte>(),
+            CreatedAt = DateTime.UtcNow
+        };
+
+        try
+        {
+            var cutoff = DateTime.UtcNow.AddHours(-_settings.MaxAgeHours);
+            var expired = await _context.SemanticCache
+                .Where(sc => sc.CreatedAt < cutoff)
+                .ExecuteDeleteAsync();
+            if (expired > 0)
+            {
+                _logger.LogInformation("Cleaned {Count} old semantic cache entries", expired);
+            }
+
+            _context.SemanticCache.Add(entry);
+            await _context.SaveChangesAsync();
+        }
+        catch (Exception ex)
+        {
+            // Do not leave the failed entry tracked on the shared context
+            _context.Entry(entry).State = EntityState.Detached;
+            _logger.LogWarning(ex, "Failed to cache semantic result for query: {Query}", query);
+        }
+    }
+
+    public void RecordBypass()
+    {
+        if (_settings.Enabled)
+        {
+            _metrics.RecordBypass();
+        }
+    }
+
+    public async Task<SemanticCacheStatsResponse> GetStatsAsync()
+    {
+        var stats = await ExecuteProcedureAsync("SP_GetSemanticCacheStats", new Dictionary<string, object>(), async reader =>
+        {
+            var response = new SemanticCacheStatsResponse();
+
+            if (await reader.ReadAsync())
+            {
+                response.TotalEntries = GetInt(reader, "TotalCacheEntries") ?? 0;
+                response.EntriesLastHour = GetInt(reader, "EntriesLastHour") ?? 0;
+                response.EntriesLast24Hours = GetInt(reader, "EntriesLast24Hours") ?? 0;
+                response.OldestEntry = GetDate(reader, "OldestEntry");
+                response.NewestEntry = GetDate(reader, "NewestEntry");
+                response.AvgContentSize = GetLong(reader, "AvgContentSize");
+            }
+
+            // The second result set (10 most recent searches) has no ids, so the recent
+            // entries are loaded separately below; the third one lists repeated queries
+            if (await reader.NextResultAsync() && await reader.NextResultAsync())
+            {
+                while (await reader.ReadAsync())
+                {
+                    response.RepeatedQueries.Add(new SemanticCacheRepeatedQuery
+                    {
+                        SearchQuery = GetString(reader, "SearchQuery"),
+                        EntryCount = GetInt(reader, "HitCount") ?? 0,
+                        FirstCachedAt = GetDate(reader, "FirstHit") ?? DateTime.UtcNow,
+                        LastCachedAt = GetDate(reader, "LastHit") ?? DateTime.UtcNow
+                    });
+                }
+            }
+
+            return response;
+        });
+
+        var recentEntries = await _context.SemanticCache
+            .AsNoTracking()
+            .OrderByDescending(sc => sc.CreatedAt)
+            .Take(10)
+            .ToListAsync();
+        stats.RecentEntries = recentEntries.Select(entry => ToEntryResponse(entry.Id, entry.SearchQuery,
+            entry.ResultContent, entry.CreatedAt, null)).ToList();
+
+        var now = DateTime.UtcNow;
+        var ages = (await _context.SemanticCache.Select(sc => sc.CreatedAt).ToListAsync())
+            .Select(createdAt => (now - createdAt).TotalMinutes)
+            .ToList();
+        double lowerBound = 0;
+        foreach (var (label, maxAgeMinutes) in AgeBuckets)
+        {
+            var lower = lowerBound;
+            stats.AgeDistribution.Add(new SemanticCacheAgeBucket
+            {
+                Label = label,
+                MaxAgeMinutes = maxAgeMinutes,
+                Count = ages.Count(age => age >= lower && (maxAgeMinutes == null || age < maxAgeMinutes))
+            });
+            lowerBound = maxAgeMinutes ?? lowerBound;
+        }
+
+        var lookups = _metrics.Hits + _metrics.Misses;
+        stats.Enabled = _settings.Enabled;
+        stats.MaxAgeHours = _settings.MaxAgeHours;
+        stats.Hits = _metrics.Hits;
+        stats.Misses = _metrics.Misses;
+        stats.Bypasses = _metrics.Bypasses;
+        stats.HitRate = lookups > 0 ? (double)_metrics.Hits / lookups : null;
+        stats.CountersSince = _metrics.Since;
+
+        return stats;
+    }
+
+    public async Task<List<SemanticCacheEntryResponse>> GetEntriesAsync(string? search, bool exactMatch, int maxAgeHours)
+    {
+        if (string.IsNullOrWhiteSpace(search))
+        {
+            var cutoff = DateTime.UtcNow.AddHours(-maxAgeHours);
+            var entries = await _context.SemanticCache
+                .AsNoTracking()
+                .Where(sc => sc.CreatedAt >= cutoff)
+                .OrderByDescending(sc => sc.CreatedAt)
+                .Take(MaxListedEntries)
+                .ToListAsync();
+
+            return entries.Select(entry => ToEntryResponse(entry.Id, entry.SearchQuery,
+                entry.ResultContent, entry.CreatedAt, null)).ToList();
+        }
+
+        var parameters = new Dictionary<string, object>
+        {
+            ["@SearchQuery"] = search.Trim(),
+            ["@ExactMatch"] = exactMatch,
+            ["@MaxAgeHours"] = maxAgeHours
+        };
+
+        return await ExecuteProcedureAsync("SP_SearchSemanticCache", parameters, async reader =>
+        {
+            var results = new List<SemanticCacheEntryResponse>();
+            while (await reader.ReadAsync())
+            {
+                results.Add(ToEntryResponse(
+                    GetInt(reader, "Id") ?? 0,
+                    GetString(reader, "SearchQuery"),
+                    GetString(reader, "ResultContent"),
+                    GetDate(reader, "CreatedAt") ?? DateTime.UtcNow,
+                    GetString(reader, "MatchType")));
+            }
+            return results;
+        });
+    }
+
+    public async Task<int> CleanAsync(int maxAgeHours)
+    {
+        var parameters = new Dictionary<string, object> { ["@MaxAgeHours"] = maxAgeHours };
+
+        var deleted = await ExecuteProcedureAsync("SP_CleanSemanticCache", parameters, async reader =>
+        {
+            if (!await reader.ReadAsync())
+            {
+                return 0;
+            }
+
+            // The procedure reports failures as a result row instead of raising them
+            if (HasColumn(reader, "ErrorMessage"))
+            {
+                throw new InvalidOperationException($"SP_CleanSemanticCache failed: {GetString(reader, "ErrorMessage")}");
+            }
+
+            return GetInt(reader, "DeletedEntries") ?? 0;
+        });
+
+        _logger.LogInformation("Cleaned {Count} semantic cache entries older than {Hours} hours", deleted, maxAgeHours);
+        return deleted;
+    }
+
+    public async Task<int> PurgeDocumentAsync(int documentId)
+    {
+        // The document ids are inside the serialized sources: the query narrows the entries down
+        // to those containing the id as text and the match is confirmed on the parsed sources
+        var documentIdProperty = $"\"{nameof(ChatSource.DocumentId)}\":{documentId},";
+        var entries = await _context.SemanticCache
+            .AsNoTracking()
+            .Where(sc => sc.ResultContent.Contains(documentIdProperty))
+            .Select(sc => new { sc.Id, sc.ResultContent })
+            .ToListAsync();
+
+        var ids = entries
+            .Where(entry => ParseCachedSearch(entry.ResultContent)?.Sources.Any(s => s.DocumentId == documentId) == true)
+            .Select(entry => entry.Id)
+            .ToList();
+
+        if (!ids.Any())
+        {
+            return 0;
+        }
+
+        var deleted = await _context.SemanticCache
+            .Where(sc => ids.Contains(sc.Id))
+            .ExecuteDeleteAsync();
+
+        _logger.LogInformation("Purged {Count} semantic cache entries referencing document {DocumentId}", deleted, documentId);
+        return deleted;
+    }
+
+    public async Task<int> DeleteEntryAsync(int id)
+    {
+        return await _context.SemanticCache
+            .Where(sc => sc.Id == id)
+            .ExecuteDeleteAsync();
+    }
+
+    private static string BuildParametersKey(int maxResults, double similarityThreshold,
+        IReadOnlyDictionary<string, string>? detailsFilter)
+    {
+        var filter = detailsFilter == null
+            ? string.Empty
+            : string.Join(";", detailsFilter
+                .Select(kv => $"{kv.Key.ToLowerInvariant()}={kv.Value.ToLowerInvariant()}")
+                .OrderBy(pair => pair, StringComparer.Ordinal));
+
+        return $"{maxResults}|{similarityThreshold.ToString("R", CultureInfo.InvariantCulture)}|{filter}";
+    }
+
+    /// <summary>
+    /// Reads an entry written by StoreSourcesAsync; entries cached by older versions
+    /// hold plain chunk text and return null
+    /// </summary>
+    private static CachedSearch? ParseCachedSearch(string resultContent)
+    {
+        if (string.IsNullOrEmpty(resultContent) || resultContent[0] != '{')
+        {
+            return null;
+        }
+
+        try
+        {
+            var cached = JsonSerializer.Deserialize<CachedSearch>(resultContent);
+            return cached?.ParametersKey != null ? cached : null;
+        }
+        catch (JsonException)
+        {
+            return null;
+        }
+    }
+
+    private static SemanticCacheEntryResponse ToEntryResponse(int id, string searchQuery, string resultContent,
+        DateTime createdAt, string? matchType)
+    {
+        var cached = ParseCachedSearch(resultContent);
+        var preview = cached?.Sources.FirstOrDefault()?.Content ?? resultContent;
+
+        return new SemanticCacheEntryResponse
+        {
+            Id = id,
+            SearchQuery = searchQuery,
+            CreatedAt = createdAt,
+            AgeMinutes = (int)(DateTime.UtcNow - createdAt).TotalMinutes,
+            MatchType = matchType,
+            MaxResults = cached?.MaxResults,
+            SimilarityThreshold = cached?.SimilarityThreshold,
+            DetailsFilter = cached?.DetailsFilter,
+            SourceCount = cached?.Sources.Count ?? 1,
+            Documents = cached?.Sources
+                .GroupBy(s => s.DocumentId)
+                .Select(g => new SemanticCacheDocumentRef { DocumentId = g.Key, DocumentName = g.First().DocumentName })
+                .ToList() ?? new List<SemanticCacheDocumentRef>(),
+            ContentPreview = preview.Length > PreviewLength ? preview[..PreviewLength] + "..." : preview
+        };
+    }
+
+    private async Task<T> ExecuteProcedureAsync<T>(string procedure, Dictionary<string, object> parameters,
+        Func<DbDataReader, Task<T>> read)
+    {
+        var connection = _context.Database.GetDbConnection();
+        await _context.Database.OpenConnectionAsync();
+
+        try
+        {
+            await using var command = connection.CreateCommand();
+            command.CommandText = procedure;
+            command.CommandType = CommandType.StoredProcedure;
+
+            foreach (var (name, value) in parameters)
+            {
+                var parameter = command.CreateParameter();
+                parameter.ParameterName = name;
+                parameter.Value = value;
+                command.Parameters.Add(parameter);
+            }
+
+            await using var reader = await command.ExecuteReaderAsync();
+            return await read(reader);
+        }
+        finally
+        {
+            await _context.Database.CloseConnectionAsync();
+        }
+    }
+
+    private static bool HasColumn(DbDataReader reader, string column)
+    {
+        for (var i = 0; i < reader.FieldCount; i++)
+        {
+            if (string.Equals(reader.GetName(i), column, StringComparison.OrdinalIgnoreCase))
+            {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    private static object? GetValue(DbDataReader reader, string column)
+    {
+        var ordinal = reader.GetOrdinal(column);
+        return reader.IsDBNull(ordinal) ? null : reader.GetValue(ordinal);
+    }
+
+    private static string GetString(DbDataReader reader, string column) => GetValue(reader, column)?.ToString() ?? string.Empty;
+
+    private static int? GetInt(DbDataReader reader, string column) =>
+        GetValue(reader, column) is { } value ? Convert.ToInt32(value) : null;
+
+    private static long? GetLong(DbDataReader reader, string column) =>
+        GetValue(reader, column) is { } value ? Convert.ToInt64(value) : null;
+
+    private static DateTime? GetDate(DbDataReader reader, string column) =>
+        GetValue(reader, column) is { } value ? DateTime.SpecifyKind(Convert.ToDateTime(value), DateTimeKind.Utc) : null;
+
+    /// <summary>
+    /// Serialized form of a cached search in SemanticCache.ResultContent
+    /// </summary>
+    private class CachedSearch
+    {
+        public string? ParametersKey { get; set; }
+
+        public int MaxResults { get; set; }
+
+        public double SimilarityThreshold { get; set; }
+
+        public Dictionary<string, string>? DetailsFilter { get; set; }
+
+        public List<ChatSource> Sources { get; set; } = new();
+    }
+}
\ No newline at end of file
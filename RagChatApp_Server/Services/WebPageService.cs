@@ -0,0 +1,439 @@
+using System.Net;
+using System.Net.Sockets;
+using System.Text;
+using System.Text.RegularExpressions;
+using System.Xml;
+using System.Xml.Linq;
+using RagChatApp_Server.Models;
+
+namespace RagChatApp_Server.Services;
+
+/// <summary>
+/// Downloads web pages and sitemaps. The readable content of a page is taken from its
+/// &lt;main&gt; or &lt;article&gt; elements (the whole body otherwise) without scripts,
+/// navigation and sidebars; h1-h6 become markdown headers for header-based chunking.
+/// Only public addresses are downloaded (see WebImport:AllowedPrivateHosts), so the import
+/// cannot be used to reach the server's own network.
+/// </summary>
+public class WebPageService : IWebPageService
+{
+    private static readonly TimeSpan RegexTimeout = TimeSpan.FromSeconds(5);
+    private const RegexOptions HtmlOptions = RegexOptions.IgnoreCase | RegexOptions.Singleline;
+
+    private static readonly Regex CommentRegex = new(@"<!--.*?-->", HtmlOptions, RegexTimeout);
+    private static readonly Regex NonContentRegex = new(
+        @"<(script|style|noscript|template|svg|iframe|form|button|select)\b[^>]*>.*?</\1\s*>", HtmlOptions, RegexTimeout);
+    private static readonly Regex NavigationRegex = new(@"<(nav|aside)\b[^>]*>.*?</\1\s*>", HtmlOptions, RegexTimeout);
+    private static readonly Regex PageChromeRegex = new(@"<(header|footer)\b[^>]*>.*?</\1\s*>", HtmlOptions, RegexTimeout);
+    private static readonly Regex TitleRegex = new(@"<title\b[^>]*>(.*?)</title\s*>", HtmlOptions, RegexTimeout);
+    private static readonly Regex MainRegex = new(@"<main\b[^>]*>(.*?)</main\s*>", HtmlOptions, RegexTimeout);
+    private static readonly Regex ArticleRegex = new(@"<article\b[^>]*>(.*?)</article\s*>", HtmlOptions, RegexTimeout);
+    private static readonly Regex BodyRegex = new(@"<body\b[^>]*>(.*?)(?:</body\s*>|$)", HtmlOptions, RegexTimeout);
+    private static readonly Regex HeadingRegex = new(@"<h([1-6])\b[^>]*>(.*?)</h\1\s*>", HtmlOptions, RegexTimeout);
+    private static readonly Regex ListItemRegex = new(@"<li\b[^>]*>", HtmlOptions, RegexTimeout);
+    private static readonly Regex LineBreakRegex = new(@"<br\s*/?>", HtmlOptions, RegexTimeout);
+    private static readonly Regex BlockEndRegex = new(
+        @"</?(p|div|section|article|main|ul|ol|table|tr|blockquote|pre|dl|dt|dd|figure|figcaption|hr)\b[^>]*>", HtmlOptions, RegexTimeout);
+    private static readonly Regex CellRegex = new(@"</t[dh]\s*>", HtmlOptions, RegexTimeout);
+    private static readonly Regex TagRegex = new(@"<[^>]+>", HtmlOptions, RegexTimeout);
+    private static readonly Regex SpacesRegex = new(@"[ \t\f\v\u00A0]+", RegexOptions.None, RegexTimeout);
+    private static readonly Regex BlankLinesRegex = new(@"\n{3,}", RegexOptions.None, RegexTimeout);
+    private static readonly Regex MarkdownHeaderRegex = new(@"^#{1,6}\s+\S", RegexOptions.Multiline, RegexTimeout);
+
+    private static readonly string[] HtmlContentTypes = { "text/html", "application/xhtml+xml" };
+    private static readonly string[] TextContentTypes = { "text/plain", "text/markdown", "text/x-markdown" };
+
+    private readonly HttpClient _httpClient;
+    private readonly WebImportSettings _settings;
+    private readonly ILogger<WebPageService> _logger;
+
+    public WebPageService(HttpClient httpClient, IConfiguration configuration, ILogger<WebPageService> logger)
+    {
+        // Timeout and User-Agent are configured in Program.cs via AddHttpClient
+        _httpClient = httpClient;
+        _settings = configuration.GetSection("WebImport").Get<WebImportSettings>() ?? new WebImportSettings();
+        _logger = logger;
+    }
+
+    public async Task<WebPageContent> FetchPageAsync(string url)
+    {
+        var uri = ParseUrl(url);
+        _logger.LogInformation("Fetching web page: {Url}", uri);
+
+        var (body, mediaType) = await DownloadAsync(uri);
+
+        WebPageContent page;
+        if (HtmlContentTypes.Contains(mediaType))
+        {
+            page = ExtractHtml(body);
+        }
+        else if (TextContentTypes.Contains(mediaType))
+        {
+            page = new WebPageContent { Content = NormalizeWhitespace(body) };
+        }
+        else
+        {
+            throw new WebPageImportException($"Unsupported content type '{mediaType}' for {uri}");
+        }
+
+        if (string.IsNullOrWhiteSpace(page.Content))
+        {
+            throw new WebPageImportException($"No readable content found at {uri}");
+        }
+
+        page.Url = uri.AbsoluteUri;
+        page.HeadingCount = MarkdownHeaderRegex.Matches(page.Content).Count;
+        if (string.IsNullOrWhiteSpace(page.Title))
+        {
+            page.Title = uri.Host + uri.AbsolutePath.TrimEnd('/');
+        }
+
+        _logger.LogInformation("Extracted {Length} characters and {HeadingCount} headings from {Url}",
+            page.Content.Length, page.HeadingCount, uri);
+
+        return page;
+    }
+
+    public async Task<List<string>> GetSitemapUrlsAsync(string url)
+    {
+        var uri = ParseUrl(url);
+        _logger.LogInformation("Reading sitemap: {Url}", uri);
+
+        var urls = new List<string>();
+        var root = await LoadSitemapAsync(uri);
+
+        if (root.Name.LocalName == "sitemapindex")
+        {
+            foreach (var sitemapUrl in GetLocations(root, "sitemap"))
+            {
+                if (urls.Count >= _settings.MaxSitemapUrls)
+                {
+                    break;
+                }
+
+                try
+                {
+                    var nested = await LoadSitemapAsync(ParseUrl(sitemapUrl));
+                    urls.AddRange(GetLocations(nested, "url"));
+                }
+                catch (WebPageImportException ex)
+                {
+                    // One broken sitemap does not invalidate the others
+                    _logger.LogWarning("Skipping sitemap {Url}: {Message}", sitemapUrl, ex.Message);
+                }
+            }
+        }
+        else if (root.Name.LocalName == "urlset")
+        {
+            urls.AddRange(GetLocations(root, "url"));
+        }
+        else
+        {
+            throw new WebPageImportException($"{uri} is not a sitemap (root element <{root.Name.LocalName}>)");
+        }
+
+        var pageUrls = urls
+            .Where(u => Uri.TryCreate(u, UriKind.Absolute, out var pageUri) && IsHttp(pageUri))
+            .Distinct()
+            .Take(_settings.MaxSitemapUrls)
+            .ToList();
+
+        _logger.LogInformation("Sitemap {Url} lists {Count} pages", uri, pageUrls.Count);
+        return pageUrls;
+    }
+
+    /// <summary>
+    /// Validates an absolute http(s) URL and drops its fragment, so the same page
+    /// is always stored with the same address
+    /// </summary>
+    public static Uri ParseUrl(string url)
+    {
+        if (!Uri.TryCreate(url?.Trim(), UriKind.Absolute, out var uri) || !IsHttp(uri))
+        {
+            throw new WebPageImportException($"'{url}' is not an absolute http or https URL");
+        }
+
+        return new UriBuilder(uri) { Fragment = string.Empty }.Uri;
+    }
+
+    private static bool IsHttp(Uri uri)
+    {
+        return uri.Scheme == Uri.UriSchemeHttp || uri.Scheme == Uri.UriSchemeHttps;
+    }
+
+    /// <summary>
+    /// Resolves a host and rejects it if any of its addresses is not public, unless the host is
+    /// listed in WebImport:AllowedPrivateHosts
+    /// </summary>
+    /// <returns>The addresses of the host</returns>
+    /// <exception cref="WebPageImportException">The host cannot be resolved or is not public</exception>
+    public static async Task<IPAddress[]> ResolveAllowedAddressesAsync(
+        string host, WebImportSettings settings, CancellationToken cancellationToken = default)
+    {
+        IPAddress[] addresses;
+        try
+        {
+            addresses = IPAddress.TryParse(host, out var literal)
+                ? new[] { literal }
+                : await Dns.GetHostAddressesAsync(host, cancellationToken);
+        }
+        catch (SocketException ex)
+        {
+            throw new WebPageImportException($"Could not resolve {host}: {ex.Message}", ex);
+        }
+
+        if (addresses.Length == 0)
+        {
+            throw new WebPageImportException($"Could not resolve {host}");
+        }
+
+        if (!settings.AllowedPrivateHosts.Contains(host, StringComparer.OrdinalIgnoreCase)
+            && !addresses.All(IsPublicAddress))
+        {
+            throw new WebPageImportException($"{host} is a loopback, private or link-local address and cannot be imported");
+        }
+
+        return addresses;
+    }
+
+    /// <summary>
+    /// Connection callback of the HttpClient: connects only to the addresses accepted by
+    /// ResolveAllowedAddressesAsync, so a host cannot resolve to an internal address
+    /// between the check of the URL and the connection
+    /// </summary>
+    public static async ValueTask<Stream> ConnectToAllowedAddressAsync(
+        SocketsHttpConnectionContext context, WebImportSettings settings, CancellationToken cancellationToken)
+    {
+        var addresses = await ResolveAllowedAddressesAsync(context.DnsEndPoint.Host, settings, cancellationToken);
+        var socket = new Socket(SocketType.Stream, ProtocolType.Tcp) { NoDelay = true };
+
+        try
+        {
+            await socket.ConnectAsync(addresses, context.DnsEndPoint.Port, cancellationToken);
+            return new NetworkStream(socket, ownsSocket: true);
+        }
+        catch
+        {
+            socket.Dispose();
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// False for loopback, private (RFC 1918 and IPv6 unique local), carrier-grade NAT,
+    /// link-local (including the 169.254.169.254 cloud metadata service), multicast and
+    /// reserved addresses
+    /// </summary>
+    public static bool IsPublicAddress(IPAddress address)
+    {
+        if (address.IsIPv4MappedToIPv6)
+        {
+            address = address.MapToIPv4();
+        }
+
+        if (IPAddress.IsLoopback(address))
+        {
+            return false;
+        }
+
+        var bytes = address.GetAddressBytes();
+        if (address.AddressFamily == AddressFamily.InterNetwork)
+        {
+            return !(bytes[0] == 0                                  // "this" network
+                || bytes[0] == 10                                   // private
+                || (bytes[0] == 100 && bytes[1] is >= 64 and <= 127) // carrier-grade NAT
+                || (bytes[0] == 169 && bytes[1] == 254)             // link-local
+                || (bytes[0] == 172 && bytes[1] is >= 16 and <= 31) // private
+                || (bytes[0] == 192 && bytes[1] == 168)             // private
+                || bytes[0] >= 224);                                // multicast, reserved and broadcast
+        }
+
+        if (address.AddressFamily == AddressFamily.InterNetworkV6)
+        {
+            return !(address.Equals(IPAddress.IPv6Any)
+                || address.IsIPv6LinkLocal
+                || address.IsIPv6SiteLocal
+                || address.IsIPv6Multicast
+                || (bytes[0] & 0xFE) == 0xFC);                      // unique local fc00::/7
+        }
+
+        return false;
+    }
+
+    private async Task<(string Body, string MediaType)> DownloadAsync(Uri uri)
+    {
+        try
+        {
+            using var response = await GetFollowingRedirectsAsync(uri);
+            if (!response.IsSuccessStatusCode)
+            {
+                throw new WebPageImportException($"{uri} returned HTTP {(int)response.StatusCode} ({response.ReasonPhrase})");
+            }
+
+            var contentType = response.Content.Headers.ContentType;
+            if (response.Content.Headers.ContentLength > _settings.MaxContentBytes)
+            {
+                throw new WebPageImportException($"{uri} is larger than {_settings.MaxContentBytes} bytes");
+            }
+
+            // The length header is optional, so the limit is also enforced while reading
+            await using var stream = await response.Content.ReadAsStreamAsync();
+            using var buffer = new MemoryStream();
+            var chunk = new byte[81920];
+            int read;
+            while ((read = await stream.ReadAsync(chunk)) > 0)
+            {
+                if (buffer.Length + read > _settings.MaxContentBytes)
+                {
+                    throw new WebPageImportException($"{uri} is larger than {_settings.MaxContentBytes} bytes");
+                }
+                buffer.Write(chunk, 0, read);
+            }
+
+            var encoding = GetEncoding(contentType?.CharSet);
+            var mediaType = contentType?.MediaType?.ToLowerInvariant() ?? "text/html";
+            return (encoding.GetString(buffer.GetBuffer(), 0, (int)buffer.Length), mediaType);
+        }
+        catch (HttpRequestException ex)
+        {
+            throw new WebPageImportException($"Could not download {uri}: {ex.Message}", ex);
+        }
+        catch (TaskCanceledException ex)
+        {
+            throw new WebPageImportException($"Timed out downloading {uri}", ex);
+        }
+    }
+
+    // Redirects are followed here rather than by the handler, so every target is checked before it is requested
+    private async Task<HttpResponseMessage> GetFollowingRedirectsAsync(Uri uri)
+    {
+        for (var redirects = 0; ; redirects++)
+        {
+            await ResolveAllowedAddressesAsync(uri.IdnHost, _settings);
+
+            var response = await _httpClient.GetAsync(uri, HttpCompletionOption.ResponseHeadersRead);
+            var location = response.Headers.Location;
+            if ((int)response.StatusCode is < 300 or > 399 || location == null)
+            {
+                return response;
+            }
+
+            response.Dispose();
+            if (redirects >= _settings.MaxRedirects)
+            {
+                throw new WebPageImportException($"{uri} redirected more than {_settings.MaxRedirects} times");
+            }
+
+            var target = location.IsAbsoluteUri ? location : new Uri(uri, location);
+            if (!IsHttp(target))
+            {
+                throw new WebPageImportException($"{uri} redirected to '{target}', which is not an http or https URL");
+            }
+
+            _logger.LogInformation("Following redirect from {Url} to {Target}", uri, target);
+            uri = target;
+        }
+    }
+
+    private static Encoding GetEncoding(string? charSet)
+    {
+        try
+        {
+            return string.IsNullOrWhiteSpace(charSet) ? Encoding.UTF8 : Encoding.GetEncoding(charSet.Trim('"'));
+        }
+        catch (ArgumentException)
+        {
+            return Encoding.UTF8;
+        }
+    }
+
+    private async Task<XElement> LoadSitemapAsync(Uri uri)
+    {
+        var (body, _) = await DownloadAsync(uri);
+
+        try
+        {
+            var settings = new XmlReaderSettings { DtdProcessing = DtdProcessing.Prohibit, XmlResolver = null };
+            using var reader = XmlReader.Create(new StringReader(body), settings);
+            return XDocument.Load(reader).Root ?? throw new WebPageImportException($"{uri} is empty");
+        }
+        catch (XmlException ex)
+        {
+            throw new WebPageImportException($"{uri} is not a valid XML sitemap: {ex.Message}", ex);
+        }
+    }
+
+    // <urlset><url><loc> or <sitemapindex><sitemap><loc>, whatever the namespace
+    private static IEnumerable<string> GetLocations(XElement root, string entryName)
+    {
+        return root.Elements()
+            .Where(e => e.Name.LocalName == entryName)
+            .Select(e => e.Elements().FirstOrDefault(child => child.Name.LocalName == "loc")?.Value.Trim())
+            .Where(loc => !string.IsNullOrEmpty(loc))
+            .Select(loc => loc!);
+    }
+
+    private static WebPageContent ExtractHtml(string html)
+    {
+        html = CommentRegex.Replace(html, string.Empty);
+        html = NonContentRegex.Replace(html, string.Empty);
+
+        var titleMatch = TitleRegex.Match(html);
+        var title = titleMatch.Success ? ToPlainText(titleMatch.Groups[1].Value) : string.Empty;
+
+        // Prefer the main content; header and footer inside it usually belong to the article
+        var region = MainRegex.Match(html) is { Success: true } main
+            ? main.Groups[1].Value
+            : ArticleRegex.Matches(html) is { Count: > 0 } articles
+                ? string.Join("\n", articles.Select(a => a.Groups[1].Value))
+                : null;
+
+        if (region == null)
+        {
+            var body = BodyRegex.Match(html);
+            region = PageChromeRegex.Replace(body.Success ? body.Groups[1].Value : html, string.Empty);
+        }
+
+        region = NavigationRegex.Replace(region, string.Empty);
+
+        string? firstHeading = null;
+        region = HeadingRegex.Replace(region, match =>
+        {
+            var text = ToPlainText(match.Groups[2].Value);
+            if (text.Length == 0)
+            {
+                return "\n";
+            }
+            firstHeading ??= text;
+            return $"\n\n{new string('#', int.Parse(match.Groups[1].Value))} {text}\n\n";
+        });
+
+        region = ListItemRegex.Replace(region, "\n- ");
+        region = LineBreakRegex.Replace(region, "\n");
+        region = CellRegex.Replace(region, " ");
+        region = BlockEndRegex.Replace(region, "\n\n");
+        region = TagRegex.Replace(region, string.Empty);
+
+        return new WebPageContent
+        {
+            Title = string.IsNullOrEmpty(title) ? firstHeading ?? string.Empty : title,
+            Content = NormalizeWhitespace(WebUtility.HtmlDecode(region))
+        };
+    }
+
+    // Inline text such as a title or heading: no tags, entities decoded, on one line
+    private static string ToPlainText(string html)
+    {
+        var text = WebUtility.HtmlDecode(TagRegex.Replace(html, " "));
+        return SpacesRegex.Replace(text.Replace('\r', ' ').Replace('\n', ' '), " ").Trim();
+    }
+
+    private static string NormalizeWhitespace(string text)
+    {
+        var lines = text.Replace("\r\n", "\n").Replace('\r', '\n')
+            .Split('\n')
+            .Select(line => SpacesRegex.Replace(line, " ").Trim());
+
+        return BlankLinesRegex.Replace(string.Join('\n', lines), "\n\n").Trim();
+    }
+}
@@ -0,0 +1,554 @@
+// Type declarations for rag-api-client.js.
+// Shapes follow the DTOs of RagChatApp_Server serialized in camelCase;
+// dates are ISO 8601 strings.
+
+export type DocumentStatus = 'Processing' | 'Completed' | 'Failed';
+export type AIProviderName = 'OpenAI' | 'Gemini' | 'AzureOpenAI';
+export type ApiErrorCode = 'http' | 'network' | 'timeout' | 'aborted' | 'stream' | 'invalidResponse';
+
+export interface ClientOptions {
+    /** API root, e.g. "https://localhost:7185/api" */
+    baseUrl: string;
+    /** Per-request timeout in ms, 0 disables it. Default: 100000 */
+    timeoutMs?: number;
+    /** Retries of idempotent requests (GET, PUT, DELETE). Default: 2 */
+    retries?: number;
+    /** Base delay of the exponential backoff in ms. Default: 500 */
+    retryDelayMs?: number;
+    /** Extra headers for every request, e.g. { Authorization: 'Bearer ...' } */
+    getHeaders?: () => Record<string, string> | Promise<Record<string, string>>;
+    /** Called with every 401 answer, e.g. to end an expired session; the request still rejects */
+    onUnauthorized?: (error: ApiError) => void;
+    /** fetch implementation. Default: the global fetch */
+    fetch?: typeof fetch;
+    /** Localized error messages; returning a falsy value keeps the English one */
+    formatMessage?: (code: ApiErrorCode, params: Record<string, unknown>) => string | null | undefined;
+}
+
+export interface RequestOptions {
+    headers?: Record<string, string>;
+    timeoutMs?: number;
+    /** Overrides the client retries; POST requests are not retried by default */
+    retries?: number;
+    signal?: AbortSignal;
+}
+
+export interface RawRequestOptions extends RequestOptions {
+    query?: Record<string, string | number | boolean | null | undefined>;
+    /** JSON-serialized unless it is a FormData */
+    body?: unknown;
+    responseType?: 'json' | 'blob' | 'stream';
+    /** Resolve with { data, headers } instead of the data */
+    withHeaders?: boolean;
+}
+
+export declare class ApiError extends Error {
+    name: 'ApiError';
+    code: ApiErrorCode;
+    /** HTTP status, 0 when no response was received */
+    status: number;
+    method: string;
+    url: string;
+    /** Parsed error body, e.g. an OperationResponse */
+    body: unknown;
+    /** Validation errors by field of a 400 validation problem */
+    details: Record<string, string[]> | null;
+    /** Delay requested by a Retry-After header */
+    retryAfterMs: number | null;
+    /** Network errors, timeouts, 408, 429 and 5xx (except 501) */
+    retryable: boolean;
+    readonly aborted: boolean;
+    readonly timedOut: boolean;
+}
+
+// Documents
+
+export interface DocumentListQuery {
+    search?: string;
+    status?: DocumentStatus | '';
+    contentType?: string;
+    uploadedFrom?: string;
+    uploadedTo?: string;
+    author?: string;
+    tag?: string;
+    sortBy?: 'fileName' | 'contentType' | 'size' | 'status' | 'uploadedAt' | 'processedAt' | 'chunkCount';
+    sortDirection?: 'asc' | 'desc';
+    page?: number;
+    pageSize?: number;
+}
+
+export interface DocumentResponse {
+    id: number;
+    fileName: string;
+    contentType: string;
+    size: number;
+    status: DocumentStatus;
+    path: string | null;
+    uploadedAt: string;
+    /** Username of the uploader; null for documents indexed before sign-in was required */
+    uploadedBy: string | null;
+    processedAt: string | null;
+    chunkCount: number;
+}
+
+export interface DocumentDetailResponse extends DocumentResponse {
+    content: string;
+    notes: string | null;
+    /** JSON object serialized as a string */
+    details: string | null;
+}
+
+export interface DocumentList {
+    documents: DocumentResponse[];
+    /** X-Total-Count of the filtered list */
+    totalCount: number;
+}
+
+export interface UploadOptions {
+    /** Required for Blobs and buffers without a name */
+    fileName?: string;
+    notes?: string;
+    details?: Record<string, unknown> | string;
+    /** Replaces the file of an existing document instead of creating one */
+    replaceDocumentId?: number;
+    /** Bytes sent so far; uses XMLHttpRequest in browsers */
+    onProgress?: (loaded: number, total: number) => void;
+    signal?: AbortSignal;
+    /** Default: 0, no timeout */
+    timeoutMs?: number;
+}
+
+export interface DuplicateDocumentResponse {
+    hash: string;
+    documentId: number;
+    fileName: string;
+    status: DocumentStatus;
+    uploadedAt: string;
+}
+
+export interface IndexTextRequest {
+    title: string;
+    content: string;
+    notes?: string;
+    details?: string;
+}
+
+export interface IndexUrlRequest {
+    url: string;
+    title?: string;
+    notes?: string;
+    details?: string;
+    replaceExisting?: boolean;
+}
+
+export interface DocumentMetadataRequest {
+    notes?: string | null;
+    details?: string | null;
+    /** Merge the details keys into the existing ones instead of replacing them */
+    merge?: boolean;
+}
+
+export interface DocumentContent {
+    blob: Blob;
+    /** The original file, or the extracted text when the file is not stored */
+    source: 'original' | 'extracted';
+}
+
+export interface ChunkEmbeddingInfo {
+    field: 'Content' | 'HeaderContext' | 'Notes' | 'Details';
+    hasEmbedding: boolean;
+    model: string | null;
+    dimensions: number;
+    updatedAt: string | null;
+}
+
+export interface DocumentChunkResponse {
+    id: number;
+    documentId: number;
+    chunkIndex: number;
+    headerContext: string | null;
+    content: string;
+    notes: string | null;
+    details: string | null;
+    createdAt: string;
+    updatedAt: string;
+    embeddings: ChunkEmbeddingInfo[];
+}
+
+export interface DocumentChunksQuery {
+    page?: number;
+    pageSize?: number;
+    fromIndex?: number;
+    toIndex?: number;
+}
+
+export interface DocumentChunksPageResponse {
+    documentId: number;
+    fileName: string;
+    page: number;
+    pageSize: number;
+    totalCount: number;
+    chunks: DocumentChunkResponse[];
+}
+
+export interface ChunkLocationResponse {
+    documentId: number;
+    chunkId: number;
+    chunkIndex: number;
+    headerContext: string | null;
+    start: number | null;
+    length: number | null;
+    page: number | null;
+}
+
+export interface UpdateChunkRequest {
+    notes?: string | null;
+    details?: string | null;
+    reEmbed?: boolean;
+}
+
+export type DocumentProcessingStage = 'Queued' | 'Extracting' | 'Chunking' | 'Embedding' | 'Completed' | 'Failed';
+
+export interface DocumentProcessingEvent {
+    documentId: number;
+    fileName: string;
+    stage: DocumentProcessingStage;
+    /** Embedded field, only for the Embedding stage */
+    field: 'Content' | 'HeaderContext' | 'Notes' | 'Details' | null;
+    /** Chunks whose embeddings are done (Embedding and Completed) */
+    processedChunks: number | null;
+    totalChunks: number | null;
+    /** Reason of the failure, only for the Failed stage */
+    error: string | null;
+    timestamp: string;
+}
+
+export type DocumentEvent =
+    | { type: 'ready'; data: Record<string, never> }
+    | { type: 'document'; data: DocumentProcessingEvent };
+
+export interface DocumentEventsOptions {
+    onEvent?: <T extends DocumentEvent>(type: T['type'], data: T['data']) => void | Promise<void>;
+    signal?: AbortSignal;
+    /** Covers the wait for the response headers only */
+    timeoutMs?: number;
+}
+
+export interface OperationResponse<TData = unknown> {
+    success: boolean;
+    message: string;
+    data?: TData;
+}
+
+// Chat
+
+export interface ChatHistoryMessage {
+    role: 'user' | 'assistant';
+    content: string;
+}
+
+export interface ChatRequest {
+    message: string;
+    maxChunks?: number;
+    similarityThreshold?: number;
+    returnOnlyChunks?: boolean;
+    history?: ChatHistoryMessage[];
+    provider?: AIProviderName;
+    model?: string;
+    temperature?: number;
+    maxTokens?: number;
+    detailsFilter?: Record<string, string>;
+    bypassCache?: boolean;
+    /** Language tag of the answer, e.g. "it" or "en-US" */
+    responseLanguage?: string;
+}
+
+export interface ChatSource {
+    documentId: number;
+    chunkId: number;
+    chunkIndex: number;
+    documentName: string;
+    documentPath: string | null;
+    content: string;
+    headerContext: string | null;
+    notes: string | null;
+    details: string | null;
+    similarityScore: number;
+}
+
+export interface ChatResponse {
+    response: string;
+    sources: ChatSource[];
+    isMockResponse: boolean;
+    provider: string | null;
+    model: string | null;
+    fromCache: boolean;
+    cachedAt: string | null;
+}
+
+export type ChatStreamEvent =
+    | { type: 'sources'; data: { sources: ChatSource[]; fromCache: boolean; cachedAt: string | null } }
+    | { type: 'token'; data: { text: string } }
+    | { type: 'done'; data: { provider: string | null; model: string | null } }
+    | { type: 'error'; data: { message: string } };
+
+export interface StreamOptions {
+    onEvent?: <T extends ChatStreamEvent>(type: T['type'], data: T['data']) => void | Promise<void>;
+    signal?: AbortSignal;
+    /** Covers the wait for the response headers only */
+    timeoutMs?: number;
+}
+
+export type ChatStreamResult = Omit<ChatResponse, 'isMockResponse'>;
+
+export interface ChatInfo {
+    serviceType: string;
+    isMockMode: boolean;
+    version: string;
+    [key: string]: unknown;
+}
+
+// AI providers
+
+export interface ProviderState {
+    name: AIProviderName;
+    isConfigured: boolean;
+    isDefault: boolean;
+}
+
+export interface ProvidersInfo {
+    defaultProvider: AIProviderName;
+    availableProviders: ProviderState[];
+    providers: ProviderState[];
+    configuration: Record<string, string | null>;
+}
+
+/** Provider settings without secrets shown by the UI; fields depend on the provider */
+export interface ProviderConfiguration {
+    embeddingModel?: string;
+    chatModel?: string;
+    embeddingDeploymentName?: string;
+    chatDeploymentName?: string;
+    endpoint?: string;
+    baseUrl?: string;
+    [key: string]: unknown;
+}
+
+export interface TestEmbeddingRequest {
+    text: string;
+    providerType?: AIProviderName;
+    taskType?: string;
+    includeEmbedding?: boolean;
+}
+
+export interface TestEmbeddingResponse {
+    provider: string;
+    model: string;
+    embeddingDimensions: number;
+    success: boolean;
+    embedding: number[] | null;
+}
+
+export interface TestChatRequest {
+    messages: { role: string; content: string }[];
+    providerType?: AIProviderName;
+    maxTokens?: number;
+    temperature?: number;
+    taskType?: string;
+}
+
+export interface TestChatResponse {
+    provider: string;
+    model: string;
+    response: string;
+    success: boolean;
+}
+
+export interface TestAllResponse {
+    testText: string;
+    results: { provider: string; success: boolean; embeddingDimensions: number; model: string | null; error: string | null }[];
+    totalProviders: number;
+    successfulProviders: number;
+}
+
+// Semantic cache
+
+export interface SemanticCacheEntry {
+    id: number;
+    searchQuery: string;
+    createdAt: string;
+    ageMinutes: number;
+    matchType: 'ExactMatch' | 'PartialMatch' | null;
+    maxResults: number | null;
+    similarityThreshold: number | null;
+    detailsFilter: Record<string, string> | null;
+    sourceCount: number;
+    documents: { documentId: number; documentName: string }[];
+    contentPreview: string;
+}
+
+export interface SemanticCacheStats {
+    enabled: boolean;
+    maxAgeHours: number;
+    totalEntries: number;
+    entriesLastHour: number;
+    entriesLast24Hours: number;
+    oldestEntry: string | null;
+    newestEntry: string | null;
+    avgContentSize: number | null;
+    hits: number;
+    misses: number;
+    bypasses: number;
+    hitRate: number | null;
+    countersSince: string;
+    ageDistribution: { label: string; maxAgeMinutes: number | null; count: number }[];
+    recentEntries: SemanticCacheEntry[];
+    repeatedQueries: { searchQuery: string; entryCount: number; firstCachedAt: string; lastCachedAt: string }[];
+}
+
+export interface SemanticCacheEntriesQuery {
+    search?: string;
+    exactMatch?: boolean;
+    maxAgeHours?: number;
+}
+
+// Feedback
+
+export interface FeedbackRatingRequest {
+    /** 1 = thumbs up, -1 = thumbs down */
+    rating: 1 | -1;
+    comment?: string | null;
+    wrongSource?: boolean;
+    /** Chunk ids of the sources marked as wrong */
+    flaggedChunkIds?: number[];
+}
+
+export interface AnswerFeedbackRequest extends FeedbackRatingRequest {
+    question: string;
+    answer: string;
+    maxChunks?: number | null;
+    similarityThreshold?: number | null;
+    provider?: string | null;
+    model?: string | null;
+    sources: { documentId: number; documentName: string; chunkId: number; similarityScore: number }[];
+}
+
+export interface AnswerFeedbackResponse {
+    id: number;
+    rating: 1 | -1;
+    comment: string | null;
+    wrongSource: boolean;
+    flaggedChunkIds: number[];
+    username: string | null;
+    createdAt: string;
+    updatedAt: string;
+}
+
+export interface FeedbackDashboard {
+    since: string;
+    totalCount: number;
+    positiveCount: number;
+    negativeCount: number;
+    wrongSourceCount: number;
+    satisfactionRate: number | null;
+    worstQuestions: {
+        question: string;
+        totalCount: number;
+        positiveCount: number;
+        negativeCount: number;
+        wrongSourceCount: number;
+        latestComment: string | null;
+        lastFeedbackAt: string;
+    }[];
+    problemDocuments: {
+        documentId: number;
+        documentName: string;
+        answerCount: number;
+        badAnswerCount: number;
+        flaggedChunkCount: number;
+    }[];
+    trend: { date: string; positiveCount: number; negativeCount: number; wrongSourceCount: number }[];
+}
+
+// Auth
+
+export type UserRole = 'Admin' | 'User';
+
+export interface CurrentUser {
+    username: string;
+    displayName: string;
+    role: UserRole;
+}
+
+export interface LoginResponse {
+    /** JWT to return from getHeaders as "Authorization: Bearer <token>" */
+    token: string;
+    expiresAt: string;
+    user: CurrentUser;
+}
+
+// Client
+
+export interface RagApiClient {
+    request<T = unknown>(method: string, path: string, options?: RawRequestOptions): Promise<T>;
+
+    auth: {
+        /** Rejects with status 401 when the credentials are wrong */
+        login(username: string, password: string, options?: RequestOptions): Promise<LoginResponse>;
+        me(options?: RequestOptions): Promise<CurrentUser>;
+    };
+
+    documents: {
+        list(query?: DocumentListQuery, options?: RequestOptions): Promise<DocumentList>;
+        get(id: number, options?: RequestOptions): Promise<DocumentDetailResponse>;
+        upload(file: Blob | ArrayBuffer | Uint8Array, options?: UploadOptions): Promise<DocumentResponse>;
+        checkDuplicates(hashes: string[], options?: RequestOptions): Promise<DuplicateDocumentResponse[]>;
+        indexText(payload: IndexTextRequest, options?: RequestOptions): Promise<DocumentResponse>;
+        /** Rejects with status 409 and body.data.documentId when the page is already indexed */
+        indexUrl(payload: IndexUrlRequest, options?: RequestOptions): Promise<DocumentResponse>;
+        getSitemapUrls(url: string, options?: RequestOptions): Promise<string[]>;
+        getContent(id: number, options?: RequestOptions & { download?: boolean }): Promise<DocumentContent>;
+        update(id: number, payload: IndexTextRequest, options?: RequestOptions): Promise<DocumentResponse>;
+        updateMetadata(id: number, payload: DocumentMetadataRequest, options?: RequestOptions): Promise<DocumentResponse>;
+        reprocess(id: number, options?: RequestOptions): Promise<DocumentResponse>;
+        delete(id: number, options?: RequestOptions): Promise<OperationResponse>;
+        listChunks(id: number, query?: DocumentChunksQuery, options?: RequestOptions): Promise<DocumentChunksPageResponse>;
+        getChunk(id: number, chunkId: number, options?: RequestOptions): Promise<DocumentChunkResponse>;
+        getChunkLocation(id: number, chunkId: number, options?: RequestOptions): Promise<ChunkLocationResponse>;
+        updateChunk(id: number, chunkId: number, payload: UpdateChunkRequest, options?: RequestOptions): Promise<DocumentChunkResponse>;
+        /** Resolves when the server closes the stream; rejects with code 'aborted' when the signal aborts */
+        events(options?: DocumentEventsOptions): Promise<void>;
+    };
+
+    chat: {
+        send(request: ChatRequest, options?: RequestOptions): Promise<ChatResponse>;
+        stream(request: ChatRequest, options?: StreamOptions): Promise<ChatStreamResult>;
+        info(options?: RequestOptions): Promise<ChatInfo>;
+    };
+
+    providers: {
+        info(options?: RequestOptions): Promise<ProvidersInfo>;
+        configuration(provider: AIProviderName, options?: RequestOptions): Promise<ProviderConfiguration>;
+        testEmbedding(payload: TestEmbeddingRequest, options?: RequestOptions): Promise<TestEmbeddingResponse>;
+        testChat(payload: TestChatRequest, options?: RequestOptions): Promise<TestChatResponse>;
+        testAll(text: string, options?: RequestOptions): Promise<TestAllResponse>;
+    };
+
+    semanticCache: {
+        stats(options?: RequestOptions): Promise<SemanticCacheStats>;
+        entries(query?: SemanticCacheEntriesQuery, options?: RequestOptions): Promise<SemanticCacheEntry[]>;
+        clean(olderThanHours: number, options?: RequestOptions): Promise<OperationResponse<{ deletedEntries: number }>>;
+        purgeDocument(documentId: number, options?: RequestOptions): Promise<OperationResponse<{ deletedEntries: number }>>;
+        deleteEntry(id: number, options?: RequestOptions): Promise<OperationResponse>;
+    };
+
+    feedback: {
+        create(payload: AnswerFeedbackRequest, options?: RequestOptions): Promise<AnswerFeedbackResponse>;
+        /** Rejects with status 403 unless the feedback is the user's own or the user is an administrator */
+        update(id: number, payload: FeedbackRatingRequest, options?: RequestOptions): Promise<AnswerFeedbackResponse>;
+        /** Period of the given number of days, today included (1-365, default 30) */
+        dashboard(days?: number, options?: RequestOptions): Promise<FeedbackDashboard>;
+    };
+}
+
+export declare function createClient(options: ClientOptions): RagApiClient;
@@ -0,0 +1,627 @@
+// RAG Chat API Client
+// Wraps the RagChatApp_Server REST API (documents, chat with streaming, AI
+// providers and semantic cache) for the browser and for Node 18+.
+// Failures reject with an ApiError carrying the HTTP status and the message
+// of the server error body. Idempotent requests are retried on network
+// errors, timeouts and 408/429/5xx answers. Types are in rag-api-client.d.ts.
+const RagApiClient = (() => {
+    const DEFAULT_TIMEOUT_MS = 100000;
+    const DEFAULT_RETRIES = 2;
+    const DEFAULT_RETRY_DELAY_MS = 500;
+    const MAX_RETRY_DELAY_MS = 10000;
+    const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+    // English fallbacks; createClient({ formatMessage }) can translate them
+    const DEFAULT_MESSAGES = {
+        http: ({ status }) => `Request failed with status ${status}`,
+        network: () => 'Network error, the server could not be reached',
+        timeout: ({ timeoutMs }) => `Request timed out after ${timeoutMs} ms`,
+        aborted: () => 'Request cancelled',
+        stream: () => 'Streaming failed',
+        invalidResponse: () => 'The server sent an invalid response'
+    };
+
+    /**
+     * Error of a failed request.
+     * code: 'http' (status >= 400), 'network' (status 0), 'timeout',
+     * 'aborted', 'stream' (error event of /chat/stream) or 'invalidResponse'.
+     * body is the parsed error body; details the validation errors by field.
+     */
+    class ApiError extends Error {
+        constructor(message, { code = 'http', status = 0, method = '', url = '', body = null, retryAfterMs = null } = {}) {
+            super(message);
+            this.name = 'ApiError';
+            this.code = code;
+            this.status = status;
+            this.method = method;
+            this.url = url;
+            this.body = body;
+            this.details = body && typeof body === 'object' && body.errors ? body.errors : null;
+            this.retryAfterMs = retryAfterMs;
+            this.retryable = code === 'network' || code === 'timeout' ||
+                (code === 'http' && (status === 408 || status === 429 || (status >= 500 && status !== 501)));
+        }
+
+        get aborted() {
+            return this.code === 'aborted';
+        }
+
+        get timedOut() {
+            return this.code === 'timeout';
+        }
+    }
+
+    // Message of the error bodies the server sends: OperationResponse { message },
+    // the AI provider endpoints { error } and ASP.NET validation problems { title, errors }
+    function getServerMessage(body) {
+        if (!body) {
+            return null;
+        }
+        if (typeof body === 'string') {
+            return body.trim().slice(0, 500) || null;
+        }
+        if (body.message) {
+            return body.message;
+        }
+        if (body.error) {
+            return body.error;
+        }
+        if (body.errors && typeof body.errors === 'object') {
+            const messages = Object.values(body.errors).flat().filter(Boolean);
+            if (messages.length > 0) {
+                return messages.join(' ');
+            }
+        }
+        return body.title || null;
+    }
+
+    function parseBody(text, contentType) {
+        if (!text) {
+            return null;
+        }
+        if (/json/i.test(contentType || '') || /^\s*[[{]/.test(text)) {
+            try {
+                return JSON.parse(text);
+            } catch {
+                return text;
+            }
+        }
+        return text;
+    }
+
+    // Retry-After is either a number of seconds or an HTTP date
+    function parseRetryAfter(value) {
+        if (!value) {
+            return null;
+        }
+        const seconds = Number(value);
+        if (!isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    function wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+            const timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, ms);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    function isFormData(value) {
+        return typeof FormData !== 'undefined' && value instanceof FormData;
+    }
+
+    // Query objects skip empty values, like the documents list filters of the UI
+    function buildQueryString(query) {
+        if (!query) {
+            return '';
+        }
+        const params = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            if (value !== '' && value !== null && value !== undefined) {
+                params.append(key, value);
+            }
+        });
+        const text = params.toString();
+        return text ? `?${text}` : '';
+    }
+
+    // Minimal text/event-stream parser over a fetch ReadableStream
+    async function readServerSentEvents(response, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) {
+                break;
+            }
+
+            buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const rawEvent = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+
+                let type = 'message';
+                const dataLines = [];
+                rawEvent.split('\n').forEach(line => {
+                    if (line.startsWith('event:')) {
+                        type = line.slice(6).trim();
+                    } else if (line.startsWith('data:')) {
+                        dataLines.push(line.slice(5).trimStart());
+                    }
+                });
+
+                if (dataLines.length > 0) {
+                    await onEvent(type, JSON.parse(dataLines.join('\n')));
+                }
+            }
+        }
+    }
+
+    /**
+     * Creates a client bound to one server.
+     * Options: baseUrl (required, e.g. https://localhost:7185/api), timeoutMs,
+     * retries, retryDelayMs, getHeaders() for auth headers (may be async),
+     * onUnauthorized(error) called on every 401, fetch (defaults to the
+     * global one) and formatMessage(code, params).
+     */
+    function createClient(options = {}) {
+        const baseUrl = String(options.baseUrl || '').replace(/\/+$/, '');
+        if (!baseUrl) {
+            throw new Error('RagApiClient: baseUrl is required');
+        }
+
+        const fetchFn = options.fetch || (typeof fetch !== 'undefined' ? fetch.bind(globalThis) : null);
+        if (!fetchFn) {
+            throw new Error('RagApiClient: no fetch implementation available, pass options.fetch');
+        }
+
+        const config = {
+            timeoutMs: options.timeoutMs ?? DEFAULT_TIMEOUT_MS,
+            retries: options.retries ?? DEFAULT_RETRIES,
+            retryDelayMs: options.retryDelayMs ?? DEFAULT_RETRY_DELAY_MS,
+            getHeaders: options.getHeaders || null,
+            onUnauthorized: options.onUnauthorized || null,
+            formatMessage: options.formatMessage || null
+        };
+
+        function message(code, params = {}) {
+            const custom = config.formatMessage ? config.formatMessage(code, params) : null;
+            return custom || DEFAULT_MESSAGES[code](params);
+        }
+
+        async function resolveHeaders() {
+            return config.getHeaders ? { ...(await config.getHeaders()) } : {};
+        }
+
+        function createHttpError(method, url, status, body, headers) {
+            const error = new ApiError(getServerMessage(body) || message('http', { status }), {
+                code: 'http',
+                status: status,
+                method: method,
+                url: url,
+                body: body,
+                retryAfterMs: parseRetryAfter(headers && headers.get ? headers.get('Retry-After') : null)
+            });
+
+            // Whichever request notices a missing or expired token lets the app react once
+            if (status === 401 && config.onUnauthorized) {
+                config.onUnauthorized(error);
+            }
+            return error;
+        }
+
+        // Links the caller's signal and the timeout to one AbortController.
+        // The timer only covers the wait for the response unless the caller
+        // keeps it running until the body has been read.
+        function createAbortScope(signal, timeoutMs) {
+            const controller = new AbortController();
+            const scope = { signal: controller.signal, timedOut: false };
+            const onAbort = () => controller.abort();
+            const timer = timeoutMs > 0
+                ? setTimeout(() => {
+                    scope.timedOut = true;
+                    controller.abort();
+                }, timeoutMs)
+                : null;
+
+            if (signal) {
+                if (signal.aborted) {
+                    controller.abort();
+                } else {
+                    signal.addEventListener('abort', onAbort, { once: true });
+                }
+            }
+
+            scope.clearTimer = () => clearTimeout(timer);
+            scope.release = () => {
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+            };
+            scope.toError = (error, method, url) => {
+                if (error instanceof ApiError) {
+                    return error;
+                }
+                if (scope.timedOut) {
+                    return new ApiError(message('timeout', { timeoutMs }), { code: 'timeout', method, url });
+                }
+                if (controller.signal.aborted) {
+                    return new ApiError(message('aborted'), { code: 'aborted', method, url });
+                }
+                const networkError = new ApiError(message('network'), { code: 'network', method, url });
+                networkError.cause = error;
+                return networkError;
+            };
+            return scope;
+        }
+
+        // One attempt. responseType: 'json' (default), 'blob' or 'stream';
+        // withHeaders resolves with { data, headers } instead of the data
+        async function sendOnce(method, path, requestOptions) {
+            const {
+                query,
+                body,
+                headers = {},
+                timeoutMs = config.timeoutMs,
+                signal,
+                responseType = 'json',
+                withHeaders = false
+            } = requestOptions;
+
+            const url = `${baseUrl}${path}${buildQueryString(query)}`;
+            const init = { method: method, headers: { ...(await resolveHeaders()), ...headers } };
+            if (body !== undefined) {
+                if (isFormData(body)) {
+                    init.body = body;
+                } else {
+                    init.headers['Content-Type'] = 'application/json';
+                    init.body = JSON.stringify(body);
+                }
+            }
+
+            const scope = createAbortScope(signal, timeoutMs);
+            let keepScope = false;
+            try {
+                const response = await fetchFn(url, { ...init, signal: scope.signal });
+
+                if (!response.ok) {
+                    const text = await response.text().catch(() => '');
+                    throw createHttpError(method, url, response.status, parseBody(text, response.headers.get('Content-Type')), response.headers);
+                }
+
+                let data;
+                if (responseType === 'stream') {
+                    // The caller reads the body and releases the scope when done
+                    scope.clearTimer();
+                    keepScope = true;
+                    return { response: response, release: scope.release, toError: error => scope.toError(error, method, url) };
+                } else if (responseType === 'blob') {
+                    data = await response.blob();
+                } else {
+                    const text = await response.text();
+                    data = parseBody(text, response.headers.get('Content-Type'));
+                    if (typeof data === 'string' && /json/i.test(response.headers.get('Content-Type') || '')) {
+                        throw new ApiError(message('invalidResponse'), { code: 'invalidResponse', status: response.status, method, url, body: data });
+                    }
+                }
+
+                return withHeaders ? { data: data, headers: response.headers } : data;
+
+            } catch (error) {
+                throw scope.toError(error, method, url);
+            } finally {
+                if (!keepScope) {
+                    scope.release();
+                }
+            }
+        }
+
+        /**
+         * Sends a request to baseUrl + path. Options: query, body (JSON or
+         * FormData), headers, timeoutMs (0 disables it), retries, signal,
+         * responseType ('json', 'blob' or 'stream') and withHeaders.
+         */
+        async function request(method, path, requestOptions = {}) {
+            const retries = requestOptions.retries ?? (IDEMPOTENT_METHODS.includes(method) ? config.retries : 0);
+
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return await sendOnce(method, path, requestOptions);
+                } catch (error) {
+                    if (!error.retryable || attempt >= retries) {
+                        throw error;
+                    }
+                    // Exponential backoff with jitter unless the server asked for a delay
+                    const delay = error.retryAfterMs ??
+                        config.retryDelayMs * Math.pow(2, attempt) + Math.random() * config.retryDelayMs;
+                    try {
+                        await wait(Math.min(delay, MAX_RETRY_DELAY_MS), requestOptions.signal);
+                    } catch {
+                        throw new ApiError(message('aborted'), { code: 'aborted', method, url: error.url });
+                    }
+                }
+            }
+        }
+
+        // Documents
+
+        async function listDocuments(query = {}, requestOptions = {}) {
+            const { data, headers } = await request('GET', '/documents', { ...requestOptions, query: query, withHeaders: true });
+            const totalCount = parseInt(headers.get('X-Total-Count'));
+            return { documents: data, totalCount: isNaN(totalCount) ? data.length : totalCount };
+        }
+
+        // Browsers report the upload progress through XHR only, so it is used
+        // when onProgress is given; elsewhere the file goes through fetch.
+        // No timeout by default because large files can take minutes.
+        function uploadDocument(file, uploadOptions = {}) {
+            const { fileName, notes, details, replaceDocumentId, onProgress, signal, timeoutMs = 0 } = uploadOptions;
+
+            const blob = typeof Blob !== 'undefined' && !(file instanceof Blob) ? new Blob([file]) : file;
+            const formData = new FormData();
+            formData.append('File', blob, fileName || file.name || 'document');
+            if (replaceDocumentId) {
+                formData.append('ReplaceDocumentId', replaceDocumentId);
+            }
+            if (notes) {
+                formData.append('Notes', notes);
+            }
+            if (details) {
+                formData.append('Details', typeof details === 'string' ? details : JSON.stringify(details));
+            }
+
+            if (onProgress && typeof XMLHttpRequest !== 'undefined') {
+                return uploadWithProgress(formData, blob.size, { onProgress, signal, timeoutMs });
+            }
+            return request('POST', '/documents/upload', { body: formData, signal: signal, timeoutMs: timeoutMs });
+        }
+
+        async function uploadWithProgress(formData, size, { onProgress, signal, timeoutMs }) {
+            const method = 'POST';
+            const url = `${baseUrl}/documents/upload`;
+            const headers = await resolveHeaders();
+
+            return new Promise((resolve, reject) => {
+                const xhr = new XMLHttpRequest();
+                xhr.open(method, url);
+                xhr.timeout = timeoutMs;
+                Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+                const fail = (code, params = {}) => reject(new ApiError(message(code, params), { code, method, url }));
+
+                xhr.upload.addEventListener('progress', (e) => {
+                    onProgress(e.loaded, e.lengthComputable ? e.total : size);
+                });
+                xhr.addEventListener('load', () => {
+                    const body = parseBody(xhr.responseText, xhr.getResponseHeader('Content-Type'));
+                    if (xhr.status >= 200 && xhr.status < 300) {
+                        resolve(body);
+                    } else {
+                        reject(createHttpError(method, url, xhr.status, body, {
+                            get: name => xhr.getResponseHeader(name)
+                        }));
+                    }
+                });
+                xhr.addEventListener('error', () => fail('network'));
+                xhr.addEventListener('timeout', () => fail('timeout', { timeoutMs }));
+                xhr.addEventListener('abort', () => fail('aborted'));
+
+                if (signal) {
+                    if (signal.aborted) {
+                        fail('aborted');
+                        return;
+                    }
+                    signal.addEventListener('abort', () => xhr.abort(), { once: true });
+                }
+
+                xhr.send(formData);
+            });
+        }
+
+        // X-Content-Source says whether the server sent the original file or the extracted text
+        async function getDocumentContent(id, { download = false, ...requestOptions } = {}) {
+            const { data, headers } = await request('GET', `/documents/${id}/content`, {
+                ...requestOptions,
+                query: { download: download },
+                responseType: 'blob',
+                withHeaders: true
+            });
+            return { blob: data, source: headers.get('X-Content-Source') || 'original' };
+        }
+
+        /**
+         * Follows the document lifecycle events of /documents/events until the
+         * signal aborts or the server closes the stream. onEvent(type, data)
+         * receives 'ready' once subscribed, then a 'document' event for every
+         * stage (Queued, Extracting, Chunking, Embedding, Completed, Failed).
+         * The timeout only covers the wait for the response headers.
+         */
+        async function followDocumentEvents({ onEvent, signal, timeoutMs } = {}) {
+            const { response, release, toError } = await request('GET', '/documents/events', {
+                headers: { 'Accept': 'text/event-stream' },
+                responseType: 'stream',
+                signal: signal,
+                timeoutMs: timeoutMs
+            });
+
+            try {
+                await readServerSentEvents(response, onEvent);
+            } catch (error) {
+                throw toError(error);
+            } finally {
+                release();
+            }
+        }
+
+        // Chat
+
+        /**
+         * Streams an answer from /chat/stream. onEvent(type, data) receives the
+         * sources, token, done and error events as they arrive; the promise
+         * resolves with the assembled answer once the stream ends. The timeout
+         * only covers the wait for the first byte of the response.
+         */
+        async function streamChat(chatRequest, { onEvent, signal, timeoutMs } = {}) {
+            const { response, release, toError } = await request('POST', '/chat/stream', {
+                body: chatRequest,
+                headers: { 'Accept': 'text/event-stream' },
+                responseType: 'stream',
+                signal: signal,
+                timeoutMs: timeoutMs
+            });
+
+            const result = { response: '', sources: [], provider: null, model: null, fromCache: false, cachedAt: null };
+            try {
+                await readServerSentEvents(response, async (type, data) => {
+                    switch (type) {
+                        case 'sources':
+                            result.sources = data.sources || [];
+                            result.fromCache = Boolean(data.fromCache);
+                            result.cachedAt = data.cachedAt || null;
+                            break;
+                        case 'token':
+                            result.response += data.text;
+                            break;
+                        case 'done':
+                            result.provider = data.provider || null;
+                            result.model = data.model || null;
+                            break;
+                        case 'error':
+                            throw new ApiError(data.message || message('stream'), {
+                                code: 'stream',
+                                status: response.status,
+                                method: 'POST',
+                                url: response.url,
+                                body: data
+                            });
+                    }
+                    if (onEvent) {
+                        await onEvent(type, data);
+                    }
+                });
+            } catch (error) {
+                throw toError(error);
+            } finally {
+                release();
+            }
+
+            return result;
+        }
+
+        return {
+            request: request,
+
+            auth: {
+                login: (username, password, requestOptions) =>
+                    request('POST', '/auth/login', { ...requestOptions, body: { username: username, password: password } }),
+                me: requestOptions => request('GET', '/auth/me', requestOptions)
+            },
+
+            documents: {
+                list: listDocuments,
+                get: (id, requestOptions) => request('GET', `/documents/${id}`, requestOptions),
+                upload: uploadDocument,
+                checkDuplicates: (hashes, requestOptions) =>
+                    request('POST', '/documents/check-duplicates', { ...requestOptions, body: { hashes: hashes } }),
+                indexText: (payload, requestOptions) =>
+                    request('POST', '/documents/index-text', { ...requestOptions, body: payload }),
+                indexUrl: (payload, requestOptions) =>
+                    request('POST', '/documents/index-url', { ...requestOptions, body: payload }),
+                getSitemapUrls: (url, requestOptions) =>
+                    request('GET', '/documents/sitemap', { ...requestOptions, query: { url: url } }),
+                getContent: getDocumentContent,
+                update: (id, payload, requestOptions) =>
+                    request('PUT', `/documents/${id}`, { ...requestOptions, body: payload }),
+                updateMetadata: (id, payload, requestOptions) =>
+                    request('PUT', `/documents/${id}/metadata`, { ...requestOptions, body: payload }),
+                reprocess: (id, requestOptions) =>
+                    request('POST', `/documents/${id}/reprocess`, requestOptions),
+                delete: (id, requestOptions) =>
+                    request('DELETE', `/documents/${id}`, requestOptions),
+                listChunks: (id, query = {}, requestOptions) =>
+                    request('GET', `/documents/${id}/chunks`, { ...requestOptions, query: query }),
+                getChunk: (id, chunkId, requestOptions) =>
+                    request('GET', `/documents/${id}/chunks/${chunkId}`, requestOptions),
+                getChunkLocation: (id, chunkId, requestOptions) =>
+                    request('GET', `/documents/${id}/chunks/${chunkId}/location`, requestOptions),
+                updateChunk: (id, chunkId, payload, requestOptions) =>
+                    request('PUT', `/documents/${id}/chunks/${chunkId}`, { ...requestOptions, body: payload }),
+                events: followDocumentEvents
+            },
+
+            chat: {
+                send: (chatRequest, requestOptions) =>
+                    request('POST', '/chat', { ...requestOptions, body: chatRequest }),
+                stream: streamChat,
+                info: requestOptions => request('GET', '/chat/info', requestOptions)
+            },
+
+            providers: {
+                info: requestOptions => request('GET', '/aiprovider/info', requestOptions),
+                configuration: (provider, requestOptions) =>
+                    request('GET', `/aiprovider/configuration/${provider}`, requestOptions),
+                testEmbedding: (payload, requestOptions) =>
+                    request('POST', '/aiprovider/test/embedding', { ...requestOptions, body: payload }),
+                testChat: (payload, requestOptions) =>
+                    request('POST', '/aiprovider/test/chat', { ...requestOptions, body: payload }),
+                // The endpoint binds the raw body to a string, so it is sent as a JSON string
+                testAll: (text, requestOptions) =>
+                    request('POST', '/aiprovider/test/all', { ...requestOptions, body: text })
+            },
+
+            semanticCache: {
+                stats: requestOptions => request('GET', '/semanticcache/stats', requestOptions),
+                entries: (query = {}, requestOptions) =>
+                    request('GET', '/semanticcache/entries', { ...requestOptions, query: query }),
+                clean: (olderThanHours, requestOptions) =>
+                    request('DELETE', '/semanticcache', { ...requestOptions, query: { olderThanHours: olderThanHours } }),
+                purgeDocument: (documentId, requestOptions) =>
+                    request('DELETE', `/semanticcache/documents/${documentId}`, requestOptions),
+                deleteEntry: (id, requestOptions) =>
+                    request('DELETE', `/semanticcache/${id}`, requestOptions)
+            },
+
+            feedback: {
+                create: (payload, requestOptions) =>
+                    request('POST', '/feedback', { ...requestOptions, body: payload }),
+                update: (id, payload, requestOptions) =>
+                    request('PUT', `/feedback/${id}`, { ...requestOptions, body: payload }),
+                dashboard: (days, requestOptions) =>
+                    request('GET', '/feedback/dashboard', { ...requestOptions, query: { days: days } })
+            }
+        };
+    }
+
+    return {
+        createClient,
+        ApiError
+    };
+})();
+
+// Browser pages load this as a classic script; Node scripts require() it
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RagApiClient;
+}
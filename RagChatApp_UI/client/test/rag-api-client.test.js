@@ -0,0 +1,451 @@
+// Tests of the API client against a mock HTTP server: retries, timeouts,
+// the Server-Sent Events parser, the mapping of error bodies to ApiError
+// and upload progress. Run with `npm test` (Node 18+, no dependencies).
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { createClient, ApiError } = require('../rag-api-client.js');
+
+// Requests to /api/<name> are answered by routes[name](req, res, attempt),
+// where attempt counts the requests to that route since it was registered
+const routes = {};
+const attempts = {};
+let server;
+let baseUrl;
+
+function route(name, handler) {
+    routes[name] = handler;
+    attempts[name] = 0;
+}
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+async function readFormData(req) {
+    const body = await readBody(req);
+    return new Response(body, { headers: { 'Content-Type': req.headers['content-type'] } }).formData();
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Writes the pieces of a text/event-stream one by one, so events and lines
+// arrive split across reads
+async function writeEventStream(res, pieces) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const piece of pieces) {
+        res.write(piece);
+        await delay(5);
+    }
+    res.end();
+}
+
+// A broken stream parser would wait forever for an event; fail instead
+const SUITE_OPTIONS = { timeout: 10000 };
+
+function client(options = {}) {
+    return createClient({ baseUrl: baseUrl, retryDelayMs: 5, ...options });
+}
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const name = new URL(req.url, 'http://localhost').pathname.replace(/^\/api\//, '');
+        const handler = routes[name];
+        if (!handler) {
+            sendJson(res, 404, { success: false, message: 'Route not mocked' });
+            return;
+        }
+        attempts[name]++;
+        handler(req, res, attempts[name]);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+});
+
+describe('retries', SUITE_OPTIONS, () => {
+    it('retries an idempotent request on 5xx until it succeeds', async () => {
+        route('flaky', (req, res, attempt) => attempt < 3 ? sendJson(res, 503) : sendJson(res, 200, { ok: true }));
+
+        assert.deepEqual(await client().request('GET', '/flaky'), { ok: true });
+        assert.equal(attempts.flaky, 3);
+    });
+
+    it('gives up after the configured retries', async () => {
+        route('down', (req, res) => sendJson(res, 503, { success: false, message: 'Unavailable' }));
+
+        await assert.rejects(client({ retries: 1 }).request('GET', '/down'), error => {
+            assert.ok(error instanceof ApiError);
+            assert.equal(error.status, 503);
+            assert.equal(error.retryable, true);
+            return true;
+        });
+        assert.equal(attempts.down, 2);
+    });
+
+    it('waits for Retry-After on 429', async () => {
+        route('limited', (req, res, attempt) => attempt === 1
+            ? sendJson(res, 429, undefined, { 'Retry-After': '1' })
+            : sendJson(res, 200, { ok: true }));
+
+        const start = Date.now();
+        await client().request('GET', '/limited');
+        assert.ok(Date.now() - start >= 900, 'the retry waited for Retry-After');
+        assert.equal(attempts.limited, 2);
+    });
+
+    it('does not retry POST or client errors', async () => {
+        route('create', (req, res) => sendJson(res, 500, { success: false, message: 'boom' }));
+        route('invalid', (req, res) => sendJson(res, 400, { success: false, message: 'Invalid' }));
+
+        await assert.rejects(client().request('POST', '/create', { body: {} }), { status: 500 });
+        await assert.rejects(client().request('GET', '/invalid'), { status: 400, retryable: false });
+        assert.equal(attempts.create, 1);
+        assert.equal(attempts.invalid, 1);
+    });
+
+    it('reports an unreachable server as a network error', async () => {
+        const offline = createClient({ baseUrl: 'http://127.0.0.1:1/api', retries: 0 });
+
+        await assert.rejects(offline.chat.info(), { code: 'network', status: 0, retryable: true });
+    });
+});
+
+describe('timeouts', SUITE_OPTIONS, () => {
+    it('rejects with a timeout error when the response is late', async () => {
+        route('slow', (req, res) => setTimeout(() => sendJson(res, 200, {}), 1000));
+
+        await assert.rejects(client().request('GET', '/slow', { timeoutMs: 100, retries: 0 }), error => {
+            assert.equal(error.code, 'timeout');
+            assert.equal(error.timedOut, true);
+            assert.match(error.message, /100 ms/);
+            return true;
+        });
+    });
+
+    it('retries an idempotent request that timed out', async () => {
+        route('slowOnce', (req, res, attempt) => attempt === 1
+            ? setTimeout(() => sendJson(res, 200, { attempt }), 1000)
+            : sendJson(res, 200, { attempt }));
+
+        assert.deepEqual(await client().request('GET', '/slowOnce', { timeoutMs: 100 }), { attempt: 2 });
+    });
+
+    it('rejects with an aborted error when the signal aborts, without retrying', async () => {
+        route('hang', (req, res) => setTimeout(() => sendJson(res, 200, {}), 1000));
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 50);
+
+        await assert.rejects(client().request('GET', '/hang', { signal: controller.signal }), { code: 'aborted', aborted: true });
+        assert.equal(attempts.hang, 1);
+    });
+});
+
+describe('ApiError mapping', SUITE_OPTIONS, () => {
+    it('uses the message of an OperationResponse', async () => {
+        route('documents/7', (req, res) => sendJson(res, 404, { success: false, message: 'Document not found' }));
+
+        await assert.rejects(client().documents.get(7), error => {
+            assert.ok(error instanceof ApiError);
+            assert.equal(error.code, 'http');
+            assert.equal(error.status, 404);
+            assert.equal(error.method, 'GET');
+            assert.equal(error.message, 'Document not found');
+            assert.deepEqual(error.body, { success: false, message: 'Document not found' });
+            return true;
+        });
+    });
+
+    it('uses the error of the AI provider endpoints', async () => {
+        route('aiprovider/info', (req, res) => sendJson(res, 400, { error: 'Provider not configured' }));
+
+        await assert.rejects(client().providers.info(), { message: 'Provider not configured', retryable: false });
+    });
+
+    it('exposes the validation errors of a problem response', async () => {
+        route('chat', (req, res) => {
+            res.writeHead(400, { 'Content-Type': 'application/problem+json' });
+            res.end(JSON.stringify({
+                title: 'One or more validation errors occurred.',
+                errors: { Message: ['The Message field is required.'] }
+            }));
+        });
+
+        await assert.rejects(client().chat.send({ message: '' }), error => {
+            assert.match(error.message, /The Message field is required/);
+            assert.deepEqual(error.details, { Message: ['The Message field is required.'] });
+            return true;
+        });
+    });
+
+    it('falls back to a generic message, translatable with formatMessage', async () => {
+        route('empty', (req, res) => sendJson(res, 500));
+
+        await assert.rejects(client({ retries: 0 }).request('GET', '/empty'), { message: 'Request failed with status 500' });
+
+        const translated = client({ retries: 0, formatMessage: (code, params) => code === 'http' ? `Errore ${params.status}` : null });
+        await assert.rejects(translated.request('GET', '/empty'), { message: 'Errore 500' });
+    });
+
+    it('rejects a malformed JSON body as an invalid response', async () => {
+        route('broken', (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end('{"truncated":');
+        });
+
+        await assert.rejects(client().request('GET', '/broken'), { code: 'invalidResponse' });
+    });
+
+    it('calls onUnauthorized on a 401 and sends the headers of getHeaders', async () => {
+        let authorization = null;
+        route('auth/me', (req, res) => {
+            authorization = req.headers.authorization;
+            sendJson(res, 401, { success: false, message: 'Sign in required' });
+        });
+        const unauthorized = [];
+
+        const api = client({
+            getHeaders: async () => ({ Authorization: 'Bearer expired' }),
+            onUnauthorized: error => unauthorized.push(error)
+        });
+        await assert.rejects(api.auth.me(), { status: 401 });
+        assert.equal(authorization, 'Bearer expired');
+        assert.equal(unauthorized.length, 1);
+        assert.equal(unauthorized[0].status, 401);
+    });
+});
+
+describe('Server-Sent Events', SUITE_OPTIONS, () => {
+    it('assembles a streamed answer from events split across reads', async () => {
+        route('chat/stream', (req, res) => writeEventStream(res, [
+            'event: sources\r\ndata: {"sources":[{"chunkId":1}],"fromCache":true,',
+            '"cachedAt":"2024-01-01T00:00:00Z"}\r\n\r\n',
+            ': keep-alive\n\n',
+            'event: tok',
+            'en\ndata: {"text":"Hel"}\n\nevent: token\ndata: {"text":',
+            '"lo"}\n\nevent: token\ndata: {"text":\ndata: " world"}\n\n',
+            'event: done\ndata: {"provider":"OpenAI","model":"gpt-4o-mini"}\n\n'
+        ]));
+        const events = [];
+
+        const result = await client().chat.stream({ message: 'hi' }, { onEvent: type => events.push(type) });
+        assert.equal(result.response, 'Hello world');
+        assert.deepEqual(result.sources, [{ chunkId: 1 }]);
+        assert.equal(result.fromCache, true);
+        assert.equal(result.cachedAt, '2024-01-01T00:00:00Z');
+        assert.equal(result.provider, 'OpenAI');
+        assert.equal(result.model, 'gpt-4o-mini');
+        assert.deepEqual(events, ['sources', 'token', 'token', 'token', 'done']);
+    });
+
+    it('rejects on an error event with the message of the server', async () => {
+        route('chat/stream', (req, res) => writeEventStream(res, [
+            'event: token\ndata: {"text":"a"}\n\n',
+            'event: error\ndata: {"message":"Provider down"}\n\n'
+        ]));
+
+        await assert.rejects(client().chat.stream({ message: 'hi' }), { code: 'stream', message: 'Provider down' });
+    });
+
+    it('follows the document events until the server closes the stream', async () => {
+        route('documents/events', (req, res) => writeEventStream(res, [
+            'event: ready\ndata: {}\n\n',
+            'event: document\ndata: {"documentId":3,"stage":"Embedding","field":"Content","processedChunks":1,"totalChunks":4}\n\n',
+            ': keep-alive\n\n',
+            'event: document\ndata: {"documentId":3,"stage":"Completed"}\n\n'
+        ]));
+        const events = [];
+
+        await client().documents.events({ onEvent: (type, data) => events.push([type, data.stage]) });
+        assert.deepEqual(events, [['ready', undefined], ['document', 'Embedding'], ['document', 'Completed']]);
+    });
+
+    it('stops following the document events when the signal aborts', async () => {
+        route('documents/events', (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            res.write('event: ready\ndata: {}\n\n');
+        });
+        const controller = new AbortController();
+
+        await assert.rejects(client().documents.events({
+            signal: controller.signal,
+            onEvent: type => type === 'ready' && controller.abort()
+        }), { code: 'aborted' });
+    });
+});
+
+describe('uploads', SUITE_OPTIONS, () => {
+    const fileContent = Buffer.alloc(200 * 1024, 'a');
+
+    afterEach(() => {
+        delete globalThis.XMLHttpRequest;
+    });
+
+    it('posts the file and its metadata as multipart form data', async () => {
+        let received = null;
+        route('documents/upload', async (req, res) => {
+            received = await readFormData(req);
+            sendJson(res, 200, { id: 12, status: 'Processing' });
+        });
+
+        const result = await client().documents.upload(fileContent, {
+            fileName: 'guide.md',
+            notes: 'Manual',
+            details: { team: 'hr' },
+            replaceDocumentId: 5
+        });
+        assert.deepEqual(result, { id: 12, status: 'Processing' });
+        assert.equal(received.get('File').name, 'guide.md');
+        assert.equal(received.get('File').size, fileContent.length);
+        assert.equal(received.get('Notes'), 'Manual');
+        assert.equal(received.get('Details'), '{"team":"hr"}');
+        assert.equal(received.get('ReplaceDocumentId'), '5');
+    });
+
+    it('reports the upload progress through XMLHttpRequest', async () => {
+        globalThis.XMLHttpRequest = TestXMLHttpRequest;
+        let authorization = null;
+        route('documents/upload', async (req, res) => {
+            authorization = req.headers.authorization;
+            await readBody(req);
+            sendJson(res, 200, { id: 13, status: 'Processing' });
+        });
+        const progress = [];
+
+        const result = await client({ getHeaders: () => ({ Authorization: 'Bearer abc' }) }).documents.upload(fileContent, {
+            fileName: 'guide.md',
+            onProgress: (loaded, total) => progress.push([loaded, total])
+        });
+        assert.deepEqual(result, { id: 13, status: 'Processing' });
+        assert.equal(authorization, 'Bearer abc');
+        assert.ok(progress.length > 1, 'progress is reported more than once');
+        assert.ok(progress.every(([loaded], i) => i === 0 || loaded > progress[i - 1][0]), 'progress only grows');
+        const [lastLoaded, total] = progress[progress.length - 1];
+        assert.equal(lastLoaded, total);
+        assert.ok(total > fileContent.length, 'the total includes the multipart envelope');
+    });
+
+    it('maps an error response of an upload with progress to ApiError', async () => {
+        globalThis.XMLHttpRequest = TestXMLHttpRequest;
+        route('documents/upload', async (req, res) => {
+            await readBody(req);
+            sendJson(res, 409, { success: false, message: 'Document is already being processed' });
+        });
+
+        await assert.rejects(client().documents.upload(fileContent, { fileName: 'guide.md', onProgress: () => {} }), error => {
+            assert.ok(error instanceof ApiError);
+            assert.equal(error.status, 409);
+            assert.equal(error.message, 'Document is already being processed');
+            return true;
+        });
+    });
+
+    it('cancels an upload with progress when the signal aborts', async () => {
+        globalThis.XMLHttpRequest = TestXMLHttpRequest;
+        route('documents/upload', () => {}); // Never answers
+        const controller = new AbortController();
+
+        const upload = client().documents.upload(fileContent, {
+            fileName: 'guide.md',
+            signal: controller.signal,
+            onProgress: () => controller.abort()
+        });
+        await assert.rejects(upload, { code: 'aborted' });
+    });
+});
+
+// Minimal XMLHttpRequest over node:http, enough for the client's upload with
+// progress: the body is written in chunks and a progress event follows each one
+const UPLOAD_CHUNK_SIZE = 64 * 1024;
+
+class TestXMLHttpRequest {
+    constructor() {
+        this.listeners = {};
+        this.headers = {};
+        this.responseHeaders = {};
+        this.status = 0;
+        this.responseText = '';
+        this.timeout = 0;
+        this.upload = { addEventListener: (type, listener) => this.addEventListener(`upload:${type}`, listener) };
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    dispatch(type, event = {}) {
+        (this.listeners[type] || []).forEach(listener => listener(event));
+    }
+
+    open(method, url) {
+        this.method = method;
+        this.url = url;
+    }
+
+    setRequestHeader(name, value) {
+        this.headers[name] = value;
+    }
+
+    getResponseHeader(name) {
+        return this.responseHeaders[name.toLowerCase()] ?? null;
+    }
+
+    abort() {
+        if (this.request && !this.aborted) {
+            this.aborted = true;
+            this.request.destroy();
+            this.dispatch('abort');
+        }
+    }
+
+    async send(formData) {
+        // Request encodes the form data as multipart, like a browser would
+        const encoded = new Request(this.url, { method: this.method, body: formData });
+        const body = Buffer.from(await encoded.arrayBuffer());
+
+        this.request = http.request(this.url, {
+            method: this.method,
+            headers: { ...this.headers, 'Content-Type': encoded.headers.get('Content-Type'), 'Content-Length': body.length }
+        }, response => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => {
+                this.status = response.statusCode;
+                this.responseHeaders = response.headers;
+                this.responseText = Buffer.concat(chunks).toString();
+                this.dispatch('load');
+            });
+        });
+        this.request.on('error', () => {
+            if (!this.aborted) {
+                this.dispatch('error');
+            }
+        });
+
+        for (let loaded = 0; loaded < body.length && !this.aborted;) {
+            const end = Math.min(loaded + UPLOAD_CHUNK_SIZE, body.length);
+            this.request.write(body.subarray(loaded, end));
+            loaded = end;
+            this.dispatch('upload:progress', { loaded: loaded, total: body.length, lengthComputable: true });
+        }
+        if (!this.aborted) {
+            this.request.end();
+        }
+    }
+}
@@ -0,0 +1,199 @@
+// Answer Feedback
+// Thumbs up/down, an optional comment and a "wrong source" flag on every
+// answer of the conversation. The rating is saved as soon as a thumb is
+// clicked; the server keeps the question, answer, source chunks and settings
+// with it. The feedback id is stored in the conversation entry so that
+// reopening the conversation shows the rating and later changes update it.
+const AnswerFeedbackState = {
+    answers: new WeakMap() // Rendered bot message -> { conversation, entry }
+};
+
+// Called for answers stored in a conversation (not errors or comparison columns)
+function enableAnswerFeedback(messageDiv, conversation, entry) {
+    AnswerFeedbackState.answers.set(messageDiv, { conversation, entry });
+
+    messageDiv.querySelector('.message-actions')
+        .insertAdjacentHTML('afterbegin', '<span class="feedback-controls"></span>');
+    renderFeedbackControls(messageDiv);
+}
+
+function renderFeedbackControls(messageDiv) {
+    const { entry } = AnswerFeedbackState.answers.get(messageDiv);
+    const feedback = entry.feedback || {};
+    const flagged = feedback.wrongSource ? ` <span class="feedback-flag" title="${t('feedback.wrongSourceReported')}">⚠️</span>` : '';
+
+    messageDiv.querySelector('.feedback-controls').innerHTML = `
+        <button class="feedback-btn${feedback.rating === 1 ? ' active' : ''}" data-feedback-action="up" title="${t('feedback.up')}" aria-label="${t('feedback.up')}">👍</button>
+        <button class="feedback-btn${feedback.rating === -1 ? ' active' : ''}" data-feedback-action="down" title="${t('feedback.down')}" aria-label="${t('feedback.down')}">👎</button>
+        ${feedback.rating ? `<button class="btn-link" data-feedback-action="details" title="${t('feedback.detailsTitle')}">💬 ${t('feedback.details')}</button>${flagged}` : ''}
+    `;
+}
+
+function handleFeedbackAction(button) {
+    const messageDiv = button.closest('.message');
+    const answer = AnswerFeedbackState.answers.get(messageDiv);
+    if (!answer) {
+        return;
+    }
+
+    switch (button.dataset.feedbackAction) {
+        case 'up':
+            rateAnswer(messageDiv, 1);
+            break;
+        case 'down':
+            rateAnswer(messageDiv, -1);
+            break;
+        case 'details':
+            toggleFeedbackPanel(messageDiv);
+            break;
+        case 'save':
+            saveFeedbackPanel(messageDiv);
+            break;
+        case 'cancel':
+            closeFeedbackPanel(messageDiv);
+            break;
+    }
+}
+
+// A thumbs down opens the panel, since that is when a comment helps most
+async function rateAnswer(messageDiv, rating) {
+    const saved = await saveAnswerFeedback(messageDiv, { rating: rating });
+    if (saved && rating === -1 && !messageDiv.querySelector('.feedback-panel')) {
+        toggleFeedbackPanel(messageDiv);
+    }
+}
+
+function toggleFeedbackPanel(messageDiv) {
+    if (messageDiv.querySelector('.feedback-panel')) {
+        closeFeedbackPanel(messageDiv);
+        return;
+    }
+
+    const { entry } = AnswerFeedbackState.answers.get(messageDiv);
+    const feedback = entry.feedback || {};
+    const flaggedChunkIds = feedback.flaggedChunkIds || [];
+    const sources = entry.sources || [];
+
+    messageDiv.querySelector('.message-actions').insertAdjacentHTML('afterend', `
+        <div class="feedback-panel">
+            <textarea class="feedback-comment" rows="2" maxlength="2000" placeholder="${t('feedback.commentPlaceholder')}">${escapeHtml(feedback.comment || '')}</textarea>
+            <label class="feedback-option">
+                <input type="checkbox" class="feedback-wrong-source" ${feedback.wrongSource ? 'checked' : ''}>
+                <span>${t('feedback.wrongSource')}</span>
+            </label>
+            ${sources.length > 0 ? `
+                <div class="feedback-sources">
+                    <span>${t('feedback.whichSources')}</span>
+                    ${sources.map((source, index) => `
+                        <label class="feedback-option">
+                            <input type="checkbox" class="feedback-source" value="${source.chunkId}" ${flaggedChunkIds.includes(source.chunkId) ? 'checked' : ''}>
+                            <span>[${index + 1}] ${escapeHtml(source.documentName)}${source.headerContext ? ` • ${escapeHtml(source.headerContext)}` : ''}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            ` : ''}
+            <div class="feedback-panel-actions">
+                <button class="btn btn-small btn-secondary" data-feedback-action="cancel">${t('common.cancel')}</button>
+                <button class="btn btn-small btn-primary" data-feedback-action="save">💾 ${t('common.save')}</button>
+            </div>
+        </div>
+    `);
+
+    const panel = messageDiv.querySelector('.feedback-panel');
+    const wrongSource = panel.querySelector('.feedback-wrong-source');
+
+    // Marking a source implies the flag
+    panel.querySelectorAll('.feedback-source').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                wrongSource.checked = true;
+            }
+        });
+    });
+    panel.querySelector('.feedback-comment').focus();
+}
+
+function closeFeedbackPanel(messageDiv) {
+    const panel = messageDiv.querySelector('.feedback-panel');
+    if (panel) {
+        panel.remove();
+    }
+}
+
+async function saveFeedbackPanel(messageDiv) {
+    const panel = messageDiv.querySelector('.feedback-panel');
+    const flaggedChunkIds = Array.from(panel.querySelectorAll('.feedback-source:checked'))
+        .map(checkbox => parseInt(checkbox.value));
+
+    const saved = await saveAnswerFeedback(messageDiv, {
+        comment: panel.querySelector('.feedback-comment').value.trim() || null,
+        wrongSource: panel.querySelector('.feedback-wrong-source').checked || flaggedChunkIds.length > 0,
+        flaggedChunkIds: flaggedChunkIds
+    });
+
+    if (saved) {
+        closeFeedbackPanel(messageDiv);
+        showToast(t('feedback.thanks'), 'success');
+    }
+}
+
+// Creates the feedback on the first rating and updates it afterwards
+async function saveAnswerFeedback(messageDiv, changes) {
+    const { conversation, entry } = AnswerFeedbackState.answers.get(messageDiv);
+    const current = entry.feedback || {};
+    const rating = {
+        rating: changes.rating ?? current.rating,
+        comment: changes.comment !== undefined ? changes.comment : (current.comment || null),
+        wrongSource: changes.wrongSource ?? (current.wrongSource || false),
+        flaggedChunkIds: changes.flaggedChunkIds || current.flaggedChunkIds || []
+    };
+
+    const buttons = messageDiv.querySelectorAll('[data-feedback-action]');
+    buttons.forEach(button => { button.disabled = true; });
+
+    try {
+        const saved = current.id
+            ? await apiClient.feedback.update(current.id, rating)
+            : await apiClient.feedback.create({ ...rating, ...buildFeedbackAnswer(entry) });
+
+        entry.feedback = {
+            id: saved.id,
+            rating: saved.rating,
+            comment: saved.comment,
+            wrongSource: saved.wrongSource,
+            flaggedChunkIds: saved.flaggedChunkIds
+        };
+        persistConversation(conversation);
+        renderFeedbackControls(messageDiv);
+        updateStatus(t('feedback.saved'));
+        return true;
+
+    } catch (error) {
+        console.error('Feedback error:', error);
+        showToast(t('feedback.saveFailed', { error: error.message }), 'error');
+        return false;
+
+    } finally {
+        buttons.forEach(button => { button.disabled = false; });
+    }
+}
+
+// What the rating refers to; answers saved before the settings were recorded send them as null
+function buildFeedbackAnswer(entry) {
+    const generation = entry.generation || {};
+
+    return {
+        question: entry.searchQuery,
+        answer: entry.content,
+        maxChunks: generation.maxChunks ?? null,
+        similarityThreshold: generation.similarityThreshold ?? null,
+        provider: generation.provider || null,
+        model: generation.model || null,
+        sources: (entry.sources || []).map(source => ({
+            documentId: source.documentId,
+            documentName: source.documentName,
+            chunkId: source.chunkId,
+            similarityScore: source.similarityScore
+        }))
+    };
+}
@@ -2,17 +2,49 @@
 const CONFIG = {
     API_BASE_URL: 'https://localhost:7185/api', // Adjust based on your server configuration
     MAX_FILE_SIZE: 50 * 1024 * 1024, // 50MB
-    SUPPORTED_FILE_TYPES: ['.txt', '.pdf', '.doc', '.docx'],
-    TOAST_DURATION: 5000
+    SUPPORTED_FILE_TYPES: ['.txt', '.md', '.pdf', '.doc', '.docx'],
+    TOAST_DURATION: 5000,
+    HISTORY_CHAR_BUDGET: 6000, // Default size of the conversation context sent with each question
+    DOCUMENTS_PAGE_SIZE: 20,
+    UPLOAD_CONCURRENCY: 2, // Files uploaded at the same time
+    UPLOAD_MAX_RETRIES: 3, // Automatic retries for network and server errors
+    UPLOAD_RETRY_BASE_DELAY: 1000, // Doubled after every failed attempt
+    SEARCH_DEBOUNCE: 300
 };
 
+// Every call to the server goes through the shared client (client/rag-api-client.js)
+const apiClient = RagApiClient.createClient({
+    baseUrl: CONFIG.API_BASE_URL,
+    getHeaders: getAuthHeaders,
+    onUnauthorized: handleUnauthorized,
+    formatMessage: (code, params) => t(`errors.${code}`, params)
+});
+
 // Application State
 const AppState = {
     currentTab: 'documents',
-    documents: [],
+    documents: [], // Current page of the documents list
+    documentQuery: {
+        search: '',
+        status: '',
+        contentType: '',
+        uploadedFrom: '',
+        uploadedTo: '',
+        author: '',
+        tag: '',
+        sortBy: 'uploadedAt',
+        sortDirection: 'desc',
+        page: 1,
+        pageSize: CONFIG.DOCUMENTS_PAGE_SIZE
+    },
+    documentTotalCount: 0,
     isLoading: false,
-    chatMessages: [],
-    pendingFiles: [], // Files waiting for metadata input
+    chatMessages: [], // Messages of the active conversation
+    conversations: [],
+    activeConversationId: null,
+    chatAbortController: null, // Set while a streamed answer is in progress
+    conversationFilter: '',
+    pendingFiles: [], // { file, relativePath, replaceDocumentId } waiting for metadata input
     isMetadataFormVisible: false
 };
 
@@ -22,19 +54,51 @@ const elements = {
     tabContents: document.querySelectorAll('.tab-content'),
     dropZone: document.getElementById('dropZone'),
     fileInput: document.getElementById('fileInput'),
+    folderInput: document.getElementById('folderInput'),
+    selectFolderBtn: document.getElementById('selectFolderBtn'),
     textTitle: document.getElementById('textTitle'),
     textContent: document.getElementById('textContent'),
     indexTextBtn: document.getElementById('indexTextBtn'),
     refreshBtn: document.getElementById('refreshBtn'),
     documentsList: document.getElementById('documentsList'),
     documentsLoading: document.getElementById('documentsLoading'),
+    docSearch: document.getElementById('docSearch'),
+    docStatusFilter: document.getElementById('docStatusFilter'),
+    docTypeFilter: document.getElementById('docTypeFilter'),
+    docDateFrom: document.getElementById('docDateFrom'),
+    docDateTo: document.getElementById('docDateTo'),
+    docAuthorFilter: document.getElementById('docAuthorFilter'),
+    docTagFilter: document.getElementById('docTagFilter'),
+    docResetFilters: document.getElementById('docResetFilters'),
+    documentsColumns: document.getElementById('documentsColumns'),
+    docPrevPage: document.getElementById('docPrevPage'),
+    docNextPage: document.getElementById('docNextPage'),
+    docPageInfo: document.getElementById('docPageInfo'),
+    docPageSize: document.getElementById('docPageSize'),
     chatMessages: document.getElementById('chatMessages'),
+    chatTitle: document.getElementById('chatTitle'),
+    newConversationBtn: document.getElementById('newConversationBtn'),
+    conversationSearch: document.getElementById('conversationSearch'),
+    conversationList: document.getElementById('conversationList'),
     messageInput: document.getElementById('messageInput'),
     sendBtn: document.getElementById('sendBtn'),
+    stopBtn: document.getElementById('stopBtn'),
+    streamingToggle: document.getElementById('streamingToggle'),
+    bypassCacheToggle: document.getElementById('bypassCacheToggle'),
     maxChunks: document.getElementById('maxChunks'),
     maxChunksValue: document.getElementById('maxChunksValue'),
     similarityThreshold: document.getElementById('similarityThreshold'),
     similarityValue: document.getElementById('similarityValue'),
+    historyBudget: document.getElementById('historyBudget'),
+    historyBudgetValue: document.getElementById('historyBudgetValue'),
+    newTopicBtn: document.getElementById('newTopicBtn'),
+    chatProvider: document.getElementById('chatProvider'),
+    chatModel: document.getElementById('chatModel'),
+    chatModelOptions: document.getElementById('chatModelOptions'),
+    chatTemperature: document.getElementById('chatTemperature'),
+    chatMaxTokens: document.getElementById('chatMaxTokens'),
+    answerLanguageToggle: document.getElementById('answerLanguageToggle'),
+    languageSelect: document.getElementById('languageSelect'),
     statusText: document.getElementById('statusText'),
     modeIndicator: document.getElementById('modeIndicator'),
     toastContainer: document.getElementById('toastContainer'),
@@ -59,12 +123,17 @@ const elements = {
     textCustomDetails: document.getElementById('textCustomDetails')
 };
 
+// Welcome message shown at the top of every conversation
+const WELCOME_MESSAGE_HTML = elements.chatMessages.innerHTML;
+
 // Initialize Application
 document.addEventListener('DOMContentLoaded', function() {
+    elements.historyBudget.value = CONFIG.HISTORY_CHAR_BUDGET;
     initializeEventListeners();
-    loadDocuments();
+    onSignedIn(loadDocuments);
     checkApiInfo();
     updateRangeValues();
+    initializeChatHistory();
 });
 
 // Event Listeners
@@ -83,6 +152,12 @@ function initializeEventListeners() {
     elements.dropZone.addEventListener('dragleave', handleDragLeave);
     elements.dropZone.addEventListener('drop', handleDrop);
     elements.fileInput.addEventListener('change', handleFileSelect);
+    elements.folderInput.addEventListener('change', handleFileSelect);
+    elements.selectFolderBtn.addEventListener('click', (e) => {
+        // The drop zone itself opens the file picker
+        e.stopPropagation();
+        elements.folderInput.click();
+    });
 
     // Text Indexing
     elements.indexTextBtn.addEventListener('click', handleTextIndex);
@@ -90,8 +165,12 @@ function initializeEventListeners() {
     // Document Management
     elements.refreshBtn.addEventListener('click', loadDocuments);
 
+    // Documents search, filters, sorting and paging
+    initializeDocumentToolbar();
+
     // Chat
     elements.sendBtn.addEventListener('click', sendMessage);
+    elements.stopBtn.addEventListener('click', stopStreaming);
     elements.messageInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter' && !e.shiftKey) {
             e.preventDefault();
@@ -99,14 +178,77 @@ function initializeEventListeners() {
         }
     });
 
+    // Conversations
+    elements.newConversationBtn.addEventListener('click', startNewConversation);
+    elements.conversationSearch.addEventListener('input', (e) => {
+        AppState.conversationFilter = e.target.value.trim().toLowerCase();
+        renderConversationList();
+    });
+
     // Settings
     elements.maxChunks.addEventListener('input', updateRangeValues);
     elements.similarityThreshold.addEventListener('input', updateRangeValues);
+    elements.historyBudget.addEventListener('input', updateRangeValues);
+    elements.newTopicBtn.addEventListener('click', startNewTopic);
+
+    // Copy buttons on rendered code blocks and citation markers
+    elements.chatMessages.addEventListener('click', handleMessageClick);
 
     // Metadata form events
     elements.uploadWithMetadata.addEventListener('click', handleUploadWithMetadata);
     elements.skipMetadata.addEventListener('click', handleSkipMetadata);
     elements.cancelUpload.addEventListener('click', handleCancelUpload);
+
+    // Language
+    elements.languageSelect.value = I18n.getLanguage();
+    elements.languageSelect.addEventListener('change', () => I18n.setLanguage(elements.languageSelect.value));
+    document.addEventListener('languagechange', handleLanguageChange);
+}
+
+// Static markup is translated by I18n; the parts rendered here are rebuilt
+function handleLanguageChange() {
+    renderDocuments(AppState.documents);
+    renderDocumentsPager();
+    renderConversationList();
+
+    // A streamed answer in progress would be lost
+    if (!AppState.chatAbortController) {
+        renderActiveConversation();
+    }
+    updateStatus(t('status.ready'));
+}
+
+// Shared by every container that renders bot messages
+function handleMessageClick(e) {
+    const copyButton = e.target.closest('.code-copy-btn');
+    if (copyButton) {
+        const code = copyButton.closest('.code-block').querySelector('code');
+        copyToClipboard(code.textContent, t('chat.codeCopied'));
+        return;
+    }
+
+    const citation = e.target.closest('.citation');
+    if (citation) {
+        focusCitedSource(citation);
+        return;
+    }
+
+    const feedbackButton = e.target.closest('[data-feedback-action]');
+    if (feedbackButton) {
+        handleFeedbackAction(feedbackButton);
+        return;
+    }
+
+    const exportButton = e.target.closest('[data-export-answer]');
+    if (exportButton) {
+        openAnswerExport(exportButton.closest('.message'));
+        return;
+    }
+
+    const viewButton = e.target.closest('[data-view-document]');
+    if (viewButton) {
+        openDocumentViewer(parseInt(viewButton.dataset.viewDocument), parseInt(viewButton.dataset.viewChunk) || null);
+    }
 }
 
 // Tab Management
@@ -122,7 +264,7 @@ function switchTab(tabName) {
     });
 
     AppState.currentTab = tabName;
-    updateStatus(`Switched to ${tabName} tab`);
+    updateStatus(t('status.switchedTab', { tab: t(`tabs.${tabName}`) }));
 }
 
 // File Upload Handlers
@@ -140,143 +282,102 @@ function handleDrop(e) {
     e.preventDefault();
     elements.dropZone.classList.remove('drag-over');
 
-    const files = Array.from(e.dataTransfer.files);
-    processFiles(files);
+    // Folders can only be read through the entries of the drop event
+    const entries = getDroppedEntries(e.dataTransfer);
+    if (entries) {
+        readDroppedEntries(entries)
+            .then(startBulkImport)
+            .catch(error => {
+                console.error('Drop error:', error);
+                showToast(t('upload.dropFailed', { error: error.message }), 'error');
+            });
+        return;
+    }
+
+    processFiles(Array.from(e.dataTransfer.files));
 }
 
 function handleFileSelect(e) {
-    const files = Array.from(e.target.files);
-    processFiles(files);
+    processFiles(Array.from(e.target.files));
+
+    // Reset the input to allow re-selection of the same files
+    e.target.value = '';
 }
 
+// Loose files, archives and folder selections (webkitRelativePath) all go through
+// the bulk import, which validates them and checks for duplicates
 function processFiles(files) {
-    const validFiles = files.filter(file => validateFile(file));
-
-    if (validFiles.length === 0) {
-        elements.fileInput.value = '';
+    if (files.length === 0) {
         return;
     }
 
-    // Store files in pending state
-    AppState.pendingFiles = validFiles;
-
-    // Show metadata form
-    showMetadataForm();
+    startBulkImport(files.map(file => ({
+        file: file,
+        relativePath: file.webkitRelativePath || file.name
+    })));
+}
 
-    // Reset file input after processing to allow re-selection of the same files
-    elements.fileInput.value = '';
+// Uploads one file and reports its upload progress.
+// Resolves with the created document; rejects with an ApiError carrying
+// `status` (0 for network errors) and `retryable`, or `aborted` when cancelled.
+function uploadFile(file, metadata = null, { onProgress = null, signal = null, replaceDocumentId = null } = {}) {
+    return apiClient.documents.upload(file, {
+        notes: metadata ? metadata.notes : null,
+        details: metadata ? metadata.details : null,
+        replaceDocumentId: replaceDocumentId,
+        onProgress: onProgress,
+        signal: signal
+    });
 }
 
-function validateFile(file) {
-    // Check file size
-    if (file.size > CONFIG.MAX_FILE_SIZE) {
-        showToast(`File "${file.name}" is too large. Maximum size is 50MB.`, 'error');
-        return false;
-    }
+async function handleTextIndex() {
+    const title = elements.textTitle.value.trim();
+    const content = elements.textContent.value.trim();
 
-    // Check file type
-    const extension = '.' + file.name.split('.').pop().toLowerCase();
-    if (!CONFIG.SUPPORTED_FILE_TYPES.includes(extension)) {
-        showToast(`File type "${extension}" is not supported.`, 'error');
-        return false;
+    if (!title || !content) {
+        showToast(t('text.missingFields'), 'warning');
+        return;
     }
 
-    return true;
-}
+    // Collect metadata
+    const metadata = collectTextMetadata();
 
-async function uploadFile(file, metadata = null) {
-    const formData = new FormData();
-    formData.append('File', file);
+    const payload = {
+        title: title,
+        content: content
+    };
 
     // Add metadata if provided
-    if (metadata) {
-        if (metadata.notes) {
-            formData.append('Notes', metadata.notes);
-        }
-        if (metadata.details) {
-            formData.append('Details', JSON.stringify(metadata.details));
-        }
+    if (metadata.notes) {
+        payload.notes = metadata.notes;
     }
-
-    try {
-        updateStatus(`Uploading ${file.name}...`);
-
-        const response = await fetch(`${CONFIG.API_BASE_URL}/documents/upload`, {
-            method: 'POST',
-            body: formData
-        });
-
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        const result = await response.json();
-        showToast(`File "${file.name}" uploaded successfully!`, 'success');
-        loadDocuments(); // Refresh document list
-        updateStatus('File uploaded successfully');
-
-    } catch (error) {
-        console.error('Upload error:', error);
-        showToast(`Failed to upload "${file.name}": ${error.message}`, 'error');
-        updateStatus('Upload failed');
+    if (metadata.details && Object.keys(metadata.details).length > 0) {
+        payload.details = JSON.stringify(metadata.details);
     }
-}
 
-// Text Indexing
-async function handleTextIndex() {
-    const title = elements.textTitle.value.trim();
-    const content = elements.textContent.value.trim();
-
-    if (!title || !content) {
-        showToast('Please provide both title and content.', 'warning');
+    // Editing an existing document goes through the diff preview and PUT
+    if (isEditingDocument()) {
+        reviewDocumentEdit(payload);
         return;
     }
 
     try {
         elements.indexTextBtn.disabled = true;
-        updateStatus('Indexing text...');
-
-        // Collect metadata
-        const metadata = collectTextMetadata();
+        updateStatus(t('text.indexing'));
 
-        const payload = {
-            title: title,
-            content: content
-        };
-
-        // Add metadata if provided
-        if (metadata.notes) {
-            payload.notes = metadata.notes;
-        }
-        if (metadata.details && Object.keys(metadata.details).length > 0) {
-            payload.details = JSON.stringify(metadata.details);
-        }
-
-        const response = await fetch(`${CONFIG.API_BASE_URL}/documents/index-text`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(payload)
-        });
-
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        const result = await response.json();
-        showToast('Text indexed successfully with metadata!', 'success');
+        await apiClient.documents.indexText(payload);
+        showToast(t('text.indexed'), 'success');
 
         // Clear form
         clearTextForm();
 
         loadDocuments(); // Refresh document list
-        updateStatus('Text indexed successfully');
+        updateStatus(t('text.indexedStatus'));
 
     } catch (error) {
         console.error('Index error:', error);
-        showToast(`Failed to index text: ${error.message}`, 'error');
-        updateStatus('Indexing failed');
+        showToast(t('text.indexFailed', { error: error.message }), 'error');
+        updateStatus(t('text.indexFailedStatus'));
     } finally {
         elements.indexTextBtn.disabled = false;
     }
@@ -286,23 +387,26 @@ async function handleTextIndex() {
 async function loadDocuments() {
     try {
         elements.documentsLoading.style.display = 'block';
-        updateStatus('Loading documents...');
+        updateStatus(t('documents.loadingStatus'));
 
-        const response = await fetch(`${CONFIG.API_BASE_URL}/documents`);
+        const { documents, totalCount } = await apiClient.documents.list(AppState.documentQuery);
+        AppState.documents = documents;
+        AppState.documentTotalCount = totalCount;
 
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+        // Deleting the last document of a page leaves it empty: go back one page
+        if (documents.length === 0 && AppState.documentQuery.page > 1 && AppState.documentTotalCount > 0) {
+            AppState.documentQuery.page--;
+            return loadDocuments();
         }
 
-        const documents = await response.json();
-        AppState.documents = documents;
         renderDocuments(documents);
-        updateStatus(`Loaded ${documents.length} documents`);
+        renderDocumentsPager();
+        updateStatus(t('documents.loaded', { count: documents.length, total: AppState.documentTotalCount }));
 
     } catch (error) {
         console.error('Load documents error:', error);
-        showToast(`Failed to load documents: ${error.message}`, 'error');
-        updateStatus('Failed to load documents');
+        showToast(t('documents.loadFailed', { error: error.message }), 'error');
+        updateStatus(t('documents.loadFailedStatus'));
         renderDocuments([]); // Show empty state
     } finally {
         elements.documentsLoading.style.display = 'none';
@@ -310,63 +414,206 @@ async function loadDocuments() {
 }
 
 function renderDocuments(documents) {
+    updateSortIndicators();
+
     if (documents.length === 0) {
-        elements.documentsList.innerHTML = `
+        elements.documentsList.innerHTML = hasActiveDocumentFilters() ? `
             <div class="loading">
-                Nessun documento caricato. Carica il tuo primo documento per iniziare!
+                ${t('documents.noMatches')}
+            </div>
+        ` : `
+            <div class="loading">
+                ${t('documents.empty')}
             </div>
         `;
+        syncSelectionCheckboxes();
         return;
     }
 
-    const documentsHtml = documents.map(doc => `
-        <div class="document-item">
+    elements.documentsList.innerHTML = documents.map(buildDocumentItemHtml).join('');
+    syncSelectionCheckboxes();
+}
+
+// Re-renders one row, e.g. when its processing ends
+function renderDocumentRow(doc) {
+    const row = elements.documentsList.querySelector(`.document-item[data-document-id="${doc.id}"]`);
+    if (row) {
+        row.outerHTML = buildDocumentItemHtml(doc);
+        syncSelectionCheckboxes();
+    }
+}
+
+function buildDocumentItemHtml(doc) {
+    // The server enforces the same rule; this only hides actions that would be refused
+    const locked = canModifyDocument(doc) ? '' : `disabled title="${t('documents.notOwner')}"`;
+    return `
+        <div class="document-item" data-document-id="${doc.id}">
             <div class="document-header">
-                <div>
+                <input type="checkbox" class="doc-select" data-id="${doc.id}" title="${t('documents.selectTitle')}">
+                <div class="document-info" onclick="openDocumentDetail(${doc.id})" title="${t('documents.detailTitle')}">
                     <div class="document-title">${escapeHtml(doc.fileName)}</div>
                     <div class="document-meta">
-                        <div>Tipo: ${doc.contentType} • Dimensione: ${formatFileSize(doc.size)}</div>
-                        <div>Caricato: ${formatDate(doc.uploadedAt)} • Chunk: ${doc.chunkCount}</div>
-                        ${doc.processedAt ? `<div>Processato: ${formatDate(doc.processedAt)}</div>` : ''}
+                        <div>${t('documents.type')}: ${doc.contentType} • ${t('documents.size')}: ${formatFileSize(doc.size)}</div>
+                        <div>${t('documents.uploaded')}: ${formatDate(doc.uploadedAt)} • ${t('documents.chunks')}: ${doc.chunkCount}</div>
+                        ${doc.uploadedBy ? `<div>${t('documents.uploadedBy')}: ${escapeHtml(doc.uploadedBy)}</div>` : ''}
+                        ${doc.processedAt ? `<div>${t('documents.processed')}: ${formatDate(doc.processedAt)}</div>` : ''}
+                        ${isWebAddress(doc.path) ? `
+                            <div>${t('documents.source')}: <a class="document-source-link" href="${MarkdownRenderer.escapeHtml(doc.path)}" target="_blank" rel="noopener noreferrer" onclick="event.stopPropagation()">${escapeHtml(doc.path)}</a></div>
+                        ` : ''}
                     </div>
+                    <div class="document-progress">${buildDocumentProgressHtml(doc.id)}</div>
                 </div>
                 <div class="document-actions">
-                    <span class="status-badge status-${doc.status.toLowerCase()}">${doc.status}</span>
-                    <button class="btn btn-small btn-secondary" onclick="deleteDocument(${doc.id})">
-                        🗑️ Elimina
+                    <span class="status-badge status-${doc.status.toLowerCase()}">${t(`status.${doc.status}`)}</span>
+                    <button class="btn btn-small btn-secondary" onclick="openDocumentViewer(${doc.id})">
+                        📖 ${t('documents.open')}
+                    </button>
+                    <button class="btn btn-small btn-secondary" onclick="openDocumentDetail(${doc.id})">
+                        🔎 ${t('documents.details')}
+                    </button>
+                    ${isWebAddress(doc.path) ? `
+                        <button class="btn btn-small btn-secondary" onclick="refreshWebDocument(${doc.id})" ${locked || `title="${t('documents.refreshPageTitle')}"`}>
+                            🌐 ${t('common.refresh')}
+                        </button>
+                    ` : ''}
+                    <button class="btn btn-small btn-secondary" onclick="startDocumentEdit(${doc.id})" ${locked}>
+                        ✏️ ${t('documents.edit')}
+                    </button>
+                    <button class="btn btn-small btn-secondary" onclick="deleteDocument(${doc.id})" ${locked}>
+                        🗑️ ${t('common.delete')}
                     </button>
                 </div>
             </div>
         </div>
-    `).join('');
+    `;
+}
+
+function initializeDocumentToolbar() {
+    let searchTimer = null;
+
+    // Text inputs reload after a short pause in typing
+    [
+        [elements.docSearch, 'search'],
+        [elements.docAuthorFilter, 'author'],
+        [elements.docTagFilter, 'tag']
+    ].forEach(([input, key]) => {
+        input.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => updateDocumentQuery({ [key]: input.value.trim() }), CONFIG.SEARCH_DEBOUNCE);
+        });
+    });
 
-    elements.documentsList.innerHTML = documentsHtml;
+    [
+        [elements.docStatusFilter, 'status'],
+        [elements.docTypeFilter, 'contentType'],
+        [elements.docDateFrom, 'uploadedFrom'],
+        [elements.docDateTo, 'uploadedTo']
+    ].forEach(([input, key]) => {
+        input.addEventListener('change', () => updateDocumentQuery({ [key]: input.value }));
+    });
+
+    elements.docResetFilters.addEventListener('click', resetDocumentFilters);
+
+    elements.documentsColumns.addEventListener('click', (e) => {
+        const button = e.target.closest('.sort-btn');
+        if (button) {
+            toggleDocumentSort(button.dataset.sort);
+        }
+    });
+
+    elements.docPrevPage.addEventListener('click', () => changeDocumentPage(-1));
+    elements.docNextPage.addEventListener('click', () => changeDocumentPage(1));
+    elements.docPageSize.value = AppState.documentQuery.pageSize;
+    elements.docPageSize.addEventListener('change', () => {
+        updateDocumentQuery({ pageSize: parseInt(elements.docPageSize.value) });
+    });
+}
+
+// Any filter or sort change starts again from the first page
+function updateDocumentQuery(changes) {
+    Object.assign(AppState.documentQuery, changes, { page: 1 });
+    loadDocuments();
+}
+
+function hasActiveDocumentFilters() {
+    const { search, status, contentType, uploadedFrom, uploadedTo, author, tag } = AppState.documentQuery;
+    return [search, status, contentType, uploadedFrom, uploadedTo, author, tag].some(value => value);
+}
+
+function resetDocumentFilters() {
+    [
+        elements.docSearch,
+        elements.docStatusFilter,
+        elements.docTypeFilter,
+        elements.docDateFrom,
+        elements.docDateTo,
+        elements.docAuthorFilter,
+        elements.docTagFilter
+    ].forEach(input => { input.value = ''; });
+
+    updateDocumentQuery({
+        search: '',
+        status: '',
+        contentType: '',
+        uploadedFrom: '',
+        uploadedTo: '',
+        author: '',
+        tag: ''
+    });
+}
+
+function toggleDocumentSort(column) {
+    const query = AppState.documentQuery;
+    if (query.sortBy === column) {
+        updateDocumentQuery({ sortDirection: query.sortDirection === 'asc' ? 'desc' : 'asc' });
+    } else {
+        // Dates and numbers read best newest/largest first, text alphabetically
+        const descendingFirst = ['uploadedAt', 'size', 'chunkCount'].includes(column);
+        updateDocumentQuery({ sortBy: column, sortDirection: descendingFirst ? 'desc' : 'asc' });
+    }
+}
+
+function updateSortIndicators() {
+    const { sortBy, sortDirection } = AppState.documentQuery;
+    elements.documentsColumns.querySelectorAll('.sort-btn').forEach(button => {
+        const active = button.dataset.sort === sortBy;
+        button.classList.toggle('active', active);
+        button.dataset.direction = active ? sortDirection : '';
+    });
+}
+
+function changeDocumentPage(delta) {
+    AppState.documentQuery.page += delta;
+    loadDocuments();
+}
+
+function renderDocumentsPager() {
+    const { page, pageSize } = AppState.documentQuery;
+    const totalPages = Math.max(1, Math.ceil(AppState.documentTotalCount / pageSize));
+
+    elements.docPageInfo.textContent = t('documents.pageInfo', { page: page, totalPages: totalPages, count: AppState.documentTotalCount });
+    elements.docPrevPage.disabled = page <= 1;
+    elements.docNextPage.disabled = page >= totalPages;
 }
 
 async function deleteDocument(documentId) {
-    if (!confirm('Sei sicuro di voler eliminare questo documento?')) {
+    if (!confirm(t('documents.confirmDelete'))) {
         return;
     }
 
     try {
-        updateStatus('Deleting document...');
+        updateStatus(t('documents.deleting'));
 
-        const response = await fetch(`${CONFIG.API_BASE_URL}/documents/${documentId}`, {
-            method: 'DELETE'
-        });
+        await apiClient.documents.delete(documentId);
 
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        showToast('Document deleted successfully!', 'success');
+        showToast(t('documents.deleted'), 'success');
         loadDocuments(); // Refresh document list
-        updateStatus('Document deleted');
+        updateStatus(t('documents.deletedStatus'));
 
     } catch (error) {
         console.error('Delete error:', error);
-        showToast(`Failed to delete document: ${error.message}`, 'error');
-        updateStatus('Delete failed');
+        showToast(t('documents.deleteFailed', { error: error.message }), 'error');
+        updateStatus(t('documents.deleteFailedStatus'));
     }
 }
 
@@ -375,126 +622,576 @@ async function sendMessage() {
     const message = elements.messageInput.value.trim();
 
     if (!message) {
-        showToast('Please enter a message.', 'warning');
+        showToast(t('chat.emptyMessage'), 'warning');
+        return;
+    }
+
+    if (isCompareMode()) {
+        runComparison(message);
         return;
     }
 
+    // Replies are stored in the conversation the question was asked in,
+    // even if the user switches to another one while waiting
+    const conversation = ensureActiveConversation();
+    const history = buildConversationContext(conversation, parseInt(elements.historyBudget.value));
+
     // Add user message to chat
     addMessageToChat(message, 'user');
+    const questionEntry = appendToConversation(conversation, { role: 'user', content: message });
     elements.messageInput.value = '';
     elements.sendBtn.disabled = true;
 
-    try {
-        updateStatus('Generating AI response...');
+    const chatRequest = {
+        message: message,
+        maxChunks: parseInt(elements.maxChunks.value),
+        similarityThreshold: parseFloat(elements.similarityThreshold.value),
+        history: history,
+        ...getGenerationOverrides()
+    };
 
-        const chatRequest = {
-            message: message,
-            maxChunks: parseInt(elements.maxChunks.value),
-            similarityThreshold: parseFloat(elements.similarityThreshold.value)
-        };
+    if (elements.answerLanguageToggle.checked) {
+        chatRequest.responseLanguage = I18n.getLanguage();
+    }
 
-        const response = await fetch(`${CONFIG.API_BASE_URL}/chat`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(chatRequest)
-        });
+    // The bypass applies to one question only
+    if (elements.bypassCacheToggle.checked) {
+        chatRequest.bypassCache = true;
+        elements.bypassCacheToggle.checked = false;
+    }
+
+    try {
+        updateStatus(t('chat.generating'));
+
+        let result;
+        let messageDiv = null;
+        if (elements.streamingToggle.checked) {
+            result = await streamChatResponse(chatRequest);
+            messageDiv = result.messageDiv;
+        } else {
+            result = await apiClient.chat.send(chatRequest);
+        }
 
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+        const generation = buildGenerationInfo(chatRequest, result);
+        if (!elements.streamingToggle.checked && conversation.id === AppState.activeConversationId) {
+            messageDiv = addMessageToChat(result.response, 'bot', result.sources, message, generation);
         }
 
-        const result = await response.json();
-        addMessageToChat(result.response, 'bot', result.sources, message);
-        updateStatus('Response generated');
+        const answer = {
+            role: 'bot',
+            content: result.response,
+            sources: result.sources || [],
+            searchQuery: message,
+            generation: generation
+        };
+        // A stopped answer stays visible but is not sent back as history
+        if (result.aborted) {
+            questionEntry.incomplete = true;
+            answer.incomplete = true;
+        }
+        const entry = appendToConversation(conversation, answer);
+        if (messageDiv) {
+            enableAnswerFeedback(messageDiv, conversation, entry);
+        }
+        updateStatus(result.aborted ? t('chat.responseStopped') : t('chat.responseGenerated'));
 
     } catch (error) {
         console.error('Chat error:', error);
-        addMessageToChat(`Sorry, I encountered an error: ${error.message}`, 'bot');
-        updateStatus('Chat error');
+        addMessageToChat(t('chat.error', { error: error.message }), 'bot');
+        questionEntry.incomplete = true;
+        persistConversation(conversation);
+        updateStatus(t('chat.errorStatus'));
     } finally {
         elements.sendBtn.disabled = false;
         elements.messageInput.focus();
     }
 }
 
-function addMessageToChat(content, sender, sources = [], searchQuery = '') {
+// Streams the answer from /chat/stream into a live bot bubble.
+// Sources are shown as soon as retrieval finishes; the Stop button
+// aborts the request and keeps the partial answer.
+async function streamChatResponse(chatRequest) {
+    const controller = new AbortController();
+    AppState.chatAbortController = controller;
+    elements.stopBtn.style.display = 'inline-flex';
+
+    const bubble = buildMessageElement('', 'bot');
+    bubble.classList.add('streaming');
+    elements.chatMessages.appendChild(bubble);
+
+    const bodyElement = bubble.querySelector('.message-body');
+    let answer = '';
+    let sources = [];
+    let aborted = false;
+    let answeredBy = {};
+    let cacheInfo = {};
+
+    try {
+        // A server-side 'error' event rejects with an ApiError, like an HTTP failure
+        await apiClient.chat.stream(chatRequest, {
+            signal: controller.signal,
+            onEvent: (type, data) => {
+                switch (type) {
+                    case 'sources':
+                        sources = data.sources || [];
+                        cacheInfo = { fromCache: data.fromCache, cachedAt: data.cachedAt };
+                        bubble.querySelector('.message-content')
+                            .insertAdjacentHTML('beforeend', buildSourcesHtml(sources));
+                        bubble.querySelectorAll('.content-text')
+                            .forEach(element => highlightSearchTerms(element, chatRequest.message));
+                        updateStatus(t('chat.sourcesFound', { count: sources.length }));
+                        break;
+                    case 'token':
+                        answer += data.text;
+                        bodyElement.innerHTML = MarkdownRenderer.render(answer);
+                        linkCitations(bubble, sources);
+                        break;
+                    case 'done':
+                        answeredBy = { provider: data.provider, model: data.model };
+                        break;
+                }
+                scrollChatToBottom();
+            }
+        });
+
+    } catch (error) {
+        if (!error.aborted) {
+            bubble.remove();
+            throw error;
+        }
+        aborted = true;
+        const stopped = `_(${t('chat.answerStopped')})_`;
+        answer += answer ? `\n\n${stopped}` : stopped;
+
+    } finally {
+        AppState.chatAbortController = null;
+        elements.stopBtn.style.display = 'none';
+    }
+
+    const result = { response: answer, sources: sources, aborted: aborted, ...answeredBy, ...cacheInfo };
+
+    // Re-render the completed answer with search term highlighting
+    const messageDiv = buildMessageElement(answer, 'bot', sources, chatRequest.message, buildGenerationInfo(chatRequest, result));
+    bubble.replaceWith(messageDiv);
+    scrollChatToBottom();
+
+    return { ...result, messageDiv: messageDiv };
+}
+
+function stopStreaming() {
+    if (AppState.chatAbortController) {
+        AppState.chatAbortController.abort();
+    }
+}
+
+function addMessageToChat(content, sender, sources = [], searchQuery = '', generation = null) {
+    const messageDiv = buildMessageElement(content, sender, sources, searchQuery, generation);
+
+    elements.chatMessages.appendChild(messageDiv);
+    scrollChatToBottom();
+
+    return messageDiv;
+}
+
+function buildMessageElement(content, sender, sources = [], searchQuery = '', generation = null) {
     const messageDiv = document.createElement('div');
     messageDiv.className = `message ${sender}-message`;
 
-    let sourcesHtml = '';
-    if (sources && sources.length > 0) {
-        sourcesHtml = `
-            <div class="message-sources">
-                <strong>📚 Sources:</strong>
-                ${sources.map((source, index) => {
-                    const sourceContent = escapeHtml(source.content);
-                    const highlightedContent = highlightSearchTerms(sourceContent, searchQuery);
-                    const isLong = source.content.length > 300;
-
-                    return `
-                        <div class="source-item">
-                            <div class="source-header">
-                                <strong>${escapeHtml(source.documentName)}</strong>
-                                ${source.headerContext ? `• ${escapeHtml(source.headerContext)}` : ''}
-                                <span class="source-score">(Score: ${source.similarityScore.toFixed(2)})</span>
-                                ${source.documentPath ? `
-                                    <button class="btn-link" onclick="openDocument('${escapeHtml(source.documentPath).replace(/\\/g, '\\\\')}')" title="Apri documento">
-                                        📂 Apri
-                                    </button>
-                                ` : ''}
-                            </div>
-                            <div class="source-content ${isLong ? 'collapsible' : ''}" data-source-index="${index}">
-                                <div class="content-text">
-                                    "${highlightedContent}"
-                                </div>
-                                ${isLong ? `
-                                    <button class="expand-btn" onclick="toggleSourceContent(${index})" title="Espandi/Comprimi contenuto">
-                                        <span class="expand-text">Mostra tutto</span>
-                                        <span class="collapse-text" style="display: none;">Comprimi</span>
-                                    </button>
-                                ` : ''}
+    // Bot answers are Markdown; user messages stay plain text
+    const bodyHtml = sender === 'bot'
+        ? MarkdownRenderer.render(content)
+        : `<p>${escapeHtml(content).replace(/\n/g, '<br>')}</p>`;
+
+    messageDiv.innerHTML = `
+        <div class="message-content">
+            <div class="message-body${sender === 'bot' ? ' markdown-body' : ''}">${bodyHtml}</div>
+            ${buildSourcesHtml(sources)}
+            ${buildGenerationMetaHtml(generation)}
+            ${sender === 'bot' && searchQuery ? `
+                <div class="message-actions">
+                    <button class="btn-link" data-export-answer title="${t('export.answerTitle')}">📤 ${t('export.export')}</button>
+                </div>
+            ` : ''}
+        </div>
+    `;
+
+    if (sender === 'bot') {
+        linkCitations(messageDiv, sources);
+    }
+
+    // Answers (not errors or the welcome message) can be exported with their sources
+    if (sender === 'bot' && searchQuery) {
+        registerExportableAnswer(messageDiv, { question: searchQuery, answer: content, sources, generation });
+    }
+
+    // Highlight search terms in the rendered answer and in the sources
+    if (sender === 'bot' && searchQuery) {
+        messageDiv.querySelectorAll('.message-body, .content-text')
+            .forEach(element => highlightSearchTerms(element, searchQuery));
+    }
+
+    return messageDiv;
+}
+
+function buildSourcesHtml(sources) {
+    if (!sources || sources.length === 0) {
+        return '';
+    }
+
+    return `
+        <div class="message-sources">
+            <strong>📚 ${t('chat.sources')}:</strong>
+            ${sources.map((source, index) => {
+                const isLong = source.content.length > 300;
+
+                return `
+                    <div class="source-item" data-citation="${index + 1}">
+                        <div class="source-header">
+                            <span class="source-number">[${index + 1}]</span>
+                            <strong>${escapeHtml(source.documentName)}</strong>
+                            ${source.headerContext ? `• ${escapeHtml(source.headerContext)}` : ''}
+                            <span class="source-score">(${t('chat.score')}: ${source.similarityScore.toFixed(2)})</span>
+                            ${isWebAddress(source.documentPath) ? `
+                                <a class="btn-link" href="${MarkdownRenderer.escapeHtml(source.documentPath)}" target="_blank" rel="noopener noreferrer" title="${t('viewer.sourceLinkTitle')}">
+                                    🌐 ${t('documents.open')}
+                                </a>
+                            ` : ''}
+                            <button class="btn-link" data-view-document="${source.documentId}" data-view-chunk="${source.chunkId}" title="${t('chat.openAtPassage')}">
+                                📖 ${t('documents.open')}
+                            </button>
+                        </div>
+                        <div class="source-content ${isLong ? 'collapsible' : ''}" data-source-index="${index}">
+                            <div class="content-text">
+                                "${escapeHtml(source.content)}"
                             </div>
+                            ${isLong ? `
+                                <button class="expand-btn" onclick="toggleSourceContent(this)" title="${t('chat.expandTitle')}">
+                                    <span class="expand-text">${t('chat.showAll')}</span>
+                                    <span class="collapse-text" style="display: none;">${t('chat.collapse')}</span>
+                                </button>
+                            ` : ''}
                         </div>
-                    `;
-                }).join('')}
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+// Provider, model and sampling overrides chosen in the chat settings;
+// empty fields are omitted so the server defaults apply
+function getGenerationOverrides() {
+    const overrides = {};
+    const model = elements.chatModel.value.trim();
+    const temperature = parseFloat(elements.chatTemperature.value);
+    const maxTokens = parseInt(elements.chatMaxTokens.value);
+
+    if (elements.chatProvider.value) {
+        overrides.provider = elements.chatProvider.value;
+    }
+    if (model) {
+        overrides.model = model;
+    }
+    if (!isNaN(temperature)) {
+        overrides.temperature = temperature;
+    }
+    if (!isNaN(maxTokens)) {
+        overrides.maxTokens = maxTokens;
+    }
+
+    return overrides;
+}
+
+// What answered a question: the server reports provider and model, the
+// sampling values are the overrides that were sent (if any). The retrieval
+// settings are kept for the export
+function buildGenerationInfo(chatRequest, result) {
+    return {
+        provider: result.provider || chatRequest.provider || null,
+        model: result.model || chatRequest.model || null,
+        temperature: chatRequest.temperature ?? null,
+        maxTokens: chatRequest.maxTokens ?? null,
+        maxChunks: chatRequest.maxChunks ?? null,
+        similarityThreshold: chatRequest.similarityThreshold ?? null,
+        cachedAt: result.fromCache ? result.cachedAt : null
+    };
+}
+
+function buildGenerationMetaHtml(generation) {
+    if (!generation) {
+        return '';
+    }
+
+    // Only the retrieved sources come from the semantic cache, the answer is always generated
+    const cacheBadge = generation.cachedAt
+        ? `<span class="cache-badge" title="${t('chat.cachedAtTitle', { date: formatDate(generation.cachedAt) })}">⚡ ${t('chat.cachedSources')}</span>`
+        : '';
+    if (!generation.provider) {
+        return cacheBadge ? `<div class="message-meta">${cacheBadge}</div>` : '';
+    }
+
+    const parts = [generation.provider, generation.model];
+    if (generation.temperature !== null) {
+        parts.push(`T ${generation.temperature}`);
+    }
+    if (generation.maxTokens !== null) {
+        parts.push(t('chat.maxTokensMeta', { count: generation.maxTokens }));
+    }
+
+    return `<div class="message-meta">🤖 ${escapeHtml(parts.filter(Boolean).join(' • '))}${cacheBadge ? ` • ${cacheBadge}` : ''}</div>`;
+}
+
+function scrollChatToBottom() {
+    elements.chatMessages.scrollTop = elements.chatMessages.scrollHeight;
+}
+
+// Conversation History
+async function initializeChatHistory() {
+    try {
+        AppState.conversations = await ChatHistoryStore.getAll();
+    } catch (error) {
+        console.error('Chat history error:', error);
+        showToast(t('chat.historyUnavailable', { error: error.message }), 'warning');
+    }
+
+    if (AppState.conversations.length > 0) {
+        switchConversation(AppState.conversations[0].id);
+    } else {
+        renderConversationList();
+    }
+}
+
+function getActiveConversation() {
+    return AppState.conversations.find(c => c.id === AppState.activeConversationId) || null;
+}
+
+// Conversations are created lazily on the first message so that
+// "new conversation" never leaves empty entries behind
+function ensureActiveConversation() {
+    let conversation = getActiveConversation();
+
+    if (!conversation) {
+        conversation = ChatHistoryStore.createConversation();
+        AppState.conversations.unshift(conversation);
+        AppState.activeConversationId = conversation.id;
+        AppState.chatMessages = conversation.messages;
+    }
+
+    return conversation;
+}
+
+// Returns the stored entry, which answer feedback updates in place
+function appendToConversation(conversation, message) {
+    const entry = { ...message, timestamp: new Date().toISOString() };
+
+    conversation.messages.push(entry);
+    conversation.updatedAt = entry.timestamp;
+
+    if (!conversation.title && entry.role === 'user') {
+        conversation.title = buildConversationTitle(entry.content);
+        if (conversation.id === AppState.activeConversationId) {
+            elements.chatTitle.textContent = conversation.title;
+        }
+    }
+
+    persistConversation(conversation);
+    return entry;
+}
+
+async function persistConversation(conversation) {
+    try {
+        await ChatHistoryStore.save(conversation);
+    } catch (error) {
+        console.error('Save conversation error:', error);
+        showToast(t('chat.saveFailed', { error: error.message }), 'error');
+    }
+
+    AppState.conversations.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    renderConversationList();
+}
+
+function buildConversationTitle(text) {
+    const singleLine = text.replace(/\s+/g, ' ').trim();
+    return singleLine.length > 60 ? singleLine.substring(0, 57) + '...' : singleLine;
+}
+
+function startNewConversation() {
+    AppState.activeConversationId = null;
+    AppState.chatMessages = [];
+    renderActiveConversation();
+    renderConversationList();
+    elements.messageInput.focus();
+}
+
+function switchConversation(conversationId) {
+    const conversation = AppState.conversations.find(c => c.id === conversationId);
+    if (!conversation) {
+        return;
+    }
+
+    AppState.activeConversationId = conversation.id;
+    AppState.chatMessages = conversation.messages;
+    renderActiveConversation();
+    renderConversationList();
+}
+
+function renderActiveConversation() {
+    const conversation = getActiveConversation();
+
+    elements.chatTitle.textContent = conversation && conversation.title ? conversation.title : t('chat.defaultTitle');
+    elements.chatMessages.innerHTML = WELCOME_MESSAGE_HTML;
+    I18n.translatePage(elements.chatMessages);
+
+    if (conversation) {
+        conversation.messages.forEach(msg => {
+            if (msg.role === 'topic') {
+                addTopicDivider();
+            } else {
+                const messageDiv = addMessageToChat(msg.content, msg.role, msg.sources, msg.searchQuery, msg.generation);
+                if (msg.role === 'bot' && msg.searchQuery) {
+                    enableAnswerFeedback(messageDiv, conversation, msg);
+                }
+            }
+        });
+    }
+}
+
+// Collects the most recent turns since the last "new topic" marker,
+// newest first until the character budget is spent, returned oldest first.
+// Questions that failed or were stopped, and the partial answers, are left out
+function buildConversationContext(conversation, charBudget) {
+    const history = [];
+    let usedChars = 0;
+
+    for (let i = conversation.messages.length - 1; i >= 0; i--) {
+        const msg = conversation.messages[i];
+
+        if (msg.role === 'topic') {
+            break;
+        }
+        if (!msg.content || msg.incomplete) {
+            continue;
+        }
+        if (usedChars + msg.content.length > charBudget) {
+            break;
+        }
+
+        usedChars += msg.content.length;
+        history.unshift({
+            role: msg.role === 'bot' ? 'assistant' : 'user',
+            content: msg.content
+        });
+    }
+
+    return history;
+}
+
+function startNewTopic() {
+    const conversation = getActiveConversation();
+    const lastMessage = conversation ? conversation.messages[conversation.messages.length - 1] : null;
+
+    if (!lastMessage || lastMessage.role === 'topic') {
+        showToast(t('chat.topicAlreadyNew'), 'info');
+        return;
+    }
+
+    appendToConversation(conversation, { role: 'topic' });
+    addTopicDivider();
+    updateStatus(t('chat.contextReset'));
+}
+
+function addTopicDivider() {
+    const divider = document.createElement('div');
+    divider.className = 'topic-divider';
+    divider.innerHTML = `<span>🆕 ${t('chat.newTopic')}</span>`;
+
+    elements.chatMessages.appendChild(divider);
+    scrollChatToBottom();
+}
+
+function renderConversationList() {
+    const filter = AppState.conversationFilter;
+    const conversations = filter
+        ? AppState.conversations.filter(c =>
+            (c.title || '').toLowerCase().includes(filter) ||
+            c.messages.some(m => (m.content || '').toLowerCase().includes(filter)))
+        : AppState.conversations;
+
+    if (conversations.length === 0) {
+        elements.conversationList.innerHTML = `
+            <div class="conversation-empty">
+                ${filter ? t('chat.noConversationsFound') : t('chat.noConversations')}
             </div>
         `;
+        return;
     }
 
-    // Highlight search terms in main response as well
-    const highlightedMainContent = sender === 'bot' && searchQuery
-        ? highlightSearchTerms(escapeHtml(content), searchQuery)
-        : escapeHtml(content);
-
-    messageDiv.innerHTML = `
-        <div class="message-content">
-            <p>${highlightedMainContent.replace(/\n/g, '<br>')}</p>
-            ${sourcesHtml}
+    elements.conversationList.innerHTML = conversations.map(c => `
+        <div class="conversation-item ${c.id === AppState.activeConversationId ? 'active' : ''}" onclick="switchConversation('${c.id}')">
+            <div class="conversation-info">
+                <div class="conversation-title">${escapeHtml(c.title || t('chat.newConversationTitle'))}</div>
+                <div class="conversation-date">${formatDate(c.updatedAt)} • ${t('chat.messageCount', { count: c.messages.filter(m => m.role !== 'topic').length })}</div>
+            </div>
+            <div class="conversation-actions">
+                <button class="icon-btn" onclick="event.stopPropagation(); renameConversation('${c.id}')" title="${t('chat.rename')}">✏️</button>
+                <button class="icon-btn" onclick="event.stopPropagation(); deleteConversation('${c.id}')" title="${t('common.delete')}">🗑️</button>
+            </div>
         </div>
-    `;
+    `).join('');
+}
 
-    elements.chatMessages.appendChild(messageDiv);
-    elements.chatMessages.scrollTop = elements.chatMessages.scrollHeight;
+function renameConversation(conversationId) {
+    const conversation = AppState.conversations.find(c => c.id === conversationId);
+    if (!conversation) {
+        return;
+    }
+
+    const newTitle = prompt(t('chat.renamePrompt'), conversation.title || '');
+    if (newTitle === null || !newTitle.trim()) {
+        return;
+    }
+
+    conversation.title = newTitle.trim();
+    if (conversation.id === AppState.activeConversationId) {
+        elements.chatTitle.textContent = conversation.title;
+    }
+    persistConversation(conversation);
 }
 
-// API Info
-async function checkApiInfo() {
+async function deleteConversation(conversationId) {
+    if (!confirm(t('chat.confirmDeleteConversation'))) {
+        return;
+    }
+
     try {
-        const response = await fetch(`${CONFIG.API_BASE_URL}/info`);
+        await ChatHistoryStore.remove(conversationId);
+        AppState.conversations = AppState.conversations.filter(c => c.id !== conversationId);
 
-        if (response.ok) {
-            const info = await response.json();
-            elements.modeIndicator.textContent = info.MockMode ? 'MOCK' : 'LIVE';
-            elements.modeIndicator.className = `mode-indicator ${info.MockMode ? 'mock' : 'live'}`;
-            updateStatus('Connected to API');
+        if (AppState.activeConversationId === conversationId) {
+            startNewConversation();
         } else {
-            updateStatus('API connection failed');
+            renderConversationList();
         }
+        showToast(t('chat.conversationDeleted'), 'success');
+
+    } catch (error) {
+        console.error('Delete conversation error:', error);
+        showToast(t('chat.deleteConversationFailed', { error: error.message }), 'error');
+    }
+}
+
+// API Info
+async function checkApiInfo() {
+    try {
+        const info = await apiClient.chat.info();
+        elements.modeIndicator.textContent = info.isMockMode ? 'MOCK' : 'LIVE';
+        elements.modeIndicator.className = `mode-indicator ${info.isMockMode ? 'mock' : 'live'}`;
+        elements.modeIndicator.title = `${info.serviceType} v${info.version}`;
+        updateStatus(t('status.connected'));
     } catch (error) {
         console.error('API info error:', error);
-        updateStatus('API unavailable');
+        // The server answered with an error status, or could not be reached at all
+        updateStatus(t(error.status ? 'status.connectionFailed' : 'status.apiUnavailable'));
     }
 }
 
@@ -502,6 +1199,7 @@ async function checkApiInfo() {
 function updateRangeValues() {
     elements.maxChunksValue.textContent = elements.maxChunks.value;
     elements.similarityValue.textContent = elements.similarityThreshold.value;
+    elements.historyBudgetValue.textContent = elements.historyBudget.value;
 }
 
 function updateStatus(message) {
@@ -524,19 +1222,19 @@ function showToast(message, type = 'info') {
     }, CONFIG.TOAST_DURATION);
 }
 
+// Sizes and dates follow the locale of the selected language (e.g. 1,5 MB in Italian)
 function formatFileSize(bytes) {
-    if (bytes === 0) return '0 Bytes';
+    if (bytes === 0) return `0 ${t('units.bytes')}`;
 
     const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const sizes = [t('units.bytes'), 'KB', 'MB', 'GB'];
     const i = Math.floor(Math.log(bytes) / Math.log(k));
 
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    return I18n.formatNumber(bytes / Math.pow(k, i), { maximumFractionDigits: 2 }) + ' ' + sizes[i];
 }
 
 function formatDate(dateString) {
-    const date = new Date(dateString);
-    return date.toLocaleString('it-IT', {
+    return I18n.formatDate(dateString, {
         year: 'numeric',
         month: '2-digit',
         day: '2-digit',
@@ -545,15 +1243,27 @@ function formatDate(dateString) {
     });
 }
 
+function downloadFile(content, fileName, type) {
+    const blob = new Blob([content], { type: type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
     return div.innerHTML;
 }
 
-function highlightSearchTerms(text, searchQuery) {
-    if (!searchQuery || searchQuery.trim().length === 0) {
-        return text;
+// Wraps search terms in <mark> inside the text nodes of an element, so
+// markup, attributes and entities are never touched. Code blocks are skipped.
+function highlightSearchTerms(element, searchQuery) {
+    if (!element || !searchQuery || searchQuery.trim().length === 0) {
+        return;
     }
 
     // Extract words from search query (remove common words and punctuation)
@@ -563,19 +1273,134 @@ function highlightSearchTerms(text, searchQuery) {
         .filter(term => term.length > 2) // Only highlight words longer than 2 chars
         .filter(term => !['the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'from', 'as', 'is', 'was', 'are', 'were', 'be', 'been', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'should', 'could', 'can', 'may', 'might'].includes(term));
 
-    let highlightedText = text;
+    if (searchTerms.length === 0) {
+        return;
+    }
+
+    const regex = new RegExp(`(${searchTerms.join('|')})`, 'gi');
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => node.parentElement.closest('pre, code, mark, .citation')
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT
+    });
+
+    const textNodes = [];
+    while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+    }
+
+    textNodes.forEach(node => {
+        const parts = node.nodeValue.split(regex);
+        if (parts.length === 1) {
+            return;
+        }
+
+        const fragment = document.createDocumentFragment();
+        parts.forEach((part, index) => {
+            if (!part) {
+                return;
+            }
+            // split() with a capture group puts the matches at odd indexes
+            if (index % 2 === 1) {
+                const mark = document.createElement('mark');
+                mark.className = 'search-highlight';
+                mark.textContent = part;
+                fragment.appendChild(mark);
+            } else {
+                fragment.appendChild(document.createTextNode(part));
+            }
+        });
+        node.replaceWith(fragment);
+    });
+}
+
+// Turns [n] markers in a bot answer into buttons pointing at the n-th source.
+// Markers without a matching source are left as plain text.
+function linkCitations(messageDiv, sources) {
+    const body = messageDiv.querySelector('.message-body');
+    if (!body || !sources || sources.length === 0) {
+        return;
+    }
+
+    const walker = document.createTreeWalker(body, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => node.parentElement.closest('pre, code, .citation')
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT
+    });
+
+    const textNodes = [];
+    while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+    }
+
+    const citedNumbers = new Set();
+
+    textNodes.forEach(node => {
+        const parts = node.nodeValue.split(/\[(\d{1,3})\]/);
+        if (parts.length === 1) {
+            return;
+        }
 
-    // Highlight each search term (case insensitive)
-    searchTerms.forEach(term => {
-        const regex = new RegExp(`(${term})`, 'gi');
-        highlightedText = highlightedText.replace(regex, '<mark class="search-highlight">$1</mark>');
+        const fragment = document.createDocumentFragment();
+        parts.forEach((part, index) => {
+            // split() with a capture group puts the citation numbers at odd indexes
+            if (index % 2 === 0) {
+                if (part) {
+                    fragment.appendChild(document.createTextNode(part));
+                }
+                return;
+            }
+
+            const number = parseInt(part);
+            const source = sources[number - 1];
+            if (!source) {
+                fragment.appendChild(document.createTextNode(`[${part}]`));
+                return;
+            }
+
+            citedNumbers.add(number);
+
+            const preview = source.headerContext
+                ? `${source.documentName} • ${source.headerContext}`
+                : source.documentName;
+
+            const marker = document.createElement('button');
+            marker.type = 'button';
+            marker.className = 'citation';
+            marker.dataset.citation = number;
+            marker.dataset.preview = preview;
+            marker.setAttribute('aria-label', t('chat.citationLabel', { number: number, preview: preview }));
+            marker.textContent = number;
+            fragment.appendChild(marker);
+        });
+        node.replaceWith(fragment);
     });
 
-    return highlightedText;
+    // De-emphasize sources the answer never cites (only when it cites something)
+    messageDiv.querySelectorAll('.source-item[data-citation]').forEach(item => {
+        const number = parseInt(item.dataset.citation);
+        item.classList.toggle('uncited', citedNumbers.size > 0 && !citedNumbers.has(number));
+    });
 }
 
-function toggleSourceContent(index) {
-    const sourceContent = document.querySelector(`[data-source-index="${index}"]`);
+function focusCitedSource(citation) {
+    const messageDiv = citation.closest('.message');
+    const sourceItem = messageDiv.querySelector(`.source-item[data-citation="${citation.dataset.citation}"]`);
+    if (!sourceItem) {
+        return;
+    }
+
+    sourceItem.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    // Restart the flash animation if the same source is clicked twice
+    sourceItem.classList.remove('flash');
+    void sourceItem.offsetWidth;
+    sourceItem.classList.add('flash');
+    sourceItem.addEventListener('animationend', () => sourceItem.classList.remove('flash'), { once: true });
+}
+
+function toggleSourceContent(button) {
+    const sourceContent = button.closest('.source-content');
     const expandText = sourceContent.querySelector('.expand-text');
     const collapseText = sourceContent.querySelector('.collapse-text');
 
@@ -655,7 +1480,7 @@ function collectFileMetadata() {
             const customJson = JSON.parse(elements.customDetails.value.trim());
             Object.assign(details, customJson);
         } catch (error) {
-            showToast('Invalid JSON in custom details. Using structured details only.', 'warning');
+            showToast(t('metadata.invalidJson'), 'warning');
         }
     }
 
@@ -683,7 +1508,7 @@ function collectTextMetadata() {
             const customJson = JSON.parse(elements.textCustomDetails.value.trim());
             Object.assign(details, customJson);
         } catch (error) {
-            showToast('Invalid JSON in custom details. Using structured details only.', 'warning');
+            showToast(t('metadata.invalidJson'), 'warning');
         }
     }
 
@@ -691,133 +1516,74 @@ function collectTextMetadata() {
 }
 
 // Metadata Form Event Handlers
-async function handleUploadWithMetadata() {
+function handleUploadWithMetadata() {
     if (AppState.pendingFiles.length === 0) {
-        showToast('No files selected for upload.', 'warning');
+        showToast(t('upload.noFiles'), 'warning');
         return;
     }
 
     const metadata = collectFileMetadata();
 
-    // Upload all pending files with metadata
-    const uploadPromises = AppState.pendingFiles.map(file => uploadFile(file, metadata));
-
-    try {
-        elements.uploadWithMetadata.disabled = true;
-        const fileCount = AppState.pendingFiles.length;
-        await Promise.all(uploadPromises);
-        hideMetadataForm();
-        AppState.pendingFiles = [];
-        showToast(`Successfully uploaded ${fileCount} file(s) with metadata!`, 'success');
-    } catch (error) {
-        showToast('Some files failed to upload. Check the console for details.', 'error');
-    } finally {
-        elements.uploadWithMetadata.disabled = false;
-    }
+    // Hand the files to the upload queue, which reports progress and results
+    enqueueUploads(AppState.pendingFiles, metadata);
+    AppState.pendingFiles = [];
+    hideMetadataForm();
 }
 
-async function handleSkipMetadata() {
+function handleSkipMetadata() {
     if (AppState.pendingFiles.length === 0) {
-        showToast('No files selected for upload.', 'warning');
+        showToast(t('upload.noFiles'), 'warning');
         return;
     }
 
     // Upload files without metadata
-    const uploadPromises = AppState.pendingFiles.map(file => uploadFile(file));
-
-    try {
-        elements.skipMetadata.disabled = true;
-        const fileCount = AppState.pendingFiles.length;
-        await Promise.all(uploadPromises);
-        hideMetadataForm();
-        AppState.pendingFiles = [];
-        showToast(`Successfully uploaded ${fileCount} file(s) without metadata!`, 'success');
-    } catch (error) {
-        showToast('Some files failed to upload. Check the console for details.', 'error');
-    } finally {
-        elements.skipMetadata.disabled = false;
-    }
+    enqueueUploads(AppState.pendingFiles, null);
+    AppState.pendingFiles = [];
+    hideMetadataForm();
 }
 
 function handleCancelUpload() {
     AppState.pendingFiles = [];
     hideMetadataForm();
-    showToast('File upload cancelled.', 'info');
+    showToast(t('upload.uploadCancelled'), 'info');
 }
 
 // Global error handler
 window.addEventListener('error', function(e) {
     console.error('Global error:', e.error);
-    showToast('An unexpected error occurred. Please check the console for details.', 'error');
+    showToast(t('errors.unexpected'), 'error');
 });
 
 // Network error handler
 window.addEventListener('unhandledrejection', function(e) {
     console.error('Unhandled promise rejection:', e.reason);
     if (e.reason.name === 'TypeError' && e.reason.message.includes('fetch')) {
-        showToast('Network error: Unable to connect to the server. Please check if the API server is running.', 'error');
+        showToast(t('errors.serverUnreachable'), 'error');
     }
 });
 
-// Document Opening Function
-function openDocument(documentPath) {
-    if (!documentPath) {
-        showToast('Document path not available', 'warning');
-        return;
-    }
-
-    // For Windows file paths, convert to file:// URL
-    let fileUrl = documentPath;
-
-    // Check if it's a Windows path (contains backslashes or starts with drive letter)
-    if (documentPath.includes('\\') || /^[A-Za-z]:/.test(documentPath)) {
-        // Convert Windows path to file:// URL
-        fileUrl = 'file:///' + documentPath.replace(/\\/g, '/');
-    }
-
-    // Try to open the document
-    try {
-        // Attempt 1: Open in new window/tab
-        const opened = window.open(fileUrl, '_blank');
-
-        if (!opened || opened.closed || typeof opened.closed === 'undefined') {
-            // Popup was blocked, show alternative
-            showDocumentPathDialog(documentPath);
-        } else {
-            showToast('Opening document...', 'info');
-        }
-    } catch (error) {
-        console.error('Error opening document:', error);
-        showDocumentPathDialog(documentPath);
-    }
-}
-
-// Show dialog with document path for manual opening
-function showDocumentPathDialog(documentPath) {
-    const message = `Il browser non può aprire direttamente i file locali. Percorso del documento:\n\n${documentPath}\n\nCopia il percorso e aprilo con il tuo file explorer.`;
-
-    if (confirm(message + '\n\nVuoi copiare il percorso negli appunti?')) {
-        copyToClipboard(documentPath);
-    }
+// Indexed web pages keep their URL as document path
+function isWebAddress(path) {
+    return /^https?:\/\//i.test(path || '');
 }
 
 // Copy text to clipboard
-function copyToClipboard(text) {
+function copyToClipboard(text, successMessage = t('clipboard.pathCopied')) {
     // Modern API
     if (navigator.clipboard && window.isSecureContext) {
         navigator.clipboard.writeText(text).then(() => {
-            showToast('Percorso copiato negli appunti!', 'success');
+            showToast(successMessage, 'success');
         }).catch(err => {
             console.error('Failed to copy:', err);
-            fallbackCopyToClipboard(text);
+            fallbackCopyToClipboard(text, successMessage);
         });
     } else {
-        fallbackCopyToClipboard(text);
+        fallbackCopyToClipboard(text, successMessage);
     }
 }
 
 // Fallback clipboard copy for older browsers
-function fallbackCopyToClipboard(text) {
+function fallbackCopyToClipboard(text, successMessage = t('clipboard.pathCopied')) {
     const textArea = document.createElement('textarea');
     textArea.value = text;
     textArea.style.position = 'fixed';
@@ -829,13 +1595,13 @@ function fallbackCopyToClipboard(text) {
     try {
         const successful = document.execCommand('copy');
         if (successful) {
-            showToast('Percorso copiato negli appunti!', 'success');
+            showToast(successMessage, 'success');
         } else {
-            showToast('Impossibile copiare. Copia manualmente il percorso.', 'error');
+            showToast(t('clipboard.copyFailed'), 'error');
         }
     } catch (err) {
         console.error('Fallback copy failed:', err);
-        showToast('Impossibile copiare. Copia manualmente il percorso.', 'error');
+        showToast(t('clipboard.copyFailed'), 'error');
     }
 
     document.body.removeChild(textArea);
@@ -0,0 +1,187 @@
+// Authentication
+// Signs in against /api/auth/login and keeps the session in localStorage.
+// The API client sends the token with every request (getAuthHeaders); a 401
+// from any request, or reaching the token expiry, ends the session and shows
+// the sign-in dialog again. Modules load their data through onSignedIn().
+const AUTH_STORAGE_KEY = 'ragChat.auth';
+
+const AuthState = {
+    session: loadAuthSession(), // { token, expiresAt, user: { username, displayName, role } }
+    expiryTimer: null
+};
+
+const authElements = {
+    overlay: document.getElementById('loginOverlay'),
+    form: document.getElementById('loginForm'),
+    message: document.getElementById('loginMessage'),
+    username: document.getElementById('loginUsername'),
+    password: document.getElementById('loginPassword'),
+    submitBtn: document.getElementById('loginBtn'),
+    userBadge: document.getElementById('userBadge'),
+    logoutBtn: document.getElementById('logoutBtn')
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+    authElements.form.addEventListener('submit', handleLogin);
+    authElements.logoutBtn.addEventListener('click', () => endSession('auth.signedOut'));
+    document.addEventListener('languagechange', renderUserBadge);
+
+    // Signing out in another tab signs out here too
+    window.addEventListener('storage', (e) => {
+        if (e.key === AUTH_STORAGE_KEY && !e.newValue && AuthState.session) {
+            endSession('auth.signedOut');
+        }
+    });
+
+    renderUserBadge();
+    if (AuthState.session) {
+        scheduleSessionExpiry();
+    } else {
+        showLoginDialog();
+    }
+});
+
+function loadAuthSession() {
+    try {
+        const session = JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY));
+        if (session && session.token && new Date(session.expiresAt) > new Date()) {
+            return session;
+        }
+    } catch {
+        // A corrupted entry counts as signed out
+    }
+    localStorage.removeItem(AUTH_STORAGE_KEY);
+    return null;
+}
+
+function isSignedIn() {
+    return AuthState.session !== null;
+}
+
+function isAdmin() {
+    return isSignedIn() && AuthState.session.user.role === 'Admin';
+}
+
+// Used by the API client for every request
+function getAuthHeaders() {
+    return AuthState.session ? { Authorization: `Bearer ${AuthState.session.token}` } : {};
+}
+
+// Mirrors the server rule: the uploader or an administrator; documents
+// without an uploader (indexed before sign-in existed) only administrators
+function canModifyDocument(doc) {
+    if (isAdmin()) {
+        return true;
+    }
+    return isSignedIn() && !!doc.uploadedBy &&
+        doc.uploadedBy.toLowerCase() === AuthState.session.user.username.toLowerCase();
+}
+
+// Runs the callback now if a session is active and again after every sign-in
+function onSignedIn(callback) {
+    if (isSignedIn()) {
+        callback();
+    }
+    document.addEventListener('authchange', () => {
+        if (isSignedIn()) {
+            callback();
+        }
+    });
+}
+
+async function handleLogin(e) {
+    e.preventDefault();
+
+    const username = authElements.username.value.trim();
+    const password = authElements.password.value;
+    if (!username || !password) {
+        return;
+    }
+
+    try {
+        authElements.submitBtn.disabled = true;
+        setLoginMessage(null);
+
+        const session = await apiClient.auth.login(username, password);
+        AuthState.session = session;
+        localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(session));
+
+        authElements.password.value = '';
+        authElements.overlay.classList.remove('open');
+        renderUserBadge();
+        scheduleSessionExpiry();
+        showToast(t('auth.welcome', { name: session.user.displayName }), 'success');
+        document.dispatchEvent(new CustomEvent('authchange'));
+
+    } catch (error) {
+        console.error('Login error:', error);
+        authElements.message.removeAttribute('data-i18n');
+        authElements.message.textContent = error.message;
+        authElements.message.classList.add('error');
+        authElements.password.select();
+    } finally {
+        authElements.submitBtn.disabled = false;
+    }
+}
+
+// Passed to the API client: any 401 means the token is missing, expired or revoked
+function handleUnauthorized() {
+    if (AuthState.session) {
+        endSession('auth.sessionExpired');
+    } else {
+        showLoginDialog();
+    }
+}
+
+function endSession(messageKey) {
+    clearTimeout(AuthState.expiryTimer);
+    AuthState.session = null;
+    localStorage.removeItem(AUTH_STORAGE_KEY);
+
+    renderUserBadge();
+    document.dispatchEvent(new CustomEvent('authchange'));
+    showLoginDialog(messageKey);
+}
+
+// The server would reject the token from then on, so the dialog appears right away
+function scheduleSessionExpiry() {
+    clearTimeout(AuthState.expiryTimer);
+    const remaining = new Date(AuthState.session.expiresAt) - new Date();
+
+    // setTimeout overflows beyond ~24.8 days; such sessions are re-checked on the next load
+    if (remaining < 2147483647) {
+        AuthState.expiryTimer = setTimeout(() => endSession('auth.sessionExpired'), Math.max(remaining, 0));
+    }
+}
+
+function showLoginDialog(messageKey = null) {
+    setLoginMessage(messageKey);
+    if (!authElements.overlay.classList.contains('open')) {
+        authElements.overlay.classList.add('open');
+        authElements.username.focus();
+    }
+}
+
+// data-i18n keeps the message translated if the language changes
+function setLoginMessage(messageKey) {
+    authElements.message.classList.remove('error');
+    if (messageKey) {
+        authElements.message.dataset.i18n = messageKey;
+        authElements.message.textContent = t(messageKey);
+    } else {
+        authElements.message.removeAttribute('data-i18n');
+        authElements.message.textContent = '';
+    }
+}
+
+function renderUserBadge() {
+    const session = AuthState.session;
+    document.body.classList.toggle('is-admin', isAdmin());
+    authElements.userBadge.hidden = !session;
+    authElements.logoutBtn.hidden = !session;
+
+    if (session) {
+        authElements.userBadge.textContent = `👤 ${session.user.displayName}`;
+        authElements.userBadge.title = `${session.user.username} • ${t(`auth.role.${session.user.role}`)}`;
+    }
+}
@@ -0,0 +1,492 @@
+// Bulk Import
+// Turns dropped folders, selected folders and .zip archives into a preview tree
+// where files can be included or excluded before the metadata form. Every file
+// is hashed (SHA-256) and checked against the index, so duplicates can be
+// skipped or replace the existing document. Relative paths are kept for the
+// upload queue, which stores them in the chunk details.
+const BulkImportState = {
+    items: [],          // { id, file, relativePath, supported, problem, readError, hash, duplicate, batchDuplicateOf, included, replace }
+    nextId: 1,
+    isAnalyzing: false
+};
+
+const bulkImportElements = {
+    panel: document.getElementById('importPreview'),
+    summary: document.getElementById('importSummary'),
+    tree: document.getElementById('importTree'),
+    selectAllBtn: document.getElementById('importSelectAll'),
+    selectNoneBtn: document.getElementById('importSelectNone'),
+    skipDuplicatesBtn: document.getElementById('importSkipDuplicates'),
+    replaceDuplicatesBtn: document.getElementById('importReplaceDuplicates'),
+    continueBtn: document.getElementById('importContinue'),
+    cancelBtn: document.getElementById('importCancel')
+};
+
+const IMPORT_HASH_BATCH_SIZE = 500;
+
+const IMPORT_MIME_TYPES = {
+    '.txt': 'text/plain',
+    '.md': 'text/markdown',
+    '.pdf': 'application/pdf',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+    bulkImportElements.selectAllBtn.addEventListener('click', () => setImportSelection(true));
+    bulkImportElements.selectNoneBtn.addEventListener('click', () => setImportSelection(false));
+    bulkImportElements.skipDuplicatesBtn.addEventListener('click', () => setDuplicateSelection(false));
+    bulkImportElements.replaceDuplicatesBtn.addEventListener('click', () => setDuplicateSelection(true));
+    bulkImportElements.continueBtn.addEventListener('click', continueBulkImport);
+    bulkImportElements.cancelBtn.addEventListener('click', cancelBulkImport);
+
+    bulkImportElements.tree.addEventListener('change', (e) => {
+        const target = e.target;
+        if (target.dataset.importFile) {
+            const item = BulkImportState.items.find(i => i.id === parseInt(target.dataset.importFile));
+            item.included = target.checked;
+        } else if (target.dataset.importFolder !== undefined) {
+            const prefix = target.dataset.importFolder + '/';
+            BulkImportState.items
+                .filter(item => item.supported && item.relativePath.startsWith(prefix))
+                .forEach(item => { item.included = target.checked; });
+        } else if (target.dataset.importMode) {
+            const item = BulkImportState.items.find(i => i.id === parseInt(target.dataset.importMode));
+            item.replace = target.value === 'replace';
+        }
+        renderImportTree();
+    });
+    document.addEventListener('languagechange', () => {
+        if (BulkImportState.items.length > 0 && !BulkImportState.isAnalyzing) {
+            renderImportTree();
+        }
+    });
+});
+
+// Entries must be taken from the DataTransfer during the drop event, before any await.
+// Returns null when the browser has no entry API, so the plain file list is used instead.
+function getDroppedEntries(dataTransfer) {
+    const items = Array.from(dataTransfer.items || []);
+    if (items.length === 0 || typeof items[0].webkitGetAsEntry !== 'function') {
+        return null;
+    }
+    return items
+        .filter(item => item.kind === 'file')
+        .map(item => item.webkitGetAsEntry())
+        .filter(Boolean);
+}
+
+// Walks dropped files and folders into { file, relativePath } pairs
+async function readDroppedEntries(entries) {
+    const results = [];
+
+    async function walk(entry) {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            results.push({ file: file, relativePath: entry.fullPath.replace(/^\/+/, '') });
+            return;
+        }
+
+        // readEntries returns the children in batches until it returns an empty one
+        const reader = entry.createReader();
+        let batch;
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            for (const child of batch) {
+                await walk(child);
+            }
+        } while (batch.length > 0);
+    }
+
+    for (const entry of entries) {
+        await walk(entry);
+    }
+    return results;
+}
+
+function getFileExtension(name) {
+    const dot = name.lastIndexOf('.');
+    return dot > 0 ? name.slice(dot).toLowerCase() : '';
+}
+
+// Hidden files and the resource forks macOS adds to archives are never imported
+function isHiddenImportPath(relativePath) {
+    return relativePath.split('/').some(part => part.startsWith('.') || part === '__MACOSX' || part === 'Thumbs.db');
+}
+
+// Files without a type (e.g. .md on Windows) or unzipped ones get the type the server expects
+function withImportMimeType(file, name) {
+    const type = IMPORT_MIME_TYPES[getFileExtension(name)];
+    return type && file.type !== type ? new File([file], name, { type: type }) : file;
+}
+
+/**
+ * Entry point for dropped or selected files: expands archives, hashes the files and
+ * checks them for duplicates. Loose files without duplicates go straight to the
+ * metadata form as before; folders, archives and duplicates open the preview.
+ * @param {Array<{file: File, relativePath: string}>} sources
+ */
+async function startBulkImport(sources) {
+    if (BulkImportState.isAnalyzing) {
+        return;
+    }
+
+    BulkImportState.items = [];
+    BulkImportState.isAnalyzing = true;
+    const hasFolders = sources.some(source => source.relativePath.includes('/'));
+    let hasArchives = false;
+
+    showImportPreview();
+    bulkImportElements.summary.textContent = t('import.reading');
+
+    try {
+        for (const source of sources) {
+            if (isHiddenImportPath(source.relativePath)) {
+                continue;
+            }
+
+            if (getFileExtension(source.file.name) === '.zip') {
+                hasArchives = true;
+                await addArchiveItems(source);
+            } else {
+                addImportItem(source.file, source.relativePath);
+            }
+        }
+
+        await analyzeImportItems();
+
+    } finally {
+        BulkImportState.isAnalyzing = false;
+    }
+
+    const items = BulkImportState.items;
+    const hasDuplicates = items.some(item => item.duplicate || item.batchDuplicateOf);
+
+    if (!hasFolders && !hasArchives && !hasDuplicates) {
+        // Loose files: same behaviour as before the preview existed
+        hideImportPreview();
+        items.filter(item => !item.supported).forEach(item => showToast(getImportReason(item), 'error'));
+        const uploads = items.filter(item => item.supported).map(toPendingUpload);
+        if (uploads.length > 0) {
+            AppState.pendingFiles = uploads;
+            showMetadataForm();
+        }
+        return;
+    }
+
+    if (items.length === 0) {
+        hideImportPreview();
+        showToast(t('import.nothingToImport'), 'warning');
+        return;
+    }
+
+    renderImportTree();
+}
+
+async function addArchiveItems(source) {
+    const root = source.relativePath.replace(/\.zip$/i, '');
+
+    try {
+        const entries = await ZipReader.listEntries(source.file);
+        for (const entry of entries) {
+            const relativePath = `${root}/${entry.path}`;
+            if (!isHiddenImportPath(relativePath)) {
+                addImportItem(null, relativePath, { archive: source.file, entry: entry });
+            }
+        }
+    } catch (error) {
+        console.error(`Failed to read archive ${source.file.name}:`, error);
+        showToast(t('import.archiveFailed', { name: source.file.name, error: error.message }), 'error');
+    }
+}
+
+function addImportItem(file, relativePath, zip = null) {
+    const name = relativePath.split('/').pop();
+    const extension = getFileExtension(name);
+    const size = file ? file.size : zip.entry.size;
+
+    // Why the file cannot be imported, see getImportReason()
+    let problem = null;
+    if (!CONFIG.SUPPORTED_FILE_TYPES.includes(extension)) {
+        problem = 'unsupported';
+    } else if (size > CONFIG.MAX_FILE_SIZE) {
+        problem = 'tooLarge';
+    } else if (zip && zip.entry.encrypted) {
+        problem = 'encrypted';
+    }
+
+    BulkImportState.items.push({
+        id: BulkImportState.nextId++,
+        file: file ? withImportMimeType(file, name) : null,
+        zip: zip,
+        name: name,
+        relativePath: relativePath,
+        size: size,
+        supported: problem === null,
+        problem: problem,
+        readError: null,
+        hash: null,
+        duplicate: null,
+        batchDuplicateOf: null,
+        included: problem === null,
+        replace: true
+    });
+}
+
+// The reason is the toast for loose files, the label the badge in the preview
+function getImportReason(item) {
+    const extension = getFileExtension(item.name);
+    return t(`import.reason.${item.problem}`, { type: extension || item.name, name: item.name, error: item.readError });
+}
+
+function getImportLabel(item) {
+    return t(`import.label.${item.problem}`);
+}
+
+// Extracts archive entries, hashes every supported file and asks the server which hashes
+// are already indexed. Duplicates (in the index or earlier in the batch) start excluded.
+async function analyzeImportItems() {
+    const candidates = BulkImportState.items.filter(item => item.supported);
+    const canHash = typeof crypto !== 'undefined' && crypto.subtle;
+    const firstByHash = new Map();
+
+    for (let i = 0; i < candidates.length; i++) {
+        const item = candidates[i];
+        bulkImportElements.summary.textContent = t('import.analyzing', { current: i + 1, total: candidates.length });
+
+        try {
+            if (item.zip) {
+                const blob = await ZipReader.extractEntry(item.zip.archive, item.zip.entry);
+                item.file = withImportMimeType(new File([blob], item.name), item.name);
+                item.zip = null;
+            }
+
+            if (canHash) {
+                item.hash = await computeFileHash(item.file);
+                if (firstByHash.has(item.hash)) {
+                    item.batchDuplicateOf = firstByHash.get(item.hash).relativePath;
+                    item.included = false;
+                } else {
+                    firstByHash.set(item.hash, item);
+                }
+            }
+        } catch (error) {
+            console.error(`Failed to read ${item.relativePath}:`, error);
+            item.supported = false;
+            item.included = false;
+            item.problem = 'unreadable';
+            item.readError = error.message;
+        }
+    }
+
+    if (!canHash) {
+        showToast(t('import.noSecureContext'), 'warning');
+        return;
+    }
+    if (firstByHash.size === 0) {
+        return;
+    }
+
+    try {
+        // The server accepts up to 1000 hashes per request
+        const hashes = Array.from(firstByHash.keys());
+        const duplicates = [];
+        for (let i = 0; i < hashes.length; i += IMPORT_HASH_BATCH_SIZE) {
+            duplicates.push(...await apiClient.documents.checkDuplicates(hashes.slice(i, i + IMPORT_HASH_BATCH_SIZE)));
+        }
+
+        candidates
+            .filter(item => item.hash)
+            .forEach(item => {
+                item.duplicate = duplicates.find(duplicate => duplicate.hash === item.hash) || null;
+                if (item.duplicate) {
+                    item.included = false;
+                }
+            });
+
+    } catch (error) {
+        console.error('Duplicate check error:', error);
+        showToast(t('import.duplicateCheckFailed', { error: error.message }), 'warning');
+    }
+}
+
+async function computeFileHash(file) {
+    const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+function toPendingUpload(item) {
+    return {
+        file: item.file,
+        relativePath: item.relativePath,
+        replaceDocumentId: item.duplicate && item.replace ? item.duplicate.documentId : null
+    };
+}
+
+// Duplicates are left alone: they have their own skip/replace buttons
+function setImportSelection(included) {
+    BulkImportState.items
+        .filter(item => item.supported && !item.duplicate && !item.batchDuplicateOf)
+        .forEach(item => { item.included = included; });
+    renderImportTree();
+}
+
+function setDuplicateSelection(replace) {
+    BulkImportState.items
+        .filter(item => item.duplicate)
+        .forEach(item => {
+            item.included = replace;
+            item.replace = true;
+        });
+    renderImportTree();
+}
+
+function continueBulkImport() {
+    const selected = BulkImportState.items.filter(item => item.supported && item.included);
+    if (selected.length === 0) {
+        showToast(t('import.noSelection'), 'warning');
+        return;
+    }
+
+    AppState.pendingFiles = selected.map(toPendingUpload);
+    BulkImportState.items = [];
+    hideImportPreview();
+    showMetadataForm();
+}
+
+function cancelBulkImport() {
+    BulkImportState.items = [];
+    hideImportPreview();
+    showToast(t('import.cancelled'), 'info');
+}
+
+function showImportPreview() {
+    bulkImportElements.panel.style.display = 'block';
+    bulkImportElements.tree.innerHTML = '';
+    bulkImportElements.continueBtn.disabled = true;
+    elements.dropZone.style.display = 'none';
+}
+
+function hideImportPreview() {
+    bulkImportElements.panel.style.display = 'none';
+    bulkImportElements.tree.innerHTML = '';
+    elements.dropZone.style.display = 'block';
+}
+
+// Nested { folders: Map, files: [] } built from the relative paths
+function buildImportTree(items) {
+    const root = { path: '', folders: new Map(), files: [] };
+
+    items.forEach(item => {
+        const parts = item.relativePath.split('/');
+        let node = root;
+        parts.slice(0, -1).forEach(part => {
+            if (!node.folders.has(part)) {
+                node.folders.set(part, {
+                    path: node.path ? `${node.path}/${part}` : part,
+                    folders: new Map(),
+                    files: []
+                });
+            }
+            node = node.folders.get(part);
+        });
+        node.files.push(item);
+    });
+
+    return root;
+}
+
+function renderImportTree() {
+    const items = BulkImportState.items;
+    const selected = items.filter(item => item.supported && item.included);
+    const duplicates = items.filter(item => item.duplicate || item.batchDuplicateOf).length;
+    const unsupported = items.filter(item => !item.supported).length;
+    const replacing = selected.filter(item => item.duplicate && item.replace).length;
+
+    const parts = [t('import.selected', {
+        selected: selected.length,
+        total: items.length,
+        size: formatFileSize(selected.reduce((sum, item) => sum + item.size, 0))
+    })];
+    if (duplicates > 0) {
+        parts.push(t('import.duplicates', { count: duplicates }));
+    }
+    if (replacing > 0) {
+        parts.push(t('import.replacing', { count: replacing }));
+    }
+    if (unsupported > 0) {
+        parts.push(t('import.excluded', { count: unsupported }));
+    }
+    bulkImportElements.summary.textContent = parts.join(' • ');
+    bulkImportElements.continueBtn.disabled = selected.length === 0;
+    bulkImportElements.skipDuplicatesBtn.style.display = items.some(item => item.duplicate) ? '' : 'none';
+    bulkImportElements.replaceDuplicatesBtn.style.display = items.some(item => item.duplicate) ? '' : 'none';
+
+    bulkImportElements.tree.innerHTML = buildImportFolderHtml(buildImportTree(items));
+
+    // Folder checkboxes reflect their files: checked, unchecked or mixed
+    bulkImportElements.tree.querySelectorAll('[data-import-folder]').forEach(checkbox => {
+        const prefix = checkbox.dataset.importFolder + '/';
+        const files = items.filter(item => item.supported && item.relativePath.startsWith(prefix));
+        const included = files.filter(item => item.included).length;
+        checkbox.checked = files.length > 0 && included === files.length;
+        checkbox.indeterminate = included > 0 && included < files.length;
+        checkbox.disabled = files.length === 0;
+    });
+}
+
+function buildImportFolderHtml(node) {
+    const attr = MarkdownRenderer.escapeHtml;
+    const folders = Array.from(node.folders.entries())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, folder]) => `
+            <li class="import-folder">
+                <details open>
+                    <summary>
+                        <input type="checkbox" data-import-folder="${attr(folder.path)}">
+                        📁 ${escapeHtml(name)}
+                    </summary>
+                    <ul>${buildImportFolderHtml(folder)}</ul>
+                </details>
+            </li>
+        `);
+
+    const files = node.files
+        .slice()
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(buildImportFileHtml);
+
+    return folders.concat(files).join('');
+}
+
+function buildImportFileHtml(item) {
+    let badge = '';
+    if (!item.supported) {
+        badge = `<span class="import-badge excluded" title="${MarkdownRenderer.escapeHtml(getImportReason(item))}">${getImportLabel(item)}</span>`;
+    } else if (item.batchDuplicateOf) {
+        badge = `<span class="import-badge duplicate">${t('import.duplicateOf', { path: escapeHtml(item.batchDuplicateOf) })}</span>`;
+    } else if (item.duplicate) {
+        badge = `
+            <span class="import-badge duplicate" title="${t('import.uploadedOn', { date: formatDate(item.duplicate.uploadedAt) })}">
+                ${t('import.alreadyIndexed')}: ${escapeHtml(item.duplicate.fileName)} (#${item.duplicate.documentId})
+            </span>
+            <select class="toolbar-input" data-import-mode="${item.id}" ${item.included ? '' : 'disabled'}>
+                <option value="replace" ${item.replace ? 'selected' : ''}>${t('import.replaceDocument')}</option>
+                <option value="new" ${item.replace ? '' : 'selected'}>${t('import.uploadAsNew')}</option>
+            </select>
+        `;
+    }
+
+    return `
+        <li class="import-file ${item.supported && item.included ? '' : 'excluded'}">
+            <label>
+                <input type="checkbox" data-import-file="${item.id}" ${item.included ? 'checked' : ''} ${item.supported ? '' : 'disabled'}>
+                📄 ${escapeHtml(item.name)}
+            </label>
+            <span class="import-size">${formatFileSize(item.size)}</span>
+            ${badge}
+        </li>
+    `;
+}
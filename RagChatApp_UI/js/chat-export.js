@@ -0,0 +1,285 @@
+// Chat Export
+// Exports the active conversation or a single answer as Markdown, JSON or
+// print-ready HTML (saved as PDF from the browser's print dialog). Each answer
+// is exported with its question, the retrieval settings it was asked with and
+// the full text of every source, so the provenance travels with it.
+const ChatExportState = {
+    answers: new WeakMap(), // Rendered bot message -> its exchange, for the per-answer export
+    pending: null           // { title, conversation, exchanges } shown in the dialog
+};
+
+const chatExportElements = {
+    conversationBtn: document.getElementById('exportConversationBtn'),
+    overlay: document.getElementById('chatExportOverlay'),
+    title: document.getElementById('chatExportTitle'),
+    summary: document.getElementById('chatExportSummary'),
+    formats: document.getElementById('chatExportFormats'),
+    closeBtn: document.getElementById('closeChatExport')
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+    chatExportElements.conversationBtn.addEventListener('click', openConversationExport);
+    chatExportElements.closeBtn.addEventListener('click', closeChatExport);
+
+    chatExportElements.formats.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-export-format]');
+        if (button) {
+            exportPendingChat(button.dataset.exportFormat);
+        }
+    });
+    chatExportElements.overlay.addEventListener('click', (e) => {
+        if (e.target === chatExportElements.overlay) {
+            closeChatExport();
+        }
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && chatExportElements.overlay.classList.contains('open')) {
+            closeChatExport();
+        }
+    });
+});
+
+// Called by buildMessageElement() for every rendered answer
+function registerExportableAnswer(messageDiv, answer) {
+    ChatExportState.answers.set(messageDiv, answer);
+}
+
+// Answers saved before the settings were recorded export them as null
+function buildExportExchange({ question, answer, sources, generation, timestamp }) {
+    const info = generation || {};
+
+    return {
+        question: question,
+        answer: answer,
+        answeredAt: timestamp || null,
+        settings: {
+            maxChunks: info.maxChunks ?? null,
+            similarityThreshold: info.similarityThreshold ?? null
+        },
+        provider: info.provider || null,
+        model: info.model || null,
+        sourcesCachedAt: info.cachedAt || null,
+        sources: (sources || []).map((source, index) => ({
+            number: index + 1,
+            documentId: source.documentId,
+            documentName: source.documentName,
+            headerContext: source.headerContext || null,
+            chunkId: source.chunkId,
+            similarityScore: source.similarityScore,
+            content: source.content
+        }))
+    };
+}
+
+function openConversationExport() {
+    const conversation = getActiveConversation();
+    const exchanges = conversation
+        ? conversation.messages
+            .filter(msg => msg.role === 'bot')
+            .map(msg => buildExportExchange({ ...msg, question: msg.searchQuery, answer: msg.content }))
+        : [];
+
+    if (exchanges.length === 0) {
+        showToast(t('export.nothingToExport'), 'info');
+        return;
+    }
+
+    openChatExport(t('export.conversationTitle'), {
+        title: conversation.title || t('chat.defaultTitle'),
+        conversation: conversation,
+        exchanges: exchanges
+    });
+}
+
+function openAnswerExport(messageDiv) {
+    const answer = ChatExportState.answers.get(messageDiv);
+    if (!answer) {
+        return;
+    }
+
+    openChatExport(t('export.answerTitle'), {
+        title: buildConversationTitle(answer.question),
+        conversation: null,
+        exchanges: [buildExportExchange(answer)]
+    });
+}
+
+function openChatExport(dialogTitle, pending) {
+    ChatExportState.pending = pending;
+
+    const sourceCount = pending.exchanges.reduce((sum, exchange) => sum + exchange.sources.length, 0);
+    chatExportElements.title.textContent = `📤 ${dialogTitle}`;
+    chatExportElements.summary.textContent =
+        `${pending.title} • ${t('export.summary', { count: pending.exchanges.length, sources: sourceCount })}`;
+    chatExportElements.overlay.classList.add('open');
+}
+
+function closeChatExport() {
+    chatExportElements.overlay.classList.remove('open');
+    ChatExportState.pending = null;
+}
+
+function exportPendingChat(format) {
+    const data = buildExportData(ChatExportState.pending);
+    const fileName = `${slugify(data.title) || 'chat'}-${data.exportedAt.slice(0, 10)}`;
+
+    switch (format) {
+        case 'markdown':
+            downloadFile(buildExportMarkdown(data), `${fileName}.md`, 'text/markdown');
+            break;
+        case 'json':
+            downloadFile(JSON.stringify(data, null, 2), `${fileName}.json`, 'application/json');
+            break;
+        case 'html':
+            downloadFile(buildExportHtml(data), `${fileName}.html`, 'text/html');
+            break;
+        case 'print':
+            if (!printExportHtml(buildExportHtml(data))) {
+                showToast(t('export.popupBlocked'), 'warning');
+                return;
+            }
+            break;
+    }
+
+    closeChatExport();
+    updateStatus(t('export.done'));
+}
+
+function buildExportData(pending) {
+    const { conversation } = pending;
+
+    return {
+        exportedAt: new Date().toISOString(),
+        title: pending.title,
+        conversation: conversation ? {
+            id: conversation.id,
+            createdAt: conversation.createdAt,
+            updatedAt: conversation.updatedAt
+        } : null,
+        exchanges: pending.exchanges
+    };
+}
+
+function slugify(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50);
+}
+
+function describeExportSettings(exchange) {
+    const { maxChunks, similarityThreshold } = exchange.settings;
+    const parts = [maxChunks === null
+        ? t('export.settingsUnknown')
+        : t('export.settingsLine', { maxChunks: maxChunks, threshold: similarityThreshold })];
+
+    if (exchange.provider) {
+        parts.push([exchange.provider, exchange.model].filter(Boolean).join(' / '));
+    }
+    if (exchange.sourcesCachedAt) {
+        parts.push(t('export.cachedSources', { date: formatDate(exchange.sourcesCachedAt) }));
+    }
+    return parts.join(' • ');
+}
+
+function describeExportSource(source) {
+    return [
+        `${t('chat.score')} ${source.similarityScore.toFixed(2)}`,
+        t('export.documentRef', { id: source.documentId }),
+        t('export.chunkRef', { id: source.chunkId })
+    ].join(' • ');
+}
+
+// Markdown
+
+function buildExportMarkdown(data) {
+    const lines = [`# ${data.title}`, '', `_${t('export.exportedAt', { date: formatDate(data.exportedAt) })}_`];
+
+    data.exchanges.forEach((exchange, index) => {
+        lines.push('', `## ${t('export.question')} ${index + 1}`, '', exchange.question, '',
+            `### ${t('export.answer')}`, '', exchange.answer, '',
+            `_${describeExportSettings(exchange)}_`);
+
+        if (exchange.sources.length > 0) {
+            lines.push('', `### ${t('chat.sources')}`);
+            exchange.sources.forEach(source => {
+                const header = source.headerContext ? ` — ${source.headerContext}` : '';
+                lines.push('', `#### [${source.number}] ${source.documentName}${header}`, '',
+                    describeExportSource(source), '',
+                    ...source.content.split('\n').map(line => `> ${line}`.trimEnd()));
+            });
+        }
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+// HTML (standalone, also used for printing)
+
+const EXPORT_HTML_STYLE = `
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #222; max-width: 820px; margin: 40px auto; padding: 0 20px; line-height: 1.5; }
+    h1 { margin-bottom: 4px; }
+    h2 { margin-top: 36px; padding-top: 16px; border-top: 2px solid #ddd; }
+    .meta { color: #666; font-size: 0.85rem; }
+    .question { white-space: pre-wrap; font-weight: 500; }
+    .source { margin: 12px 0; break-inside: avoid; }
+    .source blockquote { margin: 6px 0 0; padding: 8px 12px; border-left: 3px solid #5a67d8; background: #f5f5fa; white-space: pre-wrap; font-size: 0.9rem; }
+    pre { background: #f5f5f5; padding: 10px; overflow-x: auto; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #ccc; padding: 4px 8px; }
+    button { display: none; }
+    @media print { body { margin: 0; max-width: none; } h2 { break-after: avoid; } }
+`;
+
+function buildExportHtml(data) {
+    const attr = MarkdownRenderer.escapeHtml;
+
+    const exchangesHtml = data.exchanges.map((exchange, index) => `
+        <section class="exchange">
+            <h2>${t('export.question')} ${index + 1}</h2>
+            <p class="question">${escapeHtml(exchange.question)}</p>
+            <h3>${t('export.answer')}</h3>
+            <div class="answer">${MarkdownRenderer.render(exchange.answer)}</div>
+            <p class="meta">${escapeHtml(describeExportSettings(exchange))}</p>
+            ${exchange.sources.length > 0 ? `
+                <h3>${t('chat.sources')}</h3>
+                ${exchange.sources.map(source => `
+                    <div class="source" id="q${index + 1}-source-${source.number}">
+                        <strong>[${source.number}] ${escapeHtml(source.documentName)}</strong>
+                        ${source.headerContext ? ` • ${escapeHtml(source.headerContext)}` : ''}
+                        <div class="meta">${escapeHtml(describeExportSource(source))}</div>
+                        <blockquote>${escapeHtml(source.content)}</blockquote>
+                    </div>
+                `).join('')}
+            ` : ''}
+        </section>
+    `).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${I18n.getLanguage()}">
+<head>
+    <meta charset="UTF-8">
+    <title>${attr(data.title)}</title>
+    <style>${EXPORT_HTML_STYLE}</style>
+</head>
+<body>
+    <h1>${escapeHtml(data.title)}</h1>
+    <p class="meta">${escapeHtml(t('export.exportedAt', { date: formatDate(data.exportedAt) }))}</p>
+    ${exchangesHtml}
+</body>
+</html>
+`;
+}
+
+// Opens the HTML in a new window and its print dialog, where it can be saved as PDF
+function printExportHtml(html) {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        return false;
+    }
+
+    printWindow.document.open();
+    printWindow.document.write(html);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+    return true;
+}
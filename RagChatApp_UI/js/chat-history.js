@@ -0,0 +1,98 @@
+// Chat History Storage (IndexedDB)
+// Persists named conversations so they survive page reloads.
+const ChatHistoryStore = (() => {
+    const DB_NAME = 'RagChatApp';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'conversations';
+
+    let dbPromise = null;
+
+    function openDatabase() {
+        if (dbPromise) {
+            return dbPromise;
+        }
+
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error(t('chat.indexedDbUnavailable')));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a later retry if opening failed
+        dbPromise.catch(() => { dbPromise = null; });
+
+        return dbPromise;
+    }
+
+    async function runTransaction(mode, operation) {
+        const db = await openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const store = transaction.objectStore(STORE_NAME);
+            const request = operation(store);
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    function generateId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `conv-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    function createConversation(title = '') {
+        const now = new Date().toISOString();
+        return {
+            id: generateId(),
+            title: title,
+            createdAt: now,
+            updatedAt: now,
+            messages: []
+        };
+    }
+
+    // Most recently updated conversations first
+    async function getAll() {
+        const conversations = await runTransaction('readonly', store => store.getAll());
+        return (conversations || []).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    function get(id) {
+        return runTransaction('readonly', store => store.get(id));
+    }
+
+    function save(conversation) {
+        return runTransaction('readwrite', store => store.put(conversation));
+    }
+
+    function remove(id) {
+        return runTransaction('readwrite', store => store.delete(id));
+    }
+
+    return {
+        createConversation,
+        getAll,
+        get,
+        save,
+        remove
+    };
+})();
@@ -0,0 +1,546 @@
+// Answer Comparison
+// Sends the same question with two or three configurations in parallel,
+// shows the answers side by side with the retrieved chunks they share,
+// and collects votes that can be exported for offline analysis.
+const COMPARE_STORAGE_KEY = 'ragChat.compare';
+const COMPARE_MAX_COLUMNS = 3;
+const COMPARE_MIN_COLUMNS = 2;
+const COMPARE_MAX_SAVED_RUNS = 50;
+const COMPARE_COLUMN_LABELS = ['A', 'B', 'C'];
+
+const CompareState = {
+    enabled: false,
+    configs: [], // [{ provider, model, maxChunks, similarityThreshold, temperature, returnOnlyChunks }]
+    runs: [],    // Newest first: { id, question, createdAt, configs, results, vote }
+    isRunning: false
+};
+
+const compareElements = {
+    toggle: document.getElementById('compareToggle'),
+    chatContainer: document.querySelector('.chat-container'),
+    view: document.getElementById('compareView'),
+    configs: document.getElementById('compareConfigs'),
+    addConfigBtn: document.getElementById('addCompareConfig'),
+    runs: document.getElementById('compareRuns'),
+    exportJsonBtn: document.getElementById('exportCompareJson'),
+    exportCsvBtn: document.getElementById('exportCompareCsv'),
+    clearBtn: document.getElementById('clearCompareRuns')
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+    loadCompareState();
+
+    compareElements.toggle.addEventListener('change', () => setCompareMode(compareElements.toggle.checked));
+    compareElements.addConfigBtn.addEventListener('click', addCompareConfig);
+    compareElements.exportJsonBtn.addEventListener('click', exportCompareVotesJson);
+    compareElements.exportCsvBtn.addEventListener('click', exportCompareVotesCsv);
+    compareElements.clearBtn.addEventListener('click', clearCompareRuns);
+
+    // Edits are read back from the form on every change
+    compareElements.configs.addEventListener('change', (e) => {
+        const card = e.target.closest('.compare-config');
+        if (card) {
+            readCompareConfig(parseInt(card.dataset.index), card);
+            saveCompareState();
+        }
+    });
+    compareElements.configs.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-remove-config]');
+        if (button) {
+            removeCompareConfig(parseInt(button.dataset.removeConfig));
+        }
+    });
+
+    compareElements.runs.addEventListener('click', (e) => {
+        const voteButton = e.target.closest('[data-vote]');
+        if (voteButton) {
+            voteCompareRun(voteButton.closest('.compare-run').dataset.id, voteButton.dataset.vote);
+            return;
+        }
+        handleMessageClick(e);
+    });
+
+    // Hovering a shared chunk highlights the same chunk in the other columns
+    compareElements.runs.addEventListener('mouseover', (e) => toggleOverlapHover(e, true));
+    compareElements.runs.addEventListener('mouseout', (e) => toggleOverlapHover(e, false));
+
+    document.addEventListener('languagechange', () => {
+        if (CompareState.enabled) {
+            renderCompareConfigs();
+            renderCompareRuns();
+        }
+    });
+});
+
+function isCompareMode() {
+    return CompareState.enabled;
+}
+
+function setCompareMode(enabled) {
+    CompareState.enabled = enabled;
+    compareElements.chatContainer.classList.toggle('compare-mode', enabled);
+
+    if (enabled) {
+        renderCompareConfigs();
+        renderCompareRuns();
+        updateStatus(t('compare.modeStatus'));
+    } else {
+        updateStatus(t('compare.chatModeStatus'));
+    }
+}
+
+// Defaults for a new column: the current chat settings
+function buildDefaultCompareConfig() {
+    const overrides = getGenerationOverrides();
+    return {
+        provider: overrides.provider || '',
+        model: overrides.model || '',
+        maxChunks: parseInt(elements.maxChunks.value),
+        similarityThreshold: parseFloat(elements.similarityThreshold.value),
+        temperature: overrides.temperature ?? null,
+        returnOnlyChunks: false
+    };
+}
+
+function addCompareConfig() {
+    if (CompareState.configs.length >= COMPARE_MAX_COLUMNS) {
+        return;
+    }
+    CompareState.configs.push(buildDefaultCompareConfig());
+    saveCompareState();
+    renderCompareConfigs();
+}
+
+function removeCompareConfig(index) {
+    if (CompareState.configs.length <= COMPARE_MIN_COLUMNS) {
+        return;
+    }
+    CompareState.configs.splice(index, 1);
+    saveCompareState();
+    renderCompareConfigs();
+}
+
+function renderCompareConfigs() {
+    while (CompareState.configs.length < COMPARE_MIN_COLUMNS) {
+        CompareState.configs.push(buildDefaultCompareConfig());
+    }
+
+    compareElements.configs.innerHTML = CompareState.configs.map(buildCompareConfigHtml).join('');
+    compareElements.addConfigBtn.disabled = CompareState.configs.length >= COMPARE_MAX_COLUMNS;
+}
+
+function buildCompareConfigHtml(config, index) {
+    const attr = MarkdownRenderer.escapeHtml;
+    const providers = ProvidersState.info ? ProvidersState.info.providers.filter(p => p.isConfigured) : [];
+    const providerOptions = [`<option value="">${t('chat.defaultProvider')}</option>`]
+        .concat(providers.map(p => `<option value="${p.name}" ${p.name === config.provider ? 'selected' : ''}>${escapeHtml(PROVIDER_LABELS[p.name] || p.name)}</option>`))
+        .join('');
+
+    return `
+        <div class="compare-config" data-index="${index}">
+            <div class="compare-config-header">
+                <strong>${t('compare.configuration', { label: COMPARE_COLUMN_LABELS[index] })}</strong>
+                ${CompareState.configs.length > COMPARE_MIN_COLUMNS
+                    ? `<button class="icon-btn" data-remove-config="${index}" title="${attr(t('compare.remove'))}">✖</button>`
+                    : ''}
+            </div>
+            <label>${t('compare.mode')}
+                <select name="returnOnlyChunks" class="toolbar-input">
+                    <option value="false" ${config.returnOnlyChunks ? '' : 'selected'}>${t('compare.fullAnswer')}</option>
+                    <option value="true" ${config.returnOnlyChunks ? 'selected' : ''}>${t('compare.chunksOnly')}</option>
+                </select>
+            </label>
+            <label>Provider
+                <select name="provider" class="toolbar-input">${providerOptions}</select>
+            </label>
+            <label>${t('compare.model')}
+                <input type="text" name="model" class="toolbar-input" value="${attr(config.model)}" placeholder="${attr(t('chat.modelPlaceholder'))}">
+            </label>
+            <label>${t('compare.maxChunks')}
+                <input type="number" name="maxChunks" class="toolbar-input" min="1" max="50" value="${config.maxChunks}">
+            </label>
+            <label>${t('compare.similarityThreshold')}
+                <input type="number" name="similarityThreshold" class="toolbar-input" min="0" max="1" step="0.05" value="${config.similarityThreshold}">
+            </label>
+            <label>${t('compare.temperature')}
+                <input type="number" name="temperature" class="toolbar-input" min="0" max="2" step="0.1" value="${config.temperature ?? ''}" placeholder="0.7">
+            </label>
+        </div>
+    `;
+}
+
+function readCompareConfig(index, card) {
+    const field = name => card.querySelector(`[name="${name}"]`).value.trim();
+    const temperature = parseFloat(field('temperature'));
+
+    CompareState.configs[index] = {
+        provider: field('provider'),
+        model: field('model'),
+        maxChunks: parseInt(field('maxChunks')) || 1,
+        similarityThreshold: parseFloat(field('similarityThreshold')) || 0,
+        temperature: isNaN(temperature) ? null : temperature,
+        returnOnlyChunks: field('returnOnlyChunks') === 'true'
+    };
+}
+
+function buildCompareRequest(question, config) {
+    const request = {
+        message: question,
+        maxChunks: config.maxChunks,
+        similarityThreshold: config.similarityThreshold,
+        returnOnlyChunks: config.returnOnlyChunks
+    };
+    if (config.provider) {
+        request.provider = config.provider;
+    }
+    if (config.model) {
+        request.model = config.model;
+    }
+    if (config.temperature !== null) {
+        request.temperature = config.temperature;
+    }
+    return request;
+}
+
+// Called by sendMessage() while compare mode is on. No conversation history
+// is sent so every run can be reproduced from its question and configurations.
+async function runComparison(question) {
+    if (CompareState.isRunning) {
+        return;
+    }
+
+    const run = {
+        id: `${Date.now()}`,
+        question: question,
+        createdAt: new Date().toISOString(),
+        configs: CompareState.configs.map(config => ({ ...config })),
+        results: CompareState.configs.map(() => ({ status: 'running' })),
+        vote: null
+    };
+
+    CompareState.isRunning = true;
+    CompareState.runs.unshift(run);
+    elements.sendBtn.disabled = true;
+    elements.messageInput.value = '';
+    renderCompareRuns();
+    updateStatus(t('compare.running', { count: run.configs.length }));
+
+    await Promise.all(run.configs.map(async (config, index) => {
+        const request = buildCompareRequest(question, config);
+        const startedAt = performance.now();
+
+        try {
+            const result = await apiClient.chat.send(request);
+            run.results[index] = {
+                status: 'done',
+                response: result.response,
+                sources: result.sources || [],
+                generation: buildGenerationInfo(request, result),
+                latencyMs: Math.round(performance.now() - startedAt)
+            };
+        } catch (error) {
+            console.error(`Compare column ${COMPARE_COLUMN_LABELS[index]} error:`, error);
+            run.results[index] = {
+                status: 'error',
+                error: error.message,
+                latencyMs: Math.round(performance.now() - startedAt)
+            };
+        }
+
+        renderCompareRun(run);
+    }));
+
+    CompareState.runs = CompareState.runs.slice(0, COMPARE_MAX_SAVED_RUNS);
+    CompareState.isRunning = false;
+    elements.sendBtn.disabled = false;
+    elements.messageInput.focus();
+    saveCompareState();
+    updateStatus(t('compare.completed'));
+}
+
+function renderCompareRuns() {
+    compareElements.runs.innerHTML = CompareState.runs.length === 0
+        ? `<div class="loading">${t('compare.empty')}</div>`
+        : '';
+
+    CompareState.runs.forEach(run => compareElements.runs.appendChild(buildCompareRunElement(run)));
+}
+
+function renderCompareRun(run) {
+    const existing = compareElements.runs.querySelector(`.compare-run[data-id="${run.id}"]`);
+    if (existing) {
+        existing.replaceWith(buildCompareRunElement(run));
+    }
+}
+
+function buildCompareRunElement(run) {
+    const runDiv = document.createElement('div');
+    runDiv.className = 'compare-run';
+    runDiv.dataset.id = run.id;
+    runDiv.innerHTML = `
+        <div class="compare-run-header">
+            <strong>❓ ${escapeHtml(run.question)}</strong>
+            <span>${formatDate(run.createdAt)}</span>
+        </div>
+        <div class="compare-columns" style="grid-template-columns: repeat(${run.configs.length}, 1fr);"></div>
+        ${buildCompareVoteHtml(run)}
+    `;
+
+    const columns = runDiv.querySelector('.compare-columns');
+    run.configs.forEach((config, index) => {
+        columns.appendChild(buildCompareColumnElement(run, config, run.results[index], index));
+    });
+
+    markSharedSources(runDiv, run);
+    return runDiv;
+}
+
+function buildCompareColumnElement(run, config, result, index) {
+    const column = document.createElement('div');
+    column.className = 'compare-column';
+    column.dataset.column = index;
+
+    const latency = result.latencyMs !== undefined ? `<span class="provider-latency">${result.latencyMs} ms</span>` : '';
+    column.innerHTML = `
+        <div class="compare-column-header">
+            <strong>${COMPARE_COLUMN_LABELS[index]}</strong> ${latency}
+            <div class="compare-config-summary">${escapeHtml(describeCompareConfig(config))}</div>
+        </div>
+    `;
+
+    if (result.status === 'running') {
+        column.insertAdjacentHTML('beforeend', `<div class="loading">⏳ ${t('compare.waiting')}</div>`);
+    } else if (result.status === 'error') {
+        column.insertAdjacentHTML('beforeend', `<div class="provider-result error">✗ ${escapeHtml(result.error)}</div>`);
+    } else {
+        const content = config.returnOnlyChunks ? `_${t('compare.noAnswerGenerated')}_` : result.response;
+        column.appendChild(buildMessageElement(content, 'bot', result.sources, run.question, result.generation));
+    }
+
+    return column;
+}
+
+function describeCompareConfig(config) {
+    return [
+        config.returnOnlyChunks ? t('compare.chunksOnly') : (PROVIDER_LABELS[config.provider] || config.provider || t('compare.defaultProvider')),
+        config.returnOnlyChunks ? '' : config.model,
+        t('compare.chunkCount', { count: config.maxChunks }),
+        t('compare.threshold', { value: config.similarityThreshold }),
+        !config.returnOnlyChunks && config.temperature !== null ? `T ${config.temperature}` : ''
+    ].filter(Boolean).join(' • ');
+}
+
+// Runs saved before sources carried a chunk id fall back to document and content
+function getSourceKey(source) {
+    return source.chunkId ? `chunk:${source.chunkId}` : `${source.documentId}\u0000${source.content}`;
+}
+
+// Marks the sources retrieved by more than one column and reports the overlap per column
+function markSharedSources(runDiv, run) {
+    const done = run.results.filter(result => result.status === 'done');
+    if (done.length < 2) {
+        return;
+    }
+
+    const keyIndexes = new Map();
+    const counts = new Map();
+    done.forEach(result => {
+        new Set(result.sources.map(getSourceKey)).forEach(key => {
+            counts.set(key, (counts.get(key) || 0) + 1);
+            if (!keyIndexes.has(key)) {
+                keyIndexes.set(key, keyIndexes.size);
+            }
+        });
+    });
+
+    run.results.forEach((result, index) => {
+        if (result.status !== 'done') {
+            return;
+        }
+
+        const column = runDiv.querySelector(`.compare-column[data-column="${index}"]`);
+        let shared = 0;
+
+        result.sources.forEach((source, sourceIndex) => {
+            const key = getSourceKey(source);
+            const count = counts.get(key);
+            if (count < 2) {
+                return;
+            }
+
+            shared++;
+            const item = column.querySelector(`.source-item[data-citation="${sourceIndex + 1}"]`);
+            item.classList.add('shared');
+            item.dataset.overlapKey = keyIndexes.get(key);
+            item.querySelector('.source-header')
+                .insertAdjacentHTML('beforeend', `<span class="overlap-badge" title="${t('compare.sharedTitle')}">🔗 ${count}/${done.length}</span>`);
+        });
+
+        column.querySelector('.compare-column-header').insertAdjacentHTML('beforeend',
+            `<div class="compare-overlap">${t('compare.overlap', { shared: shared, count: result.sources.length })}</div>`);
+    });
+}
+
+function toggleOverlapHover(e, active) {
+    const item = e.target.closest('.source-item.shared');
+    if (!item) {
+        return;
+    }
+
+    item.closest('.compare-run')
+        .querySelectorAll(`.source-item[data-overlap-key="${item.dataset.overlapKey}"]`)
+        .forEach(match => match.classList.toggle('overlap-hover', active));
+}
+
+function buildCompareVoteHtml(run) {
+    if (run.results.some(result => result.status === 'running')) {
+        return '';
+    }
+
+    const button = (value, label) => `
+        <button class="btn btn-small ${run.vote === value ? 'btn-primary' : 'btn-secondary'}" data-vote="${value}">${label}</button>
+    `;
+
+    return `
+        <div class="compare-vote">
+            <span>${t('compare.voteQuestion')}</span>
+            ${run.configs.map((config, index) => button(String(index), `👍 ${COMPARE_COLUMN_LABELS[index]}`)).join('')}
+            ${button('tie', `🤝 ${t('compare.tie')}`)}
+        </div>
+    `;
+}
+
+function voteCompareRun(runId, vote) {
+    const run = CompareState.runs.find(r => r.id === runId);
+    if (!run) {
+        return;
+    }
+
+    // Clicking the current vote again removes it
+    run.vote = run.vote === vote ? null : vote;
+    saveCompareState();
+    renderCompareRun(run);
+}
+
+function clearCompareRuns() {
+    if (CompareState.runs.length === 0 || !confirm(t('compare.confirmClear'))) {
+        return;
+    }
+    CompareState.runs = [];
+    saveCompareState();
+    renderCompareRuns();
+}
+
+function getVoteLabel(run) {
+    if (run.vote === null) {
+        return '';
+    }
+    return run.vote === 'tie' ? 'tie' : COMPARE_COLUMN_LABELS[parseInt(run.vote)];
+}
+
+function getCompletedCompareRuns() {
+    return CompareState.runs.filter(run => run.results.every(result => result.status !== 'running'));
+}
+
+function exportCompareVotesJson() {
+    const runs = getCompletedCompareRuns();
+    if (runs.length === 0) {
+        showToast(t('compare.nothingToExport'), 'info');
+        return;
+    }
+
+    const exportData = {
+        exportedAt: new Date().toISOString(),
+        runs: runs.map(run => ({
+            question: run.question,
+            createdAt: run.createdAt,
+            vote: getVoteLabel(run) || null,
+            columns: run.configs.map((config, index) => {
+                const result = run.results[index];
+                return {
+                    label: COMPARE_COLUMN_LABELS[index],
+                    config: config,
+                    provider: result.generation ? result.generation.provider : null,
+                    model: result.generation ? result.generation.model : null,
+                    latencyMs: result.latencyMs,
+                    error: result.error || null,
+                    response: result.response || '',
+                    sources: (result.sources || []).map(source => ({
+                        documentId: source.documentId,
+                        documentName: source.documentName,
+                        headerContext: source.headerContext,
+                        similarityScore: source.similarityScore
+                    }))
+                };
+            })
+        }))
+    };
+
+    downloadFile(JSON.stringify(exportData, null, 2), `compare-votes-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+}
+
+function exportCompareVotesCsv() {
+    const runs = getCompletedCompareRuns();
+    if (runs.length === 0) {
+        showToast(t('compare.nothingToExport'), 'info');
+        return;
+    }
+
+    const header = ['createdAt', 'question', 'vote'];
+    COMPARE_COLUMN_LABELS.forEach(label => {
+        header.push(`${label}_config`, `${label}_provider`, `${label}_model`, `${label}_latencyMs`, `${label}_sources`, `${label}_error`);
+    });
+
+    const rows = runs.map(run => {
+        const row = [run.createdAt, run.question, getVoteLabel(run)];
+        COMPARE_COLUMN_LABELS.forEach((label, index) => {
+            const config = run.configs[index];
+            const result = run.results[index];
+            if (!config) {
+                row.push('', '', '', '', '', '');
+                return;
+            }
+            row.push(
+                describeCompareConfig(config),
+                result.generation ? result.generation.provider || '' : '',
+                result.generation ? result.generation.model || '' : '',
+                result.latencyMs,
+                (result.sources || []).length,
+                result.error || ''
+            );
+        });
+        return row;
+    });
+
+    const csv = [header, ...rows].map(row => row.map(toCsvValue).join(',')).join('\r\n');
+    downloadFile(csv, `compare-votes-${new Date().toISOString().slice(0, 10)}.csv`, 'text/csv');
+}
+
+function toCsvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function loadCompareState() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(COMPARE_STORAGE_KEY) || 'null');
+        if (saved) {
+            CompareState.configs = saved.configs || [];
+            CompareState.runs = saved.runs || [];
+        }
+    } catch (error) {
+        console.error('Load compare state error:', error);
+    }
+}
+
+function saveCompareState() {
+    try {
+        localStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify({
+            configs: CompareState.configs,
+            runs: getCompletedCompareRuns()
+        }));
+    } catch (error) {
+        console.error('Save compare state error:', error);
+        showToast(t('compare.saveFailed', { error: error.message }), 'warning');
+    }
+}
@@ -0,0 +1,326 @@
+// Bulk Document Operations
+// Checkbox selection on the documents list (select-all, shift-click ranges)
+// and batch actions reported in a single progress dialog.
+const BatchState = {
+    selectedIds: new Set(), // Kept across pages and filter changes
+    lastClickedIndex: null,
+    isRunning: false
+};
+
+const batchElements = {
+    selectAll: document.getElementById('selectAllDocuments'),
+    bulkBar: document.getElementById('bulkActions'),
+    selectionCount: document.getElementById('bulkSelectionCount'),
+    deleteBtn: document.getElementById('bulkDeleteBtn'),
+    reprocessBtn: document.getElementById('bulkReprocessBtn'),
+    metadataBtn: document.getElementById('bulkMetadataBtn'),
+    exportBtn: document.getElementById('bulkExportBtn'),
+    clearBtn: document.getElementById('bulkClearBtn'),
+    // Metadata dialog
+    metadataOverlay: document.getElementById('bulkMetadataOverlay'),
+    metadataNotes: document.getElementById('bulkNotes'),
+    metadataAuthor: document.getElementById('bulkAuthor'),
+    metadataTags: document.getElementById('bulkTags'),
+    metadataCustom: document.getElementById('bulkCustomDetails'),
+    metadataMode: document.getElementById('bulkMetadataMode'),
+    applyMetadataBtn: document.getElementById('applyBulkMetadata'),
+    closeMetadataBtn: document.getElementById('closeBulkMetadata'),
+    // Progress dialog
+    progressOverlay: document.getElementById('batchProgressOverlay'),
+    progressTitle: document.getElementById('batchProgressTitle'),
+    progressBar: document.getElementById('batchProgressBar'),
+    progressSummary: document.getElementById('batchProgressSummary'),
+    progressList: document.getElementById('batchProgressList'),
+    closeProgressBtn: document.getElementById('closeBatchProgress')
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+    batchElements.selectAll.addEventListener('change', toggleSelectAllDocuments);
+    batchElements.deleteBtn.addEventListener('click', batchDeleteDocuments);
+    batchElements.reprocessBtn.addEventListener('click', batchReprocessDocuments);
+    batchElements.metadataBtn.addEventListener('click', openBulkMetadataDialog);
+    batchElements.exportBtn.addEventListener('click', batchExportDocuments);
+    batchElements.clearBtn.addEventListener('click', clearDocumentSelection);
+    batchElements.applyMetadataBtn.addEventListener('click', batchApplyMetadata);
+    batchElements.closeMetadataBtn.addEventListener('click', closeBulkMetadataDialog);
+    batchElements.closeProgressBtn.addEventListener('click', closeBatchProgress);
+
+    // Checkbox clicks need the event for shift-click ranges
+    elements.documentsList.addEventListener('click', (e) => {
+        const checkbox = e.target.closest('.doc-select');
+        if (checkbox) {
+            handleDocumentCheckbox(e, parseInt(checkbox.dataset.id));
+        }
+    });
+});
+
+// Selection
+function isDocumentSelected(documentId) {
+    return BatchState.selectedIds.has(documentId);
+}
+
+function handleDocumentCheckbox(event, documentId) {
+    const index = AppState.documents.findIndex(d => d.id === documentId);
+    const checked = event.target.checked;
+
+    if (event.shiftKey && BatchState.lastClickedIndex !== null && index !== -1) {
+        // Apply the clicked state to the whole range since the previous click
+        const from = Math.min(BatchState.lastClickedIndex, index);
+        const to = Math.max(BatchState.lastClickedIndex, index);
+        AppState.documents.slice(from, to + 1).forEach(doc => setDocumentSelected(doc.id, checked));
+    } else {
+        setDocumentSelected(documentId, checked);
+    }
+
+    BatchState.lastClickedIndex = index;
+    syncSelectionCheckboxes();
+}
+
+function setDocumentSelected(documentId, selected) {
+    if (selected) {
+        BatchState.selectedIds.add(documentId);
+    } else {
+        BatchState.selectedIds.delete(documentId);
+    }
+}
+
+function toggleSelectAllDocuments() {
+    const checked = batchElements.selectAll.checked;
+    AppState.documents.forEach(doc => setDocumentSelected(doc.id, checked));
+    syncSelectionCheckboxes();
+}
+
+function clearDocumentSelection() {
+    BatchState.selectedIds.clear();
+    BatchState.lastClickedIndex = null;
+    syncSelectionCheckboxes();
+}
+
+// Called after every render of the documents list
+function syncSelectionCheckboxes() {
+    elements.documentsList.querySelectorAll('.doc-select').forEach(checkbox => {
+        const selected = isDocumentSelected(parseInt(checkbox.dataset.id));
+        checkbox.checked = selected;
+        checkbox.closest('.document-item').classList.toggle('selected', selected);
+    });
+
+    const pageSelected = AppState.documents.filter(doc => isDocumentSelected(doc.id)).length;
+    batchElements.selectAll.checked = AppState.documents.length > 0 && pageSelected === AppState.documents.length;
+    batchElements.selectAll.indeterminate = pageSelected > 0 && pageSelected < AppState.documents.length;
+
+    const count = BatchState.selectedIds.size;
+    batchElements.bulkBar.style.display = count > 0 ? 'flex' : 'none';
+    batchElements.selectionCount.textContent = t('batch.selectionCount', { count: count });
+}
+
+function getSelectedDocumentIds() {
+    return Array.from(BatchState.selectedIds);
+}
+
+// Name of a selected document, which may be on another page
+function getDocumentLabel(documentId) {
+    const doc = AppState.documents.find(d => d.id === documentId);
+    return doc ? doc.fileName : t('detail.documentNumber', { id: documentId });
+}
+
+// Batch Actions
+async function batchDeleteDocuments() {
+    const ids = getSelectedDocumentIds();
+    if (ids.length === 0 || BatchState.isRunning) {
+        return;
+    }
+    if (!confirm(t('batch.confirmDelete', { count: ids.length }))) {
+        return;
+    }
+
+    await runBatch(t('batch.deleteTitle'), ids, async (documentId) => {
+        await apiClient.documents.delete(documentId);
+        BatchState.selectedIds.delete(documentId);
+        return t('batch.deleted');
+    });
+
+    loadDocuments();
+}
+
+async function batchReprocessDocuments() {
+    const ids = getSelectedDocumentIds();
+    if (ids.length === 0 || BatchState.isRunning) {
+        return;
+    }
+
+    await runBatch(t('batch.reprocessTitle'), ids, async (documentId, setProgress) => {
+        await apiClient.documents.reprocess(documentId);
+        return awaitBatchProcessing(documentId, setProgress);
+    });
+}
+
+function openBulkMetadataDialog() {
+    if (BatchState.selectedIds.size === 0 || BatchState.isRunning) {
+        return;
+    }
+    batchElements.metadataOverlay.classList.add('open');
+    batchElements.metadataNotes.focus();
+}
+
+function closeBulkMetadataDialog() {
+    batchElements.metadataOverlay.classList.remove('open');
+}
+
+async function batchApplyMetadata() {
+    const ids = getSelectedDocumentIds();
+    const notes = batchElements.metadataNotes.value.trim();
+    const details = {};
+
+    if (batchElements.metadataAuthor.value.trim()) {
+        details.author = batchElements.metadataAuthor.value.trim();
+    }
+    if (batchElements.metadataTags.value.trim()) {
+        details.tags = batchElements.metadataTags.value.split(',').map(s => s.trim()).filter(s => s);
+    }
+    if (batchElements.metadataCustom.value.trim()) {
+        try {
+            const custom = JSON.parse(batchElements.metadataCustom.value.trim());
+            if (typeof custom !== 'object' || custom === null || Array.isArray(custom)) {
+                throw new Error(t('batch.jsonObjectRequired'));
+            }
+            Object.assign(details, custom);
+        } catch (error) {
+            showToast(t('batch.invalidJson', { error: error.message }), 'error');
+            return;
+        }
+    }
+
+    const merge = batchElements.metadataMode.value === 'merge';
+    if (merge && !notes && Object.keys(details).length === 0) {
+        showToast(t('batch.noMetadata'), 'warning');
+        return;
+    }
+
+    closeBulkMetadataDialog();
+
+    const payload = {
+        notes: notes || null,
+        details: Object.keys(details).length > 0 ? JSON.stringify(details) : null,
+        merge: merge
+    };
+
+    await runBatch(merge ? t('batch.mergeTitle') : t('batch.replaceTitle'), ids, async (documentId, setProgress) => {
+        await apiClient.documents.updateMetadata(documentId, payload);
+        return awaitBatchProcessing(documentId, setProgress);
+    });
+
+    ['metadataNotes', 'metadataAuthor', 'metadataTags', 'metadataCustom'].forEach(key => {
+        batchElements[key].value = '';
+    });
+}
+
+async function batchExportDocuments() {
+    const ids = getSelectedDocumentIds();
+    if (ids.length === 0 || BatchState.isRunning) {
+        return;
+    }
+
+    const exported = [];
+
+    await runBatch(t('batch.exportTitle'), ids, async (documentId) => {
+        const doc = await apiClient.documents.get(documentId);
+        let details = doc.details;
+        try {
+            details = details ? JSON.parse(details) : null;
+        } catch {
+            // Keep details that are not valid JSON as raw text
+        }
+        exported.push({ ...doc, details: details });
+        return t('batch.exported');
+    });
+
+    if (exported.length === 0) {
+        return;
+    }
+
+    const exportData = {
+        exportedAt: new Date().toISOString(),
+        documents: exported
+    };
+    downloadFile(JSON.stringify(exportData, null, 2), `documents-export-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+}
+
+// Waits for server-side processing started by a batch action, showing its stages
+async function awaitBatchProcessing(documentId, setProgress) {
+    setProgress(t('batch.processing'));
+    const doc = await waitForDocumentProcessing(documentId, event => setProgress(describeProcessingStage(event)));
+
+    if (!doc) {
+        throw new Error(t('batch.processingDeleted'));
+    }
+    if (doc.status !== 'Completed') {
+        throw new Error(t('batch.processingEnded', { status: t(`status.${doc.status}`) }));
+    }
+    return t('batch.completed', { count: doc.chunkCount });
+}
+
+// Runs an action for each document one at a time and reports every
+// result in the progress dialog. The action returns a success message
+// or throws; setProgress updates the row while it is still running.
+// getLabel names the rows when the items are not document ids (e.g. URLs).
+async function runBatch(title, documentIds, action, getLabel = getDocumentLabel) {
+    BatchState.isRunning = true;
+    let succeeded = 0;
+    let failed = 0;
+
+    batchElements.progressTitle.textContent = title;
+    batchElements.closeProgressBtn.disabled = true;
+    batchElements.progressList.innerHTML = documentIds.map((id, index) => `
+        <li class="batch-item pending" data-index="${index}">
+            <span class="batch-item-icon">⏳</span>
+            <span class="batch-item-name">${escapeHtml(getLabel(id))}</span>
+            <span class="batch-item-message">${t('batch.waiting')}</span>
+        </li>
+    `).join('');
+    batchElements.progressOverlay.classList.add('open');
+
+    const updateSummary = () => {
+        const done = succeeded + failed;
+        batchElements.progressBar.style.width = `${Math.round(done / documentIds.length * 100)}%`;
+        batchElements.progressSummary.textContent =
+            t('batch.summary', { done: done, total: documentIds.length, succeeded: succeeded, failed: failed });
+    };
+    updateSummary();
+    updateStatus(`${title}...`);
+
+    for (const [index, documentId] of documentIds.entries()) {
+        const row = batchElements.progressList.querySelector(`[data-index="${index}"]`);
+        const setRow = (state, icon, message) => {
+            row.className = `batch-item ${state}`;
+            row.querySelector('.batch-item-icon').textContent = icon;
+            row.querySelector('.batch-item-message').textContent = message;
+        };
+
+        setRow('running', '🔄', t('batch.running'));
+        row.scrollIntoView({ block: 'nearest' });
+
+        try {
+            const message = await action(documentId, progress => setRow('running', '🔄', progress));
+            setRow('success', '✅', message);
+            succeeded++;
+        } catch (error) {
+            console.error(`${title} failed for document ${documentId}:`, error);
+            setRow('error', '❌', error.message);
+            failed++;
+        }
+        updateSummary();
+    }
+
+    BatchState.isRunning = false;
+    batchElements.closeProgressBtn.disabled = false;
+    updateStatus(t('batch.finished', { title: title, succeeded: succeeded, failed: failed }));
+    syncSelectionCheckboxes();
+
+    return { succeeded, failed };
+}
+
+function closeBatchProgress() {
+    if (!BatchState.isRunning) {
+        batchElements.progressOverlay.classList.remove('open');
+    }
+}
@@ -0,0 +1,223 @@
+// Document Detail Panel
+// Pages through the chunks of a document, shows which embedding tables
+// hold a vector for each chunk and lets the user edit chunk metadata.
+const DocumentDetailState = {
+    documentId: null,
+    page: 1,
+    pageSize: 10,
+    totalCount: 0,
+    chunks: []
+};
+
+const detailElements = {
+    overlay: document.getElementById('documentDetailOverlay'),
+    title: document.getElementById('documentDetailTitle'),
+    summary: document.getElementById('documentDetailSummary'),
+    chunkList: document.getElementById('chunkList'),
+    prevPageBtn: document.getElementById('chunkPrevPage'),
+    nextPageBtn: document.getElementById('chunkNextPage'),
+    pageInfo: document.getElementById('chunkPageInfo'),
+    closeBtn: document.getElementById('closeDocumentDetail')
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+    detailElements.closeBtn.addEventListener('click', closeDocumentDetail);
+    detailElements.prevPageBtn.addEventListener('click', () => loadDocumentChunks(DocumentDetailState.page - 1));
+    detailElements.nextPageBtn.addEventListener('click', () => loadDocumentChunks(DocumentDetailState.page + 1));
+
+    // Close when clicking outside the panel or pressing Escape
+    detailElements.overlay.addEventListener('click', (e) => {
+        if (e.target === detailElements.overlay) {
+            closeDocumentDetail();
+        }
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && detailElements.overlay.classList.contains('open')) {
+            closeDocumentDetail();
+        }
+    });
+    document.addEventListener('languagechange', () => {
+        if (DocumentDetailState.documentId !== null) {
+            renderDocumentDetailSummary();
+            renderDocumentChunks();
+        }
+    });
+});
+
+async function openDocumentDetail(documentId) {
+    const doc = AppState.documents.find(d => d.id === documentId);
+
+    DocumentDetailState.documentId = documentId;
+    DocumentDetailState.totalCount = 0;
+    DocumentDetailState.chunks = [];
+
+    detailElements.title.textContent = doc ? doc.fileName : t('detail.documentNumber', { id: documentId });
+    renderDocumentDetailSummary();
+
+    detailElements.overlay.classList.add('open');
+    await loadDocumentChunks(1);
+}
+
+function renderDocumentDetailSummary() {
+    const doc = AppState.documents.find(d => d.id === DocumentDetailState.documentId);
+
+    detailElements.summary.innerHTML = doc ? `
+        <span class="status-badge status-${doc.status.toLowerCase()}">${t(`status.${doc.status}`)}</span>
+        <span>${t('documents.type')}: ${escapeHtml(doc.contentType)}</span>
+        <span>${t('documents.size')}: ${formatFileSize(doc.size)}</span>
+        <span>${t('documents.uploaded')}: ${formatDate(doc.uploadedAt)}</span>
+    ` : '';
+}
+
+function closeDocumentDetail() {
+    detailElements.overlay.classList.remove('open');
+    DocumentDetailState.documentId = null;
+}
+
+async function loadDocumentChunks(page) {
+    const documentId = DocumentDetailState.documentId;
+    if (documentId === null) {
+        return;
+    }
+
+    detailElements.chunkList.innerHTML = `<div class="loading">${t('detail.loadingChunks')}</div>`;
+
+    try {
+        const result = await apiClient.documents.listChunks(documentId, { page: page, pageSize: DocumentDetailState.pageSize });
+
+        // Ignore late responses for a document that is no longer open
+        if (DocumentDetailState.documentId !== documentId) {
+            return;
+        }
+
+        DocumentDetailState.page = result.page;
+        DocumentDetailState.totalCount = result.totalCount;
+        DocumentDetailState.chunks = result.chunks;
+        renderDocumentChunks();
+
+    } catch (error) {
+        console.error('Load chunks error:', error);
+        detailElements.chunkList.innerHTML = `<div class="loading">${t('detail.loadChunksError')}</div>`;
+        showToast(t('detail.loadChunksFailed', { error: error.message }), 'error');
+    }
+}
+
+function renderDocumentChunks() {
+    const { page, pageSize, totalCount, chunks } = DocumentDetailState;
+    const totalPages = Math.max(1, Math.ceil(totalCount / pageSize));
+
+    detailElements.pageInfo.textContent = t('detail.pageInfo', { page: page, totalPages: totalPages, count: totalCount });
+    detailElements.prevPageBtn.disabled = page <= 1;
+    detailElements.nextPageBtn.disabled = page >= totalPages;
+
+    if (chunks.length === 0) {
+        detailElements.chunkList.innerHTML = `<div class="loading">${t('detail.noChunks')}</div>`;
+        return;
+    }
+
+    detailElements.chunkList.innerHTML = chunks.map(buildChunkCardHtml).join('');
+}
+
+function buildChunkCardHtml(chunk) {
+    return `
+        <div class="chunk-card" data-chunk-id="${chunk.id}">
+            <div class="chunk-card-header">
+                <span class="chunk-index">#${chunk.chunkIndex}</span>
+                ${chunk.headerContext ? `<span class="chunk-header-context">${escapeHtml(chunk.headerContext)}</span>` : ''}
+            </div>
+            <div class="chunk-embeddings">
+                ${chunk.embeddings.map(buildEmbeddingBadgeHtml).join('')}
+            </div>
+            <div class="chunk-content">${escapeHtml(chunk.content)}</div>
+            <div class="form-group">
+                <label for="chunkNotes-${chunk.id}">${t('detail.chunkNotes')}</label>
+                <textarea id="chunkNotes-${chunk.id}" rows="2" placeholder="${t('detail.noNotes')}">${escapeHtml(chunk.notes || '')}</textarea>
+            </div>
+            <div class="form-group">
+                <label for="chunkDetails-${chunk.id}">${t('detail.chunkDetails')}</label>
+                <textarea id="chunkDetails-${chunk.id}" rows="3" placeholder='{"author": "..."}'>${escapeHtml(formatDetailsJson(chunk.details))}</textarea>
+            </div>
+            <div class="chunk-actions">
+                <span class="chunk-updated">${t('detail.updated')}: ${formatDate(chunk.updatedAt)}</span>
+                <button class="btn btn-small btn-primary" onclick="saveChunkMetadata(${chunk.id})">
+                    💾 ${t('detail.saveChunk')}
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+function buildEmbeddingBadgeHtml(embedding) {
+    const label = getEmbeddingFieldLabel(embedding.field);
+
+    if (!embedding.hasEmbedding) {
+        return `<span class="embedding-badge missing" title="${t('detail.noVector')}">✗ ${label}</span>`;
+    }
+
+    const tooltip = [
+        embedding.model ? t('detail.embeddingModel', { model: embedding.model }) : t('detail.modelNotRecorded'),
+        t('detail.dimensions', { count: embedding.dimensions }),
+        embedding.updatedAt ? t('detail.generated', { date: formatDate(embedding.updatedAt) }) : ''
+    ].filter(Boolean).join(' • ');
+
+    return `
+        <span class="embedding-badge present" title="${MarkdownRenderer.escapeHtml(tooltip)}">
+            ✓ ${label}
+            <small>${escapeHtml(embedding.model || t('detail.modelUnknown'))}</small>
+        </span>
+    `;
+}
+
+// Content, HeaderContext, Notes or Details
+function getEmbeddingFieldLabel(field) {
+    const key = `embeddingFields.${field}`;
+    const label = t(key);
+    return label === key ? field : label;
+}
+
+function formatDetailsJson(details) {
+    if (!details) {
+        return '';
+    }
+    try {
+        return JSON.stringify(JSON.parse(details), null, 2);
+    } catch {
+        return details;
+    }
+}
+
+async function saveChunkMetadata(chunkId) {
+    const documentId = DocumentDetailState.documentId;
+    const card = detailElements.chunkList.querySelector(`[data-chunk-id="${chunkId}"]`);
+    const button = card.querySelector('.chunk-actions .btn');
+    const notes = document.getElementById(`chunkNotes-${chunkId}`).value.trim();
+    const details = document.getElementById(`chunkDetails-${chunkId}`).value.trim();
+
+    if (details) {
+        try {
+            JSON.parse(details);
+        } catch (error) {
+            showToast(t('detail.invalidDetails', { error: error.message }), 'error');
+            return;
+        }
+    }
+
+    try {
+        button.disabled = true;
+        updateStatus(t('detail.reEmbedding'));
+
+        const updatedChunk = await apiClient.documents.updateChunk(documentId, chunkId, { notes: notes, details: details, reEmbed: true });
+        const index = DocumentDetailState.chunks.findIndex(c => c.id === chunkId);
+        DocumentDetailState.chunks[index] = updatedChunk;
+        card.outerHTML = buildChunkCardHtml(updatedChunk);
+
+        showToast(t('detail.chunkUpdated', { index: updatedChunk.chunkIndex }), 'success');
+        updateStatus(t('detail.chunkUpdatedStatus'));
+
+    } catch (error) {
+        console.error('Update chunk error:', error);
+        showToast(t('detail.chunkUpdateFailed', { error: error.message }), 'error');
+        updateStatus(t('detail.chunkUpdateFailedStatus'));
+        button.disabled = false;
+    }
+}
@@ -0,0 +1,268 @@
+// Document Editing
+// Reuses the text-indexing form to edit an existing document through
+// PUT /documents/{id}, with a diff preview before the re-index.
+const DIFF_CONTEXT_LINES = 3;
+
+const DocumentEditState = {
+    documentId: null,
+    original: null, // { title, content, notes, details } as loaded from the server
+    pending: null   // Payload waiting for confirmation in the diff preview
+};
+
+const editorElements = {
+    banner: document.getElementById('editBanner'),
+    bannerText: document.getElementById('editBannerText'),
+    cancelEditBtn: document.getElementById('cancelEditBtn'),
+    previewOverlay: document.getElementById('editPreviewOverlay'),
+    previewBody: document.getElementById('editPreviewBody'),
+    confirmEditBtn: document.getElementById('confirmEditBtn'),
+    closePreviewBtn: document.getElementById('closeEditPreview')
+};
+
+const INDEX_TEXT_BUTTON_HTML = elements.indexTextBtn.innerHTML;
+
+document.addEventListener('DOMContentLoaded', function() {
+    editorElements.cancelEditBtn.addEventListener('click', cancelDocumentEdit);
+    editorElements.confirmEditBtn.addEventListener('click', submitDocumentEdit);
+    editorElements.closePreviewBtn.addEventListener('click', closeEditPreview);
+});
+
+function isEditingDocument() {
+    return DocumentEditState.documentId !== null;
+}
+
+async function startDocumentEdit(documentId) {
+    try {
+        updateStatus(t('viewer.loading'));
+
+        const doc = await apiClient.documents.get(documentId);
+        const title = stripExtension(doc.fileName);
+
+        DocumentEditState.documentId = doc.id;
+        DocumentEditState.original = {
+            title: title,
+            content: doc.content,
+            notes: doc.notes || '',
+            details: normalizeDetails(doc.details)
+        };
+
+        fillTextFormFromDocument(title, doc);
+
+        // data-i18n keeps the banner and the button translated if the language changes
+        editorElements.bannerText.dataset.i18n = 'editor.banner';
+        editorElements.bannerText.dataset.i18nParams = JSON.stringify({ fileName: doc.fileName });
+        editorElements.banner.style.display = 'flex';
+        elements.indexTextBtn.innerHTML = '<span class="btn-icon">💾</span> <span data-i18n="editor.saveButton"></span>';
+        I18n.translatePage(editorElements.banner);
+        I18n.translatePage(elements.indexTextBtn);
+
+        switchTab('documents');
+        elements.textTitle.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        elements.textTitle.focus();
+        updateStatus(t('editor.editing'));
+
+    } catch (error) {
+        console.error('Load document error:', error);
+        showToast(t('editor.loadFailed', { error: error.message }), 'error');
+        updateStatus(t('editor.loadFailedStatus'));
+    }
+}
+
+function fillTextFormFromDocument(title, doc) {
+    clearTextForm();
+
+    elements.textTitle.value = title;
+    elements.textContent.value = doc.content;
+    elements.textNotes.value = doc.notes || '';
+
+    if (!doc.details) {
+        return;
+    }
+
+    let details;
+    try {
+        details = JSON.parse(doc.details);
+    } catch {
+        elements.textCustomDetails.value = doc.details;
+        return;
+    }
+
+    // Split the structured fields back out of the JSON; the rest stays custom
+    const { author, type, tags, ...custom } = details;
+    elements.textAuthor.value = author || '';
+    elements.textType.value = type || '';
+    elements.textTags.value = Array.isArray(tags) ? tags.join(', ') : (tags || '');
+    if (Object.keys(custom).length > 0) {
+        elements.textCustomDetails.value = JSON.stringify(custom);
+    }
+}
+
+function cancelDocumentEdit() {
+    DocumentEditState.documentId = null;
+    DocumentEditState.original = null;
+    DocumentEditState.pending = null;
+
+    editorElements.banner.style.display = 'none';
+    elements.indexTextBtn.innerHTML = INDEX_TEXT_BUTTON_HTML;
+    I18n.translatePage(elements.indexTextBtn);
+    clearTextForm();
+}
+
+// Called by handleTextIndex() while a document is being edited
+function reviewDocumentEdit(payload) {
+    const original = DocumentEditState.original;
+    const updated = {
+        title: payload.title,
+        content: payload.content,
+        notes: payload.notes || '',
+        details: normalizeDetails(payload.details)
+    };
+
+    const sections = [
+        buildFieldDiffHtml(t('editor.fieldTitle'), original.title, updated.title),
+        buildFieldDiffHtml(t('editor.fieldNotes'), original.notes, updated.notes),
+        buildFieldDiffHtml(t('editor.fieldDetails'), original.details, updated.details),
+        buildFieldDiffHtml(t('editor.fieldContent'), original.content, updated.content)
+    ].filter(Boolean);
+
+    if (sections.length === 0) {
+        showToast(t('editor.noChanges'), 'info');
+        return;
+    }
+
+    DocumentEditState.pending = payload;
+    editorElements.previewBody.innerHTML = sections.join('');
+    editorElements.confirmEditBtn.disabled = false;
+    editorElements.previewOverlay.classList.add('open');
+}
+
+function closeEditPreview() {
+    editorElements.previewOverlay.classList.remove('open');
+    DocumentEditState.pending = null;
+}
+
+async function submitDocumentEdit() {
+    const documentId = DocumentEditState.documentId;
+    const payload = DocumentEditState.pending;
+    if (documentId === null || !payload) {
+        return;
+    }
+
+    try {
+        editorElements.confirmEditBtn.disabled = true;
+        updateStatus(t('editor.reindexing'));
+
+        const updatedDocument = await apiClient.documents.update(documentId, payload);
+
+        closeEditPreview();
+        cancelDocumentEdit();
+        showToast(t('editor.updated'), 'success');
+        updateStatus(t('editor.updatedStatus'));
+
+        replaceDocumentInList(updatedDocument);
+        watchDocumentProcessing(documentId);
+
+    } catch (error) {
+        console.error('Update document error:', error);
+        showToast(t('editor.updateFailed', { error: error.message }), 'error');
+        updateStatus(t('editor.updateFailedStatus'));
+        editorElements.confirmEditBtn.disabled = false;
+    }
+}
+
+// Waits for the end of the re-index; the row follows the processing events meanwhile
+async function watchDocumentProcessing(documentId) {
+    const doc = await waitForDocumentProcessing(documentId);
+    if (!doc) {
+        return;
+    }
+
+    if (doc.status === 'Completed') {
+        showToast(t('editor.reindexed', { fileName: doc.fileName, count: doc.chunkCount }), 'success');
+    } else {
+        showToast(t('editor.reindexFailed', { fileName: doc.fileName }), 'error');
+    }
+}
+
+function replaceDocumentInList(updatedDocument) {
+    const index = AppState.documents.findIndex(d => d.id === updatedDocument.id);
+    if (index === -1) {
+        return;
+    }
+
+    // Keep only the list fields, the detail response also carries the content
+    const { content, notes, details, ...listFields } = updatedDocument;
+    AppState.documents[index] = listFields;
+    renderDocumentRow(listFields);
+}
+
+function buildFieldDiffHtml(label, oldValue, newValue) {
+    const diff = TextDiff.diffLines(oldValue, newValue);
+    if (!TextDiff.hasChanges(diff)) {
+        return '';
+    }
+
+    const added = diff.filter(line => line.type === 'added').length;
+    const removed = diff.filter(line => line.type === 'removed').length;
+
+    return `
+        <div class="diff-section">
+            <div class="diff-section-header">
+                <strong>${label}</strong>
+                <span class="diff-stats"><span class="diff-added">+${added}</span> <span class="diff-removed">-${removed}</span></span>
+            </div>
+            <div class="diff-lines">${buildDiffLinesHtml(diff)}</div>
+        </div>
+    `;
+}
+
+// Shows changed lines with a few lines of context and collapses the rest
+function buildDiffLinesHtml(diff) {
+    const visible = diff.map(() => false);
+    diff.forEach((line, index) => {
+        if (line.type !== 'equal') {
+            const from = Math.max(0, index - DIFF_CONTEXT_LINES);
+            const to = Math.min(diff.length - 1, index + DIFF_CONTEXT_LINES);
+            for (let i = from; i <= to; i++) {
+                visible[i] = true;
+            }
+        }
+    });
+
+    const html = [];
+    let hidden = 0;
+    diff.forEach((line, index) => {
+        if (!visible[index]) {
+            hidden++;
+            return;
+        }
+        if (hidden > 0) {
+            html.push(`<div class="diff-line diff-skip">… ${t('editor.unchangedLines', { count: hidden })} …</div>`);
+            hidden = 0;
+        }
+        const marker = line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' ';
+        html.push(`<div class="diff-line diff-${line.type}">${marker} ${escapeHtml(line.text) || '&nbsp;'}</div>`);
+    });
+    if (hidden > 0) {
+        html.push(`<div class="diff-line diff-skip">… ${t('editor.unchangedLines', { count: hidden })} …</div>`);
+    }
+
+    return html.join('');
+}
+
+// Pretty-prints details JSON so the diff compares one key per line
+function normalizeDetails(details) {
+    if (!details) {
+        return '';
+    }
+    try {
+        return JSON.stringify(typeof details === 'string' ? JSON.parse(details) : details, null, 2);
+    } catch {
+        return String(details);
+    }
+}
+
+function stripExtension(fileName) {
+    const dotIndex = fileName.lastIndexOf('.');
+    return dotIndex > 0 ? fileName.slice(0, dotIndex) : fileName;
+}
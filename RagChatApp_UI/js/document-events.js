@@ -0,0 +1,214 @@
+// Live Document Processing
+// Follows the lifecycle events pushed by GET /documents/events (queued,
+// extracting, chunking, embedding per field, completed, failed) and updates
+// the rows of the document list in place. When processing ends the row is
+// reloaded and a toast reports the result, unless a caller is already
+// waiting for it through waitForDocumentProcessing().
+const DOCUMENT_EVENTS_RETRY_MIN = 1000;
+const DOCUMENT_EVENTS_RETRY_MAX = 30000;
+
+const DocumentEventsState = {
+    controller: null,      // Aborts the open stream
+    retryTimer: null,
+    retryDelay: DOCUMENT_EVENTS_RETRY_MIN,
+    hasConnected: false,   // A later 'ready' is a reconnection
+    progress: new Map(),   // Document id -> latest event while it is being processed
+    waiters: new Map()     // Document id -> [{ resolve, onProgress }]
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+    onSignedIn(connectDocumentEvents);
+    document.addEventListener('authchange', () => {
+        if (!isSignedIn()) {
+            disconnectDocumentEvents();
+        }
+    });
+
+    document.addEventListener('languagechange', () => {
+        DocumentEventsState.progress.forEach((event, documentId) => updateDocumentProgress(documentId));
+    });
+});
+
+async function connectDocumentEvents() {
+    disconnectDocumentEvents();
+
+    const controller = new AbortController();
+    DocumentEventsState.controller = controller;
+
+    try {
+        await apiClient.documents.events({
+            signal: controller.signal,
+            onEvent: (type, data) => {
+                if (type === 'ready') {
+                    handleDocumentEventsReady();
+                } else if (type === 'document') {
+                    handleDocumentEvent(data);
+                }
+            }
+        });
+    } catch (error) {
+        if (controller.signal.aborted || error.status === 401) {
+            return; // Disconnected, or signed out: the next sign-in connects again
+        }
+        console.error('Document events error:', error);
+    }
+
+    // The server closed the stream or could not be reached
+    if (DocumentEventsState.controller === controller) {
+        DocumentEventsState.controller = null;
+        DocumentEventsState.retryTimer = setTimeout(connectDocumentEvents, DocumentEventsState.retryDelay);
+        DocumentEventsState.retryDelay = Math.min(DocumentEventsState.retryDelay * 2, DOCUMENT_EVENTS_RETRY_MAX);
+    }
+}
+
+function disconnectDocumentEvents() {
+    clearTimeout(DocumentEventsState.retryTimer);
+    if (DocumentEventsState.controller) {
+        DocumentEventsState.controller.abort();
+        DocumentEventsState.controller = null;
+    }
+    DocumentEventsState.progress.clear();
+}
+
+// The server replays the progress of every document still being processed
+// after 'ready'; events missed while disconnected are caught up by reloading
+function handleDocumentEventsReady() {
+    DocumentEventsState.retryDelay = DOCUMENT_EVENTS_RETRY_MIN;
+    DocumentEventsState.progress.clear();
+
+    if (DocumentEventsState.hasConnected) {
+        loadDocuments();
+    }
+    DocumentEventsState.hasConnected = true;
+
+    DocumentEventsState.waiters.forEach((waiters, documentId) => checkDocumentProcessing(documentId));
+}
+
+function handleDocumentEvent(event) {
+    if (event.stage === 'Completed' || event.stage === 'Failed') {
+        DocumentEventsState.progress.delete(event.documentId);
+        finishDocumentProcessing(event);
+        return;
+    }
+
+    DocumentEventsState.progress.set(event.documentId, event);
+
+    // Extraction of a replacement runs before the document is marked as Processing
+    const doc = AppState.documents.find(d => d.id === event.documentId);
+    if (doc && event.stage !== 'Extracting') {
+        doc.status = 'Processing';
+    }
+    updateDocumentProgress(event.documentId);
+
+    (DocumentEventsState.waiters.get(event.documentId) || [])
+        .forEach(waiter => waiter.onProgress && waiter.onProgress(event));
+}
+
+// Reloads the document for its final status, chunk count and processing date
+async function finishDocumentProcessing(event) {
+    const visible = AppState.documents.some(d => d.id === event.documentId);
+    let doc = null;
+
+    try {
+        doc = await apiClient.documents.get(event.documentId);
+        replaceDocumentInList(doc);
+    } catch (error) {
+        if (error.status !== 404) {
+            console.error('Reload document error:', error);
+        }
+        updateDocumentProgress(event.documentId);
+    }
+
+    if (DocumentEventsState.waiters.has(event.documentId)) {
+        resolveDocumentWaiters(event.documentId, doc);
+        return;
+    }
+
+    if (!visible) {
+        return;
+    }
+    if (event.stage === 'Completed') {
+        showToast(t('processing.completed', { fileName: event.fileName, count: doc ? doc.chunkCount : event.totalChunks }), 'success');
+    } else {
+        showToast(t('processing.failed', { fileName: event.fileName, error: event.error || t('processing.unknownError') }), 'error');
+    }
+}
+
+// Resolves with the document once it is no longer Processing, or null if it
+// was deleted in the meantime. onProgress(event) receives the stages until then.
+function waitForDocumentProcessing(documentId, onProgress = null) {
+    return new Promise(resolve => {
+        const waiters = DocumentEventsState.waiters.get(documentId) || [];
+        waiters.push({ resolve, onProgress });
+        DocumentEventsState.waiters.set(documentId, waiters);
+
+        // Processing may have ended before the wait started
+        checkDocumentProcessing(documentId);
+    });
+}
+
+async function checkDocumentProcessing(documentId) {
+    try {
+        const doc = await apiClient.documents.get(documentId);
+        if (doc.status !== 'Processing') {
+            replaceDocumentInList(doc);
+            resolveDocumentWaiters(documentId, doc);
+        }
+    } catch (error) {
+        if (error.status === 404) {
+            resolveDocumentWaiters(documentId, null);
+        } else {
+            console.error('Document status error:', error);
+        }
+    }
+}
+
+function resolveDocumentWaiters(documentId, doc) {
+    const waiters = DocumentEventsState.waiters.get(documentId) || [];
+    DocumentEventsState.waiters.delete(documentId);
+    waiters.forEach(waiter => waiter.resolve(doc));
+}
+
+// Row rendering
+
+function buildDocumentProgressHtml(documentId) {
+    const event = DocumentEventsState.progress.get(documentId);
+    if (!event) {
+        return '';
+    }
+
+    const percent = event.totalChunks ? Math.round(event.processedChunks / event.totalChunks * 100) : null;
+    return `
+        <span class="document-progress-stage">⏳ ${escapeHtml(describeProcessingStage(event))}</span>
+        ${percent !== null ? `
+            <div class="document-progress-bar">
+                <div class="document-progress-fill" style="width: ${percent}%"></div>
+            </div>
+        ` : ''}
+    `;
+}
+
+function describeProcessingStage(event) {
+    if (event.stage === 'Embedding') {
+        return t('processing.embedding', {
+            field: getEmbeddingFieldLabel(event.field),
+            done: event.processedChunks,
+            total: event.totalChunks
+        });
+    }
+    return t(`processing.stage.${event.stage}`);
+}
+
+// Updates the status badge and progress of a row without re-rendering it
+function updateDocumentProgress(documentId) {
+    const row = elements.documentsList.querySelector(`.document-item[data-document-id="${documentId}"]`);
+    const doc = AppState.documents.find(d => d.id === documentId);
+    if (!row || !doc) {
+        return;
+    }
+
+    const badge = row.querySelector('.status-badge');
+    badge.className = `status-badge status-${doc.status.toLowerCase()}`;
+    badge.textContent = t(`status.${doc.status}`);
+    row.querySelector('.document-progress').innerHTML = buildDocumentProgressHtml(documentId);
+}
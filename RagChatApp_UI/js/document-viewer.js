@@ -0,0 +1,227 @@
+// Document Viewer
+// Shows a document inside the app: PDFs in the browser's PDF viewer at the page
+// of the cited chunk, every document as extracted text with the chunk highlighted
+// and scrolled into view. Files are fetched from GET /documents/{id}/content.
+const ViewerState = {
+    document: null,   // Response of GET /documents/{id}
+    location: null,   // Response of GET /documents/{id}/chunks/{chunkId}/location
+    chunk: null,      // Chunk text, used to search it in the PDF viewer
+    objectUrl: null,  // Blob URL of the original file shown in the frame
+    requestId: 0      // Ignores responses for a viewer that was closed or reopened
+};
+
+const viewerElements = {
+    overlay: document.getElementById('documentViewerOverlay'),
+    title: document.getElementById('documentViewerTitle'),
+    meta: document.getElementById('documentViewerMeta'),
+    textModeBtn: document.getElementById('viewerTextMode'),
+    originalModeBtn: document.getElementById('viewerOriginalMode'),
+    sourceLink: document.getElementById('viewerSourceLink'),
+    downloadBtn: document.getElementById('viewerDownloadBtn'),
+    text: document.getElementById('documentViewerText'),
+    frame: document.getElementById('documentViewerFrame'),
+    closeBtn: document.getElementById('closeDocumentViewer')
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+    viewerElements.closeBtn.addEventListener('click', closeDocumentViewer);
+    viewerElements.textModeBtn.addEventListener('click', () => showViewerMode('text'));
+    viewerElements.originalModeBtn.addEventListener('click', () => showViewerMode('original'));
+    viewerElements.downloadBtn.addEventListener('click', downloadViewerDocument);
+
+    viewerElements.overlay.addEventListener('click', (e) => {
+        if (e.target === viewerElements.overlay) {
+            closeDocumentViewer();
+        }
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && viewerElements.overlay.classList.contains('open')) {
+            closeDocumentViewer();
+        }
+    });
+    document.addEventListener('languagechange', () => {
+        if (ViewerState.document) {
+            renderViewerMeta();
+        }
+    });
+});
+
+// Opens a document, optionally at the passage of one of its chunks
+async function openDocumentViewer(documentId, chunkId = null) {
+    const requestId = ++ViewerState.requestId;
+    releaseViewerFile();
+    ViewerState.document = null;
+    ViewerState.location = null;
+    ViewerState.chunk = null;
+
+    viewerElements.title.textContent = getDocumentLabel(documentId);
+    viewerElements.meta.textContent = '';
+    viewerElements.text.textContent = t('viewer.loading');
+    viewerElements.originalModeBtn.style.display = 'none';
+    viewerElements.sourceLink.style.display = 'none';
+    viewerElements.downloadBtn.disabled = true;
+    showViewerMode('text');
+    viewerElements.overlay.classList.add('open');
+
+    try {
+        const [doc, location, chunk] = await Promise.all([
+            apiClient.documents.get(documentId),
+            // A chunk that no longer exists (e.g. re-processed document) still opens the document
+            chunkId ? apiClient.documents.getChunkLocation(documentId, chunkId).catch(() => null) : null,
+            chunkId ? apiClient.documents.getChunk(documentId, chunkId).catch(() => null) : null
+        ]);
+        if (requestId !== ViewerState.requestId) {
+            return;
+        }
+
+        ViewerState.document = doc;
+        ViewerState.location = location;
+        ViewerState.chunk = chunk ? chunk.content : null;
+
+        viewerElements.title.textContent = doc.fileName;
+        viewerElements.downloadBtn.disabled = false;
+        if (isWebAddress(doc.path)) {
+            viewerElements.sourceLink.href = doc.path;
+            viewerElements.sourceLink.style.display = '';
+        }
+        renderViewerMeta();
+        renderViewerText();
+
+        // PDFs open on the original at the page of the chunk; the text tab has the highlight
+        if (doc.contentType === 'application/pdf') {
+            viewerElements.originalModeBtn.style.display = '';
+            showViewerMode('original');
+        } else {
+            showViewerMode('text');
+        }
+
+    } catch (error) {
+        console.error('Document viewer error:', error);
+        viewerElements.text.textContent = t('viewer.loadError');
+        showToast(t('viewer.openFailed', { error: error.message }), 'error');
+    }
+}
+
+function renderViewerMeta() {
+    const doc = ViewerState.document;
+    const location = ViewerState.location;
+    const parts = [`${t('documents.type')}: ${doc.contentType}`, `${t('documents.size')}: ${formatFileSize(doc.size)}`];
+
+    if (location) {
+        parts.push(`Chunk #${location.chunkIndex}`);
+        if (location.headerContext) {
+            parts.push(location.headerContext);
+        }
+        if (location.page) {
+            parts.push(t('viewer.page', { page: location.page }));
+        }
+        if (location.start === null) {
+            parts.push(`⚠️ ${t('viewer.passageNotFound')}`);
+        }
+    }
+
+    viewerElements.meta.textContent = parts.join(' • ');
+}
+
+// The PDF extraction keeps [HEADER_CANDIDATE] markers in the content; they are
+// removed after slicing so the offsets of the location still apply
+function renderViewerText() {
+    const content = ViewerState.document.content || '';
+    const location = ViewerState.location;
+    const clean = text => escapeHtml(text.replace(/\[HEADER_CANDIDATE\] ?/g, ''));
+
+    if (!location || location.start === null) {
+        viewerElements.text.innerHTML = clean(content);
+        viewerElements.text.scrollTop = 0;
+        return;
+    }
+
+    const end = location.start + location.length;
+    viewerElements.text.innerHTML = clean(content.slice(0, location.start)) +
+        `<mark class="viewer-highlight">${clean(content.slice(location.start, end))}</mark>` +
+        clean(content.slice(end));
+}
+
+function scrollToViewerHighlight() {
+    const highlight = viewerElements.text.querySelector('.viewer-highlight');
+    if (highlight) {
+        highlight.scrollIntoView({ block: 'center' });
+    }
+}
+
+function showViewerMode(mode) {
+    const original = mode === 'original';
+    viewerElements.textModeBtn.classList.toggle('active', !original);
+    viewerElements.originalModeBtn.classList.toggle('active', original);
+    viewerElements.text.style.display = original ? 'none' : '';
+    viewerElements.frame.style.display = original ? '' : 'none';
+
+    if (original) {
+        loadViewerOriginal();
+    } else {
+        // The element must be visible before it can be scrolled
+        requestAnimationFrame(scrollToViewerHighlight);
+    }
+}
+
+// The file is fetched as a blob rather than linked, so the request goes through
+// fetch like every other API call; #page and #search are read by the PDF viewer
+async function loadViewerOriginal() {
+    if (ViewerState.objectUrl || !ViewerState.document) {
+        return;
+    }
+
+    const requestId = ViewerState.requestId;
+    try {
+        const { blob } = await apiClient.documents.getContent(ViewerState.document.id);
+        if (requestId !== ViewerState.requestId) {
+            return;
+        }
+
+        ViewerState.objectUrl = URL.createObjectURL(blob);
+        const fragment = [];
+        if (ViewerState.location && ViewerState.location.page) {
+            fragment.push(`page=${ViewerState.location.page}`);
+        }
+        if (ViewerState.chunk) {
+            const words = ViewerState.chunk.split(/\s+/).filter(word => word).slice(0, 6).join(' ');
+            fragment.push(`search=${encodeURIComponent(words)}`);
+        }
+        viewerElements.frame.src = ViewerState.objectUrl + (fragment.length > 0 ? `#${fragment.join('&')}` : '');
+
+    } catch (error) {
+        console.error('Load original document error:', error);
+        showToast(t('viewer.originalFailed', { error: error.message }), 'error');
+        showViewerMode('text');
+    }
+}
+
+async function downloadViewerDocument() {
+    const doc = ViewerState.document;
+    if (!doc) {
+        return;
+    }
+
+    try {
+        const { blob, source } = await apiClient.documents.getContent(doc.id, { download: true });
+        const fileName = source === 'original' ? doc.fileName : doc.fileName.replace(/\.[^.]+$/, '') + '.txt';
+        downloadFile(blob, fileName, blob.type);
+    } catch (error) {
+        console.error('Download document error:', error);
+        showToast(t('viewer.downloadFailed', { error: error.message }), 'error');
+    }
+}
+
+function releaseViewerFile() {
+    viewerElements.frame.removeAttribute('src');
+    if (ViewerState.objectUrl) {
+        URL.revokeObjectURL(ViewerState.objectUrl);
+        ViewerState.objectUrl = null;
+    }
+}
+
+function closeDocumentViewer() {
+    ViewerState.requestId++;
+    viewerElements.overlay.classList.remove('open');
+    releaseViewerFile();
+}
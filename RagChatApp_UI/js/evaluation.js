@@ -0,0 +1,449 @@
+// Retrieval Evaluation Tab
+// Loads a golden set, runs it through RetrievalEval against the current API
+// and keeps the runs in localStorage so two configurations can be diffed.
+// Runs saved by tools/run-retrieval-eval.js can be imported here.
+const EVAL_STORAGE_KEY = 'ragChat.evalRuns';
+const EVAL_MAX_SAVED_RUNS = 20;
+
+const EVAL_STATUS_ICONS = {
+    hit: '✓',
+    miss: '✗',
+    error: '⚠'
+};
+
+const EVAL_CHANGE_ICONS = {
+    improved: '▲',
+    regressed: '▼',
+    unchanged: '=',
+    added: '+',
+    removed: '−'
+};
+
+const EvalState = {
+    goldenSet: null,
+    runs: [],            // Saved runs, newest first
+    activeRunId: null,   // Run shown in the results panel
+    selected: [],        // Up to two run ids to diff, in selection order
+    controller: null     // AbortController of the running evaluation
+};
+
+const evalElements = {
+    goldenFile: document.getElementById('evalGoldenFile'),
+    goldenSummary: document.getElementById('evalGoldenSummary'),
+    maxChunks: document.getElementById('evalMaxChunks'),
+    threshold: document.getElementById('evalThreshold'),
+    concurrency: document.getElementById('evalConcurrency'),
+    runName: document.getElementById('evalRunName'),
+    runBtn: document.getElementById('evalRunBtn'),
+    cancelBtn: document.getElementById('evalCancelBtn'),
+    progress: document.getElementById('evalProgress'),
+    progressBar: document.getElementById('evalProgressBar'),
+    progressText: document.getElementById('evalProgressText'),
+    results: document.getElementById('evalResults'),
+    runsList: document.getElementById('evalRunsList'),
+    importFile: document.getElementById('evalImportFile'),
+    diffBtn: document.getElementById('evalDiffBtn'),
+    diff: document.getElementById('evalDiff')
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+    loadEvalRuns();
+    renderEvalRuns();
+
+    evalElements.goldenFile.addEventListener('change', () => loadGoldenSetFile(evalElements.goldenFile.files[0]));
+    evalElements.runBtn.addEventListener('click', startEvaluation);
+    evalElements.cancelBtn.addEventListener('click', () => {
+        if (EvalState.controller) {
+            EvalState.controller.abort();
+        }
+    });
+    evalElements.importFile.addEventListener('change', () => importEvalRun(evalElements.importFile.files[0]));
+    evalElements.diffBtn.addEventListener('click', renderEvalDiff);
+
+    evalElements.runsList.addEventListener('change', (e) => {
+        if (e.target.matches('[data-eval-select]')) {
+            toggleEvalRunSelection(e.target.closest('.eval-run').dataset.runId, e.target.checked);
+        }
+    });
+    evalElements.runsList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-eval-action]');
+        if (!button) {
+            return;
+        }
+        const runId = button.closest('.eval-run').dataset.runId;
+
+        switch (button.dataset.evalAction) {
+            case 'show':
+                EvalState.activeRunId = runId;
+                renderEvalRuns();
+                renderEvalResults();
+                break;
+            case 'export':
+                exportEvalRun(runId);
+                break;
+            case 'delete':
+                deleteEvalRun(runId);
+                break;
+        }
+    });
+
+    document.addEventListener('languagechange', () => {
+        renderGoldenSetSummary();
+        renderEvalRuns();
+        renderEvalResults();
+        if (evalElements.diff.childElementCount > 0) {
+            renderEvalDiff();
+        }
+    });
+});
+
+// Golden set
+
+async function loadGoldenSetFile(file) {
+    if (!file) {
+        return;
+    }
+
+    try {
+        EvalState.goldenSet = RetrievalEval.parseGoldenSet(await file.text(), file.name);
+        renderGoldenSetSummary();
+        evalElements.runBtn.disabled = false;
+        updateStatus(t('eval.goldenSetLoaded', { count: EvalState.goldenSet.questions.length }));
+
+    } catch (error) {
+        console.error('Golden set error:', error);
+        EvalState.goldenSet = null;
+        evalElements.goldenSummary.textContent = '';
+        evalElements.runBtn.disabled = true;
+        showToast(t('eval.invalidGoldenSet', { error: error.message }), 'error');
+    }
+}
+
+function renderGoldenSetSummary() {
+    if (!EvalState.goldenSet) {
+        return;
+    }
+
+    const questions = EvalState.goldenSet.questions;
+    evalElements.goldenSummary.textContent = t('eval.goldenSetSummary', {
+        name: EvalState.goldenSet.name,
+        count: questions.length,
+        documents: questions.filter(q => q.expectedDocumentIds.length > 0).length,
+        snippets: questions.filter(q => q.expectedSnippets.length > 0).length
+    });
+}
+
+// Running
+
+async function startEvaluation() {
+    if (!EvalState.goldenSet || EvalState.controller) {
+        return;
+    }
+
+    const total = EvalState.goldenSet.questions.length;
+    EvalState.controller = new AbortController();
+    evalElements.runBtn.disabled = true;
+    evalElements.cancelBtn.style.display = 'inline-flex';
+    evalElements.progress.style.display = 'flex';
+    updateEvalProgress(0, total);
+    updateStatus(t('eval.running', { count: total }));
+
+    try {
+        const run = await RetrievalEval.runEvaluation(EvalState.goldenSet, {
+            apiBaseUrl: CONFIG.API_BASE_URL,
+            maxChunks: parseInt(evalElements.maxChunks.value) || 10,
+            similarityThreshold: parseFloat(evalElements.threshold.value) || 0,
+            concurrency: parseInt(evalElements.concurrency.value) || 2,
+            name: evalElements.runName.value.trim(),
+            headers: getAuthHeaders(),
+            signal: EvalState.controller.signal,
+            onProgress: updateEvalProgress
+        });
+
+        saveEvalRun(run);
+        EvalState.activeRunId = run.id;
+        renderEvalRuns();
+        renderEvalResults();
+
+        const { summary } = run;
+        showToast(t('eval.completed', { mrr: summary.mrr.toFixed(3), hits: summary.hitCount, total: summary.questionCount }),
+            summary.errorCount > 0 ? 'warning' : 'success');
+        updateStatus(t('eval.completedStatus'));
+
+    } catch (error) {
+        if (error.aborted) {
+            showToast(t('eval.cancelled'), 'warning');
+            updateStatus(t('eval.cancelledStatus'));
+        } else {
+            console.error('Evaluation error:', error);
+            showToast(t('eval.failed', { error: error.message }), 'error');
+            updateStatus(t('eval.failedStatus'));
+        }
+    } finally {
+        EvalState.controller = null;
+        evalElements.runBtn.disabled = false;
+        evalElements.cancelBtn.style.display = 'none';
+        evalElements.progress.style.display = 'none';
+    }
+}
+
+function updateEvalProgress(completed, total) {
+    evalElements.progressBar.style.width = `${total > 0 ? Math.round(completed / total * 100) : 0}%`;
+    evalElements.progressText.textContent = t('eval.progress', { completed: completed, count: total });
+}
+
+// Results
+
+function formatPercent(value) {
+    return I18n.formatNumber(value, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 });
+}
+
+function renderEvalResults() {
+    const run = EvalState.runs.find(r => r.id === EvalState.activeRunId);
+    if (!run) {
+        evalElements.results.innerHTML = '';
+        return;
+    }
+
+    const { summary, config } = run;
+    const maxK = config.kValues[config.kValues.length - 1];
+    const metricCards = [
+        { label: 'MRR', value: summary.mrr.toFixed(3) },
+        ...config.kValues.map(k => ({ label: `Recall@${k}`, value: formatPercent(summary.recallAtK[k]) })),
+        ...config.kValues.map(k => ({ label: `Hit@${k}`, value: formatPercent(summary.hitRateAtK[k]) }))
+    ];
+
+    evalElements.results.innerHTML = `
+        <div class="eval-run-title">
+            <strong>${escapeHtml(run.name)}</strong>
+            <span>${formatDate(run.createdAt)} • ${t('eval.runSummary', { hits: summary.hitCount, misses: summary.missCount, errors: summary.errorCount, latency: summary.averageLatencyMs })}</span>
+        </div>
+        <div class="eval-metrics">
+            ${metricCards.map(card => `
+                <div class="eval-metric">
+                    <span class="eval-metric-value">${card.value}</span>
+                    <span class="eval-metric-label">${card.label}</span>
+                </div>
+            `).join('')}
+        </div>
+        <div class="eval-table-wrapper">
+            <table class="eval-table">
+                <thead>
+                    <tr>
+                        <th>${t('eval.question')}</th>
+                        <th>${t('eval.expected')}</th>
+                        <th>${t('eval.outcome')}</th>
+                        <th>Rank</th>
+                        <th>Recall@${maxK}</th>
+                        <th>${t('eval.retrievedChunks')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${run.questions.map(question => buildEvalQuestionRowHtml(question, maxK)).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+function buildEvalQuestionRowHtml(question, maxK) {
+    const expected = [
+        ...question.expectedDocumentIds.map(id => `doc ${id}`),
+        ...question.expectedSnippets.map(snippet => `"${snippet}"`)
+    ];
+    const missing = question.missingTargets.length > 0 && question.status !== 'error'
+        ? `<div class="eval-missing">${t('eval.missing', { targets: escapeHtml(question.missingTargets.join(', ')) })}</div>`
+        : '';
+
+    const retrieved = question.status === 'error'
+        ? `<span class="eval-error">${escapeHtml(question.error)}</span>`
+        : question.retrieved.map(item => `
+            <span class="eval-chunk ${item.relevant ? 'relevant' : ''}" title="${MarkdownRenderer.escapeHtml(item.documentName)} • chunk ${item.chunkIndex} • ${item.similarityScore.toFixed(3)}">
+                #${item.rank} doc ${item.documentId}
+            </span>
+        `).join('') || `<span class="eval-missing">${t('eval.noChunks')}</span>`;
+
+    return `
+        <tr class="eval-${question.status}">
+            <td>
+                <div class="eval-question-id">${escapeHtml(question.id)}</div>
+                ${escapeHtml(question.question)}
+            </td>
+            <td>${escapeHtml(expected.join(', '))}${missing}</td>
+            <td class="eval-status">${EVAL_STATUS_ICONS[question.status]} ${t(`eval.status.${question.status}`)}</td>
+            <td>${question.firstHitRank || '—'}</td>
+            <td>${question.status === 'error' ? '—' : formatPercent(question.recallAtK[maxK])}</td>
+            <td class="eval-retrieved">${retrieved}</td>
+        </tr>
+    `;
+}
+
+// Saved runs
+
+function renderEvalRuns() {
+    if (EvalState.runs.length === 0) {
+        evalElements.runsList.innerHTML = `<div class="loading">${t('eval.noRuns')}</div>`;
+    } else {
+        evalElements.runsList.innerHTML = EvalState.runs.map(run => `
+            <div class="eval-run ${run.id === EvalState.activeRunId ? 'active' : ''}" data-run-id="${MarkdownRenderer.escapeHtml(run.id)}">
+                <input type="checkbox" data-eval-select title="${t('eval.selectTitle')}" ${EvalState.selected.includes(run.id) ? 'checked' : ''}>
+                <div class="eval-run-info">
+                    <strong>${escapeHtml(run.name)}</strong>
+                    <span>${formatDate(run.createdAt)} • ${t('eval.questionCount', { count: run.goldenSet.questionCount })} • MRR ${run.summary.mrr.toFixed(3)} • Recall@${run.config.maxChunks} ${formatPercent(run.summary.recallAtK[run.config.maxChunks])}</span>
+                </div>
+                <button class="icon-btn" data-eval-action="show" title="${t('eval.showResults')}">👁</button>
+                <button class="icon-btn" data-eval-action="export" title="${t('eval.exportJson')}">⬇</button>
+                <button class="icon-btn" data-eval-action="delete" title="${t('common.delete')}">🗑</button>
+            </div>
+        `).join('');
+    }
+
+    evalElements.diffBtn.disabled = EvalState.selected.length !== 2;
+}
+
+// Keeps the two most recently selected runs; the older one is the baseline
+function toggleEvalRunSelection(runId, checked) {
+    EvalState.selected = EvalState.selected.filter(id => id !== runId);
+    if (checked) {
+        EvalState.selected.push(runId);
+        if (EvalState.selected.length > 2) {
+            EvalState.selected.shift();
+        }
+    }
+    renderEvalRuns();
+}
+
+function saveEvalRun(run) {
+    EvalState.runs = [run, ...EvalState.runs.filter(r => r.id !== run.id)].slice(0, EVAL_MAX_SAVED_RUNS);
+    persistEvalRuns();
+}
+
+function deleteEvalRun(runId) {
+    EvalState.runs = EvalState.runs.filter(run => run.id !== runId);
+    EvalState.selected = EvalState.selected.filter(id => id !== runId);
+    if (EvalState.activeRunId === runId) {
+        EvalState.activeRunId = null;
+        renderEvalResults();
+    }
+    persistEvalRuns();
+    renderEvalRuns();
+}
+
+function exportEvalRun(runId) {
+    const run = EvalState.runs.find(r => r.id === runId);
+    if (run) {
+        const date = run.createdAt.slice(0, 19).replace(/[T:]/g, '-');
+        downloadFile(JSON.stringify(run, null, 2), `retrieval-eval-${date}.json`, 'application/json');
+    }
+}
+
+async function importEvalRun(file) {
+    if (!file) {
+        return;
+    }
+
+    try {
+        const run = JSON.parse(await file.text());
+        if (!run || !run.id || !run.summary || !run.config || !Array.isArray(run.questions)) {
+            throw new Error('the file is not a saved evaluation run');
+        }
+
+        saveEvalRun(run);
+        EvalState.activeRunId = run.id;
+        renderEvalRuns();
+        renderEvalResults();
+        showToast(t('eval.imported', { name: run.name }), 'success');
+
+    } catch (error) {
+        console.error('Import evaluation run error:', error);
+        showToast(t('eval.importFailed', { error: error.message }), 'error');
+    } finally {
+        evalElements.importFile.value = '';
+    }
+}
+
+// Diff
+
+function renderEvalDiff() {
+    const [baseRun, otherRun] = EvalState.selected.map(id => EvalState.runs.find(run => run.id === id));
+    if (!baseRun || !otherRun) {
+        return;
+    }
+
+    const diff = RetrievalEval.diffRuns(baseRun, otherRun);
+    const formatDelta = delta => `${delta > 0 ? '+' : ''}${delta.toFixed(3)}`;
+    const deltaClass = delta => delta > 0 ? 'better' : delta < 0 ? 'worse' : '';
+    const changed = diff.questions
+        .filter(question => question.change !== 'unchanged')
+        .sort((a, b) => (a.change === 'regressed' ? 0 : 1) - (b.change === 'regressed' ? 0 : 1));
+
+    evalElements.diff.innerHTML = `
+        <div class="eval-run-title">
+            <strong>${escapeHtml(diff.base.name)} → ${escapeHtml(diff.other.name)}</strong>
+            <span>${t('eval.diffSummary', { improved: diff.counts.improved, regressed: diff.counts.regressed, unchanged: diff.counts.unchanged })}</span>
+        </div>
+        ${diff.sameGoldenSet ? '' : `<div class="eval-warning">⚠ ${t('eval.differentGoldenSets')}</div>`}
+        ${diff.configChanges.length > 0 ? `
+            <ul class="eval-config-changes">
+                ${diff.configChanges.map(change => `
+                    <li><code>${change.key}</code>: ${escapeHtml(JSON.stringify(change.base))} → ${escapeHtml(JSON.stringify(change.other))}</li>
+                `).join('')}
+            </ul>
+        ` : ''}
+        <table class="eval-table">
+            <thead>
+                <tr><th>${t('eval.metric')}</th><th>${t('eval.base')}</th><th>${t('eval.compared')}</th><th>Δ</th></tr>
+            </thead>
+            <tbody>
+                ${diff.metrics.map(metric => `
+                    <tr>
+                        <td>${metric.label}</td>
+                        <td>${metric.base.toFixed(3)}</td>
+                        <td>${metric.other.toFixed(3)}</td>
+                        <td class="eval-delta ${deltaClass(metric.delta)}">${formatDelta(metric.delta)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${changed.length > 0 ? `
+            <table class="eval-table">
+                <thead>
+                    <tr><th>${t('eval.question')}</th><th>${t('eval.change')}</th><th>${t('eval.baseRank')}</th><th>${t('eval.comparedRank')}</th></tr>
+                </thead>
+                <tbody>
+                    ${changed.map(question => `
+                        <tr class="eval-change-${question.change}">
+                            <td>
+                                <div class="eval-question-id">${escapeHtml(question.id)}</div>
+                                ${escapeHtml(question.question)}
+                            </td>
+                            <td>${EVAL_CHANGE_ICONS[question.change]} ${t(`eval.change.${question.change}`)}</td>
+                            <td>${question.baseRank || '—'}</td>
+                            <td>${question.otherRank || '—'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : ''}
+    `;
+}
+
+// Storage
+
+function loadEvalRuns() {
+    try {
+        EvalState.runs = JSON.parse(localStorage.getItem(EVAL_STORAGE_KEY) || '[]');
+    } catch (error) {
+        console.error('Load evaluation runs error:', error);
+        EvalState.runs = [];
+    }
+}
+
+function persistEvalRuns() {
+    try {
+        localStorage.setItem(EVAL_STORAGE_KEY, JSON.stringify(EvalState.runs));
+    } catch (error) {
+        console.error('Save evaluation runs error:', error);
+        showToast(t('eval.saveFailed'), 'warning');
+    }
+}
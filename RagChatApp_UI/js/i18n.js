@@ -0,0 +1,138 @@
+// Internationalization
+// Message catalogues (js/locales/*.js) register their strings here; t() looks a key up
+// in the selected language and falls back to Italian, the language of the markup.
+// Static text in index.html is marked with data-i18n* attributes and translated in place.
+const I18n = (() => {
+    const STORAGE_KEY = 'ragChat.language';
+    const DEFAULT_LANGUAGE = 'it';
+    const LOCALES = { it: 'it-IT', en: 'en-US' };
+
+    const catalogues = {};
+    let language = DEFAULT_LANGUAGE;
+
+    function register(lang, messages) {
+        catalogues[lang] = Object.assign(catalogues[lang] || {}, messages);
+    }
+
+    function getLanguages() {
+        return Object.keys(LOCALES);
+    }
+
+    function getLanguage() {
+        return language;
+    }
+
+    // BCP 47 locale used by Intl to format dates and numbers
+    function getLocale() {
+        return LOCALES[language];
+    }
+
+    // Messages may be an object of plural forms ({ one, other }) selected by params.count;
+    // {name} placeholders are replaced with params.name
+    function t(key, params = {}) {
+        let message = lookup(language, key);
+        if (message === undefined) {
+            message = lookup(DEFAULT_LANGUAGE, key);
+        }
+        if (message === undefined) {
+            console.warn(`Missing translation: ${key}`);
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            const form = new Intl.PluralRules(getLocale()).select(params.count ?? 0);
+            message = message[form] ?? message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            params[name] !== undefined ? String(params[name]) : placeholder);
+    }
+
+    function lookup(lang, key) {
+        return catalogues[lang] ? catalogues[lang][key] : undefined;
+    }
+
+    // Saved choice first, then the browser language, then Italian
+    function detectLanguage() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved && LOCALES[saved]) {
+                return saved;
+            }
+        } catch (error) {
+            console.warn('Could not read the saved language:', error);
+        }
+
+        const browser = (navigator.language || '').split('-')[0].toLowerCase();
+        return LOCALES[browser] ? browser : DEFAULT_LANGUAGE;
+    }
+
+    function setLanguage(lang) {
+        if (!LOCALES[lang]) {
+            return;
+        }
+
+        const changed = lang !== language;
+        language = lang;
+        try {
+            localStorage.setItem(STORAGE_KEY, lang);
+        } catch (error) {
+            console.warn('Could not save the language:', error);
+        }
+
+        document.documentElement.lang = lang;
+        translatePage();
+        if (changed) {
+            document.dispatchEvent(new CustomEvent('languagechange', { detail: { language: lang } }));
+        }
+    }
+
+    // data-i18n sets the text of an element (with the JSON params of data-i18n-params);
+    // data-i18n-placeholder, -title and -aria-label set the attribute of the same name
+    function translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+            element.textContent = t(element.dataset.i18n, params);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = t(element.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = t(element.dataset.i18nTitle);
+        });
+        root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+        });
+    }
+
+    function formatDate(value, options = {}) {
+        return new Date(value).toLocaleString(getLocale(), options);
+    }
+
+    function formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(getLocale(), options).format(value);
+    }
+
+    language = detectLanguage();
+
+    // Registered before the listeners of the other scripts, so the page is
+    // translated before they render anything
+    document.addEventListener('DOMContentLoaded', () => {
+        document.documentElement.lang = language;
+        translatePage();
+    });
+
+    return {
+        register,
+        t,
+        getLanguages,
+        getLanguage,
+        getLocale,
+        setLanguage,
+        translatePage,
+        formatDate,
+        formatNumber
+    };
+})();
+
+const t = I18n.t;
@@ -0,0 +1,690 @@
+// English messages. Keys mirror locales/it.js; plural messages list their forms ({ one, other }).
+I18n.register('en', {
+    // Application shell
+    'app.language': 'Language',
+    'app.subtitle': 'Upload documents and chat with the AI using their content as context',
+
+    // Tabs
+    'tabs.documents': 'Documents',
+    'tabs.chat': 'AI Chat',
+    'tabs.search': 'Search',
+    'tabs.evaluation': 'Evaluation',
+    'tabs.cache': 'Cache',
+    'tabs.quality': 'Quality',
+    'tabs.providers': 'AI Providers',
+
+    // Sign-in
+    'auth.title': 'Sign in',
+    'auth.username': 'Username:',
+    'auth.password': 'Password:',
+    'auth.signIn': 'Sign in',
+    'auth.signOut': 'Sign out',
+    'auth.signedOut': 'You have signed out. Sign in again to continue.',
+    'auth.sessionExpired': 'Your session has expired. Sign in again to continue.',
+    'auth.welcome': 'Welcome, {name}',
+    'auth.role.Admin': 'Administrator',
+    'auth.role.User': 'User',
+
+    // Shared labels
+    'common.continue': 'Continue',
+    'common.cancel': 'Cancel',
+    'common.notes': 'Notes:',
+    'common.quickTags': 'Quick tags:',
+    'common.additionalJson': 'Additional JSON (optional):',
+    'common.refresh': 'Refresh',
+    'common.delete': 'Delete',
+    'common.previous': 'Previous',
+    'common.next': 'Next',
+    'common.clear': 'Clear',
+    'common.search': 'Search',
+    'common.close': 'Close',
+    'common.apply': 'Apply',
+    'common.save': 'Save',
+
+    // Document status
+    'status.ready': 'Ready',
+    'status.Processing': 'Processing',
+    'status.Completed': 'Completed',
+    'status.Failed': 'Failed',
+    'status.switchedTab': '{tab} tab',
+    'status.connected': 'Connected to API',
+    'status.connectionFailed': 'API connection failed',
+    'status.apiUnavailable': 'API unavailable',
+
+    // Document processing
+    'processing.stage.Queued': 'Queued',
+    'processing.stage.Extracting': 'Extracting text',
+    'processing.stage.Chunking': 'Splitting into chunks',
+    'processing.embedding': 'Embedding {field}: chunk {done}/{total}',
+    'processing.completed': '"{fileName}" processed ({count} chunks)',
+    'processing.failed': 'Processing of "{fileName}" failed: {error}',
+    'processing.unknownError': 'unknown error',
+
+    // Document list
+    'documents.title': 'Document Management',
+    'documents.listTitle': 'Uploaded Documents',
+    'documents.searchPlaceholder': '🔍 Search by file name...',
+    'documents.status': 'Status',
+    'documents.allStatuses': 'All statuses',
+    'documents.contentType': 'Content type',
+    'documents.allTypes': 'All types',
+    'documents.typeText': 'Text (.txt)',
+    'documents.typeWebPage': 'Web page',
+    'documents.dateFrom': 'From',
+    'documents.dateTo': 'To',
+    'documents.resetFiltersTitle': 'Reset filters',
+    'documents.resetFilters': 'Reset',
+    'documents.selectAllTitle': 'Select all the documents of the page',
+    'documents.sortName': 'Name',
+    'documents.sortType': 'Type',
+    'documents.sortSize': 'Size',
+    'documents.sortUploaded': 'Uploaded',
+    'documents.sortChunks': 'Chunks',
+    'documents.sortStatus': 'Status',
+    'documents.loading': 'Loading documents...',
+    'documents.pageSizeTitle': 'Documents per page',
+    'documents.pageSizeOption': '{count} / page',
+    'documents.loadingStatus': 'Loading documents...',
+    'documents.loaded': 'Loaded {count} of {total} documents',
+    'documents.loadFailed': 'Failed to load documents: {error}',
+    'documents.loadFailedStatus': 'Failed to load documents',
+    'documents.noMatches': 'No document matches the selected filters.',
+    'documents.empty': 'No documents uploaded. Upload your first document to get started!',
+    'documents.selectTitle': 'Select (Shift+click for a range)',
+    'documents.detailTitle': 'Show chunks and metadata',
+    'documents.type': 'Type',
+    'documents.size': 'Size',
+    'documents.uploaded': 'Uploaded',
+    'documents.uploadedBy': 'Uploaded by',
+    'documents.notOwner': 'Only the uploader or an administrator can change this document',
+    'documents.chunks': 'Chunks',
+    'documents.processed': 'Processed',
+    'documents.source': 'Source',
+    'documents.open': 'Open',
+    'documents.details': 'Details',
+    'documents.refreshPageTitle': 'Download the page again and reprocess the document',
+    'documents.edit': 'Edit',
+    'documents.pageInfo': 'Page {page} of {totalPages} • {count} documents',
+    'documents.confirmDelete': 'Are you sure you want to delete this document?',
+    'documents.deleting': 'Deleting document...',
+    'documents.deleted': 'Document deleted successfully!',
+    'documents.deletedStatus': 'Document deleted',
+    'documents.deleteFailed': 'Failed to delete document: {error}',
+    'documents.deleteFailedStatus': 'Delete failed',
+
+    // File upload
+    'upload.title': 'Upload Files',
+    'upload.dropHint': 'Drop files, folders or .zip archives here or click to select',
+    'upload.supportedTypes': 'Supported: .txt, .md, .pdf, .doc, .docx (also inside folders and .zip)',
+    'upload.selectFolder': 'Select folder',
+    'upload.dropFailed': 'Failed to read the dropped files: {error}',
+    'upload.noFiles': 'No files selected for upload.',
+    'upload.uploadCancelled': 'File upload cancelled.',
+
+    // Upload queue
+    'queue.title': 'Upload queue',
+    'queue.clearTitle': 'Remove the finished files',
+    'queue.clear': 'Clean up',
+    'queue.status.queued': 'Queued',
+    'queue.status.uploading': 'Uploading',
+    'queue.status.retrying': 'Retrying',
+    'queue.status.done': 'Uploaded',
+    'queue.status.failed': 'Failed',
+    'queue.status.cancelled': 'Cancelled',
+    'queue.uploading': 'Uploading {path}...',
+    'queue.retryIn': '{error} — retrying in {seconds}s',
+    'queue.uploaded': '{count} uploaded',
+    'queue.failed': '{count} failed',
+    'queue.cancelled': '{count} cancelled',
+    'queue.active': '{count} in progress',
+    'queue.finished': 'Upload finished: {summary}',
+    'queue.finishedStatus': 'Upload finished: {succeeded} succeeded, {failed} failed',
+    'queue.attempt': 'attempt {count}',
+    'queue.replaces': 'replaces #{id}',
+    'queue.retry': 'Retry',
+
+    // Folder and ZIP import
+    'import.previewTitle': 'Import preview',
+    'import.selectAll': 'All',
+    'import.selectNone': 'None',
+    'import.skipDuplicatesTitle': 'Do not upload the files that are already indexed',
+    'import.skipDuplicates': 'Skip duplicates',
+    'import.replaceDuplicatesTitle': 'Files already indexed replace the existing document',
+    'import.replaceDuplicates': 'Replace duplicates',
+    'import.reading': 'Reading files...',
+    'import.nothingToImport': 'No files to import.',
+    'import.archiveFailed': 'Failed to read "{name}": {error}',
+    'import.reason.unsupported': 'File type "{type}" is not supported.',
+    'import.reason.tooLarge': 'File "{name}" is too large. Maximum size is 50MB.',
+    'import.reason.encrypted': 'File "{name}" is encrypted.',
+    'import.reason.unreadable': 'File "{name}" could not be read: {error}',
+    'import.label.unsupported': 'Unsupported type',
+    'import.label.tooLarge': 'Over 50MB',
+    'import.label.encrypted': 'Encrypted',
+    'import.label.unreadable': 'Unreadable',
+    'import.analyzing': 'Analyzing files {current}/{total}...',
+    'import.noSecureContext': 'Duplicate detection needs a secure context (https or localhost).',
+    'import.duplicateCheckFailed': 'Duplicate check failed: {error}',
+    'import.noSelection': 'Select at least one file to upload.',
+    'import.cancelled': 'Import cancelled.',
+    'import.selected': '{selected}/{total} files selected ({size})',
+    'import.duplicates': '{count} duplicates',
+    'import.replacing': '{count} replacements',
+    'import.excluded': '{count} excluded',
+    'import.duplicateOf': 'Duplicate of {path}',
+    'import.uploadedOn': 'Uploaded on {date}',
+    'import.alreadyIndexed': 'Already indexed',
+    'import.replaceDocument': 'Replace the document',
+    'import.uploadAsNew': 'Upload as new',
+
+    // URL import
+    'url.title': 'Index from URL',
+    'url.listPlaceholder': 'https://example.com/page\nOne URL per line, or the URL of a sitemap (.xml)',
+    'url.hint': 'The server downloads every page and extracts its main content and headings. Sitemaps are expanded into the pages they list.',
+    'url.notesPlaceholder': 'Notes describing these pages...',
+    'url.replaceTitle': 'Download pages with the same URL again instead of skipping them',
+    'url.replace': 'Refresh pages already indexed',
+    'url.importButton': 'Index pages',
+    'url.busy': 'Wait for the running operation to finish.',
+    'url.invalid': 'Invalid URLs: {urls}',
+    'url.empty': 'Enter at least one URL or sitemap.',
+    'url.noPages': 'No pages found in the sitemaps.',
+    'url.confirmImport': 'Index {count} web pages?',
+    'url.importTitle': 'Importing web pages',
+    'url.importFailed': 'Failed to import URLs: {error}',
+    'url.importFailedStatus': 'URL import failed',
+    'url.readingSitemap': 'Reading sitemap {url}...',
+    'url.downloading': 'Downloading the page...',
+    'url.alreadyIndexed': 'Already indexed (#{id}), skipped',
+    'url.refreshTitle': 'Refreshing web page',
+
+    // Text indexing
+    'text.title': 'Index Text',
+    'text.titlePlaceholder': 'Document title',
+    'text.contentPlaceholder': 'Paste the text to index here...',
+    'text.notesPlaceholder': 'Notes describing this text...',
+    'text.contentTypePlaceholder': 'Content type',
+    'text.indexButton': 'Index text with metadata',
+    'text.missingFields': 'Please provide both title and content.',
+    'text.indexing': 'Indexing text...',
+    'text.indexed': 'Text indexed successfully with metadata!',
+    'text.indexedStatus': 'Text indexed successfully',
+    'text.indexFailed': 'Failed to index text: {error}',
+    'text.indexFailedStatus': 'Indexing failed',
+
+    // Metadata fields
+    'metadata.title': 'Additional Information',
+    'metadata.documentNotes': 'Document notes:',
+    'metadata.documentNotesPlaceholder': 'Add notes describing the content of the document...',
+    'metadata.structuredTags': 'Structured tags:',
+    'metadata.author': 'Author',
+    'metadata.typePlaceholder': 'Type (e.g. code sample, documentation)',
+    'metadata.licensePlaceholder': 'License (e.g. MIT, Apache)',
+    'metadata.languagesPlaceholder': 'Languages (e.g. .NET, Python)',
+    'metadata.servicesPlaceholder': 'Services (e.g. Azure SQL, OpenAI)',
+    'metadata.genericTagsPlaceholder': 'Generic tags (comma separated)',
+    'metadata.tagsPlaceholder': 'Tags (comma separated)',
+    'metadata.customJson': 'Custom JSON (optional):',
+    'metadata.customJsonHint': '💡 You can enter custom JSON that is merged with the structured tags',
+    'metadata.uploadWith': 'Upload with metadata',
+    'metadata.uploadWithout': 'Upload without metadata',
+    'metadata.invalidJson': 'Invalid JSON in custom details. Using structured details only.',
+
+    // Document editing
+    'editor.cancelEdit': 'Cancel editing',
+    'editor.previewTitle': 'Preview changes',
+    'editor.confirm': 'Confirm and re-index',
+    'editor.banner': '✏️ Editing "{fileName}"',
+    'editor.saveButton': 'Preview and save changes',
+    'editor.editing': 'Editing document',
+    'editor.loadFailed': 'Failed to load document: {error}',
+    'editor.loadFailedStatus': 'Failed to load document',
+    'editor.fieldTitle': 'Title',
+    'editor.fieldNotes': 'Notes',
+    'editor.fieldDetails': 'Details',
+    'editor.fieldContent': 'Content',
+    'editor.noChanges': 'No changes to save.',
+    'editor.reindexing': 'Re-indexing document...',
+    'editor.updated': 'Document updated, re-indexing in progress...',
+    'editor.updatedStatus': 'Document re-indexing',
+    'editor.updateFailed': 'Failed to update document: {error}',
+    'editor.updateFailedStatus': 'Update failed',
+    'editor.reindexed': '"{fileName}" re-indexed ({count} chunks)',
+    'editor.reindexFailed': 'Re-indexing of "{fileName}" failed',
+    'editor.unchangedLines': { one: '{count} unchanged line', other: '{count} unchanged lines' },
+
+    // Batch actions
+    'batch.reprocess': 'Reprocess',
+    'batch.metadata': 'Metadata',
+    'batch.export': 'Export',
+    'batch.clearSelection': 'Clear selection',
+    'batch.metadataTitle': 'Metadata for the selected documents',
+    'batch.metadataMode': 'Mode:',
+    'batch.metadataMerge': 'Merge (adds notes and tags, overwrites the other fields)',
+    'batch.metadataReplace': 'Replace (the existing metadata is replaced)',
+    'batch.notesPlaceholder': 'Notes to apply...',
+    'batch.selectionCount': { one: '{count} document selected', other: '{count} documents selected' },
+    'batch.confirmDelete': 'Are you sure you want to delete {count} documents?',
+    'batch.deleteTitle': 'Deleting documents',
+    'batch.deleted': 'Deleted',
+    'batch.reprocessTitle': 'Reprocessing documents',
+    'batch.jsonObjectRequired': 'a JSON object is required',
+    'batch.invalidJson': 'Invalid custom JSON: {error}',
+    'batch.noMetadata': 'Enter at least one metadata value to apply.',
+    'batch.mergeTitle': 'Merging metadata',
+    'batch.replaceTitle': 'Replacing metadata',
+    'batch.exportTitle': 'Exporting documents',
+    'batch.exported': 'Exported',
+    'batch.processing': 'Processing...',
+    'batch.processingDeleted': 'The document was deleted while it was being processed',
+    'batch.processingEnded': 'Processing ended with status {status}',
+    'batch.completed': 'Completed ({count} chunks)',
+    'batch.waiting': 'Waiting',
+    'batch.summary': '{done} of {total} • ✅ {succeeded} succeeded • ❌ {failed} failed',
+    'batch.running': 'Running...',
+    'batch.finished': '{title}: {succeeded} succeeded, {failed} failed',
+
+    // Document detail
+    'detail.documentNumber': 'Document #{id}',
+    'detail.loadingChunks': 'Loading chunks...',
+    'detail.loadChunksError': 'Unable to load the chunks.',
+    'detail.loadChunksFailed': 'Failed to load chunks: {error}',
+    'detail.pageInfo': 'Page {page} of {totalPages} • {count} chunks',
+    'detail.noChunks': 'No chunks for this document.',
+    'detail.chunkNotes': 'Chunk notes:',
+    'detail.noNotes': 'No notes',
+    'detail.chunkDetails': 'Details (JSON):',
+    'detail.updated': 'Updated',
+    'detail.saveChunk': 'Save and recompute embeddings',
+    'detail.noVector': 'No vector',
+    'detail.embeddingModel': 'Model: {model}',
+    'detail.modelNotRecorded': 'Model not recorded',
+    'detail.dimensions': '{count} dimensions',
+    'detail.generated': 'Generated: {date}',
+    'detail.modelUnknown': 'model n/a',
+    'detail.invalidDetails': 'Invalid details: {error}',
+    'detail.reEmbedding': 'Re-embedding chunk...',
+    'detail.chunkUpdated': 'Chunk #{index} updated and re-embedded',
+    'detail.chunkUpdatedStatus': 'Chunk updated',
+    'detail.chunkUpdateFailed': 'Failed to update chunk: {error}',
+    'detail.chunkUpdateFailedStatus': 'Chunk update failed',
+
+    // Embedding fields
+    'embeddingFields.Content': 'Content',
+    'embeddingFields.HeaderContext': 'Heading',
+    'embeddingFields.Notes': 'Notes',
+    'embeddingFields.Details': 'Details',
+
+    // Document viewer
+    'viewer.textModeTitle': 'Extracted text with the cited passage highlighted',
+    'viewer.textMode': 'Text',
+    'viewer.originalModeTitle': 'Original file at the page of the cited passage',
+    'viewer.originalMode': 'Original',
+    'viewer.sourceLinkTitle': 'Open the original page',
+    'viewer.sourceLink': 'Original page',
+    'viewer.downloadTitle': 'Download the original file (or the extracted text)',
+    'viewer.download': 'Download',
+    'viewer.frameTitle': 'Original file',
+    'viewer.loading': 'Loading document...',
+    'viewer.loadError': 'Unable to load the document.',
+    'viewer.openFailed': 'Failed to open document: {error}',
+    'viewer.page': 'page {page}',
+    'viewer.passageNotFound': 'passage not found in the text',
+    'viewer.originalFailed': 'Failed to load the original file: {error}',
+    'viewer.downloadFailed': 'Failed to download document: {error}',
+
+    // Chat
+    'chat.conversations': 'Conversations',
+    'chat.newConversationTitle': 'New conversation',
+    'chat.newConversation': 'New',
+    'chat.searchConversations': 'Search conversations...',
+    'chat.noConversations': 'No saved conversations',
+    'chat.defaultTitle': 'Chat with AI',
+    'chat.welcome': '👋 Welcome to the RAG chat! You can ask me questions about the documents you uploaded.',
+    'chat.examplesIntro': 'Examples of questions you can ask:',
+    'chat.example1': '• "Summarize the main contents"',
+    'chat.example2': '• "What are the system requirements?"',
+    'chat.example3': '• "Find information about [specific topic]"',
+    'chat.maxChunks': 'Max chunks:',
+    'chat.similarityThreshold': 'Similarity threshold:',
+    'chat.memoryTitle': 'Characters of the previous questions and answers sent as context (0 = no memory)',
+    'chat.memory': 'Memory:',
+    'chat.characters': 'characters',
+    'chat.streamingTitle': 'Show the answer while it is generated',
+    'chat.streaming': 'Streaming',
+    'chat.bypassCacheTitle': 'Retrieve the chunks from the database even if the question is in the semantic cache (next message only)',
+    'chat.bypassCache': 'Bypass cache',
+    'chat.answerInUiLanguageTitle': 'Asks the model to answer in the language of the interface, whatever the language of the question and of the documents',
+    'chat.answerInUiLanguage': 'Answer in the interface language',
+    'chat.newTopicTitle': 'The next questions will not use the previous messages as context',
+    'chat.newTopic': 'New topic',
+    'chat.providerTitle': 'AI provider that generates the answer',
+    'chat.provider': 'Provider:',
+    'chat.defaultProvider': 'Default',
+    'chat.modelTitle': 'Model or deployment to use instead of the configured one',
+    'chat.model': 'Model:',
+    'chat.modelPlaceholder': 'default',
+    'chat.temperatureTitle': 'Sampling temperature (0 - 2)',
+    'chat.temperature': 'Temperature:',
+    'chat.maxTokensTitle': 'Maximum number of tokens of the answer',
+    'chat.maxTokens': 'Max tokens:',
+    'chat.messagePlaceholder': 'Type your question...',
+    'chat.send': 'Send',
+    'chat.stopTitle': 'Stop generating the answer',
+    'chat.stop': 'Stop',
+    'chat.codeCopied': 'Code copied to the clipboard!',
+    'chat.emptyMessage': 'Please enter a message.',
+    'chat.generating': 'Generating AI response...',
+    'chat.responseStopped': 'Response stopped',
+    'chat.responseGenerated': 'Response generated',
+    'chat.error': 'Sorry, I encountered an error: {error}',
+    'chat.errorStatus': 'Chat error',
+    'chat.sourcesFound': 'Found {count} sources, generating answer...',
+    'chat.answerStopped': 'answer stopped',
+    'chat.sources': 'Sources',
+    'chat.score': 'Score',
+    'chat.openAtPassage': 'Open the document at the cited passage',
+    'chat.expandTitle': 'Expand/collapse content',
+    'chat.showAll': 'Show all',
+    'chat.collapse': 'Collapse',
+    'chat.cachedAtTitle': 'Chunks retrieved from the semantic cache on {date}',
+    'chat.cachedSources': 'Sources from cache',
+    'chat.maxTokensMeta': 'max {count} tokens',
+    'chat.historyUnavailable': 'Chat history is unavailable: {error}',
+    'chat.saveFailed': 'Failed to save conversation: {error}',
+    'chat.topicAlreadyNew': 'The next question already starts without previous context.',
+    'chat.contextReset': 'Conversation context reset',
+    'chat.noConversationsFound': 'No conversations found',
+    'chat.messageCount': { one: '{count} message', other: '{count} messages' },
+    'chat.rename': 'Rename',
+    'chat.renamePrompt': 'New name of the conversation:',
+    'chat.confirmDeleteConversation': 'Are you sure you want to delete this conversation?',
+    'chat.conversationDeleted': 'Conversation deleted.',
+    'chat.deleteConversationFailed': 'Failed to delete conversation: {error}',
+    'chat.citationLabel': 'Source {number}: {preview}',
+    'chat.indexedDbUnavailable': 'IndexedDB is not available in this browser',
+
+    // Chat export
+    'export.export': 'Export',
+    'export.conversationTitle': 'Export conversation',
+    'export.answerTitle': 'Export answer',
+    'export.summary': { one: '{count} answer • sources: {sources}', other: '{count} answers • sources: {sources}' },
+    'export.hint': 'Every answer includes the question, the retrieval settings and the full text of its sources.',
+    'export.print': 'Print / PDF',
+    'export.nothingToExport': 'There are no answers to export in this conversation',
+    'export.popupBlocked': 'The browser blocked the print window: allow pop-ups for this page',
+    'export.done': 'Export completed',
+    'export.exportedAt': 'Exported on {date}',
+    'export.question': 'Question',
+    'export.answer': 'Answer',
+    'export.settingsLine': 'Max chunks: {maxChunks} • Similarity threshold: {threshold}',
+    'export.settingsUnknown': 'Retrieval settings not recorded',
+    'export.cachedSources': 'sources cached on {date}',
+    'export.documentRef': 'document {id}',
+    'export.chunkRef': 'chunk {id}',
+
+    // Answer feedback
+    'feedback.up': 'Helpful answer',
+    'feedback.down': 'Unhelpful answer',
+    'feedback.details': 'Comment',
+    'feedback.detailsTitle': 'Add a comment or report a wrong source',
+    'feedback.wrongSourceReported': 'Wrong source reported',
+    'feedback.commentPlaceholder': 'What was wrong? (optional)',
+    'feedback.wrongSource': 'One or more sources are wrong',
+    'feedback.whichSources': 'Which ones?',
+    'feedback.thanks': 'Thanks for your feedback!',
+    'feedback.saved': 'Feedback saved',
+    'feedback.saveFailed': 'Could not save the feedback: {error}',
+
+    // Answer comparison
+    'compare.toggleTitle': 'Send the same question with 2 or 3 configurations and compare the answers',
+    'compare.toggle': 'Compare mode',
+    'compare.addConfig': 'Add configuration',
+    'compare.hint': 'Questions in compare mode do not use the conversation memory.',
+    'compare.exportJson': 'Votes JSON',
+    'compare.exportCsv': 'Votes CSV',
+    'compare.modeStatus': 'Compare mode',
+    'compare.chatModeStatus': 'Chat mode',
+    'compare.configuration': 'Configuration {label}',
+    'compare.remove': 'Remove',
+    'compare.mode': 'Mode',
+    'compare.fullAnswer': 'Full answer',
+    'compare.chunksOnly': 'Chunks only',
+    'compare.model': 'Model',
+    'compare.maxChunks': 'Max chunks',
+    'compare.similarityThreshold': 'Similarity threshold',
+    'compare.temperature': 'Temperature',
+    'compare.running': 'Comparing {count} configurations...',
+    'compare.completed': 'Comparison completed',
+    'compare.empty': 'Type a question to compare the configurations.',
+    'compare.waiting': 'Waiting for the answer...',
+    'compare.noAnswerGenerated': 'Chunks only: no answer generated.',
+    'compare.defaultProvider': 'Default provider',
+    'compare.chunkCount': { one: '{count} chunk', other: '{count} chunks' },
+    'compare.threshold': 'threshold {value}',
+    'compare.sharedTitle': 'Also retrieved by other configurations',
+    'compare.overlap': '{shared} of {count} chunks in common',
+    'compare.voteQuestion': 'Which answer is better?',
+    'compare.tie': 'Tie',
+    'compare.confirmClear': 'Delete all the saved comparisons and their votes?',
+    'compare.nothingToExport': 'No comparisons to export.',
+    'compare.saveFailed': 'Unable to save the comparisons: {error}',
+
+    // Retrieval search
+    'search.title': 'Chunk search',
+    'search.intro': 'Retrieval only, no generated answer: no LLM tokens are used.',
+    'search.queryPlaceholder': 'What do you want to find in the documents?',
+    'search.group': 'Group by document and heading',
+    'search.filters': 'Filters on details',
+    'search.addFilter': 'Filter',
+    'search.filterKey': 'Key (e.g. author)',
+    'search.filterValue': 'Value',
+    'search.removeFilter': 'Remove filter',
+    'search.emptyQuery': 'Enter some text to search for.',
+    'search.searching': 'Searching...',
+    'search.searchingStatus': 'Searching chunks...',
+    'search.summary': '{count} chunks in {documents} documents • {elapsed} ms • no LLM tokens',
+    'search.fromCache': 'from the semantic cache ({date})',
+    'search.found': { one: 'Found {count} chunk', other: 'Found {count} chunks' },
+    'search.failedMessage': 'Search failed.',
+    'search.failed': 'Search failed: {error}',
+    'search.failedStatus': 'Search failed',
+    'search.noResults': 'No chunks above the similarity threshold.',
+    'search.groupSummary': { one: '{count} chunk • best {score}', other: '{count} chunks • best {score}' },
+    'search.chunkIndex': 'chunk {index}',
+    'search.similarityTitle': 'Similarity {score}',
+    'search.contextTitle': 'Show the previous and next chunks',
+    'search.context': 'Context',
+    'search.openTitle': 'Open the document at the chunk passage',
+    'search.open': 'Open',
+    'search.documentTitle': 'Open the document detail',
+    'search.document': 'Document',
+    'search.filterBy': 'Filter by {key} = {value}',
+    'search.loadingContext': 'Loading context...',
+    'search.contextFailed': 'Failed to load neighbouring chunks: {error}',
+
+    // Retrieval evaluation
+    'eval.title': 'Retrieval evaluation',
+    'eval.intro': 'Load a JSON or CSV golden set with the questions and the expected document ids or snippets: every question runs in chunks-only mode and you get Recall@k, MRR and the outcome of each question.',
+    'eval.goldenSet': 'Golden set:',
+    'eval.maxChunks': 'Max chunks (k):',
+    'eval.concurrency': 'Parallel requests:',
+    'eval.runName': 'Name:',
+    'eval.runNamePlaceholder': 'e.g. threshold 0.5 + filters',
+    'eval.run': 'Run evaluation',
+    'eval.savedRuns': 'Saved evaluations',
+    'eval.importJson': 'Import JSON',
+    'eval.diffTitle': 'Select two evaluations',
+    'eval.diff': 'Compare selected',
+    'eval.goldenSetLoaded': { one: 'Golden set loaded: {count} question', other: 'Golden set loaded: {count} questions' },
+    'eval.invalidGoldenSet': 'Invalid golden set: {error}',
+    'eval.goldenSetSummary': '"{name}": {count} questions • {documents} with document ids • {snippets} with snippets',
+    'eval.running': 'Evaluating {count} questions...',
+    'eval.completed': 'Evaluation completed: MRR {mrr}, {hits}/{total} hits',
+    'eval.completedStatus': 'Evaluation completed',
+    'eval.cancelled': 'Evaluation cancelled',
+    'eval.cancelledStatus': 'Evaluation cancelled',
+    'eval.failed': 'Evaluation failed: {error}',
+    'eval.failedStatus': 'Evaluation failed',
+    'eval.progress': '{completed} / {count} questions',
+    'eval.runSummary': '{hits} hits • {misses} misses • {errors} errors • average {latency} ms',
+    'eval.question': 'Question',
+    'eval.expected': 'Expected',
+    'eval.outcome': 'Outcome',
+    'eval.retrievedChunks': 'Retrieved chunks',
+    'eval.missing': 'Missing: {targets}',
+    'eval.noChunks': 'no chunks',
+    'eval.status.hit': 'Hit',
+    'eval.status.miss': 'Miss',
+    'eval.status.error': 'Error',
+    'eval.noRuns': 'No saved evaluations.',
+    'eval.selectTitle': 'Select for comparison',
+    'eval.questionCount': { one: '{count} question', other: '{count} questions' },
+    'eval.showResults': 'Show results',
+    'eval.exportJson': 'Export JSON',
+    'eval.imported': 'Evaluation "{name}" imported',
+    'eval.importFailed': 'Import failed: {error}',
+    'eval.diffSummary': '{improved} improved • {regressed} regressed • {unchanged} unchanged',
+    'eval.differentGoldenSets': 'The two evaluations use different golden sets.',
+    'eval.metric': 'Metric',
+    'eval.base': 'Base',
+    'eval.compared': 'Compared',
+    'eval.change': 'Change',
+    'eval.baseRank': 'Base rank',
+    'eval.comparedRank': 'Compared rank',
+    'eval.change.improved': 'Improved',
+    'eval.change.regressed': 'Regressed',
+    'eval.change.unchanged': 'Unchanged',
+    'eval.change.added': 'Added',
+    'eval.change.removed': 'Removed',
+    'eval.saveFailed': 'Unable to save the evaluations: local storage is full',
+
+    // Semantic cache
+    'cache.title': 'Semantic cache',
+    'cache.entryAge': 'Entry age',
+    'cache.repeatedQueries': 'Repeated queries',
+    'cache.searchPlaceholder': 'Search the cached questions (empty = most recent)',
+    'cache.exactMatch': 'Exact match',
+    'cache.maxAge': 'Max age (hours):',
+    'cache.purge': 'Cleanup',
+    'cache.purgeOlderThan': 'Entries older than',
+    'cache.hours': 'hours',
+    'cache.purgeDocumentTitle': 'Delete the entries that contain chunks of the document, e.g. after editing it',
+    'cache.purgeDocument': 'Entries of document (ID):',
+    'cache.clearAll': 'Clear cache',
+    'cache.invalidHours': 'Enter a valid number of hours.',
+    'cache.missingDocumentId': 'Enter the document ID.',
+    'cache.confirmClearAll': 'Clear the whole semantic cache?',
+    'cache.confirmPurgeDocument': 'Delete every cache entry that contains chunks of "{name}"?',
+    'cache.statsUnavailable': 'Statistics not available.',
+    'cache.statsFailed': 'Failed to load cache statistics: {error}',
+    'cache.enabledSummary': 'Enabled • entries expire after {hours} h • counters since {date}',
+    'cache.disabledSummary': 'Disabled (SemanticCache:Enabled = false): answers do not use the cache',
+    'cache.stat.entries': 'Cached entries',
+    'cache.stat.hitRate': 'Hit rate',
+    'cache.stat.hitsMisses': 'Hits / Misses',
+    'cache.stat.bypasses': 'Bypasses',
+    'cache.stat.lastHour': 'Last hour',
+    'cache.stat.last24Hours': 'Last 24 h',
+    'cache.stat.averageSize': 'Average size',
+    'cache.stat.oldest': 'Oldest',
+    'cache.repeatedQueryMeta': { one: '{count} entry • last {date}', other: '{count} entries • last {date}' },
+    'cache.noRepeatedQueries': 'No repeated queries.',
+    'cache.loadingEntries': 'Loading entries...',
+    'cache.entriesUnavailable': 'Unable to load the cache entries.',
+    'cache.entriesFailed': 'Failed to load cache entries: {error}',
+    'cache.noEntriesFound': 'No entries found.',
+    'cache.empty': 'The cache is empty.',
+    'cache.filter': 'filter {filter}',
+    'cache.legacyFormat': 'legacy format',
+    'cache.exact': 'exact',
+    'cache.partial': 'partial',
+    'cache.deleteEntry': 'Delete entry',
+    'cache.minutesAgo': '{count} min ago',
+    'cache.purgeDocumentChipTitle': 'Delete the entries with chunks of this document',
+    'cache.cleaned': { one: '{count} entry deleted from the cache', other: '{count} entries deleted from the cache' },
+    'cache.cleanedStatus': 'Semantic cache cleaned',
+    'cache.cleanFailed': 'Failed to clean the cache: {error}',
+    'cache.purged': { one: '{count} entry of document {id} deleted from the cache', other: '{count} entries of document {id} deleted from the cache' },
+    'cache.purgedStatus': 'Document entries purged from the semantic cache',
+    'cache.purgeFailed': 'Failed to purge the cache: {error}',
+    'cache.deleteEntryFailed': 'Failed to delete the cache entry: {error}',
+
+    // Answer quality
+    'quality.title': 'Answer quality',
+    'quality.period': 'Period',
+    'quality.last7Days': 'Last 7 days',
+    'quality.last30Days': 'Last 30 days',
+    'quality.last90Days': 'Last 90 days',
+    'quality.trend': 'Trend',
+    'quality.worstQuestions': 'Worst-rated questions',
+    'quality.problemDocuments': 'Documents most often in bad answers',
+    'quality.summary': { one: '{count} feedback since {date}', other: '{count} feedback since {date}' },
+    'quality.unavailable': 'Quality data not available.',
+    'quality.loadFailed': 'Could not load the quality data: {error}',
+    'quality.stat.total': 'Feedback',
+    'quality.stat.satisfaction': 'Satisfaction',
+    'quality.stat.positive': 'Thumbs up',
+    'quality.stat.negative': 'Thumbs down',
+    'quality.stat.wrongSource': 'Wrong sources',
+    'quality.trendDay': '{date}: 👍 {positive} • 👎 {negative} • wrong sources: {wrongSource}',
+    'quality.noBadQuestions': 'No badly rated answers in this period.',
+    'quality.noProblemDocuments': 'No documents among the sources of bad answers in this period.',
+    'quality.question': 'Question',
+    'quality.lastFeedback': 'Last feedback',
+    'quality.document': 'Document',
+    'quality.badAnswers': 'Bad answers',
+    'quality.badAnswerRatio': '{bad} of {count}',
+    'quality.flaggedChunks': 'Flagged chunks',
+    'quality.openDocument': 'Open the document detail',
+
+    // AI providers
+    'providers.title': 'AI Providers',
+    'providers.testText': 'Text for the embedding test:',
+    'providers.testPrompt': 'Prompt for the chat test:',
+    'providers.testPromptPlaceholder': 'Reply with "OK" only.',
+    'providers.testAll': 'Test all providers',
+    'providers.loading': 'Loading providers...',
+    'providers.loaded': 'AI providers loaded',
+    'providers.loadError': 'Unable to load the providers.',
+    'providers.loadFailed': 'Failed to load AI providers: {error}',
+    'providers.summary': '{configured} of {total} configured • Default: {provider}',
+    'providers.configured': 'Configured',
+    'providers.notConfigured': 'Not configured',
+    'providers.notAvailable': 'n/a',
+    'providers.test.embedding': 'Embedding',
+    'providers.test.chat': 'Chat',
+    'providers.testRunning': 'test running...',
+    'providers.testing': 'Testing {kind} on {provider}...',
+    'providers.testSucceeded': '{provider} {kind} test succeeded',
+    'providers.testFailed': '{provider} {kind} test failed',
+    'providers.testingAll': 'Testing all the configured providers...',
+    'providers.testAllResult': '{succeeded} of {total} providers working • {elapsed} ms total',
+    'providers.testAllCompleted': 'Test completed: {succeeded}/{total} providers OK',
+    'providers.testAllCompletedStatus': 'Provider test completed',
+    'providers.testAllFailed': 'Failed to test providers: {error}',
+    'providers.testAllFailedStatus': 'Provider test failed',
+    'providers.testEmbedding': 'Test embedding',
+    'providers.testChat': 'Test chat',
+
+    // Markdown rendering
+    'markdown.copyCodeTitle': 'Copy code',
+    'markdown.copy': 'Copy',
+
+    // Clipboard
+    'clipboard.pathCopied': 'Path copied to the clipboard!',
+    'clipboard.copyFailed': 'Copy failed. Please copy the path manually.',
+
+    // Units
+    'units.bytes': 'Bytes',
+
+    // Errors
+    'errors.http': 'HTTP error! status: {status}',
+    'errors.network': 'Network error, the server could not be reached',
+    'errors.timeout': 'No response from the server within {timeoutMs} ms',
+    'errors.aborted': 'Request cancelled',
+    'errors.stream': 'Streaming failed',
+    'errors.invalidResponse': 'The server sent an invalid response',
+    'errors.unexpected': 'An unexpected error occurred. Please check the console for details.',
+    'errors.serverUnreachable': 'Network error: Unable to connect to the server. Please check if the API server is running.'
+});
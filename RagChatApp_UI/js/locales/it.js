@@ -0,0 +1,691 @@
+// Italian messages, the default language and the fallback for missing keys.
+// Keys are grouped by feature; plural messages list their forms ({ one, other }).
+I18n.register('it', {
+    // Application shell
+    'app.language': 'Lingua',
+    'app.subtitle': "Carica documenti e chatta con l'AI utilizzando il contenuto come contesto",
+
+    // Tabs
+    'tabs.documents': 'Gestione Documenti',
+    'tabs.chat': 'Chat AI',
+    'tabs.search': 'Ricerca',
+    'tabs.evaluation': 'Valutazione',
+    'tabs.cache': 'Cache',
+    'tabs.quality': 'Qualità',
+    'tabs.providers': 'Provider AI',
+
+    // Sign-in
+    'auth.title': 'Accedi',
+    'auth.username': 'Nome utente:',
+    'auth.password': 'Password:',
+    'auth.signIn': 'Accedi',
+    'auth.signOut': 'Esci',
+    'auth.signedOut': 'Disconnessione effettuata. Accedi di nuovo per continuare.',
+    'auth.sessionExpired': 'La sessione è scaduta. Accedi di nuovo per continuare.',
+    'auth.welcome': 'Ciao, {name}',
+    'auth.role.Admin': 'Amministratore',
+    'auth.role.User': 'Utente',
+
+    // Shared labels
+    'common.continue': 'Continua',
+    'common.cancel': 'Annulla',
+    'common.notes': 'Note:',
+    'common.quickTags': 'Tag Rapidi:',
+    'common.additionalJson': 'JSON Aggiuntivo (opzionale):',
+    'common.refresh': 'Aggiorna',
+    'common.delete': 'Elimina',
+    'common.previous': 'Precedente',
+    'common.next': 'Successiva',
+    'common.clear': 'Svuota',
+    'common.search': 'Cerca',
+    'common.close': 'Chiudi',
+    'common.apply': 'Applica',
+    'common.save': 'Salva',
+
+    // Document status
+    'status.ready': 'Pronto',
+    'status.Processing': 'In elaborazione',
+    'status.Completed': 'Completato',
+    'status.Failed': 'Fallito',
+    'status.switchedTab': 'Scheda {tab}',
+    'status.connected': 'Connesso alle API',
+    'status.connectionFailed': 'Connessione alle API non riuscita',
+    'status.apiUnavailable': 'API non disponibili',
+
+    // Document processing
+    'processing.stage.Queued': 'In coda',
+    'processing.stage.Extracting': 'Estrazione del testo',
+    'processing.stage.Chunking': 'Suddivisione in chunk',
+    'processing.embedding': 'Embedding {field}: chunk {done}/{total}',
+    'processing.completed': '"{fileName}" elaborato ({count} chunk)',
+    'processing.failed': 'Elaborazione di "{fileName}" non riuscita: {error}',
+    'processing.unknownError': 'errore sconosciuto',
+
+    // Document list
+    'documents.title': 'Gestione Documenti',
+    'documents.listTitle': 'Documenti Caricati',
+    'documents.searchPlaceholder': '🔍 Cerca per nome file...',
+    'documents.status': 'Stato',
+    'documents.allStatuses': 'Tutti gli stati',
+    'documents.contentType': 'Tipo contenuto',
+    'documents.allTypes': 'Tutti i tipi',
+    'documents.typeText': 'Testo (.txt)',
+    'documents.typeWebPage': 'Pagina web',
+    'documents.dateFrom': 'Dal',
+    'documents.dateTo': 'Al',
+    'documents.resetFiltersTitle': 'Azzera filtri',
+    'documents.resetFilters': 'Azzera',
+    'documents.selectAllTitle': 'Seleziona tutti i documenti della pagina',
+    'documents.sortName': 'Nome',
+    'documents.sortType': 'Tipo',
+    'documents.sortSize': 'Dimensione',
+    'documents.sortUploaded': 'Caricato',
+    'documents.sortChunks': 'Chunk',
+    'documents.sortStatus': 'Stato',
+    'documents.loading': 'Caricamento documenti...',
+    'documents.pageSizeTitle': 'Documenti per pagina',
+    'documents.pageSizeOption': '{count} / pagina',
+    'documents.loadingStatus': 'Caricamento documenti...',
+    'documents.loaded': 'Caricati {count} documenti su {total}',
+    'documents.loadFailed': 'Impossibile caricare i documenti: {error}',
+    'documents.loadFailedStatus': 'Caricamento documenti non riuscito',
+    'documents.noMatches': 'Nessun documento corrisponde ai filtri selezionati.',
+    'documents.empty': 'Nessun documento caricato. Carica il tuo primo documento per iniziare!',
+    'documents.selectTitle': 'Seleziona (Maiusc+clic per un intervallo)',
+    'documents.detailTitle': 'Mostra chunk e metadati',
+    'documents.type': 'Tipo',
+    'documents.size': 'Dimensione',
+    'documents.uploaded': 'Caricato',
+    'documents.uploadedBy': 'Caricato da',
+    'documents.notOwner': "Solo chi ha caricato il documento o un amministratore può modificarlo",
+    'documents.chunks': 'Chunk',
+    'documents.processed': 'Processato',
+    'documents.source': 'Origine',
+    'documents.open': 'Apri',
+    'documents.details': 'Dettagli',
+    'documents.refreshPageTitle': 'Scarica di nuovo la pagina e ri-elabora il documento',
+    'documents.edit': 'Modifica',
+    'documents.pageInfo': 'Pagina {page} di {totalPages} • {count} documenti',
+    'documents.confirmDelete': 'Sei sicuro di voler eliminare questo documento?',
+    'documents.deleting': 'Eliminazione del documento...',
+    'documents.deleted': 'Documento eliminato!',
+    'documents.deletedStatus': 'Documento eliminato',
+    'documents.deleteFailed': 'Impossibile eliminare il documento: {error}',
+    'documents.deleteFailedStatus': 'Eliminazione non riuscita',
+
+    // File upload
+    'upload.title': 'Carica File',
+    'upload.dropHint': 'Trascina file, cartelle o archivi .zip qui o clicca per selezionare',
+    'upload.supportedTypes': 'Supportati: .txt, .md, .pdf, .doc, .docx (anche dentro cartelle e .zip)',
+    'upload.selectFolder': 'Seleziona cartella',
+    'upload.dropFailed': 'Impossibile leggere i file trascinati: {error}',
+    'upload.noFiles': 'Nessun file selezionato per il caricamento.',
+    'upload.uploadCancelled': 'Caricamento dei file annullato.',
+
+    // Upload queue
+    'queue.title': 'Coda di caricamento',
+    'queue.clearTitle': 'Rimuovi i file terminati',
+    'queue.clear': 'Pulisci',
+    'queue.status.queued': 'In coda',
+    'queue.status.uploading': 'Caricamento',
+    'queue.status.retrying': 'Nuovo tentativo',
+    'queue.status.done': 'Caricato',
+    'queue.status.failed': 'Fallito',
+    'queue.status.cancelled': 'Annullato',
+    'queue.uploading': 'Caricamento di {path}...',
+    'queue.retryIn': '{error} — nuovo tentativo tra {seconds}s',
+    'queue.uploaded': '{count} caricati',
+    'queue.failed': '{count} falliti',
+    'queue.cancelled': '{count} annullati',
+    'queue.active': '{count} in corso',
+    'queue.finished': 'Upload completato: {summary}',
+    'queue.finishedStatus': 'Upload completato: {succeeded} riusciti, {failed} falliti',
+    'queue.attempt': 'tentativo {count}',
+    'queue.replaces': 'sostituisce #{id}',
+    'queue.retry': 'Riprova',
+
+    // Folder and ZIP import
+    'import.previewTitle': 'Anteprima importazione',
+    'import.selectAll': 'Tutti',
+    'import.selectNone': 'Nessuno',
+    'import.skipDuplicatesTitle': 'Non caricare i file già indicizzati',
+    'import.skipDuplicates': 'Salta duplicati',
+    'import.replaceDuplicatesTitle': 'I file già indicizzati sostituiscono il documento esistente',
+    'import.replaceDuplicates': 'Sostituisci duplicati',
+    'import.reading': 'Lettura dei file...',
+    'import.nothingToImport': 'Nessun file da importare.',
+    'import.archiveFailed': 'Impossibile leggere "{name}": {error}',
+    'import.reason.unsupported': 'Il tipo di file "{type}" non è supportato.',
+    'import.reason.tooLarge': 'Il file "{name}" è troppo grande. La dimensione massima è 50MB.',
+    'import.reason.encrypted': 'Il file "{name}" è cifrato.',
+    'import.reason.unreadable': 'Impossibile leggere il file "{name}": {error}',
+    'import.label.unsupported': 'Tipo non supportato',
+    'import.label.tooLarge': 'Oltre 50MB',
+    'import.label.encrypted': 'Cifrato',
+    'import.label.unreadable': 'Illeggibile',
+    'import.analyzing': 'Analisi dei file {current}/{total}...',
+    'import.noSecureContext': 'Il rilevamento dei duplicati richiede un contesto sicuro (https o localhost).',
+    'import.duplicateCheckFailed': 'Controllo dei duplicati non riuscito: {error}',
+    'import.noSelection': 'Seleziona almeno un file da caricare.',
+    'import.cancelled': 'Importazione annullata.',
+    'import.selected': '{selected}/{total} file selezionati ({size})',
+    'import.duplicates': '{count} duplicati',
+    'import.replacing': '{count} sostituzioni',
+    'import.excluded': '{count} esclusi',
+    'import.duplicateOf': 'Duplicato di {path}',
+    'import.uploadedOn': 'Caricato il {date}',
+    'import.alreadyIndexed': 'Già indicizzato',
+    'import.replaceDocument': 'Sostituisci il documento',
+    'import.uploadAsNew': 'Carica come nuovo',
+
+    // URL import
+    'url.title': 'Indicizza da URL',
+    'url.listPlaceholder': "https://esempio.it/pagina\nUn URL per riga, oppure l'URL di una sitemap (.xml)",
+    'url.hint': 'Il server scarica ogni pagina ed estrae il contenuto principale e i titoli. Le sitemap vengono espanse nelle pagine che elencano.',
+    'url.notesPlaceholder': 'Note descrittive per queste pagine...',
+    'url.replaceTitle': 'Scarica di nuovo le pagine con lo stesso URL invece di saltarle',
+    'url.replace': 'Aggiorna le pagine già indicizzate',
+    'url.importButton': 'Indicizza Pagine',
+    'url.busy': "Attendi la fine dell'operazione in corso.",
+    'url.invalid': 'URL non validi: {urls}',
+    'url.empty': 'Inserisci almeno un URL o una sitemap.',
+    'url.noPages': 'Nessuna pagina trovata nelle sitemap.',
+    'url.confirmImport': 'Indicizzare {count} pagine web?',
+    'url.importTitle': 'Importazione pagine web',
+    'url.importFailed': 'Impossibile importare gli URL: {error}',
+    'url.importFailedStatus': 'Importazione degli URL non riuscita',
+    'url.readingSitemap': 'Lettura della sitemap {url}...',
+    'url.downloading': 'Download della pagina...',
+    'url.alreadyIndexed': 'Già indicizzata (#{id}), saltata',
+    'url.refreshTitle': 'Aggiornamento pagina web',
+
+    // Text indexing
+    'text.title': 'Indicizza Testo',
+    'text.titlePlaceholder': 'Titolo del documento',
+    'text.contentPlaceholder': 'Incolla qui il testo da indicizzare...',
+    'text.notesPlaceholder': 'Note descrittive per questo testo...',
+    'text.contentTypePlaceholder': 'Tipo contenuto',
+    'text.indexButton': 'Indicizza Testo con Metadati',
+    'text.missingFields': 'Inserisci sia il titolo sia il contenuto.',
+    'text.indexing': 'Indicizzazione del testo...',
+    'text.indexed': 'Testo indicizzato con i metadati!',
+    'text.indexedStatus': 'Testo indicizzato',
+    'text.indexFailed': 'Impossibile indicizzare il testo: {error}',
+    'text.indexFailedStatus': 'Indicizzazione non riuscita',
+
+    // Metadata fields
+    'metadata.title': 'Informazioni Aggiuntive',
+    'metadata.documentNotes': 'Note del Documento:',
+    'metadata.documentNotesPlaceholder': 'Aggiungi note descrittive sul contenuto del documento...',
+    'metadata.structuredTags': 'Tag Strutturati:',
+    'metadata.author': 'Autore',
+    'metadata.typePlaceholder': 'Tipo (es. code sample, documentation)',
+    'metadata.licensePlaceholder': 'Licenza (es. MIT, Apache)',
+    'metadata.languagesPlaceholder': 'Linguaggi (es. .NET, Python)',
+    'metadata.servicesPlaceholder': 'Servizi (es. Azure SQL, OpenAI)',
+    'metadata.genericTagsPlaceholder': 'Tag generici (separati da virgole)',
+    'metadata.tagsPlaceholder': 'Tag (separati da virgole)',
+    'metadata.customJson': 'JSON Personalizzato (opzionale):',
+    'metadata.customJsonHint': '💡 Puoi inserire JSON personalizzato che verrà unito con i tag strutturati',
+    'metadata.uploadWith': 'Carica con Metadati',
+    'metadata.uploadWithout': 'Carica Senza Metadati',
+    'metadata.invalidJson': 'JSON non valido nei dettagli personalizzati: vengono usati solo i tag strutturati.',
+
+    // Document editing
+    'editor.cancelEdit': 'Annulla modifica',
+    'editor.previewTitle': 'Anteprima modifiche',
+    'editor.confirm': 'Conferma e re-indicizza',
+    'editor.banner': '✏️ Modifica di "{fileName}"',
+    'editor.saveButton': 'Anteprima e Salva Modifiche',
+    'editor.editing': 'Modifica del documento',
+    'editor.loadFailed': 'Impossibile caricare il documento: {error}',
+    'editor.loadFailedStatus': 'Caricamento del documento non riuscito',
+    'editor.fieldTitle': 'Titolo',
+    'editor.fieldNotes': 'Note',
+    'editor.fieldDetails': 'Dettagli',
+    'editor.fieldContent': 'Contenuto',
+    'editor.noChanges': 'Nessuna modifica da salvare.',
+    'editor.reindexing': 'Re-indicizzazione del documento...',
+    'editor.updated': 'Documento aggiornato, re-indicizzazione in corso...',
+    'editor.updatedStatus': 'Re-indicizzazione del documento',
+    'editor.updateFailed': 'Impossibile aggiornare il documento: {error}',
+    'editor.updateFailedStatus': 'Aggiornamento non riuscito',
+    'editor.reindexed': '"{fileName}" re-indicizzato ({count} chunk)',
+    'editor.reindexFailed': 'Re-indicizzazione di "{fileName}" fallita',
+    'editor.unchangedLines': { one: '{count} riga invariata', other: '{count} righe invariate' },
+
+    // Batch actions
+    'batch.reprocess': 'Ri-elabora',
+    'batch.metadata': 'Metadati',
+    'batch.export': 'Esporta',
+    'batch.clearSelection': 'Deseleziona',
+    'batch.metadataTitle': 'Metadati per i documenti selezionati',
+    'batch.metadataMode': 'Modalità:',
+    'batch.metadataMerge': 'Unisci (aggiunge note e tag, sovrascrive gli altri campi)',
+    'batch.metadataReplace': 'Sostituisci (i metadati esistenti vengono rimpiazzati)',
+    'batch.notesPlaceholder': 'Note da applicare...',
+    'batch.selectionCount': { one: '{count} documento selezionato', other: '{count} documenti selezionati' },
+    'batch.confirmDelete': 'Sei sicuro di voler eliminare {count} documenti?',
+    'batch.deleteTitle': 'Eliminazione documenti',
+    'batch.deleted': 'Eliminato',
+    'batch.reprocessTitle': 'Ri-elaborazione documenti',
+    'batch.jsonObjectRequired': 'serve un oggetto JSON',
+    'batch.invalidJson': 'JSON personalizzato non valido: {error}',
+    'batch.noMetadata': 'Inserisci almeno un metadato da applicare.',
+    'batch.mergeTitle': 'Unione metadati',
+    'batch.replaceTitle': 'Sostituzione metadati',
+    'batch.exportTitle': 'Esportazione documenti',
+    'batch.exported': 'Esportato',
+    'batch.processing': 'In elaborazione...',
+    'batch.processingDeleted': "Documento eliminato durante l'elaborazione",
+    'batch.processingEnded': 'Elaborazione terminata con stato {status}',
+    'batch.completed': 'Completato ({count} chunk)',
+    'batch.waiting': 'In attesa',
+    'batch.summary': '{done} di {total} • ✅ {succeeded} riusciti • ❌ {failed} falliti',
+    'batch.running': 'In corso...',
+    'batch.finished': '{title}: {succeeded} riusciti, {failed} falliti',
+
+    // Document detail
+    'detail.documentNumber': 'Documento #{id}',
+    'detail.loadingChunks': 'Caricamento chunk...',
+    'detail.loadChunksError': 'Impossibile caricare i chunk.',
+    'detail.loadChunksFailed': 'Impossibile caricare i chunk: {error}',
+    'detail.pageInfo': 'Pagina {page} di {totalPages} • {count} chunk',
+    'detail.noChunks': 'Nessun chunk per questo documento.',
+    'detail.chunkNotes': 'Note del chunk:',
+    'detail.noNotes': 'Nessuna nota',
+    'detail.chunkDetails': 'Dettagli (JSON):',
+    'detail.updated': 'Aggiornato',
+    'detail.saveChunk': 'Salva e ricalcola embedding',
+    'detail.noVector': 'Nessun vettore',
+    'detail.embeddingModel': 'Modello: {model}',
+    'detail.modelNotRecorded': 'Modello non registrato',
+    'detail.dimensions': '{count} dimensioni',
+    'detail.generated': 'Generato: {date}',
+    'detail.modelUnknown': 'modello n/d',
+    'detail.invalidDetails': 'Dettagli non validi: {error}',
+    'detail.reEmbedding': 'Ricalcolo degli embedding del chunk...',
+    'detail.chunkUpdated': 'Chunk #{index} aggiornato e ricalcolato',
+    'detail.chunkUpdatedStatus': 'Chunk aggiornato',
+    'detail.chunkUpdateFailed': 'Impossibile aggiornare il chunk: {error}',
+    'detail.chunkUpdateFailedStatus': 'Aggiornamento del chunk non riuscito',
+
+    // Embedding fields
+    'embeddingFields.Content': 'Contenuto',
+    'embeddingFields.HeaderContext': 'Intestazione',
+    'embeddingFields.Notes': 'Note',
+    'embeddingFields.Details': 'Dettagli',
+
+    // Document viewer
+    'viewer.textModeTitle': 'Testo estratto con il passaggio citato evidenziato',
+    'viewer.textMode': 'Testo',
+    'viewer.originalModeTitle': 'File originale alla pagina del passaggio citato',
+    'viewer.originalMode': 'Originale',
+    'viewer.sourceLinkTitle': 'Apri la pagina originale',
+    'viewer.sourceLink': 'Pagina originale',
+    'viewer.downloadTitle': 'Scarica il file originale (o il testo estratto)',
+    'viewer.download': 'Scarica',
+    'viewer.frameTitle': 'File originale',
+    'viewer.loading': 'Caricamento documento...',
+    'viewer.loadError': 'Impossibile caricare il documento.',
+    'viewer.openFailed': 'Impossibile aprire il documento: {error}',
+    'viewer.page': 'pagina {page}',
+    'viewer.passageNotFound': 'passaggio non trovato nel testo',
+    'viewer.originalFailed': 'Impossibile caricare il file originale: {error}',
+    'viewer.downloadFailed': 'Impossibile scaricare il documento: {error}',
+
+    // Chat
+    'chat.conversations': 'Conversazioni',
+    'chat.newConversationTitle': 'Nuova conversazione',
+    'chat.newConversation': 'Nuova',
+    'chat.searchConversations': 'Cerca conversazioni...',
+    'chat.noConversations': 'Nessuna conversazione salvata',
+    'chat.defaultTitle': 'Chat con AI',
+    'chat.welcome': '👋 Benvenuto nella chat RAG! Puoi farmi domande sui documenti che hai caricato.',
+    'chat.examplesIntro': 'Esempi di domande che puoi fare:',
+    'chat.example1': '• "Riassumi i contenuti principali"',
+    'chat.example2': '• "Quali sono i requisiti di sistema?"',
+    'chat.example3': '• "Trova informazioni su [argomento specifico]"',
+    'chat.maxChunks': 'Chunk massimi:',
+    'chat.similarityThreshold': 'Soglia similarità:',
+    'chat.memoryTitle': 'Caratteri delle domande e risposte precedenti inviati come contesto (0 = nessuna memoria)',
+    'chat.memory': 'Memoria:',
+    'chat.characters': 'caratteri',
+    'chat.streamingTitle': 'Mostra la risposta mentre viene generata',
+    'chat.streaming': 'Streaming',
+    'chat.bypassCacheTitle': 'Recupera i chunk dal database anche se la domanda è nella cache semantica (solo per il prossimo messaggio)',
+    'chat.bypassCache': 'Ignora cache',
+    'chat.answerInUiLanguageTitle': "Chiede al modello di rispondere nella lingua dell'interfaccia, qualunque sia la lingua della domanda e dei documenti",
+    'chat.answerInUiLanguage': "Rispondi nella lingua dell'interfaccia",
+    'chat.newTopicTitle': 'Le domande successive non useranno i messaggi precedenti come contesto',
+    'chat.newTopic': 'Nuovo argomento',
+    'chat.providerTitle': 'Provider AI che genera la risposta',
+    'chat.provider': 'Provider:',
+    'chat.defaultProvider': 'Predefinito',
+    'chat.modelTitle': 'Modello o deployment da usare al posto di quello configurato',
+    'chat.model': 'Modello:',
+    'chat.modelPlaceholder': 'predefinito',
+    'chat.temperatureTitle': 'Temperatura di campionamento (0 - 2)',
+    'chat.temperature': 'Temperatura:',
+    'chat.maxTokensTitle': 'Numero massimo di token della risposta',
+    'chat.maxTokens': 'Max token:',
+    'chat.messagePlaceholder': 'Scrivi la tua domanda...',
+    'chat.send': 'Invia',
+    'chat.stopTitle': 'Interrompi la generazione della risposta',
+    'chat.stop': 'Stop',
+    'chat.codeCopied': 'Codice copiato negli appunti!',
+    'chat.emptyMessage': 'Scrivi un messaggio.',
+    'chat.generating': 'Generazione della risposta...',
+    'chat.responseStopped': 'Risposta interrotta',
+    'chat.responseGenerated': 'Risposta generata',
+    'chat.error': 'Si è verificato un errore: {error}',
+    'chat.errorStatus': 'Errore della chat',
+    'chat.sourcesFound': '{count} fonti trovate, generazione della risposta...',
+    'chat.answerStopped': 'risposta interrotta',
+    'chat.sources': 'Fonti',
+    'chat.score': 'Punteggio',
+    'chat.openAtPassage': 'Apri il documento al passaggio citato',
+    'chat.expandTitle': 'Espandi/Comprimi contenuto',
+    'chat.showAll': 'Mostra tutto',
+    'chat.collapse': 'Comprimi',
+    'chat.cachedAtTitle': 'Chunk recuperati dalla cache semantica il {date}',
+    'chat.cachedSources': 'Fonti dalla cache',
+    'chat.maxTokensMeta': 'max {count} token',
+    'chat.historyUnavailable': 'Cronologia chat non disponibile: {error}',
+    'chat.saveFailed': 'Impossibile salvare la conversazione: {error}',
+    'chat.topicAlreadyNew': 'La prossima domanda parte già senza il contesto precedente.',
+    'chat.contextReset': 'Contesto della conversazione azzerato',
+    'chat.noConversationsFound': 'Nessuna conversazione trovata',
+    'chat.messageCount': { one: '{count} messaggio', other: '{count} messaggi' },
+    'chat.rename': 'Rinomina',
+    'chat.renamePrompt': 'Nuovo nome della conversazione:',
+    'chat.confirmDeleteConversation': 'Sei sicuro di voler eliminare questa conversazione?',
+    'chat.conversationDeleted': 'Conversazione eliminata.',
+    'chat.deleteConversationFailed': 'Impossibile eliminare la conversazione: {error}',
+    'chat.citationLabel': 'Fonte {number}: {preview}',
+    'chat.indexedDbUnavailable': 'IndexedDB non è disponibile in questo browser',
+
+    // Chat export
+    'export.export': 'Esporta',
+    'export.conversationTitle': 'Esporta conversazione',
+    'export.answerTitle': 'Esporta risposta',
+    'export.summary': { one: '{count} risposta • fonti: {sources}', other: '{count} risposte • fonti: {sources}' },
+    'export.hint': 'Ogni risposta include la domanda, le impostazioni di ricerca e il testo completo delle fonti.',
+    'export.print': 'Stampa / PDF',
+    'export.nothingToExport': 'Nessuna risposta da esportare in questa conversazione',
+    'export.popupBlocked': 'Il browser ha bloccato la finestra di stampa: consenti i popup per questa pagina',
+    'export.done': 'Esportazione completata',
+    'export.exportedAt': 'Esportato il {date}',
+    'export.question': 'Domanda',
+    'export.answer': 'Risposta',
+    'export.settingsLine': 'Chunk massimi: {maxChunks} • Soglia similarità: {threshold}',
+    'export.settingsUnknown': 'Impostazioni di ricerca non registrate',
+    'export.cachedSources': 'fonti dalla cache del {date}',
+    'export.documentRef': 'documento {id}',
+    'export.chunkRef': 'chunk {id}',
+
+    // Answer feedback
+    'feedback.up': 'Risposta utile',
+    'feedback.down': 'Risposta non utile',
+    'feedback.details': 'Commenta',
+    'feedback.detailsTitle': 'Aggiungi un commento o segnala una fonte sbagliata',
+    'feedback.wrongSourceReported': 'Fonte sbagliata segnalata',
+    'feedback.commentPlaceholder': 'Cosa non andava? (facoltativo)',
+    'feedback.wrongSource': 'Una o più fonti sono sbagliate',
+    'feedback.whichSources': 'Quali?',
+    'feedback.thanks': 'Grazie per il feedback!',
+    'feedback.saved': 'Feedback salvato',
+    'feedback.saveFailed': 'Impossibile salvare il feedback: {error}',
+
+    // Answer comparison
+    'compare.toggleTitle': 'Invia la stessa domanda con 2 o 3 configurazioni e confronta le risposte',
+    'compare.toggle': 'Modalità confronto',
+    'compare.addConfig': 'Aggiungi configurazione',
+    'compare.hint': 'Le domande in confronto non usano la memoria della conversazione.',
+    'compare.exportJson': 'Voti JSON',
+    'compare.exportCsv': 'Voti CSV',
+    'compare.modeStatus': 'Modalità confronto',
+    'compare.chatModeStatus': 'Modalità chat',
+    'compare.configuration': 'Configurazione {label}',
+    'compare.remove': 'Rimuovi',
+    'compare.mode': 'Modalità',
+    'compare.fullAnswer': 'Risposta completa',
+    'compare.chunksOnly': 'Solo chunk',
+    'compare.model': 'Modello',
+    'compare.maxChunks': 'Chunk massimi',
+    'compare.similarityThreshold': 'Soglia similarità',
+    'compare.temperature': 'Temperatura',
+    'compare.running': 'Confronto di {count} configurazioni...',
+    'compare.completed': 'Confronto completato',
+    'compare.empty': 'Scrivi una domanda per confrontare le configurazioni.',
+    'compare.waiting': 'In attesa della risposta...',
+    'compare.noAnswerGenerated': 'Solo chunk: nessuna risposta generata.',
+    'compare.defaultProvider': 'Provider predefinito',
+    'compare.chunkCount': '{count} chunk',
+    'compare.threshold': 'soglia {value}',
+    'compare.sharedTitle': 'Recuperato anche da altre configurazioni',
+    'compare.overlap': '{shared} di {count} chunk in comune',
+    'compare.voteQuestion': 'Quale risposta è migliore?',
+    'compare.tie': 'Pari',
+    'compare.confirmClear': 'Eliminare tutti i confronti salvati e i relativi voti?',
+    'compare.nothingToExport': 'Nessun confronto da esportare.',
+    'compare.saveFailed': 'Impossibile salvare i confronti: {error}',
+
+    // Retrieval search
+    'search.title': 'Ricerca nei chunk',
+    'search.intro': 'Solo retrieval, senza risposta generata: nessun token LLM consumato.',
+    'search.queryPlaceholder': 'Cosa vuoi cercare nei documenti?',
+    'search.group': 'Raggruppa per documento e intestazione',
+    'search.filters': 'Filtri su Dettagli',
+    'search.addFilter': 'Filtro',
+    'search.filterKey': 'Chiave (es. author)',
+    'search.filterValue': 'Valore',
+    'search.removeFilter': 'Rimuovi filtro',
+    'search.emptyQuery': 'Inserisci un testo da cercare.',
+    'search.searching': 'Ricerca in corso...',
+    'search.searchingStatus': 'Ricerca nei chunk...',
+    'search.summary': '{count} chunk in {documents} documenti • {elapsed} ms • nessun token LLM',
+    'search.fromCache': 'dalla cache semantica ({date})',
+    'search.found': { one: '{count} chunk trovato', other: '{count} chunk trovati' },
+    'search.failedMessage': 'Ricerca non riuscita.',
+    'search.failed': 'Ricerca non riuscita: {error}',
+    'search.failedStatus': 'Ricerca non riuscita',
+    'search.noResults': 'Nessun chunk sopra la soglia di similarità.',
+    'search.groupSummary': '{count} chunk • migliore {score}',
+    'search.chunkIndex': 'chunk {index}',
+    'search.similarityTitle': 'Similarità {score}',
+    'search.contextTitle': 'Mostra i chunk precedenti e successivi',
+    'search.context': 'Contesto',
+    'search.openTitle': 'Apri il documento al passaggio del chunk',
+    'search.open': 'Apri',
+    'search.documentTitle': 'Apri il dettaglio del documento',
+    'search.document': 'Documento',
+    'search.filterBy': 'Filtra per {key} = {value}',
+    'search.loadingContext': 'Caricamento contesto...',
+    'search.contextFailed': 'Impossibile caricare i chunk vicini: {error}',
+
+    // Retrieval evaluation
+    'eval.title': 'Valutazione del retrieval',
+    'eval.intro': 'Carica un golden set JSON o CSV con le domande e gli id documento o gli snippet attesi: ogni domanda viene eseguita in modalità solo chunk e si ottengono Recall@k, MRR ed esito per domanda.',
+    'eval.goldenSet': 'Golden set:',
+    'eval.maxChunks': 'Chunk massimi (k):',
+    'eval.concurrency': 'Richieste parallele:',
+    'eval.runName': 'Nome:',
+    'eval.runNamePlaceholder': 'es. soglia 0.5 + filtri',
+    'eval.run': 'Avvia valutazione',
+    'eval.savedRuns': 'Valutazioni salvate',
+    'eval.importJson': 'Importa JSON',
+    'eval.diffTitle': 'Seleziona due valutazioni',
+    'eval.diff': 'Confronta selezionate',
+    'eval.goldenSetLoaded': { one: 'Golden set caricato: {count} domanda', other: 'Golden set caricato: {count} domande' },
+    'eval.invalidGoldenSet': 'Golden set non valido: {error}',
+    'eval.goldenSetSummary': '"{name}": {count} domande • {documents} con id documento • {snippets} con snippet',
+    'eval.running': 'Valutazione di {count} domande...',
+    'eval.completed': 'Valutazione completata: MRR {mrr}, {hits}/{total} trovate',
+    'eval.completedStatus': 'Valutazione completata',
+    'eval.cancelled': 'Valutazione annullata',
+    'eval.cancelledStatus': 'Valutazione annullata',
+    'eval.failed': 'Valutazione non riuscita: {error}',
+    'eval.failedStatus': 'Valutazione non riuscita',
+    'eval.progress': '{completed} / {count} domande',
+    'eval.runSummary': '{hits} trovate • {misses} mancate • {errors} errori • media {latency} ms',
+    'eval.question': 'Domanda',
+    'eval.expected': 'Atteso',
+    'eval.outcome': 'Esito',
+    'eval.retrievedChunks': 'Chunk recuperati',
+    'eval.missing': 'Mancanti: {targets}',
+    'eval.noChunks': 'nessun chunk',
+    'eval.status.hit': 'Trovato',
+    'eval.status.miss': 'Mancato',
+    'eval.status.error': 'Errore',
+    'eval.noRuns': 'Nessuna valutazione salvata.',
+    'eval.selectTitle': 'Seleziona per il confronto',
+    'eval.questionCount': { one: '{count} domanda', other: '{count} domande' },
+    'eval.showResults': 'Mostra risultati',
+    'eval.exportJson': 'Esporta JSON',
+    'eval.imported': 'Valutazione "{name}" importata',
+    'eval.importFailed': 'Importazione non riuscita: {error}',
+    'eval.diffSummary': '{improved} migliorate • {regressed} peggiorate • {unchanged} invariate',
+    'eval.differentGoldenSets': 'Le due valutazioni usano golden set diversi.',
+    'eval.metric': 'Metrica',
+    'eval.base': 'Base',
+    'eval.compared': 'Confronto',
+    'eval.change': 'Variazione',
+    'eval.baseRank': 'Rank base',
+    'eval.comparedRank': 'Rank confronto',
+    'eval.change.improved': 'Migliorata',
+    'eval.change.regressed': 'Peggiorata',
+    'eval.change.unchanged': 'Invariata',
+    'eval.change.added': 'Aggiunta',
+    'eval.change.removed': 'Rimossa',
+    'eval.saveFailed': 'Impossibile salvare le valutazioni: spazio locale esaurito',
+
+    // Semantic cache
+    'cache.title': 'Cache semantica',
+    'cache.entryAge': 'Età delle voci',
+    'cache.repeatedQueries': 'Query ripetute',
+    'cache.searchPlaceholder': 'Cerca nelle domande in cache (vuoto = più recenti)',
+    'cache.exactMatch': 'Corrispondenza esatta',
+    'cache.maxAge': 'Età massima (ore):',
+    'cache.purge': 'Pulizia',
+    'cache.purgeOlderThan': 'Voci più vecchie di',
+    'cache.hours': 'ore',
+    'cache.purgeDocumentTitle': 'Elimina le voci che contengono chunk del documento, ad esempio dopo averlo modificato',
+    'cache.purgeDocument': 'Voci del documento (ID):',
+    'cache.clearAll': 'Svuota cache',
+    'cache.invalidHours': 'Inserisci un numero di ore valido.',
+    'cache.missingDocumentId': "Inserisci l'ID del documento.",
+    'cache.confirmClearAll': 'Svuotare completamente la cache semantica?',
+    'cache.confirmPurgeDocument': 'Eliminare dalla cache tutte le voci che contengono chunk di "{name}"?',
+    'cache.statsUnavailable': 'Statistiche non disponibili.',
+    'cache.statsFailed': 'Impossibile caricare le statistiche della cache: {error}',
+    'cache.enabledSummary': 'Attiva • le voci scadono dopo {hours} h • contatori dal {date}',
+    'cache.disabledSummary': 'Disattivata (SemanticCache:Enabled = false): le risposte non usano la cache',
+    'cache.stat.entries': 'Voci in cache',
+    'cache.stat.hitRate': 'Hit rate',
+    'cache.stat.hitsMisses': 'Hit / Miss',
+    'cache.stat.bypasses': 'Bypass',
+    'cache.stat.lastHour': 'Ultima ora',
+    'cache.stat.last24Hours': 'Ultime 24 h',
+    'cache.stat.averageSize': 'Dimensione media',
+    'cache.stat.oldest': 'Più vecchia',
+    'cache.repeatedQueryMeta': { one: '{count} voce • ultima {date}', other: '{count} voci • ultima {date}' },
+    'cache.noRepeatedQueries': 'Nessuna query ripetuta.',
+    'cache.loadingEntries': 'Caricamento voci...',
+    'cache.entriesUnavailable': 'Impossibile caricare le voci della cache.',
+    'cache.entriesFailed': 'Impossibile caricare le voci della cache: {error}',
+    'cache.noEntriesFound': 'Nessuna voce trovata.',
+    'cache.empty': 'La cache è vuota.',
+    'cache.filter': 'filtro {filter}',
+    'cache.legacyFormat': 'formato precedente',
+    'cache.exact': 'esatta',
+    'cache.partial': 'parziale',
+    'cache.deleteEntry': 'Elimina voce',
+    'cache.minutesAgo': '{count} min fa',
+    'cache.purgeDocumentChipTitle': 'Elimina le voci con chunk di questo documento',
+    'cache.cleaned': { one: '{count} voce eliminata dalla cache', other: '{count} voci eliminate dalla cache' },
+    'cache.cleanedStatus': 'Cache semantica pulita',
+    'cache.cleanFailed': 'Impossibile pulire la cache: {error}',
+    'cache.purged': { one: '{count} voce del documento {id} eliminata dalla cache', other: '{count} voci del documento {id} eliminate dalla cache' },
+    'cache.purgedStatus': 'Voci del documento eliminate dalla cache semantica',
+    'cache.purgeFailed': 'Impossibile eliminare le voci dalla cache: {error}',
+    'cache.deleteEntryFailed': 'Impossibile eliminare la voce della cache: {error}',
+
+    // Answer quality
+    'quality.title': 'Qualità delle risposte',
+    'quality.period': 'Periodo',
+    'quality.last7Days': 'Ultimi 7 giorni',
+    'quality.last30Days': 'Ultimi 30 giorni',
+    'quality.last90Days': 'Ultimi 90 giorni',
+    'quality.trend': 'Andamento',
+    'quality.worstQuestions': 'Domande con le valutazioni peggiori',
+    'quality.problemDocuments': 'Documenti più presenti nelle risposte sbagliate',
+    'quality.summary': { one: '{count} feedback dal {date}', other: '{count} feedback dal {date}' },
+    'quality.unavailable': 'Dati sulla qualità non disponibili.',
+    'quality.loadFailed': 'Impossibile caricare i dati sulla qualità: {error}',
+    'quality.stat.total': 'Feedback',
+    'quality.stat.satisfaction': 'Soddisfazione',
+    'quality.stat.positive': 'Pollice in su',
+    'quality.stat.negative': 'Pollice in giù',
+    'quality.stat.wrongSource': 'Fonti sbagliate',
+    'quality.trendDay': '{date}: 👍 {positive} • 👎 {negative} • fonti sbagliate: {wrongSource}',
+    'quality.noBadQuestions': 'Nessuna risposta valutata negativamente nel periodo.',
+    'quality.noProblemDocuments': 'Nessun documento tra le fonti di risposte sbagliate nel periodo.',
+    'quality.question': 'Domanda',
+    'quality.lastFeedback': 'Ultimo feedback',
+    'quality.document': 'Documento',
+    'quality.badAnswers': 'Risposte sbagliate',
+    'quality.badAnswerRatio': '{bad} su {count}',
+    'quality.flaggedChunks': 'Chunk segnalati',
+    'quality.openDocument': 'Apri il dettaglio del documento',
+
+    // AI providers
+    'providers.title': 'Provider AI',
+    'providers.testText': 'Testo per il test di embedding:',
+    'providers.testPrompt': 'Prompt per il test di chat:',
+    'providers.testPromptPlaceholder': 'Rispondi solo con "OK".',
+    'providers.testAll': 'Testa tutti i provider',
+    'providers.loading': 'Caricamento provider...',
+    'providers.loaded': 'Provider AI caricati',
+    'providers.loadError': 'Impossibile caricare i provider.',
+    'providers.loadFailed': 'Impossibile caricare i provider AI: {error}',
+    'providers.summary': '{configured} di {total} configurati • Predefinito: {provider}',
+    'providers.configured': 'Configurato',
+    'providers.notConfigured': 'Non configurato',
+    'providers.notAvailable': 'n/d',
+    'providers.test.embedding': 'Embedding',
+    'providers.test.chat': 'Chat',
+    'providers.testRunning': 'test in corso...',
+    'providers.testing': 'Test {kind} su {provider}...',
+    'providers.testSucceeded': 'Test {kind} su {provider} riuscito',
+    'providers.testFailed': 'Test {kind} su {provider} fallito',
+    'providers.testingAll': 'Test di tutti i provider configurati...',
+    'providers.testAllResult': '{succeeded} di {total} provider funzionanti • {elapsed} ms totali',
+    'providers.testAllCompleted': 'Test completato: {succeeded}/{total} provider OK',
+    'providers.testAllCompletedStatus': 'Test dei provider completato',
+    'providers.testAllFailed': 'Impossibile testare i provider: {error}',
+    'providers.testAllFailedStatus': 'Test dei provider non riuscito',
+    'providers.testEmbedding': 'Test Embedding',
+    'providers.testChat': 'Test Chat',
+
+    // Markdown rendering
+    'markdown.copyCodeTitle': 'Copia codice',
+    'markdown.copy': 'Copia',
+
+    // Clipboard
+    'clipboard.pathCopied': 'Percorso copiato negli appunti!',
+    'clipboard.copyFailed': 'Impossibile copiare. Copia manualmente il percorso.',
+
+    // Units
+    'units.bytes': 'byte',
+
+    // Errors
+    'errors.http': 'Errore HTTP! Stato: {status}',
+    'errors.network': 'Errore di rete, server non raggiungibile',
+    'errors.timeout': 'Nessuna risposta dal server entro {timeoutMs} ms',
+    'errors.aborted': 'Richiesta annullata',
+    'errors.stream': 'Streaming non riuscito',
+    'errors.invalidResponse': 'Risposta del server non valida',
+    'errors.unexpected': 'Si è verificato un errore imprevisto. Controlla la console per i dettagli.',
+    'errors.serverUnreachable': 'Errore di rete: impossibile connettersi al server. Verifica che il server API sia in esecuzione.'
+});
@@ -0,0 +1,381 @@
+// Markdown Rendering for bot answers
+// Everything is escaped first and only a fixed set of tags is generated,
+// so raw HTML in an LLM answer is shown as text and never interpreted.
+const MarkdownRenderer = (() => {
+    const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+    const FENCE = /^\s*(```|~~~)\s*([\w+#.-]*)\s*$/;
+    const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+    const HORIZONTAL_RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+    const BLOCKQUOTE = /^\s*>/;
+    const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+    const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+    // Keyword lists for the lightweight code highlighter
+    const LANGUAGES = {
+        javascript: {
+            aliases: ['js', 'jsx', 'ts', 'tsx', 'typescript', 'json', 'node'],
+            lineComment: '//',
+            blockComment: true,
+            keywords: ['async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete',
+                'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'from', 'function', 'if', 'import',
+                'in', 'instanceof', 'interface', 'let', 'new', 'null', 'of', 'return', 'static', 'super', 'switch',
+                'this', 'throw', 'true', 'try', 'type', 'typeof', 'undefined', 'var', 'void', 'while', 'yield']
+        },
+        csharp: {
+            aliases: ['cs', 'c#', 'dotnet', 'java', 'c', 'cpp', 'c++', 'go', 'rust', 'kotlin', 'swift'],
+            lineComment: '//',
+            blockComment: true,
+            keywords: ['abstract', 'async', 'await', 'base', 'bool', 'break', 'case', 'catch', 'class', 'const',
+                'continue', 'decimal', 'default', 'double', 'else', 'enum', 'false', 'finally', 'float', 'for',
+                'foreach', 'if', 'in', 'int', 'interface', 'internal', 'is', 'long', 'namespace', 'new', 'null',
+                'object', 'out', 'override', 'private', 'protected', 'public', 'readonly', 'record', 'ref', 'return',
+                'sealed', 'static', 'string', 'struct', 'switch', 'this', 'throw', 'true', 'try', 'using', 'var',
+                'virtual', 'void', 'while']
+        },
+        python: {
+            aliases: ['py'],
+            lineComment: '#',
+            blockComment: false,
+            keywords: ['and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif',
+                'else', 'except', 'False', 'finally', 'for', 'from', 'if', 'import', 'in', 'is', 'lambda', 'None',
+                'not', 'or', 'pass', 'raise', 'return', 'self', 'True', 'try', 'while', 'with', 'yield']
+        },
+        sql: {
+            aliases: ['tsql', 'mssql', 'plsql', 'mysql', 'postgresql'],
+            lineComment: '--',
+            blockComment: true,
+            caseInsensitive: true,
+            keywords: ['add', 'alter', 'and', 'as', 'asc', 'begin', 'by', 'case', 'create', 'declare', 'delete',
+                'desc', 'distinct', 'drop', 'else', 'end', 'exec', 'exists', 'from', 'function', 'group', 'having',
+                'if', 'in', 'index', 'inner', 'insert', 'into', 'is', 'join', 'left', 'like', 'not', 'null', 'on',
+                'or', 'order', 'outer', 'procedure', 'return', 'right', 'select', 'set', 'table', 'then', 'top',
+                'union', 'update', 'values', 'view', 'when', 'where', 'with']
+        },
+        shell: {
+            aliases: ['bash', 'sh', 'zsh', 'powershell', 'ps1', 'ps', 'pwsh', 'cmd', 'yaml', 'yml'],
+            lineComment: '#',
+            blockComment: false,
+            keywords: ['case', 'do', 'done', 'echo', 'elif', 'else', 'esac', 'exit', 'export', 'fi', 'for',
+                'function', 'if', 'in', 'param', 'return', 'then', 'while']
+        }
+    };
+
+    function escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    function render(markdown) {
+        const lines = (markdown || '')
+            .replace(/\u0000/g, '')
+            .replace(/\r\n?/g, '\n')
+            .split('\n');
+
+        return renderBlocks(lines);
+    }
+
+    function renderBlocks(lines) {
+        const html = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            const fence = line.match(FENCE);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++; // Skip closing fence
+                html.push(renderCodeBlock(code.join('\n'), fence[2].toLowerCase()));
+                continue;
+            }
+
+            const heading = line.match(HEADING);
+            if (heading) {
+                const level = heading[1].length;
+                html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (HORIZONTAL_RULE.test(line)) {
+                html.push('<hr>');
+                i++;
+                continue;
+            }
+
+            if (isTableStart(lines, i)) {
+                const table = renderTable(lines, i);
+                html.push(table.html);
+                i = table.next;
+                continue;
+            }
+
+            if (BLOCKQUOTE.test(line)) {
+                const quote = [];
+                while (i < lines.length && BLOCKQUOTE.test(lines[i])) {
+                    quote.push(lines[i].replace(/^\s*>\s?/, ''));
+                    i++;
+                }
+                html.push(`<blockquote>${renderBlocks(quote)}</blockquote>`);
+                continue;
+            }
+
+            if (LIST_ITEM.test(line)) {
+                const list = renderList(lines, i);
+                html.push(list.html);
+                i = list.next;
+                continue;
+            }
+
+            // Paragraph: consecutive lines until a blank line or another block
+            const paragraph = [];
+            do {
+                paragraph.push(lines[i].trim());
+                i++;
+            } while (i < lines.length && lines[i].trim() && !startsBlock(lines, i));
+
+            html.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+        }
+
+        return html.join('\n');
+    }
+
+    function startsBlock(lines, index) {
+        const line = lines[index];
+        return FENCE.test(line) ||
+            HEADING.test(line) ||
+            HORIZONTAL_RULE.test(line) ||
+            BLOCKQUOTE.test(line) ||
+            LIST_ITEM.test(line) ||
+            isTableStart(lines, index);
+    }
+
+    function indentOf(line) {
+        return line.match(/^\s*/)[0].length;
+    }
+
+    function renderList(lines, start) {
+        const first = lines[start].match(LIST_ITEM);
+        const indent = first[1].length;
+        const ordered = /\d/.test(first[2]);
+        const items = [];
+        let contentIndent = 0;
+        let i = start;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            const item = line.match(LIST_ITEM);
+
+            if (item && item[1].length === indent) {
+                if (/\d/.test(item[2]) !== ordered) {
+                    break;
+                }
+                items.push([item[3]]);
+                contentIndent = item[1].length + item[2].length + 1;
+                i++;
+                continue;
+            }
+
+            if (!line.trim()) {
+                // A blank line ends the list unless the next line continues it
+                let next = i + 1;
+                while (next < lines.length && !lines[next].trim()) {
+                    next++;
+                }
+                if (next < lines.length && indentOf(lines[next]) > indent) {
+                    items[items.length - 1].push('');
+                    i = next;
+                    continue;
+                }
+                break;
+            }
+
+            if (indentOf(line) > indent) {
+                // Nested content: strip the item indentation
+                items[items.length - 1].push(line.slice(Math.min(indentOf(line), contentIndent)));
+                i++;
+                continue;
+            }
+
+            if (startsBlock(lines, i)) {
+                break;
+            }
+
+            // Lazy continuation of the previous item
+            items[items.length - 1].push(line.trim());
+            i++;
+        }
+
+        const tag = ordered ? 'ol' : 'ul';
+        const startAttr = ordered && parseInt(first[2]) !== 1 ? ` start="${parseInt(first[2])}"` : '';
+        const itemsHtml = items.map(itemLines => {
+            // Keep simple items tight instead of wrapping them in <p>
+            const inner = renderBlocks(itemLines).replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+            return `<li>${inner}</li>`;
+        }).join('');
+
+        return { html: `<${tag}${startAttr}>${itemsHtml}</${tag}>`, next: i };
+    }
+
+    function isTableStart(lines, index) {
+        return index + 1 < lines.length &&
+            lines[index].includes('|') &&
+            lines[index + 1].includes('|') &&
+            TABLE_SEPARATOR.test(lines[index + 1]);
+    }
+
+    function splitTableRow(line) {
+        let row = line.trim();
+        if (row.startsWith('|')) {
+            row = row.slice(1);
+        }
+        if (row.endsWith('|') && !row.endsWith('\\|')) {
+            row = row.slice(0, -1);
+        }
+        return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+    }
+
+    function renderTable(lines, start) {
+        const headers = splitTableRow(lines[start]);
+        const alignments = splitTableRow(lines[start + 1]).map(cell => {
+            if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+            if (cell.endsWith(':')) return 'right';
+            if (cell.startsWith(':')) return 'left';
+            return '';
+        });
+
+        const cellHtml = (tag, text, index) => {
+            const align = alignments[index] ? ` style="text-align: ${alignments[index]}"` : '';
+            return `<${tag}${align}>${renderInline(text)}</${tag}>`;
+        };
+
+        const rows = [];
+        let i = start + 2;
+        while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+            const cells = splitTableRow(lines[i]);
+            rows.push(`<tr>${headers.map((_, index) => cellHtml('td', cells[index] || '', index)).join('')}</tr>`);
+            i++;
+        }
+
+        const html = `
+            <div class="table-wrapper">
+                <table>
+                    <thead><tr>${headers.map((header, index) => cellHtml('th', header, index)).join('')}</tr></thead>
+                    <tbody>${rows.join('')}</tbody>
+                </table>
+            </div>
+        `;
+
+        return { html: html, next: i };
+    }
+
+    function renderInline(text) {
+        const tokens = [];
+        const stash = html => `\u0000${tokens.push(html) - 1}\u0000`;
+
+        // Code spans and links are rendered first and protected from emphasis parsing
+        let out = text.replace(/`([^`]+)`/g, (_, code) => stash(`<code>${escapeHtml(code)}</code>`));
+
+        out = out.replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (match, label, url) => {
+            if (!SAFE_URL.test(url)) {
+                return stash(renderInline(label));
+            }
+            return stash(`<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${renderInline(label)}</a>`);
+        });
+
+        out = escapeHtml(out)
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/__(?=\S)([\s\S]*?\S)__/g, '<strong>$1</strong>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+            .replace(/(^|[^*\w])\*(?=\S)([^*]*?\S)\*(?!\w)/g, '$1<em>$2</em>')
+            .replace(/(^|[^_\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+
+        return out.replace(/\u0000(\d+)\u0000/g, (_, index) => tokens[index]);
+    }
+
+    function renderCodeBlock(code, language) {
+        const label = language ? escapeHtml(language) : 'code';
+
+        return `
+            <div class="code-block">
+                <div class="code-header">
+                    <span class="code-lang">${label}</span>
+                    <button class="code-copy-btn" type="button" title="${t('markdown.copyCodeTitle')}">📋 ${t('markdown.copy')}</button>
+                </div>
+                <pre><code class="language-${label}">${highlightCode(code, language)}</code></pre>
+            </div>
+        `;
+    }
+
+    function findLanguage(language) {
+        if (!language) {
+            return null;
+        }
+        if (LANGUAGES[language]) {
+            return LANGUAGES[language];
+        }
+        return Object.values(LANGUAGES).find(def => def.aliases.includes(language)) || null;
+    }
+
+    // Tokenizes the code with one regex per language and wraps comments,
+    // strings, numbers and keywords in spans; everything else is escaped text
+    function highlightCode(code, language) {
+        const definition = findLanguage(language);
+        if (!definition) {
+            return escapeHtml(code);
+        }
+
+        const patterns = [];
+        if (definition.blockComment) {
+            patterns.push('\\/\\*[\\s\\S]*?\\*\\/');
+        }
+        patterns.push(`${definition.lineComment.replace(/[/#-]/g, '\\$&')}.*`);
+        const commentPattern = patterns.join('|');
+
+        const tokenRegex = new RegExp(
+            `(${commentPattern})|("(?:\\\\.|[^"\\\\])*"|'(?:\\\\.|[^'\\\\])*'|\`(?:\\\\.|[^\`\\\\])*\`)|(\\b\\d+(?:\\.\\d+)?\\b)|(\\b(?:${definition.keywords.join('|')})\\b)`,
+            definition.caseInsensitive ? 'gi' : 'g'
+        );
+
+        let html = '';
+        let lastIndex = 0;
+        let match;
+
+        while ((match = tokenRegex.exec(code)) !== null) {
+            html += escapeHtml(code.slice(lastIndex, match.index));
+
+            const tokenClass = match[1] ? 'tok-comment'
+                : match[2] ? 'tok-string'
+                : match[3] ? 'tok-number'
+                : 'tok-keyword';
+            html += `<span class="${tokenClass}">${escapeHtml(match[0])}</span>`;
+
+            lastIndex = tokenRegex.lastIndex;
+            if (match[0].length === 0) {
+                tokenRegex.lastIndex++;
+            }
+        }
+
+        return html + escapeHtml(code.slice(lastIndex));
+    }
+
+    return {
+        render,
+        renderInline,
+        escapeHtml
+    };
+})();
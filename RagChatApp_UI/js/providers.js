@@ -0,0 +1,282 @@
+// AI Provider Console
+// Lists the supported AI providers with their configuration and runs
+// embedding and chat smoke tests against each one through /api/aiprovider.
+// The same information feeds the provider/model picker in the chat settings.
+const PROVIDER_LABELS = {
+    OpenAI: 'OpenAI',
+    Gemini: 'Google Gemini',
+    AzureOpenAI: 'Azure OpenAI'
+};
+
+const ProvidersState = {
+    info: null,           // Response of GET /aiprovider/info
+    configurations: {},   // Provider name -> GET /aiprovider/configuration/{name}
+    results: {}           // Provider name -> { embedding, chat } last test outcome
+};
+
+const providerElements = {
+    summary: document.getElementById('providersSummary'),
+    list: document.getElementById('providersList'),
+    refreshBtn: document.getElementById('refreshProviders'),
+    testAllBtn: document.getElementById('testAllProviders'),
+    testAllResult: document.getElementById('testAllResult'),
+    testText: document.getElementById('providerTestText'),
+    testPrompt: document.getElementById('providerTestPrompt')
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+    // Loaded at startup because the chat provider picker needs it too
+    onSignedIn(loadProvidersInfo);
+
+    elements.chatProvider.addEventListener('change', updateChatModelOptions);
+    providerElements.refreshBtn.addEventListener('click', loadProvidersInfo);
+    providerElements.testAllBtn.addEventListener('click', testAllProviders);
+
+    providerElements.list.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-provider-test]');
+        if (button) {
+            runProviderTest(button.closest('.provider-card').dataset.provider, button.dataset.providerTest);
+        }
+    });
+    document.addEventListener('languagechange', () => {
+        if (ProvidersState.info) {
+            renderProviders();
+            populateChatProviderPicker();
+        } else {
+            updateChatModelOptions();
+        }
+    });
+});
+
+async function loadProvidersInfo() {
+    providerElements.list.innerHTML = `<div class="loading">${t('providers.loading')}</div>`;
+    providerElements.refreshBtn.disabled = true;
+
+    try {
+        const info = await apiClient.providers.info();
+        const configured = info.providers.filter(p => p.isConfigured).map(p => p.name);
+
+        // Per-provider models come from the configuration endpoint; a failure
+        // there only hides the models of that provider. The endpoint returns
+        // the API keys too, so only administrators may read it
+        const configurations = {};
+        await Promise.all((isAdmin() ? configured : []).map(async name => {
+            try {
+                configurations[name] = await apiClient.providers.configuration(name);
+            } catch (error) {
+                console.error(`Configuration error for ${name}:`, error);
+            }
+        }));
+
+        ProvidersState.info = info;
+        ProvidersState.configurations = configurations;
+        renderProviders();
+        populateChatProviderPicker();
+        updateStatus(t('providers.loaded'));
+
+    } catch (error) {
+        console.error('Load providers error:', error);
+        providerElements.list.innerHTML = `<div class="loading">${t('providers.loadError')}</div>`;
+        providerElements.summary.textContent = '';
+        showToast(t('providers.loadFailed', { error: error.message }), 'error');
+    } finally {
+        providerElements.refreshBtn.disabled = false;
+    }
+}
+
+function renderProviders() {
+    const { providers, defaultProvider } = ProvidersState.info;
+    const configuredCount = providers.filter(p => p.isConfigured).length;
+
+    providerElements.summary.textContent =
+        t('providers.summary', { configured: configuredCount, total: providers.length, provider: PROVIDER_LABELS[defaultProvider] || defaultProvider });
+    providerElements.testAllBtn.disabled = configuredCount === 0;
+    providerElements.list.innerHTML = providers.map(buildProviderCardHtml).join('');
+}
+
+function renderProviderCard(name) {
+    const provider = ProvidersState.info.providers.find(p => p.name === name);
+    const card = providerElements.list.querySelector(`.provider-card[data-provider="${name}"]`);
+    if (provider && card) {
+        card.outerHTML = buildProviderCardHtml(provider);
+    }
+}
+
+function buildProviderCardHtml(provider) {
+    const models = getProviderModels(provider.name);
+    const results = ProvidersState.results[provider.name] || {};
+    const disabled = provider.isConfigured ? '' : 'disabled';
+
+    return `
+        <div class="provider-card ${provider.isConfigured ? 'configured' : 'unconfigured'}" data-provider="${provider.name}">
+            <div class="provider-card-header">
+                <h3>${PROVIDER_LABELS[provider.name] || provider.name}</h3>
+                ${provider.isDefault ? `<span class="provider-badge default">⭐ ${t('chat.defaultProvider')}</span>` : ''}
+                <span class="provider-badge ${provider.isConfigured ? 'ok' : 'missing'}">
+                    ${provider.isConfigured ? `✓ ${t('providers.configured')}` : `✗ ${t('providers.notConfigured')}`}
+                </span>
+            </div>
+            <dl class="provider-models">
+                <dt>Embedding</dt><dd>${escapeHtml(models.embedding || t('providers.notAvailable'))}</dd>
+                <dt>Chat</dt><dd>${escapeHtml(models.chat || t('providers.notAvailable'))}</dd>
+                ${models.endpoint ? `<dt>Endpoint</dt><dd>${escapeHtml(models.endpoint)}</dd>` : ''}
+            </dl>
+            <div class="provider-actions">
+                <button class="btn btn-small btn-secondary" data-provider-test="embedding" ${disabled}>🧮 ${t('providers.testEmbedding')}</button>
+                <button class="btn btn-small btn-secondary" data-provider-test="chat" ${disabled}>💬 ${t('providers.testChat')}</button>
+            </div>
+            ${buildProviderResultHtml('embedding', results.embedding)}
+            ${buildProviderResultHtml('chat', results.chat)}
+        </div>
+    `;
+}
+
+// The configuration endpoint also returns the API key, which is never rendered
+function getProviderModels(name) {
+    const configuration = ProvidersState.configurations[name];
+    if (!configuration) {
+        return {};
+    }
+
+    return {
+        embedding: configuration.embeddingModel || configuration.embeddingDeploymentName,
+        chat: configuration.chatModel || configuration.chatDeploymentName,
+        endpoint: configuration.endpoint || configuration.baseUrl
+    };
+}
+
+function buildProviderResultHtml(kind, result) {
+    if (!result) {
+        return '';
+    }
+
+    const label = t(`providers.test.${kind}`);
+    if (result.status === 'running') {
+        return `<div class="provider-result running">⏳ ${label}: ${t('providers.testRunning')}</div>`;
+    }
+
+    const latency = result.latencyMs !== null ? `<span class="provider-latency">${result.latencyMs} ms</span>` : '';
+    if (result.status === 'error') {
+        return `
+            <div class="provider-result error">
+                <strong>✗ ${label}</strong> ${latency}
+                <div class="provider-result-detail">${escapeHtml(result.error)}</div>
+            </div>
+        `;
+    }
+
+    return `
+        <div class="provider-result success">
+            <strong>✓ ${label}</strong> ${latency}
+            <div class="provider-result-detail">${escapeHtml(result.detail)}</div>
+        </div>
+    `;
+}
+
+async function runProviderTest(name, kind) {
+    const results = ProvidersState.results[name] || (ProvidersState.results[name] = {});
+    results[kind] = { status: 'running' };
+    renderProviderCard(name);
+    updateStatus(t('providers.testing', { kind: t(`providers.test.${kind}`), provider: name }));
+
+    const startedAt = performance.now();
+    try {
+        let detail;
+        if (kind === 'embedding') {
+            const result = await apiClient.providers.testEmbedding({
+                text: providerElements.testText.value.trim() || 'Hello, this is a test.',
+                providerType: name
+            });
+            detail = `${t('detail.dimensions', { count: result.embeddingDimensions })} • ${result.model}`;
+        } else {
+            const result = await apiClient.providers.testChat({
+                messages: [{ role: 'user', content: providerElements.testPrompt.value.trim() || t('providers.testPromptPlaceholder') }],
+                providerType: name,
+                maxTokens: 100
+            });
+            detail = `${result.model}: ${result.response}`;
+        }
+
+        results[kind] = { status: 'success', latencyMs: Math.round(performance.now() - startedAt), detail: detail };
+        updateStatus(t('providers.testSucceeded', { kind: t(`providers.test.${kind}`), provider: name }));
+
+    } catch (error) {
+        console.error(`Provider ${kind} test error:`, error);
+        results[kind] = { status: 'error', latencyMs: Math.round(performance.now() - startedAt), error: error.message };
+        updateStatus(t('providers.testFailed', { kind: t(`providers.test.${kind}`), provider: name }));
+    }
+
+    renderProviderCard(name);
+}
+
+async function testAllProviders() {
+    const text = providerElements.testText.value.trim() || 'Hello, this is a test.';
+
+    providerElements.testAllBtn.disabled = true;
+    providerElements.testAllResult.textContent = `⏳ ${t('providers.testingAll')}`;
+    updateStatus(t('providers.testingAll'));
+
+    const startedAt = performance.now();
+    try {
+        const result = await apiClient.providers.testAll(text);
+        const elapsed = Math.round(performance.now() - startedAt);
+
+        // Per-provider timings are not reported, so the embedding results carry no latency
+        result.results.forEach(r => {
+            const results = ProvidersState.results[r.provider] || (ProvidersState.results[r.provider] = {});
+            results.embedding = r.success
+                ? { status: 'success', latencyMs: null, detail: `${t('detail.dimensions', { count: r.embeddingDimensions })} • ${r.model}` }
+                : { status: 'error', latencyMs: null, error: r.error };
+        });
+
+        renderProviders();
+        providerElements.testAllResult.textContent =
+            t('providers.testAllResult', { succeeded: result.successfulProviders, total: result.totalProviders, elapsed: elapsed });
+        showToast(t('providers.testAllCompleted', { succeeded: result.successfulProviders, total: result.totalProviders }),
+            result.successfulProviders === result.totalProviders ? 'success' : 'warning');
+        updateStatus(t('providers.testAllCompletedStatus'));
+
+    } catch (error) {
+        console.error('Test all providers error:', error);
+        providerElements.testAllResult.textContent = `✗ ${error.message}`;
+        showToast(t('providers.testAllFailed', { error: error.message }), 'error');
+        updateStatus(t('providers.testAllFailedStatus'));
+    } finally {
+        providerElements.testAllBtn.disabled = false;
+    }
+}
+
+// Chat provider picker: configured providers only, the default one first
+function populateChatProviderPicker() {
+    const selected = elements.chatProvider.value;
+    const { providers, defaultProvider } = ProvidersState.info;
+    const label = name => PROVIDER_LABELS[name] || name;
+
+    elements.chatProvider.innerHTML = `<option value="">${t('chat.defaultProvider')} (${escapeHtml(label(defaultProvider))})</option>` +
+        providers
+            .filter(p => p.isConfigured)
+            .map(p => `<option value="${p.name}">${escapeHtml(label(p.name))}</option>`)
+            .join('');
+
+    // Keep the previous choice if that provider is still configured
+    if (providers.some(p => p.name === selected && p.isConfigured)) {
+        elements.chatProvider.value = selected;
+    }
+
+    updateChatModelOptions();
+
+    // Compare columns offer the same providers
+    if (isCompareMode()) {
+        renderCompareConfigs();
+    }
+}
+
+// Suggests the configured chat model of the selected provider; any other
+// model or deployment name can still be typed in
+function updateChatModelOptions() {
+    const provider = elements.chatProvider.value || (ProvidersState.info && ProvidersState.info.defaultProvider);
+    const model = provider ? getProviderModels(provider).chat : null;
+
+    elements.chatModelOptions.innerHTML = model ? `<option value="${MarkdownRenderer.escapeHtml(model)}"></option>` : '';
+    elements.chatModel.placeholder = model || t('chat.modelPlaceholder');
+}
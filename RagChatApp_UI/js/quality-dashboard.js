@@ -0,0 +1,183 @@
+// Answer Quality Dashboard
+// Summarizes the feedback given to chat answers over a period: totals, the
+// worst-rated questions, the documents most often among the sources of bad
+// answers and the feedback per day. A bad answer is one rated thumbs down or
+// reported as having a wrong source.
+const QualityState = {
+    dashboard: null, // Response of GET /feedback/dashboard
+    isLoading: false
+};
+
+const qualityElements = {
+    summary: document.getElementById('qualitySummary'),
+    days: document.getElementById('qualityDays'),
+    refreshBtn: document.getElementById('refreshQuality'),
+    stats: document.getElementById('qualityStats'),
+    trend: document.getElementById('qualityTrend'),
+    questions: document.getElementById('qualityQuestions'),
+    documents: document.getElementById('qualityDocuments')
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+    qualityElements.refreshBtn.addEventListener('click', loadQualityDashboard);
+    qualityElements.days.addEventListener('change', loadQualityDashboard);
+
+    qualityElements.documents.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-quality-document]');
+        if (button) {
+            openDocumentDetail(parseInt(button.dataset.qualityDocument));
+        }
+    });
+
+    // Loaded when the tab is opened, like the semantic cache panel
+    document.querySelector('.tab-btn[data-tab="quality"]').addEventListener('click', loadQualityDashboard);
+
+    document.addEventListener('languagechange', () => {
+        if (QualityState.dashboard && !QualityState.isLoading) {
+            renderQualityDashboard();
+        }
+    });
+});
+
+async function loadQualityDashboard() {
+    if (QualityState.isLoading) {
+        return;
+    }
+
+    QualityState.isLoading = true;
+    qualityElements.refreshBtn.disabled = true;
+
+    try {
+        QualityState.dashboard = await apiClient.feedback.dashboard(parseInt(qualityElements.days.value));
+        renderQualityDashboard();
+    } catch (error) {
+        console.error('Load quality dashboard error:', error);
+        qualityElements.stats.innerHTML = `<div class="loading">${t('quality.unavailable')}</div>`;
+        qualityElements.summary.textContent = '';
+        showToast(t('quality.loadFailed', { error: error.message }), 'error');
+    } finally {
+        QualityState.isLoading = false;
+        qualityElements.refreshBtn.disabled = false;
+    }
+}
+
+function renderQualityDashboard() {
+    const dashboard = QualityState.dashboard;
+    const satisfaction = dashboard.satisfactionRate === null
+        ? t('providers.notAvailable')
+        : I18n.formatNumber(dashboard.satisfactionRate, { style: 'percent', maximumFractionDigits: 0 });
+
+    qualityElements.summary.textContent = t('quality.summary', {
+        count: dashboard.totalCount,
+        date: I18n.formatDate(dashboard.since, { dateStyle: 'medium', timeZone: 'UTC' })
+    });
+
+    const cards = [
+        { label: t('quality.stat.total'), value: dashboard.totalCount },
+        { label: t('quality.stat.satisfaction'), value: satisfaction },
+        { label: t('quality.stat.positive'), value: dashboard.positiveCount },
+        { label: t('quality.stat.negative'), value: dashboard.negativeCount },
+        { label: t('quality.stat.wrongSource'), value: dashboard.wrongSourceCount }
+    ];
+
+    qualityElements.stats.innerHTML = cards.map(card => `
+        <div class="eval-metric">
+            <span class="eval-metric-value">${escapeHtml(String(card.value))}</span>
+            <span class="eval-metric-label">${card.label}</span>
+        </div>
+    `).join('');
+
+    renderQualityTrend(dashboard.trend);
+    renderQualityQuestions(dashboard.worstQuestions);
+    renderQualityDocuments(dashboard.problemDocuments);
+}
+
+// One stacked column per day: thumbs up above thumbs down
+function renderQualityTrend(trend) {
+    const maxCount = Math.max(1, ...trend.map(point => point.positiveCount + point.negativeCount));
+
+    qualityElements.trend.innerHTML = trend.map(point => {
+        const day = I18n.formatDate(point.date, { day: 'numeric', month: 'short', timeZone: 'UTC' });
+        const title = t('quality.trendDay', {
+            date: day,
+            positive: point.positiveCount,
+            negative: point.negativeCount,
+            wrongSource: point.wrongSourceCount
+        });
+
+        return `
+            <div class="quality-trend-day" title="${MarkdownRenderer.escapeHtml(title)}">
+                <div class="quality-trend-bar">
+                    <div class="quality-trend-down" style="height: ${Math.round(point.negativeCount / maxCount * 100)}%"></div>
+                    <div class="quality-trend-up" style="height: ${Math.round(point.positiveCount / maxCount * 100)}%"></div>
+                </div>
+                <span class="quality-trend-label">${escapeHtml(day)}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+function renderQualityQuestions(questions) {
+    if (questions.length === 0) {
+        qualityElements.questions.innerHTML = `<div class="loading">${t('quality.noBadQuestions')}</div>`;
+        return;
+    }
+
+    qualityElements.questions.innerHTML = `
+        <table class="eval-table">
+            <thead>
+                <tr>
+                    <th>${t('quality.question')}</th>
+                    <th title="${t('quality.stat.positive')}">👍</th>
+                    <th title="${t('quality.stat.negative')}">👎</th>
+                    <th title="${t('quality.stat.wrongSource')}">⚠️</th>
+                    <th>${t('quality.lastFeedback')}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${questions.map(question => `
+                    <tr>
+                        <td>
+                            ${escapeHtml(question.question)}
+                            ${question.latestComment ? `<div class="quality-comment">💬 ${escapeHtml(question.latestComment)}</div>` : ''}
+                        </td>
+                        <td>${question.positiveCount}</td>
+                        <td>${question.negativeCount}</td>
+                        <td>${question.wrongSourceCount}</td>
+                        <td>${formatDate(question.lastFeedbackAt)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function renderQualityDocuments(documents) {
+    if (documents.length === 0) {
+        qualityElements.documents.innerHTML = `<div class="loading">${t('quality.noProblemDocuments')}</div>`;
+        return;
+    }
+
+    qualityElements.documents.innerHTML = `
+        <table class="eval-table">
+            <thead>
+                <tr>
+                    <th>${t('quality.document')}</th>
+                    <th>${t('quality.badAnswers')}</th>
+                    <th>${t('quality.flaggedChunks')}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${documents.map(doc => `
+                    <tr>
+                        <td>
+                            <button class="btn-link" data-quality-document="${doc.documentId}" title="${t('quality.openDocument')}">📄 ${escapeHtml(doc.documentName)}</button>
+                        </td>
+                        <td>${t('quality.badAnswerRatio', { bad: doc.badAnswerCount, count: doc.answerCount })}</td>
+                        <td>${doc.flaggedChunkCount}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
@@ -0,0 +1,500 @@
+// Retrieval Evaluation
+// Scores the retrieval step (/api/chat with ReturnOnlyChunks) against a golden
+// set of questions with expected document ids and/or text snippets.
+// Shared by the "Valutazione" tab and the Node runner in tools/, so it has no
+// DOM dependencies and uses whatever fetch the environment provides.
+const RetrievalEval = (() => {
+    const DEFAULT_K_VALUES = [1, 3, 5, 10];
+    const LIST_SEPARATOR = /\s*\|\s*/;
+
+    // CSV header aliases -> golden question fields
+    const CSV_COLUMNS = {
+        id: 'id',
+        question: 'question',
+        domanda: 'question',
+        expecteddocumentids: 'expectedDocumentIds',
+        documentids: 'expectedDocumentIds',
+        expectedsnippets: 'expectedSnippets',
+        snippets: 'expectedSnippets'
+    };
+
+    // Golden set parsing
+
+    // Accepts a JSON array, a JSON { name, questions } object or a CSV file with
+    // a header row; list cells in CSV are separated by "|"
+    function parseGoldenSet(text, fileName = '') {
+        const baseName = fileName.replace(/\.[^.]+$/, '') || 'golden-set';
+        const trimmed = text.replace(/^\uFEFF/, '').trim();
+        if (!trimmed) {
+            throw new Error('The golden set is empty');
+        }
+
+        let name = baseName;
+        let items;
+        if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            let parsed;
+            try {
+                parsed = JSON.parse(trimmed);
+            } catch (error) {
+                throw new Error(`Invalid JSON golden set: ${error.message}`);
+            }
+            items = Array.isArray(parsed) ? parsed : parsed.questions;
+            if (!Array.isArray(items)) {
+                throw new Error('A JSON golden set must be an array or an object with a "questions" array');
+            }
+            if (!Array.isArray(parsed) && parsed.name) {
+                name = String(parsed.name);
+            }
+        } else {
+            items = parseCsvQuestions(trimmed);
+        }
+
+        const questions = items.map((item, index) => normalizeQuestion(item, index));
+        const ids = new Set();
+        questions.forEach(question => {
+            if (ids.has(question.id)) {
+                throw new Error(`Duplicate question id "${question.id}"`);
+            }
+            ids.add(question.id);
+        });
+
+        if (questions.length === 0) {
+            throw new Error('The golden set has no questions');
+        }
+
+        return { name: name, questions: questions };
+    }
+
+    function normalizeQuestion(item, index) {
+        const position = `Question ${index + 1}`;
+        if (!item || typeof item !== 'object') {
+            throw new Error(`${position}: expected an object`);
+        }
+
+        const question = String(item.question || '').trim();
+        if (!question) {
+            throw new Error(`${position}: "question" is required`);
+        }
+
+        const expectedDocumentIds = toList(item.expectedDocumentIds).map(value => {
+            const id = Number(value);
+            if (!Number.isInteger(id)) {
+                throw new Error(`${position}: "${value}" is not a valid document id`);
+            }
+            return id;
+        });
+        const expectedSnippets = toList(item.expectedSnippets).map(String).filter(s => s.trim());
+
+        if (expectedDocumentIds.length === 0 && expectedSnippets.length === 0) {
+            throw new Error(`${position}: add expectedDocumentIds or expectedSnippets`);
+        }
+
+        return {
+            id: item.id !== undefined && item.id !== null && String(item.id).trim() ? String(item.id).trim() : `q${index + 1}`,
+            question: question,
+            expectedDocumentIds: expectedDocumentIds,
+            expectedSnippets: expectedSnippets
+        };
+    }
+
+    function toList(value) {
+        if (value === undefined || value === null || value === '') {
+            return [];
+        }
+        if (Array.isArray(value)) {
+            return value;
+        }
+        return typeof value === 'string' ? value.split(LIST_SEPARATOR).filter(Boolean) : [value];
+    }
+
+    function parseCsvQuestions(text) {
+        const rows = parseCsv(text).filter(row => row.some(cell => cell.trim()));
+        if (rows.length < 2) {
+            throw new Error('A CSV golden set needs a header row and at least one question');
+        }
+
+        const columns = rows[0].map(header => CSV_COLUMNS[header.trim().toLowerCase()] || null);
+        if (!columns.includes('question')) {
+            throw new Error('The CSV header must contain a "question" column');
+        }
+
+        return rows.slice(1).map(row => {
+            const item = {};
+            columns.forEach((column, index) => {
+                if (column) {
+                    item[column] = (row[index] || '').trim();
+                }
+            });
+            return item;
+        });
+    }
+
+    // RFC 4180: quoted cells may contain commas, quotes ("") and line breaks
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        row.push(cell);
+        rows.push(row);
+        return rows;
+    }
+
+    // Scoring
+
+    function normalizeText(text) {
+        return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    function getKValues(maxChunks) {
+        const kValues = DEFAULT_K_VALUES.filter(k => k < maxChunks);
+        kValues.push(maxChunks);
+        return kValues;
+    }
+
+    // Every expected document id and snippet is a target; a chunk is relevant
+    // when it belongs to an expected document or contains an expected snippet
+    function scoreQuestion(question, sources, kValues) {
+        const targets = [
+            ...question.expectedDocumentIds.map(id => ({
+                label: `doc ${id}`,
+                matches: source => source.documentId === id
+            })),
+            ...question.expectedSnippets.map(snippet => ({
+                label: `"${snippet}"`,
+                matches: source => normalizeText(source.content).includes(normalizeText(snippet))
+            }))
+        ];
+        const foundAtRank = targets.map(() => null);
+
+        const retrieved = (sources || [])
+            .slice()
+            .sort((a, b) => b.similarityScore - a.similarityScore)
+            .map((source, index) => {
+                const rank = index + 1;
+                let relevant = false;
+                targets.forEach((target, targetIndex) => {
+                    if (target.matches(source)) {
+                        relevant = true;
+                        if (foundAtRank[targetIndex] === null) {
+                            foundAtRank[targetIndex] = rank;
+                        }
+                    }
+                });
+
+                // Chunk content is left out so saved runs stay small
+                return {
+                    rank: rank,
+                    documentId: source.documentId,
+                    documentName: source.documentName,
+                    chunkId: source.chunkId,
+                    chunkIndex: source.chunkIndex,
+                    similarityScore: source.similarityScore,
+                    relevant: relevant
+                };
+            });
+
+        const firstHit = retrieved.find(item => item.relevant);
+        const firstHitRank = firstHit ? firstHit.rank : null;
+        const recallAtK = {};
+        const hitAtK = {};
+        kValues.forEach(k => {
+            recallAtK[k] = foundAtRank.filter(rank => rank !== null && rank <= k).length / targets.length;
+            hitAtK[k] = firstHitRank !== null && firstHitRank <= k;
+        });
+
+        return {
+            status: firstHitRank !== null ? 'hit' : 'miss',
+            firstHitRank: firstHitRank,
+            reciprocalRank: firstHitRank !== null ? 1 / firstHitRank : 0,
+            recallAtK: recallAtK,
+            hitAtK: hitAtK,
+            missingTargets: targets.filter((target, index) => foundAtRank[index] === null).map(target => target.label),
+            retrieved: retrieved
+        };
+    }
+
+    // Questions that failed with an error are counted but left out of the averages
+    function summarizeResults(results, kValues) {
+        const scored = results.filter(result => result.status !== 'error');
+        const average = values => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+
+        const recallAtK = {};
+        const hitRateAtK = {};
+        kValues.forEach(k => {
+            recallAtK[k] = average(scored.map(result => result.recallAtK[k]));
+            hitRateAtK[k] = average(scored.map(result => result.hitAtK[k] ? 1 : 0));
+        });
+
+        return {
+            questionCount: results.length,
+            hitCount: results.filter(result => result.status === 'hit').length,
+            missCount: results.filter(result => result.status === 'miss').length,
+            errorCount: results.length - scored.length,
+            mrr: average(scored.map(result => result.reciprocalRank)),
+            recallAtK: recallAtK,
+            hitRateAtK: hitRateAtK,
+            averageLatencyMs: Math.round(average(results.map(result => result.latencyMs)))
+        };
+    }
+
+    // Running
+
+    async function fetchChunks(fetchFn, apiBaseUrl, headers, request, timeoutMs, signal) {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        const timer = setTimeout(onAbort, timeoutMs);
+        if (signal) {
+            signal.addEventListener('abort', onAbort);
+        }
+
+        try {
+            const response = await fetchFn(`${apiBaseUrl}/chat`, {
+                method: 'POST',
+                headers: { ...headers, 'Content-Type': 'application/json' },
+                body: JSON.stringify(request),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => null);
+                throw new Error(error && error.message ? error.message : `HTTP error! status: ${response.status}`);
+            }
+
+            const result = await response.json();
+            return result.sources || [];
+
+        } catch (error) {
+            if (controller.signal.aborted && !(signal && signal.aborted)) {
+                throw new Error(`Request timed out after ${timeoutMs} ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        }
+    }
+
+    /**
+     * Runs every question of a golden set through /chat in chunks-only mode.
+     * Options: apiBaseUrl (required), maxChunks, similarityThreshold,
+     * detailsFilter, concurrency, timeoutMs, name, headers (e.g. the
+     * Authorization or X-Api-Key header), fetch, signal and
+     * onProgress(completed, total, result).
+     * Rejects with an error flagged `aborted` when the signal is aborted.
+     */
+    async function runEvaluation(goldenSet, options) {
+        const {
+            apiBaseUrl,
+            maxChunks = 10,
+            similarityThreshold = 0,
+            detailsFilter = null,
+            concurrency = 2,
+            timeoutMs = 30000,
+            name = '',
+            headers = {},
+            signal = null,
+            onProgress = null
+        } = options;
+        const fetchFn = options.fetch || globalThis.fetch;
+
+        if (!apiBaseUrl) {
+            throw new Error('apiBaseUrl is required');
+        }
+        if (typeof fetchFn !== 'function') {
+            throw new Error('fetch is not available; use Node 18 or later or pass options.fetch');
+        }
+
+        const kValues = getKValues(maxChunks);
+        const request = {
+            maxChunks: maxChunks,
+            similarityThreshold: similarityThreshold,
+            returnOnlyChunks: true,
+            // Measure the current index, not sources cached before a re-index
+            bypassCache: true
+        };
+        if (detailsFilter && Object.keys(detailsFilter).length > 0) {
+            request.detailsFilter = detailsFilter;
+        }
+
+        const questions = goldenSet.questions;
+        const results = new Array(questions.length);
+        const createdAt = new Date();
+        let nextIndex = 0;
+        let completed = 0;
+
+        async function evaluateNext() {
+            while (nextIndex < questions.length && !(signal && signal.aborted)) {
+                const index = nextIndex++;
+                const question = questions[index];
+                const startedAt = Date.now();
+
+                let result;
+                try {
+                    const sources = await fetchChunks(fetchFn, apiBaseUrl, headers,
+                        { ...request, message: question.question }, timeoutMs, signal);
+                    result = { ...question, ...scoreQuestion(question, sources, kValues) };
+                } catch (error) {
+                    if (signal && signal.aborted) {
+                        return;
+                    }
+                    result = {
+                        ...question,
+                        status: 'error',
+                        error: error.message,
+                        firstHitRank: null,
+                        reciprocalRank: 0,
+                        recallAtK: {},
+                        hitAtK: {},
+                        missingTargets: [],
+                        retrieved: []
+                    };
+                }
+
+                result.latencyMs = Date.now() - startedAt;
+                results[index] = result;
+                completed++;
+                if (onProgress) {
+                    onProgress(completed, questions.length, result);
+                }
+            }
+        }
+
+        const workerCount = Math.max(1, Math.min(concurrency, questions.length));
+        await Promise.all(Array.from({ length: workerCount }, evaluateNext));
+
+        if (signal && signal.aborted) {
+            const error = new Error('Evaluation cancelled');
+            error.aborted = true;
+            throw error;
+        }
+
+        return {
+            id: `${createdAt.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+            name: name || `${goldenSet.name} • ${maxChunks} chunk • soglia ${similarityThreshold}`,
+            createdAt: createdAt.toISOString(),
+            apiBaseUrl: apiBaseUrl,
+            goldenSet: { name: goldenSet.name, questionCount: questions.length },
+            config: {
+                maxChunks: maxChunks,
+                similarityThreshold: similarityThreshold,
+                detailsFilter: request.detailsFilter || null,
+                kValues: kValues
+            },
+            summary: summarizeResults(results, kValues),
+            questions: results
+        };
+    }
+
+    // Diffing
+
+    function diffRuns(baseRun, otherRun) {
+        const kValues = baseRun.config.kValues.filter(k => otherRun.config.kValues.includes(k));
+        const metric = (label, base, other) => ({ label: label, base: base, other: other, delta: other - base });
+
+        const metrics = [metric('MRR', baseRun.summary.mrr, otherRun.summary.mrr)];
+        kValues.forEach(k => metrics.push(metric(`Recall@${k}`, baseRun.summary.recallAtK[k], otherRun.summary.recallAtK[k])));
+        kValues.forEach(k => metrics.push(metric(`Hit@${k}`, baseRun.summary.hitRateAtK[k], otherRun.summary.hitRateAtK[k])));
+
+        const configChanges = ['maxChunks', 'similarityThreshold', 'detailsFilter']
+            .map(key => ({ key: key, base: baseRun.config[key], other: otherRun.config[key] }))
+            .filter(change => JSON.stringify(change.base) !== JSON.stringify(change.other));
+
+        // Questions are matched by id, so both runs should come from the same golden set
+        const otherById = new Map(otherRun.questions.map(question => [question.id, question]));
+        const questions = baseRun.questions.map(base => {
+            const other = otherById.get(base.id);
+            otherById.delete(base.id);
+            return diffQuestion(base, other);
+        });
+        otherById.forEach(other => questions.push(diffQuestion(null, other)));
+
+        const count = change => questions.filter(question => question.change === change).length;
+        return {
+            base: { id: baseRun.id, name: baseRun.name },
+            other: { id: otherRun.id, name: otherRun.name },
+            sameGoldenSet: baseRun.goldenSet.name === otherRun.goldenSet.name,
+            configChanges: configChanges,
+            metrics: metrics,
+            counts: {
+                improved: count('improved'),
+                regressed: count('regressed'),
+                unchanged: count('unchanged'),
+                added: count('added'),
+                removed: count('removed')
+            },
+            questions: questions
+        };
+    }
+
+    function diffQuestion(base, other) {
+        const source = base || other;
+        let change;
+        if (!base) {
+            change = 'added';
+        } else if (!other) {
+            change = 'removed';
+        } else if (other.reciprocalRank > base.reciprocalRank) {
+            change = 'improved';
+        } else if (other.reciprocalRank < base.reciprocalRank) {
+            change = 'regressed';
+        } else {
+            change = 'unchanged';
+        }
+
+        return {
+            id: source.id,
+            question: source.question,
+            change: change,
+            baseStatus: base ? base.status : null,
+            otherStatus: other ? other.status : null,
+            baseRank: base ? base.firstHitRank : null,
+            otherRank: other ? other.firstHitRank : null
+        };
+    }
+
+    return {
+        parseGoldenSet,
+        scoreQuestion,
+        summarizeResults,
+        runEvaluation,
+        diffRuns
+    };
+})();
+
+// Node (tools/run-retrieval-eval.js) loads the same file as a CommonJS module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RetrievalEval;
+}
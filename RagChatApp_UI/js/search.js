@@ -0,0 +1,338 @@
+// Retrieval Search
+// Runs the RAG retrieval alone (ReturnOnlyChunks) so retrieval quality can be
+// checked without spending LLM tokens: ranked chunks with score bars, grouping
+// by document and header, neighbouring chunks and Details filters.
+const SEARCH_NEIGHBOUR_RADIUS = 2; // Chunks shown before and after a hit
+
+const SearchState = {
+    query: '',
+    results: [],   // ChatSource items, best score first, with a 1-based rank
+    grouped: true,
+    filters: [{ key: '', value: '' }],
+    isSearching: false
+};
+
+const searchElements = {
+    query: document.getElementById('searchQuery'),
+    maxChunks: document.getElementById('searchMaxChunks'),
+    threshold: document.getElementById('searchThreshold'),
+    filters: document.getElementById('searchFilters'),
+    addFilterBtn: document.getElementById('addSearchFilter'),
+    searchBtn: document.getElementById('searchBtn'),
+    groupToggle: document.getElementById('searchGroupToggle'),
+    summary: document.getElementById('searchSummary'),
+    results: document.getElementById('searchResults')
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+    renderSearchFilters();
+
+    searchElements.searchBtn.addEventListener('click', runSearch);
+    searchElements.query.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            runSearch();
+        }
+    });
+    searchElements.addFilterBtn.addEventListener('click', () => {
+        SearchState.filters.push({ key: '', value: '' });
+        renderSearchFilters();
+    });
+    searchElements.groupToggle.addEventListener('change', () => {
+        SearchState.grouped = searchElements.groupToggle.checked;
+        renderSearchResults();
+    });
+
+    searchElements.filters.addEventListener('input', (e) => {
+        const row = e.target.closest('.search-filter');
+        if (row) {
+            SearchState.filters[parseInt(row.dataset.index)][e.target.name] = e.target.value;
+        }
+    });
+    searchElements.filters.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-remove-filter]');
+        if (button) {
+            SearchState.filters.splice(parseInt(button.dataset.removeFilter), 1);
+            if (SearchState.filters.length === 0) {
+                SearchState.filters.push({ key: '', value: '' });
+            }
+            renderSearchFilters();
+        }
+    });
+
+    searchElements.results.addEventListener('click', (e) => {
+        const action = e.target.closest('[data-search-action]');
+        if (!action) {
+            return;
+        }
+        const chunkId = parseInt(action.closest('.search-result').dataset.chunkId);
+        const result = SearchState.results.find(r => r.chunkId === chunkId);
+
+        switch (action.dataset.searchAction) {
+            case 'neighbours':
+                toggleNeighbourChunks(result, action.closest('.search-result'));
+                break;
+            case 'document':
+                openDocumentDetail(result.documentId);
+                break;
+            case 'view':
+                openDocumentViewer(result.documentId, result.chunkId);
+                break;
+            case 'filter':
+                applyDetailsChipFilter(action.dataset.key, action.dataset.value);
+                break;
+        }
+    });
+
+    document.addEventListener('languagechange', () => {
+        renderSearchFilters();
+        renderSearchResults();
+    });
+});
+
+function renderSearchFilters() {
+    const attr = MarkdownRenderer.escapeHtml;
+
+    searchElements.filters.innerHTML = SearchState.filters.map((filter, index) => `
+        <div class="search-filter" data-index="${index}">
+            <input type="text" name="key" class="toolbar-input" placeholder="${attr(t('search.filterKey'))}" value="${attr(filter.key)}">
+            <span>=</span>
+            <input type="text" name="value" class="toolbar-input" placeholder="${attr(t('search.filterValue'))}" value="${attr(filter.value)}">
+            <button class="icon-btn" data-remove-filter="${index}" title="${attr(t('search.removeFilter'))}">✖</button>
+        </div>
+    `).join('');
+}
+
+function buildDetailsFilter() {
+    const filter = {};
+    SearchState.filters.forEach(({ key, value }) => {
+        if (key.trim() && value.trim()) {
+            filter[key.trim()] = value.trim();
+        }
+    });
+    return Object.keys(filter).length > 0 ? filter : null;
+}
+
+async function runSearch() {
+    const query = searchElements.query.value.trim();
+    if (!query) {
+        showToast(t('search.emptyQuery'), 'warning');
+        return;
+    }
+    if (SearchState.isSearching) {
+        return;
+    }
+
+    const request = {
+        message: query,
+        maxChunks: parseInt(searchElements.maxChunks.value) || 20,
+        similarityThreshold: parseFloat(searchElements.threshold.value) || 0,
+        returnOnlyChunks: true
+    };
+    const detailsFilter = buildDetailsFilter();
+    if (detailsFilter) {
+        request.detailsFilter = detailsFilter;
+    }
+
+    SearchState.isSearching = true;
+    searchElements.searchBtn.disabled = true;
+    searchElements.results.innerHTML = `<div class="loading">${t('search.searching')}</div>`;
+    updateStatus(t('search.searchingStatus'));
+
+    const startedAt = performance.now();
+    try {
+        const result = await apiClient.chat.send(request);
+        const elapsed = Math.round(performance.now() - startedAt);
+
+        SearchState.query = query;
+        SearchState.results = (result.sources || [])
+            .slice()
+            .sort((a, b) => b.similarityScore - a.similarityScore)
+            .map((source, index) => ({ ...source, rank: index + 1 }));
+
+        const documentCount = new Set(SearchState.results.map(r => r.documentId)).size;
+        searchElements.summary.textContent =
+            t('search.summary', { count: SearchState.results.length, documents: documentCount, elapsed: elapsed }) +
+            (result.fromCache ? ` • ⚡ ${t('search.fromCache', { date: formatDate(result.cachedAt) })}` : '');
+        renderSearchResults();
+        updateStatus(t('search.found', { count: SearchState.results.length }));
+
+    } catch (error) {
+        console.error('Search error:', error);
+        searchElements.results.innerHTML = `<div class="loading">${t('search.failedMessage')}</div>`;
+        searchElements.summary.textContent = '';
+        showToast(t('search.failed', { error: error.message }), 'error');
+        updateStatus(t('search.failedStatus'));
+    } finally {
+        SearchState.isSearching = false;
+        searchElements.searchBtn.disabled = false;
+    }
+}
+
+function renderSearchResults() {
+    const results = SearchState.results;
+
+    if (results.length === 0) {
+        searchElements.results.innerHTML = SearchState.query
+            ? `<div class="loading">${t('search.noResults')}</div>`
+            : '';
+        return;
+    }
+
+    searchElements.results.innerHTML = SearchState.grouped
+        ? groupSearchResults(results).map(buildSearchDocumentGroupHtml).join('')
+        : results.map(result => buildSearchResultHtml(result, true)).join('');
+
+    searchElements.results.querySelectorAll('.search-result-content')
+        .forEach(element => highlightSearchTerms(element, SearchState.query));
+}
+
+// Document groups and header groups inside them keep the rank of their best chunk
+function groupSearchResults(results) {
+    const documents = new Map();
+
+    results.forEach(result => {
+        if (!documents.has(result.documentId)) {
+            documents.set(result.documentId, {
+                documentId: result.documentId,
+                documentName: result.documentName,
+                bestScore: result.similarityScore,
+                headers: new Map()
+            });
+        }
+
+        const group = documents.get(result.documentId);
+        const header = result.headerContext || '';
+        if (!group.headers.has(header)) {
+            group.headers.set(header, []);
+        }
+        group.headers.get(header).push(result);
+    });
+
+    return Array.from(documents.values());
+}
+
+function buildSearchDocumentGroupHtml(group) {
+    const chunkCount = Array.from(group.headers.values()).reduce((sum, items) => sum + items.length, 0);
+
+    return `
+        <div class="search-group">
+            <div class="search-group-header">
+                <strong>📄 ${escapeHtml(group.documentName)}</strong>
+                <span>${t('search.groupSummary', { count: chunkCount, score: group.bestScore.toFixed(2) })}</span>
+            </div>
+            ${Array.from(group.headers.entries()).map(([header, items]) => `
+                <div class="search-header-group">
+                    ${header ? `<div class="search-header-title">${escapeHtml(header)}</div>` : ''}
+                    ${items.map(item => buildSearchResultHtml(item, false)).join('')}
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function buildSearchResultHtml(result, showLocation) {
+    const percent = Math.max(0, Math.min(100, Math.round(result.similarityScore * 100)));
+
+    return `
+        <div class="search-result" data-chunk-id="${result.chunkId}">
+            <div class="search-result-header">
+                <span class="search-rank">#${result.rank}</span>
+                ${showLocation ? `<strong>${escapeHtml(result.documentName)}</strong>` : ''}
+                <span class="chunk-index">${t('search.chunkIndex', { index: result.chunkIndex })}</span>
+                ${showLocation && result.headerContext ? `<span class="chunk-header-context">${escapeHtml(result.headerContext)}</span>` : ''}
+                <div class="score-bar" title="${t('search.similarityTitle', { score: result.similarityScore.toFixed(3) })}">
+                    <div class="score-fill" style="width: ${percent}%"></div>
+                </div>
+                <span class="score-value">${result.similarityScore.toFixed(2)}</span>
+            </div>
+            <div class="search-result-content">${escapeHtml(result.content)}</div>
+            ${buildDetailsChipsHtml(result.details)}
+            <div class="search-result-actions">
+                <button class="btn-link" data-search-action="neighbours" title="${t('search.contextTitle')}">↕ ${t('search.context')}</button>
+                <button class="btn-link" data-search-action="view" title="${t('search.openTitle')}">📖 ${t('search.open')}</button>
+                <button class="btn-link" data-search-action="document" title="${t('search.documentTitle')}">🔎 ${t('search.document')}</button>
+            </div>
+            <div class="search-neighbours"></div>
+        </div>
+    `;
+}
+
+// Details values as chips; clicking one filters the search on it
+function buildDetailsChipsHtml(details) {
+    if (!details) {
+        return '';
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(details);
+    } catch {
+        return '';
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return '';
+    }
+
+    const attr = MarkdownRenderer.escapeHtml;
+    const chips = [];
+    Object.entries(parsed).forEach(([key, value]) => {
+        const values = Array.isArray(value) ? value : [value];
+        values
+            .filter(v => v !== null && typeof v !== 'object')
+            .forEach(v => chips.push(`
+                <button class="details-chip" data-search-action="filter" data-key="${attr(key)}" data-value="${attr(String(v))}" title="${attr(t('search.filterBy', { key: key, value: String(v) }))}">
+                    ${escapeHtml(key)}: ${escapeHtml(String(v))}
+                </button>
+            `));
+    });
+
+    return chips.length > 0 ? `<div class="details-chips">${chips.join('')}</div>` : '';
+}
+
+function applyDetailsChipFilter(key, value) {
+    const emptyIndex = SearchState.filters.findIndex(f => !f.key.trim() && !f.value.trim());
+    if (emptyIndex !== -1) {
+        SearchState.filters[emptyIndex] = { key: key, value: value };
+    } else {
+        SearchState.filters.push({ key: key, value: value });
+    }
+
+    renderSearchFilters();
+    runSearch();
+}
+
+async function toggleNeighbourChunks(result, resultElement) {
+    const container = resultElement.querySelector('.search-neighbours');
+    if (container.childElementCount > 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = `<div class="loading">${t('search.loadingContext')}</div>`;
+
+    try {
+        const page = await apiClient.documents.listChunks(result.documentId, {
+            fromIndex: Math.max(0, result.chunkIndex - SEARCH_NEIGHBOUR_RADIUS),
+            toIndex: result.chunkIndex + SEARCH_NEIGHBOUR_RADIUS,
+            pageSize: SEARCH_NEIGHBOUR_RADIUS * 2 + 1
+        });
+        container.innerHTML = page.chunks.map(chunk => `
+            <div class="neighbour-chunk ${chunk.id === result.chunkId ? 'current' : ''}">
+                <div class="neighbour-chunk-header">
+                    <span class="chunk-index">${t('search.chunkIndex', { index: chunk.chunkIndex })}</span>
+                    ${chunk.headerContext ? `<span class="chunk-header-context">${escapeHtml(chunk.headerContext)}</span>` : ''}
+                </div>
+                <div class="neighbour-chunk-content">${escapeHtml(chunk.content)}</div>
+            </div>
+        `).join('');
+
+        const current = container.querySelector('.neighbour-chunk.current .neighbour-chunk-content');
+        highlightSearchTerms(current, SearchState.query);
+
+    } catch (error) {
+        console.error('Load neighbour chunks error:', error);
+        container.innerHTML = '';
+        showToast(t('search.contextFailed', { error: error.message }), 'error');
+    }
+}
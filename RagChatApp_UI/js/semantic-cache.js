@@ -0,0 +1,267 @@
+// Semantic Cache Panel
+// Shows hit rate, entry count and age distribution of the semantic cache,
+// lists and searches the cached queries and purges entries by age or document.
+const CacheState = {
+    stats: null,     // Response of GET /semanticcache/stats
+    entries: [],     // Listed or searched entries
+    isLoading: false
+};
+
+const cacheElements = {
+    summary: document.getElementById('cacheSummary'),
+    refreshBtn: document.getElementById('refreshCache'),
+    stats: document.getElementById('cacheStats'),
+    ageChart: document.getElementById('cacheAgeChart'),
+    repeated: document.getElementById('cacheRepeatedQueries'),
+    searchQuery: document.getElementById('cacheSearchQuery'),
+    exactMatch: document.getElementById('cacheExactMatch'),
+    maxAge: document.getElementById('cacheMaxAge'),
+    searchBtn: document.getElementById('cacheSearchBtn'),
+    entries: document.getElementById('cacheEntries'),
+    purgeAge: document.getElementById('cachePurgeAge'),
+    purgeAgeBtn: document.getElementById('cachePurgeAgeBtn'),
+    purgeDocument: document.getElementById('cachePurgeDocument'),
+    purgeDocumentOptions: document.getElementById('cachePurgeDocumentOptions'),
+    purgeDocumentBtn: document.getElementById('cachePurgeDocumentBtn'),
+    clearAllBtn: document.getElementById('cacheClearAllBtn')
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+    cacheElements.refreshBtn.addEventListener('click', refreshSemanticCache);
+    cacheElements.searchBtn.addEventListener('click', loadCacheEntries);
+    cacheElements.searchQuery.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            loadCacheEntries();
+        }
+    });
+    cacheElements.purgeAgeBtn.addEventListener('click', () => {
+        const hours = parseInt(cacheElements.purgeAge.value);
+        if (isNaN(hours) || hours < 0) {
+            showToast(t('cache.invalidHours'), 'warning');
+            return;
+        }
+        cleanSemanticCache(hours);
+    });
+    cacheElements.purgeDocumentBtn.addEventListener('click', () => {
+        const documentId = parseInt(cacheElements.purgeDocument.value);
+        if (isNaN(documentId)) {
+            showToast(t('cache.missingDocumentId'), 'warning');
+            return;
+        }
+        purgeDocumentFromCache(documentId);
+    });
+    cacheElements.clearAllBtn.addEventListener('click', () => {
+        if (confirm(t('cache.confirmClearAll'))) {
+            cleanSemanticCache(0);
+        }
+    });
+
+    cacheElements.entries.addEventListener('click', (e) => {
+        const action = e.target.closest('[data-cache-action]');
+        if (!action) {
+            return;
+        }
+
+        if (action.dataset.cacheAction === 'delete') {
+            deleteCacheEntry(parseInt(action.closest('.cache-entry').dataset.id));
+        } else if (action.dataset.cacheAction === 'purge-document') {
+            const documentId = parseInt(action.dataset.documentId);
+            if (confirm(t('cache.confirmPurgeDocument', { name: action.dataset.documentName }))) {
+                purgeDocumentFromCache(documentId);
+            }
+        }
+    });
+
+    // Loaded when the tab is opened, like the document list when it changes
+    document.querySelector('.tab-btn[data-tab="cache"]').addEventListener('click', refreshSemanticCache);
+
+    document.addEventListener('languagechange', () => {
+        if (CacheState.stats && !CacheState.isLoading) {
+            renderCacheStats();
+            renderCacheEntries(cacheElements.searchQuery.value.trim());
+        }
+    });
+});
+
+function refreshSemanticCache() {
+    populateCacheDocumentOptions();
+    loadCacheStats();
+    loadCacheEntries();
+}
+
+async function loadCacheStats() {
+    cacheElements.refreshBtn.disabled = true;
+
+    try {
+        CacheState.stats = await apiClient.semanticCache.stats();
+        renderCacheStats();
+    } catch (error) {
+        console.error('Load cache stats error:', error);
+        cacheElements.stats.innerHTML = `<div class="loading">${t('cache.statsUnavailable')}</div>`;
+        cacheElements.summary.textContent = '';
+        showToast(t('cache.statsFailed', { error: error.message }), 'error');
+    } finally {
+        cacheElements.refreshBtn.disabled = false;
+    }
+}
+
+function renderCacheStats() {
+    const stats = CacheState.stats;
+    const notAvailable = t('providers.notAvailable');
+    const hitRate = stats.hitRate === null
+        ? notAvailable
+        : I18n.formatNumber(stats.hitRate, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 });
+
+    cacheElements.summary.textContent = stats.enabled
+        ? t('cache.enabledSummary', { hours: stats.maxAgeHours, date: formatDate(stats.countersSince) })
+        : t('cache.disabledSummary');
+
+    const cards = [
+        { label: t('cache.stat.entries'), value: stats.totalEntries },
+        { label: t('cache.stat.hitRate'), value: hitRate },
+        { label: t('cache.stat.hitsMisses'), value: `${stats.hits} / ${stats.misses}` },
+        { label: t('cache.stat.bypasses'), value: stats.bypasses },
+        { label: t('cache.stat.lastHour'), value: stats.entriesLastHour },
+        { label: t('cache.stat.last24Hours'), value: stats.entriesLast24Hours },
+        { label: t('cache.stat.averageSize'), value: stats.avgContentSize ? formatFileSize(stats.avgContentSize) : notAvailable },
+        { label: t('cache.stat.oldest'), value: stats.oldestEntry ? formatDate(stats.oldestEntry) : notAvailable }
+    ];
+
+    cacheElements.stats.innerHTML = cards.map(card => `
+        <div class="eval-metric">
+            <span class="eval-metric-value">${escapeHtml(String(card.value))}</span>
+            <span class="eval-metric-label">${card.label}</span>
+        </div>
+    `).join('');
+
+    const maxCount = Math.max(1, ...stats.ageDistribution.map(bucket => bucket.count));
+    cacheElements.ageChart.innerHTML = stats.ageDistribution.map(bucket => `
+        <div class="cache-age-row">
+            <span class="cache-age-label">${escapeHtml(bucket.label)}</span>
+            <div class="cache-age-bar">
+                <div class="cache-age-fill" style="width: ${Math.round(bucket.count / maxCount * 100)}%"></div>
+            </div>
+            <span class="cache-age-count">${bucket.count}</span>
+        </div>
+    `).join('');
+
+    cacheElements.repeated.innerHTML = stats.repeatedQueries.length > 0
+        ? stats.repeatedQueries.map(query => `
+            <li>
+                <span>${escapeHtml(query.searchQuery)}</span>
+                <span class="cache-entry-meta">${t('cache.repeatedQueryMeta', { count: query.entryCount, date: formatDate(query.lastCachedAt) })}</span>
+            </li>
+        `).join('')
+        : `<li class="cache-entry-meta">${t('cache.noRepeatedQueries')}</li>`;
+}
+
+async function loadCacheEntries() {
+    if (CacheState.isLoading) {
+        return;
+    }
+
+    const search = cacheElements.searchQuery.value.trim();
+    const query = {
+        exactMatch: cacheElements.exactMatch.checked,
+        maxAgeHours: parseInt(cacheElements.maxAge.value) || 24,
+        search: search
+    };
+
+    CacheState.isLoading = true;
+    cacheElements.searchBtn.disabled = true;
+    cacheElements.entries.innerHTML = `<div class="loading">${t('cache.loadingEntries')}</div>`;
+
+    try {
+        CacheState.entries = await apiClient.semanticCache.entries(query);
+        renderCacheEntries(search);
+    } catch (error) {
+        console.error('Load cache entries error:', error);
+        cacheElements.entries.innerHTML = `<div class="loading">${t('cache.entriesUnavailable')}</div>`;
+        showToast(t('cache.entriesFailed', { error: error.message }), 'error');
+    } finally {
+        CacheState.isLoading = false;
+        cacheElements.searchBtn.disabled = false;
+    }
+}
+
+function renderCacheEntries(search) {
+    if (CacheState.entries.length === 0) {
+        cacheElements.entries.innerHTML = `<div class="loading">${search ? t('cache.noEntriesFound') : t('cache.empty')}</div>`;
+        return;
+    }
+
+    const attr = MarkdownRenderer.escapeHtml;
+    cacheElements.entries.innerHTML = CacheState.entries.map(entry => {
+        const parameters = entry.maxResults !== null
+            ? `${t('compare.chunkCount', { count: entry.maxResults })} • ${t('compare.threshold', { value: entry.similarityThreshold })}` +
+                (entry.detailsFilter ? ` • ${t('cache.filter', { filter: Object.entries(entry.detailsFilter).map(([k, v]) => `${k}=${v}`).join(', ') })}` : '')
+            : t('cache.legacyFormat');
+
+        return `
+            <div class="cache-entry" data-id="${entry.id}">
+                <div class="cache-entry-header">
+                    <strong>${escapeHtml(entry.searchQuery)}</strong>
+                    ${entry.matchType ? `<span class="provider-badge">${entry.matchType === 'ExactMatch' ? t('cache.exact') : t('cache.partial')}</span>` : ''}
+                    <button class="icon-btn admin-only" data-cache-action="delete" title="${t('cache.deleteEntry')}">🗑</button>
+                </div>
+                <div class="cache-entry-meta">
+                    ${formatDate(entry.createdAt)} (${t('cache.minutesAgo', { count: entry.ageMinutes })}) • ${t('compare.chunkCount', { count: entry.sourceCount })} • ${escapeHtml(parameters)}
+                </div>
+                ${entry.documents.length > 0 ? `
+                    <div class="details-chips">
+                        ${entry.documents.map(doc => `
+                            <button class="details-chip" data-cache-action="purge-document" data-document-id="${doc.documentId}" data-document-name="${attr(doc.documentName)}" title="${t('cache.purgeDocumentChipTitle')}" ${isAdmin() ? '' : 'disabled'}>
+                                📄 ${escapeHtml(doc.documentName)} ✖
+                            </button>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                <div class="cache-entry-preview">${escapeHtml(entry.contentPreview)}</div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Document suggestions for the purge field come from the loaded documents page
+function populateCacheDocumentOptions() {
+    cacheElements.purgeDocumentOptions.innerHTML = AppState.documents
+        .map(doc => `<option value="${doc.id}">${escapeHtml(doc.fileName)}</option>`)
+        .join('');
+}
+
+async function cleanSemanticCache(olderThanHours) {
+    try {
+        const result = await apiClient.semanticCache.clean(olderThanHours);
+        showToast(t('cache.cleaned', { count: result.data.deletedEntries }), 'success');
+        updateStatus(t('cache.cleanedStatus'));
+        refreshSemanticCache();
+    } catch (error) {
+        console.error('Clean cache error:', error);
+        showToast(t('cache.cleanFailed', { error: error.message }), 'error');
+    }
+}
+
+async function purgeDocumentFromCache(documentId) {
+    try {
+        const result = await apiClient.semanticCache.purgeDocument(documentId);
+        showToast(t('cache.purged', { count: result.data.deletedEntries, id: documentId }), 'success');
+        updateStatus(t('cache.purgedStatus'));
+        refreshSemanticCache();
+    } catch (error) {
+        console.error('Purge cache error:', error);
+        showToast(t('cache.purgeFailed', { error: error.message }), 'error');
+    }
+}
+
+async function deleteCacheEntry(id) {
+    try {
+        await apiClient.semanticCache.deleteEntry(id);
+        CacheState.entries = CacheState.entries.filter(entry => entry.id !== id);
+        renderCacheEntries(cacheElements.searchQuery.value.trim());
+        loadCacheStats();
+    } catch (error) {
+        console.error('Delete cache entry error:', error);
+        showToast(t('cache.deleteEntryFailed', { error: error.message }), 'error');
+    }
+}
@@ -0,0 +1,95 @@
+// Line Diff
+// Line-based diff (longest common subsequence) used to preview edits.
+const TextDiff = (() => {
+    // Above this many cells the LCS table is skipped and the changed
+    // region is shown as a single removed/added block
+    const MAX_LCS_CELLS = 2000000;
+
+    function splitLines(text) {
+        return (text || '').replace(/\r\n?/g, '\n').split('\n');
+    }
+
+    // Returns [{ type: 'equal' | 'removed' | 'added', text }]
+    function diffLines(oldText, newText) {
+        const oldLines = splitLines(oldText);
+        const newLines = splitLines(newText);
+
+        // Common prefix and suffix are cheap to strip and usually cover most of the text
+        let prefix = 0;
+        while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+            prefix++;
+        }
+
+        let suffix = 0;
+        while (suffix < oldLines.length - prefix &&
+               suffix < newLines.length - prefix &&
+               oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+            suffix++;
+        }
+
+        const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+        const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+
+        const result = oldLines.slice(0, prefix).map(text => ({ type: 'equal', text }));
+        result.push(...diffMiddle(oldMiddle, newMiddle));
+        result.push(...oldLines.slice(oldLines.length - suffix).map(text => ({ type: 'equal', text })));
+
+        return result;
+    }
+
+    function diffMiddle(oldLines, newLines) {
+        if (oldLines.length * newLines.length > MAX_LCS_CELLS) {
+            return [
+                ...oldLines.map(text => ({ type: 'removed', text })),
+                ...newLines.map(text => ({ type: 'added', text }))
+            ];
+        }
+
+        // lengths[i][j] = LCS length of oldLines[i..] and newLines[j..]
+        const rows = oldLines.length + 1;
+        const cols = newLines.length + 1;
+        const lengths = new Uint32Array(rows * cols);
+
+        for (let i = oldLines.length - 1; i >= 0; i--) {
+            for (let j = newLines.length - 1; j >= 0; j--) {
+                lengths[i * cols + j] = oldLines[i] === newLines[j]
+                    ? lengths[(i + 1) * cols + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+            }
+        }
+
+        const result = [];
+        let i = 0;
+        let j = 0;
+        while (i < oldLines.length && j < newLines.length) {
+            if (oldLines[i] === newLines[j]) {
+                result.push({ type: 'equal', text: oldLines[i] });
+                i++;
+                j++;
+            } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+                result.push({ type: 'removed', text: oldLines[i] });
+                i++;
+            } else {
+                result.push({ type: 'added', text: newLines[j] });
+                j++;
+            }
+        }
+        while (i < oldLines.length) {
+            result.push({ type: 'removed', text: oldLines[i++] });
+        }
+        while (j < newLines.length) {
+            result.push({ type: 'added', text: newLines[j++] });
+        }
+
+        return result;
+    }
+
+    function hasChanges(diff) {
+        return diff.some(line => line.type !== 'equal');
+    }
+
+    return {
+        diffLines,
+        hasChanges
+    };
+})();
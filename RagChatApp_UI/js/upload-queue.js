@@ -0,0 +1,277 @@
+// Upload Queue
+// Uploads files a few at a time with per-file byte progress, cancel and
+// retry with exponential backoff, then reports one summary when idle.
+const UploadQueueState = {
+    items: [],
+    nextId: 1
+};
+
+const uploadElements = {
+    panel: document.getElementById('uploadQueue'),
+    list: document.getElementById('uploadQueueList'),
+    summary: document.getElementById('uploadQueueSummary'),
+    clearBtn: document.getElementById('clearUploadQueue')
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+    uploadElements.clearBtn.addEventListener('click', clearFinishedUploads);
+
+    uploadElements.list.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-upload-action]');
+        if (!button) {
+            return;
+        }
+        const itemId = parseInt(button.closest('.upload-item').dataset.id);
+        if (button.dataset.uploadAction === 'cancel') {
+            cancelUpload(itemId);
+        } else if (button.dataset.uploadAction === 'retry') {
+            retryUpload(itemId);
+        }
+    });
+    document.addEventListener('languagechange', renderUploadQueue);
+});
+
+// uploads: { file, relativePath, replaceDocumentId } from the bulk import
+function enqueueUploads(uploads, metadata) {
+    uploads.forEach(({ file, relativePath, replaceDocumentId }) => {
+        UploadQueueState.items.push({
+            id: UploadQueueState.nextId++,
+            file: file,
+            relativePath: relativePath || file.name,
+            replaceDocumentId: replaceDocumentId || null,
+            metadata: metadata,
+            status: 'queued',
+            loaded: 0,
+            total: file.size,
+            attempts: 0,
+            error: null,
+            controller: null,
+            retryTimer: null,
+            reported: false
+        });
+    });
+
+    renderUploadQueue();
+    pumpUploadQueue();
+}
+
+function isUploadActive(item) {
+    return item.status === 'queued' || item.status === 'uploading' || item.status === 'retrying';
+}
+
+// Starts queued uploads until the concurrency limit is reached
+function pumpUploadQueue() {
+    const running = UploadQueueState.items.filter(item => item.status === 'uploading').length;
+    const available = Math.max(0, CONFIG.UPLOAD_CONCURRENCY - running);
+
+    UploadQueueState.items
+        .filter(item => item.status === 'queued')
+        .slice(0, available)
+        .forEach(startUpload);
+
+    if (!UploadQueueState.items.some(isUploadActive)) {
+        reportUploadSummary();
+    }
+}
+
+async function startUpload(item) {
+    item.status = 'uploading';
+    item.attempts++;
+    item.loaded = 0;
+    item.error = null;
+    item.controller = new AbortController();
+    renderUploadItem(item);
+    updateStatus(t('queue.uploading', { path: item.relativePath }));
+
+    try {
+        await uploadFile(item.file, buildUploadMetadata(item), {
+            replaceDocumentId: item.replaceDocumentId,
+            signal: item.controller.signal,
+            onProgress: (loaded, total) => {
+                item.loaded = loaded;
+                item.total = total;
+                renderUploadItem(item);
+            }
+        });
+
+        item.status = 'done';
+        item.loaded = item.total;
+
+    } catch (error) {
+        if (error.aborted) {
+            item.status = 'cancelled';
+        } else if (error.retryable && item.attempts <= CONFIG.UPLOAD_MAX_RETRIES) {
+            scheduleRetry(item, error);
+        } else {
+            console.error(`Upload failed for ${item.relativePath}:`, error);
+            item.status = 'failed';
+            item.error = error.message;
+        }
+    } finally {
+        item.controller = null;
+    }
+
+    renderUploadItem(item);
+    pumpUploadQueue();
+}
+
+// Files from a folder or archive keep their relative path in the chunk details,
+// so they can be found and filtered by folder
+function buildUploadMetadata(item) {
+    const separator = item.relativePath.lastIndexOf('/');
+    if (separator < 0) {
+        return item.metadata;
+    }
+
+    return {
+        notes: item.metadata ? item.metadata.notes : null,
+        details: {
+            ...(item.metadata ? item.metadata.details : null),
+            relativePath: item.relativePath,
+            folder: item.relativePath.slice(0, separator)
+        }
+    };
+}
+
+function scheduleRetry(item, error) {
+    // 1s, 2s, 4s... plus jitter so parallel failures do not retry in lockstep
+    const delay = CONFIG.UPLOAD_RETRY_BASE_DELAY * Math.pow(2, item.attempts - 1) + Math.random() * 250;
+
+    item.status = 'retrying';
+    item.error = t('queue.retryIn', { error: error.message, seconds: Math.round(delay / 1000) });
+    item.retryTimer = setTimeout(() => {
+        item.retryTimer = null;
+        if (item.status === 'retrying') {
+            item.status = 'queued';
+            renderUploadItem(item);
+            pumpUploadQueue();
+        }
+    }, delay);
+}
+
+function cancelUpload(itemId) {
+    const item = UploadQueueState.items.find(i => i.id === itemId);
+    if (!item || !isUploadActive(item)) {
+        return;
+    }
+
+    if (item.controller) {
+        // startUpload() marks the item cancelled when the XHR aborts
+        item.controller.abort();
+        return;
+    }
+
+    clearTimeout(item.retryTimer);
+    item.retryTimer = null;
+    item.status = 'cancelled';
+    renderUploadItem(item);
+    pumpUploadQueue();
+}
+
+function retryUpload(itemId) {
+    const item = UploadQueueState.items.find(i => i.id === itemId);
+    if (!item || isUploadActive(item) || item.status === 'done') {
+        return;
+    }
+
+    item.status = 'queued';
+    item.attempts = 0;
+    item.error = null;
+    item.reported = false;
+    renderUploadItem(item);
+    pumpUploadQueue();
+}
+
+function clearFinishedUploads() {
+    UploadQueueState.items = UploadQueueState.items.filter(isUploadActive);
+    renderUploadQueue();
+}
+
+// One toast for everything that finished since the queue was last idle
+function reportUploadSummary() {
+    const finished = UploadQueueState.items.filter(item => !item.reported);
+    if (finished.length === 0) {
+        return;
+    }
+    finished.forEach(item => { item.reported = true; });
+
+    const count = status => finished.filter(item => item.status === status).length;
+    const succeeded = count('done');
+    const failed = count('failed');
+    const cancelled = count('cancelled');
+
+    const parts = [t('queue.uploaded', { count: succeeded })];
+    if (failed > 0) {
+        parts.push(t('queue.failed', { count: failed }));
+    }
+    if (cancelled > 0) {
+        parts.push(t('queue.cancelled', { count: cancelled }));
+    }
+
+    const type = failed > 0 ? (succeeded > 0 ? 'warning' : 'error') : 'success';
+    showToast(t('queue.finished', { summary: parts.join(', ') }), type);
+    updateStatus(t('queue.finishedStatus', { succeeded: succeeded, failed: failed }));
+
+    if (succeeded > 0) {
+        loadDocuments();
+    }
+}
+
+function renderUploadQueue() {
+    const items = UploadQueueState.items;
+    uploadElements.panel.style.display = items.length > 0 ? 'block' : 'none';
+    uploadElements.list.innerHTML = items.map(buildUploadItemHtml).join('');
+    updateUploadSummary();
+}
+
+function renderUploadItem(item) {
+    const row = uploadElements.list.querySelector(`.upload-item[data-id="${item.id}"]`);
+    if (row) {
+        row.outerHTML = buildUploadItemHtml(item);
+    }
+    updateUploadSummary();
+}
+
+function updateUploadSummary() {
+    const items = UploadQueueState.items;
+    const active = items.filter(isUploadActive).length;
+    const done = items.filter(item => item.status === 'done').length;
+    const failed = items.filter(item => item.status === 'failed').length;
+
+    uploadElements.summary.textContent = active > 0
+        ? `${t('queue.active', { count: active })} • ${t('queue.uploaded', { count: done })} • ${t('queue.failed', { count: failed })}`
+        : `${t('queue.uploaded', { count: done })} • ${t('queue.failed', { count: failed })}`;
+}
+
+function buildUploadItemHtml(item) {
+    const percent = item.total > 0 ? Math.min(100, Math.round(item.loaded / item.total * 100)) : 0;
+    const progressText = item.status === 'uploading'
+        ? `${formatFileSize(item.loaded)} / ${formatFileSize(item.total)} (${percent}%)`
+        : formatFileSize(item.file.size);
+    const attemptText = item.attempts > 1 ? ` • ${t('queue.attempt', { count: item.attempts })}` : '';
+    const replaceText = item.replaceDocumentId ? ` • ${t('queue.replaces', { id: item.replaceDocumentId })}` : '';
+
+    let action = '';
+    if (isUploadActive(item)) {
+        action = `<button class="icon-btn" data-upload-action="cancel" title="${t('common.cancel')}">✖</button>`;
+    } else if (item.status === 'failed' || item.status === 'cancelled') {
+        action = `<button class="icon-btn" data-upload-action="retry" title="${t('queue.retry')}">↻</button>`;
+    }
+
+    return `
+        <li class="upload-item upload-${item.status}" data-id="${item.id}">
+            <div class="upload-item-header">
+                <span class="upload-item-name" title="${MarkdownRenderer.escapeHtml(item.relativePath)}">${escapeHtml(item.relativePath)}</span>
+                <span class="upload-item-status">${t(`queue.status.${item.status}`)}${attemptText}${replaceText}</span>
+                ${action}
+            </div>
+            <div class="progress-track">
+                <div class="progress-fill" style="width: ${item.status === 'done' ? 100 : percent}%"></div>
+            </div>
+            <div class="upload-item-details">
+                <span>${progressText}</span>
+                ${item.error ? `<span class="upload-item-error">${escapeHtml(item.error)}</span>` : ''}
+            </div>
+        </li>
+    `;
+}
@@ -0,0 +1,153 @@
+// URL Import
+// Indexes web pages from a list of URLs or sitemaps with POST /documents/index-url.
+// The server downloads and extracts each page, so pages are imported one at a time
+// in the batch progress dialog, waiting for the processing of each one.
+const urlImportElements = {
+    list: document.getElementById('urlImportList'),
+    notes: document.getElementById('urlImportNotes'),
+    tags: document.getElementById('urlImportTags'),
+    replace: document.getElementById('urlImportReplace'),
+    importBtn: document.getElementById('urlImportBtn')
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+    urlImportElements.importBtn.addEventListener('click', importUrls);
+});
+
+// Sitemaps are recognised by their .xml path, e.g. /sitemap.xml or /sitemap_index.xml
+function isSitemapUrl(url) {
+    return /\.xml$/i.test(new URL(url).pathname);
+}
+
+// One URL per line (spaces and commas also separate); fragments are dropped
+// because the server stores every page without them
+function parseUrlList(text) {
+    const urls = new Set();
+    const invalid = [];
+
+    text.split(/[\s,]+/).filter(value => value).forEach(value => {
+        try {
+            const url = new URL(value);
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+                throw new Error('Unsupported protocol');
+            }
+            url.hash = '';
+            urls.add(url.href);
+        } catch (error) {
+            invalid.push(value);
+        }
+    });
+
+    return { urls: [...urls], invalid };
+}
+
+async function importUrls() {
+    if (BatchState.isRunning) {
+        showToast(t('url.busy'), 'warning');
+        return;
+    }
+
+    const { urls, invalid } = parseUrlList(urlImportElements.list.value);
+    if (invalid.length > 0) {
+        showToast(t('url.invalid', { urls: invalid.join(', ') }), 'warning');
+        return;
+    }
+    if (urls.length === 0) {
+        showToast(t('url.empty'), 'warning');
+        return;
+    }
+
+    urlImportElements.importBtn.disabled = true;
+
+    try {
+        const pages = await expandSitemaps(urls);
+        if (pages.length === 0) {
+            showToast(t('url.noPages'), 'warning');
+            return;
+        }
+        if (pages.length > 1 && !confirm(t('url.confirmImport', { count: pages.length }))) {
+            return;
+        }
+
+        const request = buildUrlImportRequest();
+        const result = await runBatch(t('url.importTitle'), pages,
+            (url, setProgress) => indexWebPage(url, request, setProgress), url => url);
+
+        // Failed pages stay in the list so they can be retried
+        if (result.failed === 0) {
+            urlImportElements.list.value = '';
+        }
+        loadDocuments();
+
+    } catch (error) {
+        console.error('URL import error:', error);
+        showToast(t('url.importFailed', { error: error.message }), 'error');
+        updateStatus(t('url.importFailedStatus'));
+    } finally {
+        urlImportElements.importBtn.disabled = false;
+    }
+}
+
+async function expandSitemaps(urls) {
+    const pages = new Set();
+
+    for (const url of urls) {
+        if (!isSitemapUrl(url)) {
+            pages.add(url);
+            continue;
+        }
+
+        updateStatus(t('url.readingSitemap', { url: url }));
+        const sitemapPages = await apiClient.documents.getSitemapUrls(url);
+        sitemapPages.forEach(page => pages.add(page));
+    }
+
+    return [...pages];
+}
+
+function buildUrlImportRequest() {
+    const request = {
+        replaceExisting: urlImportElements.replace.checked
+    };
+
+    const notes = urlImportElements.notes.value.trim();
+    if (notes) {
+        request.notes = notes;
+    }
+
+    const tags = urlImportElements.tags.value.split(',').map(tag => tag.trim()).filter(tag => tag);
+    if (tags.length > 0) {
+        request.details = JSON.stringify({ tags: tags });
+    }
+
+    return request;
+}
+
+// Pages already indexed answer 409 with their id and are skipped unless replaceExisting is set
+async function indexWebPage(url, request, setProgress) {
+    setProgress(t('url.downloading'));
+
+    let doc;
+    try {
+        doc = await apiClient.documents.indexUrl({ ...request, url: url });
+    } catch (error) {
+        if (error.status === 409 && !request.replaceExisting && error.body && error.body.data) {
+            return t('url.alreadyIndexed', { id: error.body.data.documentId });
+        }
+        throw error;
+    }
+
+    return awaitBatchProcessing(doc.id, setProgress);
+}
+
+// Downloads the page of a web document again; notes and details are kept by the server
+async function refreshWebDocument(documentId) {
+    const doc = AppState.documents.find(d => d.id === documentId);
+    if (!doc || !isWebAddress(doc.path) || BatchState.isRunning) {
+        return;
+    }
+
+    await runBatch(t('url.refreshTitle'), [doc.path],
+        (url, setProgress) => indexWebPage(url, { replaceExisting: true }, setProgress), url => url);
+    loadDocuments();
+}
@@ -0,0 +1,120 @@
+// ZIP Reader
+// Lists and extracts the files of a .zip archive with DecompressionStream, so an
+// archive dropped on the upload area can be previewed and uploaded file by file.
+// Supports stored and deflated entries; ZIP64 and encrypted archives are rejected.
+// Works in the browser and in Node 18+ (module.exports at the bottom).
+const ZipReader = (() => {
+    const END_OF_DIRECTORY_SIGNATURE = 0x06054b50;
+    const DIRECTORY_ENTRY_SIGNATURE = 0x02014b50;
+    const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+    const END_OF_DIRECTORY_SIZE = 22;
+    const MAX_COMMENT_LENGTH = 0xffff;
+    const METHOD_STORED = 0;
+    const METHOD_DEFLATE = 8;
+
+    async function readBytes(blob, start, end) {
+        return new Uint8Array(await blob.slice(start, end).arrayBuffer());
+    }
+
+    // The end of central directory record sits at the end, before an optional comment
+    function findEndOfDirectory(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        for (let i = bytes.length - END_OF_DIRECTORY_SIZE; i >= 0; i--) {
+            if (view.getUint32(i, true) === END_OF_DIRECTORY_SIGNATURE) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Lists the files of an archive (folders are implied by the paths).
+     * @param {Blob} blob - The .zip file
+     * @returns {Promise<Array<{path: string, size: number, compressedSize: number,
+     *   method: number, encrypted: boolean, localHeaderOffset: number}>>}
+     */
+    async function listEntries(blob) {
+        const tailStart = Math.max(0, blob.size - END_OF_DIRECTORY_SIZE - MAX_COMMENT_LENGTH);
+        const tail = await readBytes(blob, tailStart, blob.size);
+        const endOffset = findEndOfDirectory(tail);
+        if (endOffset < 0) {
+            throw new Error('Not a ZIP archive');
+        }
+
+        const end = new DataView(tail.buffer, tail.byteOffset + endOffset);
+        const entryCount = end.getUint16(10, true);
+        const directorySize = end.getUint32(12, true);
+        const directoryOffset = end.getUint32(16, true);
+        if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+            throw new Error('ZIP64 archives are not supported');
+        }
+
+        const directory = await readBytes(blob, directoryOffset, directoryOffset + directorySize);
+        const view = new DataView(directory.buffer, directory.byteOffset, directory.byteLength);
+        const decoder = new TextDecoder();
+        const entries = [];
+        let offset = 0;
+
+        for (let i = 0; i < entryCount; i++) {
+            if (offset + 46 > directory.length || view.getUint32(offset, true) !== DIRECTORY_ENTRY_SIGNATURE) {
+                throw new Error('Corrupted ZIP central directory');
+            }
+
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const path = decoder.decode(directory.subarray(offset + 46, offset + 46 + nameLength)).replace(/\\/g, '/');
+
+            if (!path.endsWith('/')) {
+                entries.push({
+                    path: path,
+                    size: view.getUint32(offset + 24, true),
+                    compressedSize: view.getUint32(offset + 20, true),
+                    method: view.getUint16(offset + 10, true),
+                    encrypted: (view.getUint16(offset + 8, true) & 1) !== 0,
+                    localHeaderOffset: view.getUint32(offset + 42, true)
+                });
+            }
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Extracts one entry returned by listEntries.
+     * @param {Blob} blob - The .zip file
+     * @param {object} entry - Entry from listEntries
+     * @returns {Promise<Blob>} The uncompressed content
+     */
+    async function extractEntry(blob, entry) {
+        if (entry.encrypted) {
+            throw new Error(`"${entry.path}" is encrypted`);
+        }
+
+        // The local header repeats the name and may carry a different extra field
+        const header = await readBytes(blob, entry.localHeaderOffset, entry.localHeaderOffset + 30);
+        const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+        if (header.length < 30 || view.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+            throw new Error(`Corrupted ZIP entry "${entry.path}"`);
+        }
+
+        const dataStart = entry.localHeaderOffset + 30 + view.getUint16(26, true) + view.getUint16(28, true);
+        const data = blob.slice(dataStart, dataStart + entry.compressedSize);
+
+        if (entry.method === METHOD_STORED) {
+            return data;
+        }
+        if (entry.method === METHOD_DEFLATE) {
+            return new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+        }
+        throw new Error(`Compression method ${entry.method} of "${entry.path}" is not supported`);
+    }
+
+    return { listEntries, extractEntry };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipReader;
+}
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+// Mock Retrieval Server
+// Minimal stand-in for POST /api/chat that ranks the chunks of a JSON corpus
+// by word overlap with the question, so the retrieval evaluation can run
+// offline without the .NET server, SQL Server or an embedding provider.
+//
+//   node tools/mock-retrieval-server.js [--port 5055] [--corpus tools/fixtures/eval-corpus.json]
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PORT = 5055;
+const DEFAULT_CORPUS = path.join(__dirname, 'fixtures', 'eval-corpus.json');
+const MIN_WORD_LENGTH = 3;
+
+function tokenize(text) {
+    return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(word => word.length >= MIN_WORD_LENGTH);
+}
+
+// Flattens { documents: [{ id, fileName, path, chunks: [...] }] } into
+// ChatSource-shaped chunks with their word sets precomputed
+function loadCorpus(corpusPath) {
+    const corpus = JSON.parse(fs.readFileSync(corpusPath, 'utf8'));
+    let nextChunkId = 1;
+
+    return corpus.documents.flatMap(document => document.chunks.map((chunk, index) => ({
+        source: {
+            documentId: document.id,
+            chunkId: chunk.id || nextChunkId++,
+            chunkIndex: chunk.chunkIndex !== undefined ? chunk.chunkIndex : index,
+            documentName: document.fileName,
+            documentPath: document.path || null,
+            content: chunk.content,
+            headerContext: chunk.headerContext || null,
+            notes: chunk.notes || null,
+            details: chunk.details ? JSON.stringify(chunk.details) : null
+        },
+        words: new Set(tokenize(`${chunk.headerContext || ''} ${chunk.content}`))
+    })));
+}
+
+// Same rules as the server: every key must match, case-insensitively, and an
+// array value matches when it contains the filter value
+function matchesDetailsFilter(details, filter) {
+    if (!filter || Object.keys(filter).length === 0) {
+        return true;
+    }
+    if (!details) {
+        return false;
+    }
+
+    const entries = Object.entries(JSON.parse(details))
+        .map(([key, value]) => [key.toLowerCase(), value]);
+
+    return Object.entries(filter).every(([key, expected]) => {
+        const entry = entries.find(([name]) => name === key.toLowerCase());
+        if (!entry) {
+            return false;
+        }
+        const values = Array.isArray(entry[1]) ? entry[1] : [entry[1]];
+        return values.some(value => String(value).toLowerCase() === String(expected).toLowerCase());
+    });
+}
+
+// Share of the question words found in the chunk, so scores stay in 0..1
+// like the cosine similarities of the real server
+function searchChunks(chunks, request) {
+    const questionWords = Array.from(new Set(tokenize(request.message)));
+    const maxChunks = request.maxChunks || 5;
+    const threshold = request.similarityThreshold || 0;
+
+    return chunks
+        .map(chunk => ({
+            ...chunk.source,
+            similarityScore: questionWords.length > 0
+                ? questionWords.filter(word => chunk.words.has(word)).length / questionWords.length
+                : 0
+        }))
+        .filter(source => source.similarityScore > 0 && source.similarityScore >= threshold)
+        .filter(source => matchesDetailsFilter(source.details, request.detailsFilter))
+        .sort((a, b) => b.similarityScore - a.similarityScore)
+        .slice(0, maxChunks);
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Api-Key',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+    });
+    res.end(body === null ? '' : JSON.stringify(body));
+}
+
+function createMockServer(chunks) {
+    return http.createServer((req, res) => {
+        const url = req.url.split('?')[0];
+
+        if (req.method === 'OPTIONS') {
+            sendJson(res, 204, null);
+            return;
+        }
+
+        if (req.method === 'GET' && url === '/api/chat/info') {
+            sendJson(res, 200, {
+                serviceType: 'Mock retrieval server',
+                isMockMode: true,
+                version: '1.0.0',
+                chunkCount: chunks.length
+            });
+            return;
+        }
+
+        if (req.method !== 'POST' || (url !== '/api/chat' && url !== '/api/auth/login')) {
+            sendJson(res, 404, { success: false, message: `Not found: ${req.method} ${url}` });
+            return;
+        }
+
+        let body = '';
+        req.on('data', data => { body += data; });
+        req.on('end', () => {
+            let request;
+            try {
+                request = JSON.parse(body);
+            } catch {
+                sendJson(res, 400, { success: false, message: 'Invalid JSON body' });
+                return;
+            }
+
+            // Any credentials sign in, so the UI can be pointed at the mock server
+            if (url === '/api/auth/login') {
+                const username = String(request.username || 'mock');
+                sendJson(res, 200, {
+                    token: 'mock-token',
+                    expiresAt: new Date(Date.now() + 8 * 60 * 60 * 1000).toISOString(),
+                    user: { username: username, displayName: username, role: 'Admin' }
+                });
+                return;
+            }
+
+            if (!request.message || !String(request.message).trim()) {
+                sendJson(res, 400, { success: false, message: 'Message is required' });
+                return;
+            }
+
+            const sources = searchChunks(chunks, request);
+            sendJson(res, 200, {
+                response: request.returnOnlyChunks ? '' : `Mock answer based on ${sources.length} chunks.`,
+                sources: sources,
+                isMockResponse: true,
+                provider: 'Mock',
+                model: null
+            });
+        });
+    });
+}
+
+// Resolves with the running server once it listens; port 0 picks a free port
+function startMockServer({ port = DEFAULT_PORT, corpus = DEFAULT_CORPUS } = {}) {
+    const server = createMockServer(loadCorpus(corpus));
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => resolve(server));
+    });
+}
+
+function readOption(args, name, fallback) {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const port = parseInt(readOption(args, '--port', process.env.PORT || DEFAULT_PORT));
+    const corpus = path.resolve(readOption(args, '--corpus', DEFAULT_CORPUS));
+
+    startMockServer({ port: port, corpus: corpus })
+        .then(server => {
+            console.log(`Mock retrieval server listening on http://127.0.0.1:${server.address().port}/api (corpus: ${corpus})`);
+        })
+        .catch(error => {
+            console.error(`Failed to start the mock retrieval server: ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = { startMockServer, searchChunks, loadCorpus };
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+// Retrieval Evaluation Runner
+// Headless counterpart of the "Valutazione" tab: runs a golden set against
+// /api/chat in chunks-only mode, prints recall@k, MRR and the per-question
+// hits, saves the run as JSON and optionally diffs it with a saved run.
+// Saved runs can also be imported in the browser tab and vice versa.
+const fs = require('fs');
+const path = require('path');
+const RetrievalEval = require('../js/retrieval-eval.js');
+const { startMockServer } = require('./mock-retrieval-server.js');
+
+const USAGE = `Usage: node tools/run-retrieval-eval.js --golden <set.json|set.csv> [options]
+
+Options:
+  --api <url>            API base URL (default: http://localhost:5259/api)
+  --api-key <key>        API key sent as X-Api-Key (default: RAGCHAT_API_KEY)
+  --mock                 Start the offline mock server and run against it
+  --corpus <file>        Corpus for --mock (default: tools/fixtures/eval-corpus.json)
+  --max-chunks <n>       Chunks retrieved per question, the largest k (default: 10)
+  --threshold <n>        Similarity threshold (default: 0)
+  --filter <key=value>   Details filter, repeatable
+  --concurrency <n>      Questions evaluated in parallel (default: 2)
+  --timeout <ms>         Timeout per request (default: 30000)
+  --name <text>          Run name
+  --out <file>           Save the run as JSON
+  --compare <file>       Diff against a saved run (the saved run is the baseline)
+  --help                 Show this help`;
+
+function parseArgs(argv) {
+    const options = { filters: {} };
+    const flags = new Set(['--mock', '--help']);
+
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i];
+        if (flags.has(name)) {
+            options[name.slice(2)] = true;
+            continue;
+        }
+        if (!name.startsWith('--') || argv[i + 1] === undefined) {
+            throw new Error(`Unexpected argument "${name}"`);
+        }
+
+        const value = argv[++i];
+        if (name === '--filter') {
+            const separator = value.indexOf('=');
+            if (separator <= 0) {
+                throw new Error(`Filter "${value}" must be key=value`);
+            }
+            options.filters[value.slice(0, separator).trim()] = value.slice(separator + 1).trim();
+        } else {
+            options[name.slice(2)] = value;
+        }
+    }
+
+    return options;
+}
+
+function parseNumber(value, fallback, name) {
+    if (value === undefined) {
+        return fallback;
+    }
+    const number = Number(value);
+    if (Number.isNaN(number)) {
+        throw new Error(`--${name} must be a number`);
+    }
+    return number;
+}
+
+const percent = value => `${(value * 100).toFixed(1)}%`;
+const truncate = (text, length) => text.length > length ? `${text.slice(0, length - 1)}…` : text;
+
+function printRun(run) {
+    const { summary, config } = run;
+
+    console.log(`\n${run.name}`);
+    console.log(`${summary.questionCount} questions • ${summary.hitCount} hit • ${summary.missCount} miss • ${summary.errorCount} errors • avg ${summary.averageLatencyMs} ms`);
+    console.log(`MRR ${summary.mrr.toFixed(3)}`);
+    config.kValues.forEach(k => {
+        console.log(`Recall@${k} ${percent(summary.recallAtK[k])}   Hit@${k} ${percent(summary.hitRateAtK[k])}`);
+    });
+
+    const maxK = config.kValues[config.kValues.length - 1];
+    console.table(run.questions.map(question => ({
+        id: question.id,
+        status: question.status,
+        rank: question.firstHitRank || '-',
+        [`recall@${maxK}`]: question.status === 'error' ? '-' : percent(question.recallAtK[maxK]),
+        missing: question.status === 'error' ? question.error : question.missingTargets.join(', '),
+        question: truncate(question.question, 50)
+    })));
+}
+
+function printDiff(diff) {
+    console.log(`\nDiff: ${diff.base.name}  →  ${diff.other.name}`);
+    if (!diff.sameGoldenSet) {
+        console.log('Warning: the runs use different golden sets');
+    }
+    diff.configChanges.forEach(change => {
+        console.log(`  ${change.key}: ${JSON.stringify(change.base)} → ${JSON.stringify(change.other)}`);
+    });
+
+    console.table(diff.metrics.map(metric => ({
+        metric: metric.label,
+        base: metric.base.toFixed(3),
+        other: metric.other.toFixed(3),
+        delta: `${metric.delta >= 0 ? '+' : ''}${metric.delta.toFixed(3)}`
+    })));
+
+    const { counts } = diff;
+    console.log(`${counts.improved} improved • ${counts.regressed} regressed • ${counts.unchanged} unchanged` +
+        (counts.added || counts.removed ? ` • ${counts.added} added • ${counts.removed} removed` : ''));
+
+    const changed = diff.questions.filter(question => question.change !== 'unchanged');
+    if (changed.length > 0) {
+        console.table(changed.map(question => ({
+            id: question.id,
+            change: question.change,
+            baseRank: question.baseRank || '-',
+            otherRank: question.otherRank || '-'
+        })));
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!options.golden) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    const goldenPath = path.resolve(options.golden);
+    const goldenSet = RetrievalEval.parseGoldenSet(fs.readFileSync(goldenPath, 'utf8'), path.basename(goldenPath));
+    const baseline = options.compare ? JSON.parse(fs.readFileSync(path.resolve(options.compare), 'utf8')) : null;
+
+    const apiKey = options['api-key'] || process.env.RAGCHAT_API_KEY;
+    let server = null;
+    let apiBaseUrl = (options.api || 'http://localhost:5259/api').replace(/\/+$/, '');
+    if (options.mock) {
+        server = await startMockServer({ port: 0, corpus: options.corpus ? path.resolve(options.corpus) : undefined });
+        apiBaseUrl = `http://127.0.0.1:${server.address().port}/api`;
+        console.log(`Mock retrieval server started on ${apiBaseUrl}`);
+    }
+
+    try {
+        console.log(`Evaluating ${goldenSet.questions.length} questions from "${goldenSet.name}" against ${apiBaseUrl}...`);
+
+        const run = await RetrievalEval.runEvaluation(goldenSet, {
+            apiBaseUrl: apiBaseUrl,
+            maxChunks: parseNumber(options['max-chunks'], 10, 'max-chunks'),
+            similarityThreshold: parseNumber(options.threshold, 0, 'threshold'),
+            detailsFilter: options.filters,
+            concurrency: parseNumber(options.concurrency, 2, 'concurrency'),
+            timeoutMs: parseNumber(options.timeout, 30000, 'timeout'),
+            name: options.name,
+            headers: apiKey ? { 'X-Api-Key': apiKey } : {},
+            onProgress: (completed, total) => {
+                if (process.stdout.isTTY) {
+                    process.stdout.write(`\r${completed}/${total}${completed === total ? '\n' : ''}`);
+                }
+            }
+        });
+
+        printRun(run);
+
+        if (options.out) {
+            const outPath = path.resolve(options.out);
+            fs.mkdirSync(path.dirname(outPath), { recursive: true });
+            fs.writeFileSync(outPath, JSON.stringify(run, null, 2));
+            console.log(`\nRun saved to ${outPath}`);
+        }
+
+        if (baseline) {
+            printDiff(RetrievalEval.diffRuns(baseline, run));
+        }
+
+        return run.summary.errorCount > 0 ? 1 : 0;
+
+    } finally {
+        if (server) {
+            server.close();
+        }
+    }
+}
+
+main()
+    .then(code => { process.exitCode = code; })
+    .catch(error => {
+        console.error(`Evaluation failed: ${error.message}`);
+        process.exitCode = 1;
+    });
@@ -0,0 +1,124 @@
+// Tests of the retrieval evaluation metrics against the mock retrieval server:
+// a small corpus and golden set whose rankings are known, so recall@k, hit@k
+// and MRR can be checked exactly. Run with `npm test` (Node 18+, no dependencies).
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const RetrievalEval = require('../../js/retrieval-eval.js');
+const { startMockServer } = require('../mock-retrieval-server.js');
+
+// The mock server scores a chunk with the share of the question words it
+// contains, so with four-word questions the scores are 1, 0.75, 0.5 and 0.25
+const CORPUS = {
+    documents: [
+        {
+            id: 1,
+            fileName: 'ferie.md',
+            chunks: [
+                { id: 11, content: 'alpha bravo charlie' },
+                { id: 12, content: 'echo foxtrot golf hotel' }
+            ]
+        },
+        {
+            id: 2,
+            fileName: 'password.md',
+            chunks: [
+                { id: 21, content: 'alpha bravo charlie delta' },
+                { id: 22, content: 'india' }
+            ]
+        },
+        {
+            id: 3,
+            fileName: 'vpn.md',
+            chunks: [
+                { id: 31, content: 'alpha' },
+                { id: 32, content: 'golf' }
+            ]
+        }
+    ]
+};
+
+// Expected ranking with 3 chunks per question:
+//   first-at-two   21 (1.0), 11 (0.75), 31 (0.25)  -> doc 1 at rank 2
+//   two-targets    12 (1.0), 32 (0.25)             -> snippet at rank 1, doc 3 at rank 2
+//   miss           22 (0.5)                        -> doc 1 never retrieved
+const GOLDEN_SET = {
+    name: 'metrics',
+    questions: [
+        { id: 'first-at-two', question: 'alpha bravo charlie delta', expectedDocumentIds: [1] },
+        { id: 'two-targets', question: 'echo foxtrot golf hotel', expectedDocumentIds: [3], expectedSnippets: ['Echo  Foxtrot'] },
+        { id: 'miss', question: 'india juliett', expectedDocumentIds: [1] }
+    ]
+};
+
+const SUITE_OPTIONS = { timeout: 10000 };
+
+let server;
+let corpusDir;
+let run;
+
+before(async () => {
+    corpusDir = fs.mkdtempSync(path.join(os.tmpdir(), 'retrieval-eval-'));
+    const corpusPath = path.join(corpusDir, 'corpus.json');
+    fs.writeFileSync(corpusPath, JSON.stringify(CORPUS));
+
+    server = await startMockServer({ port: 0, corpus: corpusPath });
+    const goldenSet = RetrievalEval.parseGoldenSet(JSON.stringify(GOLDEN_SET), 'metrics.json');
+    run = await RetrievalEval.runEvaluation(goldenSet, {
+        apiBaseUrl: `http://127.0.0.1:${server.address().port}/api`,
+        maxChunks: 3,
+        concurrency: 1,
+        timeoutMs: 5000
+    });
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(corpusDir, { recursive: true, force: true });
+});
+
+function question(id) {
+    return run.questions.find(q => q.id === id);
+}
+
+describe('per-question scores', SUITE_OPTIONS, () => {
+    it('ranks the first relevant chunk and its reciprocal rank', () => {
+        assert.deepEqual(question('first-at-two').retrieved.map(r => r.chunkId), [21, 11, 31]);
+        assert.equal(question('first-at-two').firstHitRank, 2);
+        assert.equal(question('first-at-two').reciprocalRank, 0.5);
+        assert.deepEqual(question('first-at-two').recallAtK, { 1: 0, 3: 1 });
+    });
+
+    it('counts every expected document and snippet as a separate target', () => {
+        assert.deepEqual(question('two-targets').retrieved.map(r => r.chunkId), [12, 32]);
+        assert.equal(question('two-targets').firstHitRank, 1);
+        assert.deepEqual(question('two-targets').recallAtK, { 1: 0.5, 3: 1 });
+        assert.deepEqual(question('two-targets').hitAtK, { 1: true, 3: true });
+    });
+
+    it('scores a question without relevant chunks as a miss', () => {
+        assert.equal(question('miss').status, 'miss');
+        assert.equal(question('miss').reciprocalRank, 0);
+        assert.deepEqual(question('miss').recallAtK, { 1: 0, 3: 0 });
+        assert.deepEqual(question('miss').missingTargets, ['doc 1']);
+    });
+});
+
+describe('run summary', SUITE_OPTIONS, () => {
+    it('uses k values up to the chunks per question', () => {
+        assert.deepEqual(run.config.kValues, [1, 3]);
+    });
+
+    it('averages recall@k, hit@k and MRR over the questions', () => {
+        const { summary } = run;
+        assert.equal(summary.questionCount, 3);
+        assert.equal(summary.hitCount, 2);
+        assert.equal(summary.missCount, 1);
+        assert.equal(summary.errorCount, 0);
+        assert.equal(summary.mrr, (1 / 2 + 1 + 0) / 3);
+        assert.deepEqual(summary.recallAtK, { 1: (0 + 1 / 2 + 0) / 3, 3: (1 + 1 + 0) / 3 });
+        assert.deepEqual(summary.hitRateAtK, { 1: 1 / 3, 3: 2 / 3 });
+    });
+});